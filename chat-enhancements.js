@@ -5,19 +5,104 @@
  * - Auto-complete Suggestions
  * - Smart Quick Replies
  * - Chat History for Returning Customers
+ * - Cross-Device Conversations (signed-in customers resume open chats)
  * - Shopify Integration (Orders, Subscriptions, Loyalty)
  * - GDPR Compliance Tools
  * - Toast Notification System
  * - Consent Management
  * - Analytics Events
  * - Sentiment Detection
+ * - Localized Copy (consent banner, recommendation wizard and returning customer messages)
  */
 
+// Built-in English copy; the shopper's language is loaded from /api/locale (see loadStrings)
+const WIDGET_STRINGS = {
+  consent: {
+    title: 'We value your privacy',
+    description: 'We use cookies and similar technologies to enhance your experience, analyze usage, and personalize content.',
+    acceptAll: 'Accept All',
+    necessaryOnly: 'Necessary Only',
+    customize: 'Customize',
+    acceptedToast: 'Preferences saved. Thank you!',
+    necessaryToast: 'Using necessary cookies only',
+    preferencesTitle: 'Privacy Preferences',
+    preferencesDescription: 'Manage your cookie and privacy preferences. You can change these settings at any time.',
+    necessaryTitle: 'Necessary Cookies',
+    alwaysActive: 'Always Active',
+    necessaryDescription: 'Essential for the website to function. These cannot be disabled as they are required for core functionality like session management and security.',
+    analyticsTitle: 'Analytics Cookies',
+    analyticsDescription: 'Help us understand how visitors interact with our website, including keeping chat transcripts to improve support. Without this, only anonymous topic counts are kept.',
+    marketingTitle: 'Marketing Cookies',
+    marketingDescription: 'Used to deliver relevant advertisements and track campaign effectiveness across websites.',
+    personalizationTitle: 'Personalization',
+    personalizationDescription: 'Enable personalized recommendations and remember your preferences for a customized experience.',
+    cancel: 'Cancel',
+    save: 'Save Preferences',
+    savedToast: 'Privacy preferences saved successfully'
+  },
+  recommendations: {
+    intro: 'Let\'s find the perfect product for you! I\'ll ask you a few quick questions.',
+    concernQuestion: 'Step 1 of 3: What\'s your primary concern?',
+    methodQuestion: 'Step 2 of 3: Preferred application method?',
+    strengthQuestion: 'Step 3 of 3: What strength level do you prefer?',
+    bestFor: 'Best for: {text}',
+    selected: 'Selected: {label}',
+    searching: 'Finding the perfect products for you...',
+    noMatches: 'No exact matches found, but here are some products you might like:',
+    contactSupport: 'Please contact our support team for personalized recommendations.',
+    error: 'Sorry, there was an error fetching recommendations. Please try again.',
+    title: 'Your Personalized Recommendations',
+    basedOn: 'Based on your preferences:',
+    summary: 'Concern: {concern} | Method: {method} | Strength: {strength}',
+    match: '{score}% match',
+    viewProduct: 'View Product',
+    startOver: 'Start Over',
+    concerns: {
+      acne: 'Acne & Breakouts',
+      aging: 'Anti-Aging & Wrinkles',
+      hydration: 'Hydration & Dryness',
+      dark_spots: 'Dark Spots & Pigmentation',
+      sensitivity: 'Sensitivity & Redness',
+      texture: 'Texture & Pores'
+    },
+    methods: {
+      serum: { label: 'Serum', description: 'Concentrated, fast-absorbing' },
+      cream: { label: 'Cream/Moisturizer', description: 'Rich, hydrating formula' },
+      cleanser: { label: 'Cleanser', description: 'Daily cleansing routine' },
+      mask: { label: 'Mask/Treatment', description: 'Intensive weekly treatment' },
+      toner: { label: 'Toner/Essence', description: 'Prep and balance skin' },
+      spot: { label: 'Spot Treatment', description: 'Targeted application' }
+    },
+    strengths: {
+      gentle: { label: 'Gentle', description: 'Low concentration, minimal irritation risk', bestFor: 'Sensitive skin, daily use' },
+      moderate: { label: 'Moderate', description: 'Balanced formula for visible results', bestFor: 'Most skin types, regular use' },
+      strong: { label: 'Strong', description: 'High concentration for maximum efficacy', bestFor: 'Resistant concerns, experienced users' }
+    }
+  },
+  continuity: {
+    welcomeBack: 'Welcome back! Last time we discussed {topic}. How can I help you today?',
+    previousQuestion: 'your previous question',
+    openConversations: 'Pick up where you left off:',
+    untitled: 'Your conversation',
+    step: 'Step {step}',
+    resumed: 'Conversation resumed',
+    resumeFailed: 'Sorry, that conversation couldn\'t be opened.'
+  }
+};
+
+// Icons for the recommendation wizard's options (labels come from the strings)
+const WIZARD_ICONS = {
+  concerns: { acne: '🔴', aging: '✨', hydration: '💧', dark_spots: '🎯', sensitivity: '🌸', texture: '🪞' },
+  methods: { serum: '💉', cream: '🧴', cleanser: '🫧', mask: '🎭', toner: '💦', spot: '🎯' },
+  strengths: { gentle: '🌱', moderate: '⚖️', strong: '💪' }
+};
+
 class ChatEnhancements {
   constructor(config = {}) {
     this.config = {
       backendUrl: config.backendUrl || 'https://your-backend.vercel.app',
       shopDomain: config.shopDomain || window.Shopify?.shop,
+      locale: config.locale || window.Shopify?.locale || document.documentElement.lang || null,
       enablePersistence: config.enablePersistence !== false,
       enableAutoComplete: config.enableAutoComplete !== false,
       enableQuickReplies: config.enableQuickReplies !== false,
@@ -32,9 +117,15 @@ class ChatEnhancements {
     };
 
     this.sessionId = this.getOrCreateSessionId();
-    this.customerEmail = null;
+    // Version of the server session last loaded or saved (null = unknown)
+    this.sessionVersion = null;
+    this.customerEmail = config.customerEmail || null;
+    // Signed token from the Liquid section (window.customerData.token)
+    this.customerToken = config.customerToken || window.customerData?.token || null;
     this.conversationContext = {
       lastIntent: null,
+      currentTopic: null,
+      currentStep: null,
       messages: [],
       metadata: {}
     };
@@ -62,12 +153,16 @@ class ChatEnhancements {
       pageViews: 0,
       interactions: 0,
       messagesSent: 0,
-      sentimentHistory: []
+      sentimentHistory: [],
+      lastSentEventId: null
     };
 
     // Consent state
     this.consentState = this.loadConsentState();
 
+    // Copy in the shopper's language (English until loadStrings resolves)
+    this.strings = WIDGET_STRINGS;
+
     this.init();
   }
 
@@ -75,6 +170,8 @@ class ChatEnhancements {
    * Initialize all enhancements
    */
   async init() {
+    await this.loadStrings();
+
     if (this.config.enableToasts) {
       this.initToastSystem();
     }
@@ -115,6 +212,42 @@ class ChatEnhancements {
     console.log('Chat enhancements initialized');
   }
 
+  /**
+   * LOCALIZATION
+   */
+
+  async loadStrings() {
+    try {
+      const params = new URLSearchParams();
+      if (this.config.locale) params.set('locale', this.config.locale);
+
+      const response = await fetch(`${this.config.backendUrl}/api/locale?${params}`);
+      if (!response.ok) return;
+
+      const data = await response.json();
+      const strings = data.strings?.widget || {};
+
+      this.strings = {
+        consent: { ...WIDGET_STRINGS.consent, ...strings.consent },
+        recommendations: { ...WIDGET_STRINGS.recommendations, ...strings.recommendations },
+        continuity: { ...WIDGET_STRINGS.continuity, ...strings.continuity }
+      };
+    } catch (error) {
+      console.error('Failed to load translations, using English:', error);
+    }
+  }
+
+  /**
+   * Copy at a dotted path ("consent.title"), with {name} placeholders filled
+   */
+  t(path, values = {}) {
+    const value = path.split('.').reduce((node, key) => node?.[key], this.strings)
+      ?? path.split('.').reduce((node, key) => node?.[key], WIDGET_STRINGS);
+
+    if (typeof value !== 'string') return value ?? path;
+    return value.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+  }
+
   /**
    * SESSION PERSISTENCE
    */
@@ -130,19 +263,43 @@ class ChatEnhancements {
     return sessionId;
   }
 
+  /**
+   * Switch to a fresh session, e.g. when the stored one belongs to a
+   * customer who is no longer signed in on this device
+   */
+  startNewSession() {
+    localStorage.removeItem('chat_session_id');
+    localStorage.removeItem('chat_session_data');
+    this.sessionId = this.getOrCreateSessionId();
+    this.sessionVersion = 0;
+  }
+
   async loadPersistedSession() {
     try {
       // Try to load from server first
       const response = await fetch(
-        `${this.config.backendUrl}/api/session?sessionId=${this.sessionId}`
+        `${this.config.backendUrl}/api/session?sessionId=${this.sessionId}`,
+        { headers: this.authHeaders() }
       );
 
       if (response.ok) {
         const data = await response.json();
         if (data.success && data.session) {
+          this.sessionVersion = data.session.version || 0;
           this.restoreSession(data.session);
+
+          // Signed in since the chat started: link it to the customer
+          if (this.customerToken && !data.session.customerHash) {
+            this.saveSession();
+          }
           return;
         }
+      } else if (response.status === 404) {
+        this.sessionVersion = 0;
+      } else if (response.status === 401 || response.status === 403) {
+        // Another customer's conversation - don't show it, not even the local copy
+        this.startNewSession();
+        return;
       }
     } catch (error) {
       console.log('No server session found, checking localStorage');
@@ -164,11 +321,21 @@ class ChatEnhancements {
     this.conversationContext = sessionData.conversationContext || this.conversationContext;
     this.customerEmail = sessionData.customerEmail || null;
 
+    if (sessionData.currentTopic !== undefined) {
+      this.conversationContext.currentTopic = sessionData.currentTopic;
+      this.conversationContext.currentStep = sessionData.currentStep ?? null;
+    }
+
     // Restore messages to chat UI
     if (sessionData.messages && window.restoreChatMessages) {
       window.restoreChatMessages(sessionData.messages);
     }
 
+    // Back to the guide step the customer was on
+    if (this.conversationContext.currentTopic && window.resumeChatPosition) {
+      window.resumeChatPosition(this.conversationContext.currentTopic, this.conversationContext.currentStep);
+    }
+
     console.log('Session restored', sessionData);
   }
 
@@ -178,6 +345,7 @@ class ChatEnhancements {
       conversationContext: this.conversationContext,
       customerEmail: this.customerEmail,
       messages: this.getMessagesForSave(),
+      ...this.getChatPosition(),
       savedAt: new Date().toISOString()
     };
 
@@ -185,11 +353,44 @@ class ChatEnhancements {
     localStorage.setItem('chat_session_data', JSON.stringify(sessionData));
 
     // Save to server (async, don't wait)
-    fetch(`${this.config.backendUrl}/api/session?sessionId=${this.sessionId}`, {
+    this.saveSessionToServer(sessionData)
+      .catch(error => console.error('Failed to save session to server:', error));
+  }
+
+  /**
+   * Save against the version last seen. If another tab saved first, the
+   * server answers 409 with its session; saving again on top of it merges
+   * the messages by ID. Saving with the customer token links the session to
+   * the customer, so they can resume it on another device.
+   */
+  async saveSessionToServer(sessionData, retries = 1) {
+    const sessionId = this.sessionId;
+    const body = this.sessionVersion === null ? sessionData : { ...sessionData, version: this.sessionVersion };
+
+    const response = await fetch(`${this.config.backendUrl}/api/session?sessionId=${sessionId}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(sessionData)
-    }).catch(error => console.error('Failed to save session to server:', error));
+      headers: this.authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    // Resumed another conversation meanwhile
+    if (this.sessionId !== sessionId) return;
+
+    if (response.status === 409 && retries > 0) {
+      this.sessionVersion = data.session ? data.session.version || 0 : 0;
+      return this.saveSessionToServer(sessionData, retries - 1);
+    }
+
+    // The session belongs to another customer: keep this chat in a new one
+    if ((response.status === 401 || response.status === 403) && retries > 0) {
+      this.startNewSession();
+      return this.saveSessionToServer({ ...sessionData, sessionId: this.sessionId }, retries - 1);
+    }
+
+    if (data.success && data.session) {
+      this.sessionVersion = data.session.version;
+    }
   }
 
   setupAutoSave() {
@@ -214,18 +415,42 @@ class ChatEnhancements {
     return this.conversationContext.messages;
   }
 
+  /**
+   * Guide topic and step the customer is on ({ currentTopic, currentStep })
+   */
+  getChatPosition() {
+    if (window.getChatPosition) {
+      return window.getChatPosition();
+    }
+    return {
+      currentTopic: this.conversationContext.currentTopic,
+      currentStep: this.conversationContext.currentStep
+    };
+  }
+
+  /**
+   * Headers for customer-scoped backend requests
+   */
+  authHeaders(headers = {}) {
+    if (this.customerToken) {
+      headers['X-Customer-Token'] = this.customerToken;
+    }
+    return headers;
+  }
+
   /**
    * CHAT HISTORY FOR RETURNING CUSTOMERS
    */
 
   async loadCustomerHistory() {
-    if (!this.customerEmail) {
+    if (!this.customerToken) {
       return;
     }
 
     try {
       const response = await fetch(
-        `${this.config.backendUrl}/api/chat-history?customerId=${encodeURIComponent(this.customerEmail)}&limit=5`
+        `${this.config.backendUrl}/api/chat-history?limit=5`,
+        { headers: this.authHeaders() }
       );
 
       if (response.ok) {
@@ -237,19 +462,127 @@ class ChatEnhancements {
     } catch (error) {
       console.error('Failed to load history:', error);
     }
+
+    await this.loadOpenConversations();
   }
 
   showWelcomeBack(historyData) {
     const lastSession = historyData.recentSessions[historyData.recentSessions.length - 1];
-    const lastTopic = lastSession?.topic || 'your previous question';
+    const lastTopic = lastSession?.topic || this.t('continuity.previousQuestion');
 
-    const welcomeMessage = `Welcome back! Last time we discussed ${lastTopic}. How can I help you today?`;
+    const welcomeMessage = this.t('continuity.welcomeBack', { topic: lastTopic });
 
     if (window.addBotMessage) {
       window.addBotMessage(welcomeMessage);
     }
   }
 
+  /**
+   * Offer the customer's other open conversations (from any device)
+   */
+  async loadOpenConversations() {
+    try {
+      const response = await fetch(
+        `${this.config.backendUrl}/api/session?action=list&limit=5`,
+        { headers: this.authHeaders() }
+      );
+      if (!response.ok) return;
+
+      const data = await response.json();
+      const sessions = (data.sessions || []).filter(session => session.sessionId !== this.sessionId);
+
+      if (sessions.length > 0) {
+        this.showOpenConversations(sessions);
+      }
+    } catch (error) {
+      console.error('Failed to load open conversations:', error);
+    }
+  }
+
+  showOpenConversations(sessions) {
+    const message = `
+      <div class="open-conversations" style="margin: 8px 0;">
+        <p style="margin: 0 0 10px 0;">${this.escapeHtml(this.t('continuity.openConversations'))}</p>
+        ${sessions.map(session => {
+          const title = session.currentTopic || this.t('continuity.untitled');
+          const step = session.currentTopic && session.currentStep !== null
+            ? ` · ${this.t('continuity.step', { step: session.currentStep + 1 })}`
+            : '';
+          const when = new Date(session.lastUpdated).toLocaleString(this.config.locale || undefined, {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+          });
+
+          return `
+            <button class="resume-conversation" data-session-id="${this.escapeHtml(session.sessionId)}" style="
+              display: block;
+              width: 100%;
+              margin: 6px 0;
+              padding: 10px 14px;
+              background: white;
+              border: 1px solid #ddd;
+              border-radius: 10px;
+              cursor: pointer;
+              text-align: left;
+            ">
+              <strong style="font-size: 14px;">${this.escapeHtml(title + step)}</strong>
+              <span style="display: block; font-size: 12px; color: #666;">${this.escapeHtml(when)}</span>
+              <span style="display: block; font-size: 13px; color: #444; margin-top: 4px;">${this.escapeHtml(session.lastMessage?.text || '')}</span>
+            </button>
+          `;
+        }).join('')}
+      </div>
+    `;
+
+    this.showMessage(message, 'bot', true);
+
+    // Use setTimeout to ensure DOM is updated
+    setTimeout(() => {
+      document.querySelectorAll('.resume-conversation:not([data-listener-attached])').forEach(button => {
+        button.setAttribute('data-listener-attached', 'true');
+        button.addEventListener('click', () => this.resumeConversation(button.dataset.sessionId));
+      });
+    }, 100);
+  }
+
+  /**
+   * Continue one of the customer's conversations here: its messages, topic
+   * and step replace the current chat, which stays saved under its own ID
+   */
+  async resumeConversation(sessionId) {
+    try {
+      const response = await fetch(
+        `${this.config.backendUrl}/api/session?sessionId=${encodeURIComponent(sessionId)}`,
+        { headers: this.authHeaders() }
+      );
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.session) {
+        this.showMessage(this.t('continuity.resumeFailed'));
+        return;
+      }
+
+      // Keep the current chat (it can be resumed later too)
+      if (this.getMessagesForSave().length > 0) {
+        this.saveSession();
+      }
+
+      this.sessionId = sessionId;
+      this.sessionVersion = data.session.version || 0;
+      localStorage.setItem('chat_session_id', sessionId);
+      localStorage.setItem('chat_session_data', JSON.stringify(data.session));
+
+      this.restoreSession(data.session);
+
+      if (this.config.enableToasts) {
+        this.showToast(this.t('continuity.resumed'), 'success');
+      }
+    } catch (error) {
+      console.error('Failed to resume conversation:', error);
+      this.showMessage(this.t('continuity.resumeFailed'));
+    }
+  }
+
   /**
    * AUTO-COMPLETE SUGGESTIONS
    */
@@ -311,8 +644,11 @@ class ChatEnhancements {
 
   async showSuggestions(input, container, chatInput) {
     try {
+      const topic = this.conversationContext.currentTopic;
       const response = await fetch(
-        `${this.config.backendUrl}/api/suggestions?action=autocomplete&input=${encodeURIComponent(input)}&limit=5`
+        `${this.config.backendUrl}/api/suggestions?action=autocomplete&input=${encodeURIComponent(input)}&limit=5` +
+        (topic ? `&topic=${encodeURIComponent(topic)}` : '') +
+        `&${this.suggestionContextQuery()}`
       );
 
       if (!response.ok) return;
@@ -332,16 +668,19 @@ class ChatEnhancements {
           display: flex;
           align-items: center;
           gap: 8px;
-        " data-text="${this.escapeHtml(suggestion.text)}">
+        " data-text="${this.escapeHtml(suggestion.text)}" data-id="${this.escapeHtml(suggestion.id || '')}" data-variant="${this.escapeHtml(suggestion.variant || '')}">
           <span style="font-size: 18px;">${suggestion.icon || '💬'}</span>
           <span style="flex: 1;">${this.escapeHtml(suggestion.text)}</span>
           <span style="font-size: 12px; color: #999;">${suggestion.category}</span>
         </div>
       `).join('');
 
+      this.trackSuggestionEvents(data.suggestions, 'impression');
+
       // Add click handlers
       container.querySelectorAll('.suggestion-item').forEach(item => {
         item.addEventListener('click', () => {
+          this.trackSuggestionEvents([{ id: item.dataset.id, variant: item.dataset.variant }], 'click');
           chatInput.value = item.dataset.text;
           container.style.display = 'none';
           chatInput.focus();
@@ -407,6 +746,8 @@ class ChatEnhancements {
             lastIntent: this.conversationContext.lastIntent,
             email: this.customerEmail,
             sessionId: this.sessionId,
+            shop: this.config.shopDomain,
+            locale: this.config.locale,
             ...context
           })
         }
@@ -422,7 +763,7 @@ class ChatEnhancements {
       }
 
       this.quickRepliesContainer.innerHTML = data.quickReplies.map(reply => `
-        <button class="quick-reply-btn" data-action="${reply.action}" style="
+        <button class="quick-reply-btn" data-action="${reply.action}" data-id="${this.escapeHtml(reply.id || '')}" data-variant="${this.escapeHtml(reply.variant || '')}" style="
           padding: 8px 16px;
           background: white;
           border: 1px solid #ddd;
@@ -440,8 +781,11 @@ class ChatEnhancements {
         </button>
       `).join('');
 
+      this.trackSuggestionEvents(data.quickReplies, 'impression');
+
       this.quickRepliesContainer.querySelectorAll('.quick-reply-btn').forEach(btn => {
         btn.addEventListener('click', () => {
+          this.trackSuggestionEvents([{ id: btn.dataset.id, variant: btn.dataset.variant }], 'click');
           this.handleQuickReply(btn.dataset.action, btn.textContent.trim());
         });
 
@@ -462,7 +806,40 @@ class ChatEnhancements {
     }
   }
 
+  /**
+   * Shop, locale and session for the suggestion catalogue (picks its variants)
+   */
+  suggestionContextQuery() {
+    const params = new URLSearchParams({ sessionId: this.sessionId });
+    if (this.config.shopDomain) params.set('shop', this.config.shopDomain);
+    if (this.config.locale) params.set('locale', this.config.locale);
+    return params.toString();
+  }
+
+  /**
+   * Report impressions or clicks of catalogue suggestions for A/B click-through
+   * rates (anonymous counts: no session, text or customer is sent)
+   */
+  trackSuggestionEvents(items, event) {
+    const events = items
+      .filter(item => item.id && item.variant)
+      .map(item => ({ id: item.id, variant: item.variant, event }));
+
+    if (events.length === 0) return;
+
+    fetch(`${this.config.backendUrl}/api/suggestions?action=track`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ events }),
+      keepalive: true
+    }).catch(() => {});
+  }
+
   async handleQuickReply(action, text) {
+    if (this.config.enableAnalytics) {
+      this.trackEvent('quick_reply_click', { action, text: text.substring(0, 50), source: 'suggestions' });
+    }
+
     // Send the quick reply text as a message
     if (window.sendChatMessage) {
       window.sendChatMessage(text);
@@ -494,9 +871,15 @@ class ChatEnhancements {
   async lookupOrder(orderNumber) {
     if (!this.config.enableShopify) return;
 
+    if (!this.customerToken) {
+      this.showMessage('Please sign in to look up your orders.');
+      return;
+    }
+
     try {
       const response = await fetch(
-        `${this.config.backendUrl}/api/shopify?action=lookup-order&orderNumber=${encodeURIComponent(orderNumber)}&customerEmail=${encodeURIComponent(this.customerEmail || '')}`
+        `${this.config.backendUrl}/api/shopify?action=lookup-order&orderNumber=${encodeURIComponent(orderNumber)}`,
+        { headers: this.authHeaders() }
       );
 
       const data = await response.json();
@@ -530,14 +913,15 @@ class ChatEnhancements {
   }
 
   async checkLoyaltyPoints() {
-    if (!this.customerEmail) {
+    if (!this.customerToken) {
       this.showMessage('Please sign in to check your loyalty points.');
       return;
     }
 
     try {
       const response = await fetch(
-        `${this.config.backendUrl}/api/shopify?action=loyalty-points&email=${encodeURIComponent(this.customerEmail)}`
+        `${this.config.backendUrl}/api/shopify?action=loyalty-points`,
+        { headers: this.authHeaders() }
       );
 
       const data = await response.json();
@@ -582,7 +966,7 @@ class ChatEnhancements {
       }
     };
 
-    this.showMessage("Let's find the perfect product for you! I'll ask you a few quick questions.", 'bot');
+    this.showMessage(this.t('recommendations.intro'), 'bot');
 
     setTimeout(() => {
       this.showWizardStep(1);
@@ -602,18 +986,15 @@ class ChatEnhancements {
   }
 
   showConcernSelection() {
-    const concerns = [
-      { id: 'acne', label: 'Acne & Breakouts', icon: '🔴' },
-      { id: 'aging', label: 'Anti-Aging & Wrinkles', icon: '✨' },
-      { id: 'hydration', label: 'Hydration & Dryness', icon: '💧' },
-      { id: 'dark_spots', label: 'Dark Spots & Pigmentation', icon: '🎯' },
-      { id: 'sensitivity', label: 'Sensitivity & Redness', icon: '🌸' },
-      { id: 'texture', label: 'Texture & Pores', icon: '🪞' }
-    ];
+    const concerns = Object.entries(this.t('recommendations.concerns')).map(([id, label]) => ({
+      id,
+      label,
+      icon: WIZARD_ICONS.concerns[id] || '•'
+    }));
 
     const message = `
       <div class="wizard-step" style="margin: 8px 0;">
-        <h4 style="margin: 0 0 12px 0; color: #333;">Step 1 of 3: What's your primary concern?</h4>
+        <h4 style="margin: 0 0 12px 0; color: #333;">${this.escapeHtml(this.t('recommendations.concernQuestion'))}</h4>
         <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 10px;">
           ${concerns.map(concern => `
             <button class="wizard-option" data-wizard-action="concern" data-value="${concern.id}" style="
@@ -629,7 +1010,7 @@ class ChatEnhancements {
               gap: 10px;
             ">
               <span style="font-size: 24px;">${concern.icon}</span>
-              <span style="font-weight: 500; font-size: 14px;">${concern.label}</span>
+              <span style="font-weight: 500; font-size: 14px;">${this.escapeHtml(concern.label)}</span>
             </button>
           `).join('')}
         </div>
@@ -641,18 +1022,15 @@ class ChatEnhancements {
   }
 
   showApplicationMethodSelection() {
-    const methods = [
-      { id: 'serum', label: 'Serum', icon: '💉', description: 'Concentrated, fast-absorbing' },
-      { id: 'cream', label: 'Cream/Moisturizer', icon: '🧴', description: 'Rich, hydrating formula' },
-      { id: 'cleanser', label: 'Cleanser', icon: '🫧', description: 'Daily cleansing routine' },
-      { id: 'mask', label: 'Mask/Treatment', icon: '🎭', description: 'Intensive weekly treatment' },
-      { id: 'toner', label: 'Toner/Essence', icon: '💦', description: 'Prep and balance skin' },
-      { id: 'spot', label: 'Spot Treatment', icon: '🎯', description: 'Targeted application' }
-    ];
+    const methods = Object.entries(this.t('recommendations.methods')).map(([id, method]) => ({
+      id,
+      ...method,
+      icon: WIZARD_ICONS.methods[id] || '•'
+    }));
 
     const message = `
       <div class="wizard-step" style="margin: 8px 0;">
-        <h4 style="margin: 0 0 12px 0; color: #333;">Step 2 of 3: Preferred application method?</h4>
+        <h4 style="margin: 0 0 12px 0; color: #333;">${this.escapeHtml(this.t('recommendations.methodQuestion'))}</h4>
         <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 10px;">
           ${methods.map(method => `
             <button class="wizard-option" data-wizard-action="applicationMethod" data-value="${method.id}" style="
@@ -666,9 +1044,9 @@ class ChatEnhancements {
             ">
               <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 6px;">
                 <span style="font-size: 24px;">${method.icon}</span>
-                <span style="font-weight: 600; font-size: 14px;">${method.label}</span>
+                <span style="font-weight: 600; font-size: 14px;">${this.escapeHtml(method.label)}</span>
               </div>
-              <p style="margin: 0; font-size: 12px; color: #666;">${method.description}</p>
+              <p style="margin: 0; font-size: 12px; color: #666;">${this.escapeHtml(method.description)}</p>
             </button>
           `).join('')}
         </div>
@@ -680,33 +1058,15 @@ class ChatEnhancements {
   }
 
   showStrengthSelection() {
-    const strengths = [
-      {
-        id: 'gentle',
-        label: 'Gentle',
-        icon: '🌱',
-        description: 'Low concentration, minimal irritation risk',
-        best_for: 'Sensitive skin, daily use'
-      },
-      {
-        id: 'moderate',
-        label: 'Moderate',
-        icon: '⚖️',
-        description: 'Balanced formula for visible results',
-        best_for: 'Most skin types, regular use'
-      },
-      {
-        id: 'strong',
-        label: 'Strong',
-        icon: '💪',
-        description: 'High concentration for maximum efficacy',
-        best_for: 'Resistant concerns, experienced users'
-      }
-    ];
+    const strengths = Object.entries(this.t('recommendations.strengths')).map(([id, strength]) => ({
+      id,
+      ...strength,
+      icon: WIZARD_ICONS.strengths[id] || '•'
+    }));
 
     const message = `
       <div class="wizard-step" style="margin: 8px 0;">
-        <h4 style="margin: 0 0 12px 0; color: #333;">Step 3 of 3: What strength level do you prefer?</h4>
+        <h4 style="margin: 0 0 12px 0; color: #333;">${this.escapeHtml(this.t('recommendations.strengthQuestion'))}</h4>
         <div style="display: grid; grid-template-columns: 1fr; gap: 10px; max-width: 400px;">
           ${strengths.map(strength => `
             <button class="wizard-option" data-wizard-action="strength" data-value="${strength.id}" style="
@@ -720,10 +1080,10 @@ class ChatEnhancements {
             ">
               <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px;">
                 <span style="font-size: 28px;">${strength.icon}</span>
-                <span style="font-weight: 600; font-size: 16px;">${strength.label}</span>
+                <span style="font-weight: 600; font-size: 16px;">${this.escapeHtml(strength.label)}</span>
               </div>
-              <p style="margin: 0 0 4px 0; font-size: 13px; color: #444;">${strength.description}</p>
-              <p style="margin: 0; font-size: 12px; color: #667eea; font-weight: 500;">Best for: ${strength.best_for}</p>
+              <p style="margin: 0 0 4px 0; font-size: 13px; color: #444;">${this.escapeHtml(strength.description)}</p>
+              <p style="margin: 0; font-size: 12px; color: #667eea; font-weight: 500;">${this.escapeHtml(this.t('recommendations.bestFor', { text: strength.bestFor }))}</p>
             </button>
           `).join('')}
         </div>
@@ -769,31 +1129,14 @@ class ChatEnhancements {
 
     // Show user's selection
     const labels = {
-      concern: {
-        acne: 'Acne & Breakouts',
-        aging: 'Anti-Aging & Wrinkles',
-        hydration: 'Hydration & Dryness',
-        dark_spots: 'Dark Spots & Pigmentation',
-        sensitivity: 'Sensitivity & Redness',
-        texture: 'Texture & Pores'
-      },
-      applicationMethod: {
-        serum: 'Serum',
-        cream: 'Cream/Moisturizer',
-        cleanser: 'Cleanser',
-        mask: 'Mask/Treatment',
-        toner: 'Toner/Essence',
-        spot: 'Spot Treatment'
-      },
-      strength: {
-        gentle: 'Gentle',
-        moderate: 'Moderate',
-        strong: 'Strong'
-      }
+      concern: this.t('recommendations.concerns'),
+      applicationMethod: this.t('recommendations.methods'),
+      strength: this.t('recommendations.strengths')
     };
 
-    const selectionLabel = labels[action]?.[value] || value;
-    this.showMessage(`Selected: ${selectionLabel}`, 'user');
+    const option = labels[action]?.[value];
+    const selectionLabel = (typeof option === 'string' ? option : option?.label) || value;
+    this.showMessage(this.t('recommendations.selected', { label: selectionLabel }), 'user');
 
     // Move to next step
     if (action === 'concern') {
@@ -809,7 +1152,7 @@ class ChatEnhancements {
   }
 
   async fetchFilteredRecommendations() {
-    this.showMessage('Finding the perfect products for you...', 'bot');
+    this.showMessage(this.t('recommendations.searching'), 'bot');
 
     try {
       const response = await fetch(
@@ -821,7 +1164,8 @@ class ChatEnhancements {
             concern: this.recommendationWizard.selections.concern,
             applicationMethod: this.recommendationWizard.selections.applicationMethod,
             strength: this.recommendationWizard.selections.strength,
-            email: this.customerEmail
+            email: this.customerEmail,
+            locale: this.config.locale
           })
         }
       );
@@ -831,21 +1175,22 @@ class ChatEnhancements {
       if (data.success && data.recommendations.length > 0) {
         this.displayFilteredRecommendations(data.recommendations, data.matchInfo);
       } else {
-        this.showMessage('No exact matches found, but here are some products you might like:', 'bot');
+        this.showMessage(this.t('recommendations.noMatches'), 'bot');
         // Fallback to showing available products
         const fallbackResponse = await fetch(
-          `${this.config.backendUrl}/api/shopify?action=recommendations&email=${encodeURIComponent(this.customerEmail || 'guest')}`
+          `${this.config.backendUrl}/api/shopify?action=recommendations`,
+          { headers: this.authHeaders() }
         );
         const fallbackData = await fallbackResponse.json();
         if (fallbackData.success && fallbackData.recommendations.length > 0) {
           this.displayFilteredRecommendations(fallbackData.recommendations, null);
         } else {
-          this.showMessage('Please contact our support team for personalized recommendations.', 'bot');
+          this.showMessage(this.t('recommendations.contactSupport'), 'bot');
         }
       }
     } catch (error) {
       console.error('Guided recommendations failed:', error);
-      this.showMessage('Sorry, there was an error fetching recommendations. Please try again.', 'bot');
+      this.showMessage(this.t('recommendations.error'), 'bot');
     }
 
     // Reset wizard state
@@ -857,15 +1202,15 @@ class ChatEnhancements {
     const matchText = matchInfo ? `
       <div style="background: #f0f8ff; padding: 12px; border-radius: 8px; margin-bottom: 16px;">
         <p style="margin: 0; font-size: 14px; color: #333;">
-          <strong>Based on your preferences:</strong><br>
-          Concern: ${matchInfo.concern} | Method: ${matchInfo.applicationMethod} | Strength: ${matchInfo.strength}
+          <strong>${this.escapeHtml(this.t('recommendations.basedOn'))}</strong><br>
+          ${this.escapeHtml(this.t('recommendations.summary', { concern: matchInfo.concern, method: matchInfo.applicationMethod, strength: matchInfo.strength }))}
         </p>
       </div>
     ` : '';
 
     const message = `
       <div class="recommendations" style="margin: 8px 0;">
-        <h4 style="margin: 0 0 12px 0;">Your Personalized Recommendations</h4>
+        <h4 style="margin: 0 0 12px 0;">${this.escapeHtml(this.t('recommendations.title'))}</h4>
         ${matchText}
         <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 12px;">
           ${recommendations.map(product => `
@@ -877,7 +1222,7 @@ class ChatEnhancements {
                 <p style="margin: 0; font-size: 14px; font-weight: 500; line-height: 1.3;">${this.escapeHtml(product.title)}</p>
                 ${product.matchScore ? `
                   <p style="margin: 4px 0 0 0; font-size: 11px; color: #10b981; font-weight: 500;">
-                    ${product.matchScore}% match
+                    ${this.escapeHtml(this.t('recommendations.match', { score: product.matchScore }))}
                   </p>
                 ` : ''}
                 <p style="margin: 4px 0 0 0; font-size: 16px; font-weight: bold; color: #667eea;">$${product.price}</p>
@@ -892,7 +1237,7 @@ class ChatEnhancements {
                     border-radius: 4px;
                     font-size: 12px;
                     font-weight: 500;
-                  ">View Product</a>
+                  ">${this.escapeHtml(this.t('recommendations.viewProduct'))}</a>
                 ` : ''}
               </div>
             </div>
@@ -910,7 +1255,7 @@ class ChatEnhancements {
             transition: all 0.2s;
           " onmouseover="this.style.background='#667eea'; this.style.color='white';"
              onmouseout="this.style.background='transparent'; this.style.color='#667eea';">
-            Start Over
+            ${this.escapeHtml(this.t('recommendations.startOver'))}
           </button>
         </div>
       </div>
@@ -1015,11 +1360,10 @@ class ChatEnhancements {
   }
 
   async exportData() {
-    if (!this.customerEmail) {
-      alert('Please provide your email address to export your data.');
-      const email = prompt('Enter your email:');
-      if (!email) return;
-      this.customerEmail = email;
+    // Guests confirm ownership of their email address via an emailed link
+    if (!this.customerToken) {
+      await this.requestVerifiedAction('request-export');
+      return;
     }
 
     try {
@@ -1027,9 +1371,8 @@ class ChatEnhancements {
         `${this.config.backendUrl}/api/gdpr?action=export`,
         {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: this.authHeaders({ 'Content-Type': 'application/json' }),
           body: JSON.stringify({
-            email: this.customerEmail,
             shopName: this.config.shopDomain
           })
         }
@@ -1058,29 +1401,35 @@ class ChatEnhancements {
   }
 
   async deleteData() {
-    if (!this.customerEmail) {
-      alert('Please provide your email address.');
-      const email = prompt('Enter your email:');
-      if (!email) return;
-      this.customerEmail = email;
-    }
-
     const confirmed = confirm(
       'Are you sure you want to delete all your data? This action cannot be undone.'
     );
 
     if (!confirmed) return;
 
+    // Deletion is always confirmed through a link sent to the customer's email
+    await this.requestVerifiedAction('request-delete', {
+      reason: 'User requested deletion'
+    });
+  }
+
+  async requestVerifiedAction(action, body = {}) {
+    let email;
+    if (!this.customerToken) {
+      email = prompt('Enter the email address you used with us:');
+      if (!email) return;
+    }
+
     try {
       const response = await fetch(
-        `${this.config.backendUrl}/api/gdpr?action=delete`,
+        `${this.config.backendUrl}/api/gdpr?action=${action}`,
         {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: this.authHeaders({ 'Content-Type': 'application/json' }),
           body: JSON.stringify({
-            email: this.customerEmail,
-            verified: true,
-            reason: 'User requested deletion'
+            ...body,
+            email,
+            shopName: this.config.shopDomain
           })
         }
       );
@@ -1088,17 +1437,13 @@ class ChatEnhancements {
       const data = await response.json();
 
       if (data.success) {
-        alert('Your data has been deleted successfully.');
-        // Clear local storage
-        localStorage.removeItem('chat_session_data');
-        localStorage.removeItem('chat_session_id');
-        window.location.reload();
+        alert('Check your email - we sent you a link to confirm this request. It expires in 30 minutes.');
       } else {
-        alert('Failed to delete data: ' + data.error);
+        alert('Failed to submit request: ' + (data.error || data.message));
       }
     } catch (error) {
-      console.error('Delete failed:', error);
-      alert('Failed to delete data. Please try again.');
+      console.error('Privacy request failed:', error);
+      alert('Failed to submit request. Please try again.');
     }
   }
 
@@ -1299,6 +1644,33 @@ class ChatEnhancements {
   saveConsentState() {
     this.consentState.timestamp = new Date().toISOString();
     localStorage.setItem('chat_consent_state', JSON.stringify(this.consentState));
+    this.syncConsent();
+  }
+
+  // Consent flag sent with chat logs; only anonymous counts are kept without it
+  loggingConsent() {
+    return {
+      chatLogging: !!this.consentState.analytics,
+      policyVersion: this.consentState.version
+    };
+  }
+
+  syncConsent() {
+    // Signed-in customers get a versioned consent record on the backend
+    if (!this.customerToken || !this.config.backendUrl) return;
+
+    fetch(`${this.config.backendUrl}/api/gdpr?action=consent`, {
+      method: 'POST',
+      headers: this.authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        consent: {
+          ...this.loggingConsent(),
+          dataProcessing: !!this.consentState.personalization,
+          marketing: !!this.consentState.marketing,
+          source: 'chat-widget'
+        }
+      })
+    }).catch(error => console.error('Failed to sync consent:', error));
   }
 
   initConsentManagement() {
@@ -1338,9 +1710,9 @@ class ChatEnhancements {
     banner.innerHTML = `
       <div style="max-width: 1200px; margin: 0 auto; display: flex; align-items: center; gap: 20px; flex-wrap: wrap;">
         <div style="flex: 1; min-width: 300px;">
-          <h3 style="margin: 0 0 8px 0; font-size: 16px; font-weight: 600;">We value your privacy</h3>
+          <h3 style="margin: 0 0 8px 0; font-size: 16px; font-weight: 600;">${this.escapeHtml(this.t('consent.title'))}</h3>
           <p style="margin: 0; font-size: 14px; opacity: 0.9; line-height: 1.5;">
-            We use cookies and similar technologies to enhance your experience, analyze usage, and personalize content.
+            ${this.escapeHtml(this.t('consent.description'))}
           </p>
         </div>
         <div style="display: flex; gap: 10px; flex-wrap: wrap;">
@@ -1354,7 +1726,7 @@ class ChatEnhancements {
             font-weight: 500;
             font-size: 14px;
             transition: background 0.2s;
-          ">Accept All</button>
+          ">${this.escapeHtml(this.t('consent.acceptAll'))}</button>
           <button id="consent-necessary-only" style="
             padding: 10px 24px;
             background: transparent;
@@ -1365,7 +1737,7 @@ class ChatEnhancements {
             font-weight: 500;
             font-size: 14px;
             transition: all 0.2s;
-          ">Necessary Only</button>
+          ">${this.escapeHtml(this.t('consent.necessaryOnly'))}</button>
           <button id="consent-customize" style="
             padding: 10px 24px;
             background: transparent;
@@ -1375,7 +1747,7 @@ class ChatEnhancements {
             font-weight: 500;
             font-size: 14px;
             text-decoration: underline;
-          ">Customize</button>
+          ">${this.escapeHtml(this.t('consent.customize'))}</button>
         </div>
       </div>
     `;
@@ -1386,7 +1758,7 @@ class ChatEnhancements {
     banner.querySelector('#consent-accept-all').addEventListener('click', () => {
       this.setAllConsent(true);
       this.removeConsentBanner();
-      this.showToast('Preferences saved. Thank you!', 'success');
+      this.showToast(this.t('consent.acceptedToast'), 'success');
     });
 
     banner.querySelector('#consent-necessary-only').addEventListener('click', () => {
@@ -1394,7 +1766,7 @@ class ChatEnhancements {
       this.consentState.necessary = true;
       this.saveConsentState();
       this.removeConsentBanner();
-      this.showToast('Using necessary cookies only', 'info');
+      this.showToast(this.t('consent.necessaryToast'), 'info');
     });
 
     banner.querySelector('#consent-customize').addEventListener('click', () => {
@@ -1466,9 +1838,9 @@ class ChatEnhancements {
         box-shadow: 0 20px 60px rgba(0,0,0,0.3);
       ">
         <div style="padding: 24px; border-bottom: 1px solid #e5e5e5;">
-          <h2 style="margin: 0 0 8px 0; font-size: 24px; font-weight: 600; color: #1d1d1f;">Privacy Preferences</h2>
+          <h2 style="margin: 0 0 8px 0; font-size: 24px; font-weight: 600; color: #1d1d1f;">${this.escapeHtml(this.t('consent.preferencesTitle'))}</h2>
           <p style="margin: 0; color: #86868b; font-size: 14px; line-height: 1.5;">
-            Manage your cookie and privacy preferences. You can change these settings at any time.
+            ${this.escapeHtml(this.t('consent.preferencesDescription'))}
           </p>
         </div>
 
@@ -1476,7 +1848,7 @@ class ChatEnhancements {
           <!-- Necessary Cookies -->
           <div style="margin-bottom: 20px; padding: 16px; background: #f5f5f7; border-radius: 12px;">
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-              <h3 style="margin: 0; font-size: 16px; font-weight: 600; color: #1d1d1f;">Necessary Cookies</h3>
+              <h3 style="margin: 0; font-size: 16px; font-weight: 600; color: #1d1d1f;">${this.escapeHtml(this.t('consent.necessaryTitle'))}</h3>
               <span style="
                 padding: 4px 12px;
                 background: #86868b;
@@ -1484,17 +1856,17 @@ class ChatEnhancements {
                 border-radius: 20px;
                 font-size: 12px;
                 font-weight: 500;
-              ">Always Active</span>
+              ">${this.escapeHtml(this.t('consent.alwaysActive'))}</span>
             </div>
             <p style="margin: 0; color: #86868b; font-size: 13px; line-height: 1.5;">
-              Essential for the website to function. These cannot be disabled as they are required for core functionality like session management and security.
+              ${this.escapeHtml(this.t('consent.necessaryDescription'))}
             </p>
           </div>
 
           <!-- Analytics -->
           <div style="margin-bottom: 20px; padding: 16px; border: 1px solid #e5e5e5; border-radius: 12px;">
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-              <h3 style="margin: 0; font-size: 16px; font-weight: 600; color: #1d1d1f;">Analytics Cookies</h3>
+              <h3 style="margin: 0; font-size: 16px; font-weight: 600; color: #1d1d1f;">${this.escapeHtml(this.t('consent.analyticsTitle'))}</h3>
               <label style="position: relative; display: inline-block; width: 50px; height: 28px;">
                 <input type="checkbox" id="consent-analytics" ${this.consentState.analytics ? 'checked' : ''} style="opacity: 0; width: 0; height: 0;">
                 <span style="
@@ -1521,14 +1893,14 @@ class ChatEnhancements {
               </label>
             </div>
             <p style="margin: 0; color: #86868b; font-size: 13px; line-height: 1.5;">
-              Help us understand how visitors interact with our website. Data is anonymized and used to improve user experience.
+              ${this.escapeHtml(this.t('consent.analyticsDescription'))}
             </p>
           </div>
 
           <!-- Marketing -->
           <div style="margin-bottom: 20px; padding: 16px; border: 1px solid #e5e5e5; border-radius: 12px;">
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-              <h3 style="margin: 0; font-size: 16px; font-weight: 600; color: #1d1d1f;">Marketing Cookies</h3>
+              <h3 style="margin: 0; font-size: 16px; font-weight: 600; color: #1d1d1f;">${this.escapeHtml(this.t('consent.marketingTitle'))}</h3>
               <label style="position: relative; display: inline-block; width: 50px; height: 28px;">
                 <input type="checkbox" id="consent-marketing" ${this.consentState.marketing ? 'checked' : ''} style="opacity: 0; width: 0; height: 0;">
                 <span style="
@@ -1555,14 +1927,14 @@ class ChatEnhancements {
               </label>
             </div>
             <p style="margin: 0; color: #86868b; font-size: 13px; line-height: 1.5;">
-              Used to deliver relevant advertisements and track campaign effectiveness across websites.
+              ${this.escapeHtml(this.t('consent.marketingDescription'))}
             </p>
           </div>
 
           <!-- Personalization -->
           <div style="margin-bottom: 20px; padding: 16px; border: 1px solid #e5e5e5; border-radius: 12px;">
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-              <h3 style="margin: 0; font-size: 16px; font-weight: 600; color: #1d1d1f;">Personalization</h3>
+              <h3 style="margin: 0; font-size: 16px; font-weight: 600; color: #1d1d1f;">${this.escapeHtml(this.t('consent.personalizationTitle'))}</h3>
               <label style="position: relative; display: inline-block; width: 50px; height: 28px;">
                 <input type="checkbox" id="consent-personalization" ${this.consentState.personalization ? 'checked' : ''} style="opacity: 0; width: 0; height: 0;">
                 <span style="
@@ -1589,7 +1961,7 @@ class ChatEnhancements {
               </label>
             </div>
             <p style="margin: 0; color: #86868b; font-size: 13px; line-height: 1.5;">
-              Enable personalized recommendations and remember your preferences for a customized experience.
+              ${this.escapeHtml(this.t('consent.personalizationDescription'))}
             </p>
           </div>
         </div>
@@ -1604,7 +1976,7 @@ class ChatEnhancements {
             cursor: pointer;
             font-weight: 500;
             font-size: 14px;
-          ">Cancel</button>
+          ">${this.escapeHtml(this.t('consent.cancel'))}</button>
           <button id="consent-save" style="
             padding: 10px 24px;
             background: #007AFF;
@@ -1614,7 +1986,7 @@ class ChatEnhancements {
             cursor: pointer;
             font-weight: 500;
             font-size: 14px;
-          ">Save Preferences</button>
+          ">${this.escapeHtml(this.t('consent.save'))}</button>
         </div>
       </div>
     `;
@@ -1647,7 +2019,7 @@ class ChatEnhancements {
       this.consentState.personalization = modal.querySelector('#consent-personalization').checked;
       this.saveConsentState();
       modal.remove();
-      this.showToast('Privacy preferences saved successfully', 'success');
+      this.showToast(this.t('consent.savedToast'), 'success');
 
       if (this.config.enableAnalytics) {
         this.trackEvent('consent_preferences_saved', {
@@ -1693,6 +2065,26 @@ class ChatEnhancements {
     // Track user interactions
     this.trackInteractions();
 
+    // Chat events from the support widget (topics, steps, Contact Support, quick actions)
+    document.addEventListener('chat:analytics', (e) => {
+      const { name, data = {} } = e.detail || {};
+      if (!name) return;
+
+      if (name === 'contact_support' && !data.intent && this.conversationContext.lastIntent) {
+        data.intent = this.conversationContext.lastIntent;
+      }
+      // Autocomplete ranks suggestions from the current topic higher; the
+      // step is saved with the session so it can be resumed
+      if (name === 'topic_selected' && data.topic) {
+        this.conversationContext.currentTopic = data.topic;
+        this.conversationContext.currentStep = 0;
+      }
+      if (name === 'step_viewed' && data.step) {
+        this.conversationContext.currentStep = data.step - 1;
+      }
+      this.trackEvent(name, data);
+    });
+
     // Save analytics periodically
     setInterval(() => this.saveAnalyticsData(), 60000);
 
@@ -1705,11 +2097,17 @@ class ChatEnhancements {
       return; // Don't track if analytics consent not given
     }
 
+    // Each event carries the consent it was collected under; the ID lets the backend ignore resends
     const event = {
+      id: 'e_' + Date.now().toString(36) + '_' + Math.random().toString(36).substring(2, 10),
       name: eventName,
       data: data,
       timestamp: Date.now(),
-      sessionId: this.sessionId
+      sessionId: this.sessionId,
+      consent: {
+        analytics: !!this.consentState.analytics,
+        version: this.consentState.version
+      }
     };
 
     this.analyticsData.events.push(event);
@@ -1825,13 +2223,31 @@ class ChatEnhancements {
 
     localStorage.setItem('chat_analytics_data', JSON.stringify(analyticsSnapshot));
 
-    // Optionally send to backend (respecting consent)
+    // Optionally send to backend (respecting consent), only the events it hasn't had yet
     if (this.config.backendUrl && this.consentState.analytics) {
+      const events = this.analyticsData.events;
+      const sentIndex = events.findIndex(event => event.id === this.analyticsData.lastSentEventId);
+      const pending = events.slice(sentIndex + 1).slice(0, 200);
+
+      if (pending.length === 0) return;
+
       fetch(`${this.config.backendUrl}/api/analytics`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(analyticsSnapshot)
-      }).catch(err => console.log('Analytics save failed:', err));
+        keepalive: true,
+        body: JSON.stringify({
+          sessionId: this.sessionId,
+          shopDomain: this.config.shopDomain,
+          consent: { analytics: true, version: this.consentState.version },
+          sessionStart: this.analyticsData.sessionStart,
+          savedAt: analyticsSnapshot.savedAt,
+          events: pending
+        })
+      })
+        .then(response => {
+          if (response.ok) this.analyticsData.lastSentEventId = pending[pending.length - 1].id;
+        })
+        .catch(err => console.log('Analytics save failed:', err));
     }
   }
 
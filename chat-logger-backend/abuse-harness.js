@@ -0,0 +1,122 @@
+/**
+ * Abuse Rules - Evaluation Harness
+ *
+ * Replays labelled sample messages through the abuse rules (see
+ * lib/abuse-detector.js) and reports precision and recall, so a rule change
+ * can be checked before it's deployed.
+ *
+ * Samples are a JSON array of { label: "abuse"|"ok", message, metadata?,
+ * sessionId?, delayMs? }. Messages sharing a sessionId are replayed in order,
+ * delayMs apart, so the session reputation applies as it would in production.
+ *
+ * Usage:
+ *   node abuse-harness.js                            # current rules vs abuse-samples.json
+ *   node abuse-harness.js --rules new-rules.json     # compare a candidate rule set
+ *   node abuse-harness.js --samples more.json --verbose
+ */
+
+const path = require('path');
+const AbuseDetector = require('./lib/abuse-detector');
+
+const DEFAULT_SAMPLES = path.join(__dirname, 'abuse-samples.json');
+
+/**
+ * Replay samples through a detector and collect its verdicts
+ */
+function replay(detector, samples) {
+  const reputations = new Map();
+  let clock = Date.now();
+
+  return samples.map(sample => {
+    clock += sample.delayMs || 1000;
+
+    const stored = sample.sessionId && reputations.get(sample.sessionId);
+    const reputation = stored ? detector.decayReputation(stored.score, stored.updatedAt, clock) : 0;
+    const result = detector.evaluate(sample.message, sample.metadata, reputation);
+
+    if (sample.sessionId && result.ruleScore > 0) {
+      reputations.set(sample.sessionId, { score: reputation + result.ruleScore, updatedAt: clock });
+    }
+
+    return { sample, result };
+  });
+}
+
+/**
+ * Precision and recall of "reject" against the "abuse" label
+ */
+function score(verdicts) {
+  const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+
+  verdicts.forEach(({ sample, result }) => {
+    const abuse = sample.label === 'abuse';
+    if (result.reject) counts[abuse ? 'tp' : 'fp']++;
+    else counts[abuse ? 'fn' : 'tn']++;
+  });
+
+  const precision = counts.tp + counts.fp ? counts.tp / (counts.tp + counts.fp) : 1;
+  const recall = counts.tp + counts.fn ? counts.tp / (counts.tp + counts.fn) : 1;
+
+  return { ...counts, precision, recall };
+}
+
+/**
+ * Print a rule set's score and its misclassified samples
+ */
+function report(name, verdicts, verbose) {
+  const { tp, fp, tn, fn, precision, recall } = score(verdicts);
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+
+  console.log(`\n${name}`);
+  console.log(`  precision ${percent(precision)}  recall ${percent(recall)}  (tp ${tp}, fp ${fp}, tn ${tn}, fn ${fn})`);
+
+  verdicts.forEach(({ sample, result }) => {
+    const wrong = result.reject !== (sample.label === 'abuse');
+    if (!wrong && !verbose) return;
+
+    const tag = wrong ? (result.reject ? 'FALSE POSITIVE' : 'MISSED') : 'ok';
+    console.log(`  [${tag}] ${result.riskScore} ${result.violations.join(',') || '-'}: ${sample.message.substring(0, 70)}`);
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const samplesPath = path.resolve(option('--samples') || DEFAULT_SAMPLES);
+  const candidatePath = option('--rules');
+  const verbose = args.includes('--verbose');
+
+  try {
+    const samples = require(samplesPath);
+    console.log(`Replaying ${samples.length} samples from ${samplesPath}`);
+
+    const current = replay(new AbuseDetector(AbuseDetector.loadRuleSet()), samples);
+    report(`Current rules (${process.env.ABUSE_RULES_PATH || AbuseDetector.DEFAULT_RULES_PATH})`, current, verbose);
+
+    if (candidatePath) {
+      const candidate = replay(new AbuseDetector(require(path.resolve(candidatePath))), samples);
+      report(`Candidate rules (${candidatePath})`, candidate, verbose);
+
+      const changed = candidate.filter((verdict, index) => verdict.result.reject !== current[index].result.reject);
+      console.log(`\n${changed.length} verdict(s) changed`);
+      changed.forEach(({ sample, result }) => {
+        console.log(`  ${result.reject ? 'now rejected' : 'now allowed'} (${sample.label}): ${sample.message.substring(0, 70)}`);
+      });
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Failed to run abuse harness:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { replay, score };
@@ -0,0 +1,157 @@
+/**
+ * Abuse Management API Endpoint
+ * Lets staff review the rate-limiter blacklist, block or unblock addresses and
+ * CIDR ranges, and page through messages rejected by abuse detection (admin only)
+ */
+
+const AdminAuth = require('../lib/admin-auth');
+const Storage = require('../lib/storage');
+const rateLimiter = require('../lib/rate-limiter');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+module.exports = async (req, res) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200)
+      .setHeader('Access-Control-Allow-Origin', '*')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+      .setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+      .end();
+    return;
+  }
+
+  // Rate limiting
+  const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'abuse' });
+
+  if (!rateCheck.allowed) {
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: rateCheck.message,
+      retryAfter: rateCheck.retryAfter
+    });
+    return;
+  }
+
+  const user = AdminAuth.requireRole(req, res, ['admin']);
+  if (!user) return;
+
+  try {
+    const { action } = req.query;
+    const body = req.body || {};
+
+    switch (action) {
+      case 'list':
+        // Active blacklist entries with reason and timing
+        const entries = await rateLimiter.getBlacklist();
+
+        res.status(200).json({
+          success: true,
+          count: entries.length,
+          entries
+        });
+        break;
+
+      case 'stats':
+        // Blacklist status and current usage for one identifier
+        if (!req.query.identifier) {
+          res.status(400).json({ error: 'identifier required' });
+          return;
+        }
+
+        res.status(200).json({
+          success: true,
+          identifier: req.query.identifier,
+          stats: await rateLimiter.getStats(req.query.identifier)
+        });
+        break;
+
+      case 'block':
+        // Manually block an address or CIDR range
+        if (req.method !== 'POST') {
+          res.status(405).json({ error: 'POST method required for block' });
+          return;
+        }
+
+        const target = rateLimiter.parseBlockTarget(body.identifier);
+        if (!target) {
+          res.status(400).json({ error: 'A valid IP address or CIDR range is required' });
+          return;
+        }
+
+        let durationMs = rateLimiter.config.blacklistDurationMs;
+        if (body.permanent) {
+          durationMs = null;
+        } else if (body.durationHours !== undefined) {
+          const hours = Number(body.durationHours);
+          if (!(hours > 0)) {
+            res.status(400).json({ error: 'durationHours must be a positive number' });
+            return;
+          }
+          durationMs = hours * HOUR_MS;
+        }
+
+        const blocked = await rateLimiter.blacklist(target, {
+          reason: body.reason || 'manual',
+          durationMs,
+          createdBy: user.email
+        });
+
+        console.log(`Blacklisted ${blocked.identifier} by ${user.email}`);
+        res.status(200).json(blocked);
+        break;
+
+      case 'unblock':
+        // Lift a block (e.g. a customer caught by the spam patterns)
+        if (req.method !== 'POST') {
+          res.status(405).json({ error: 'POST method required for unblock' });
+          return;
+        }
+
+        if (!body.identifier) {
+          res.status(400).json({ error: 'identifier required' });
+          return;
+        }
+
+        const result = await rateLimiter.unblacklist(body.identifier);
+
+        if (!result.removed) {
+          res.status(404).json({ success: false, error: 'Identifier is not blacklisted' });
+          return;
+        }
+
+        console.log(`Unblacklisted ${body.identifier} by ${user.email}`);
+        res.status(200).json(result);
+        break;
+
+      case 'events':
+        // Page through messages rejected by abuse detection
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+        const days = Math.min(90, Math.max(1, parseInt(req.query.days) || 7));
+
+        const events = await Storage.getAbuseEvents({
+          page,
+          limit,
+          days,
+          identifier: req.query.identifier
+        });
+
+        res.status(200).json({ success: true, ...events });
+        break;
+
+      default:
+        res.status(400).json({
+          error: 'Invalid action',
+          validActions: ['list', 'stats', 'block', 'unblock', 'events']
+        });
+    }
+  } catch (error) {
+    console.error('Abuse API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * Analytics API Endpoint
+ * Receives the chat widget's analytics snapshots (chat-enhancements.js) and
+ * serves aggregate reports to admins as JSON or CSV
+ *
+ * POST /api/analytics  { sessionId, shopDomain, consent: { analytics, version }, events: [...] }
+ * GET  /api/analytics?action=reports
+ * GET  /api/analytics?action=report&name=topics&from=YYYY-MM-DD&to=YYYY-MM-DD&consent=granted&shop=...&format=csv
+ */
+
+const AdminAuth = require('../lib/admin-auth');
+const Analytics = require('../lib/analytics');
+const rateLimiter = require('../lib/rate-limiter');
+
+module.exports = async (req, res) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200)
+      .setHeader('Access-Control-Allow-Origin', '*')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+      .setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+      .end();
+    return;
+  }
+
+  // Rate limiting
+  const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'analytics' });
+
+  if (!rateCheck.allowed) {
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: rateCheck.message,
+      retryAfter: rateCheck.retryAfter
+    });
+    return;
+  }
+
+  try {
+    if (req.method === 'POST') {
+      // sendBeacon posts JSON as text/plain to avoid a CORS preflight
+      let body = req.body;
+      if (typeof body === 'string') {
+        try {
+          body = JSON.parse(body);
+        } catch (error) {
+          res.status(400).json({ error: 'Invalid JSON body' });
+          return;
+        }
+      }
+
+      const result = await Analytics.ingest(body, { identifier });
+
+      if (result.status === 'invalid') {
+        res.status(400).json({ error: 'Invalid analytics snapshot', errors: result.errors });
+        return;
+      }
+
+      const { status, ...counts } = result;
+      res.status(200).json({ success: true, ...counts });
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    const user = AdminAuth.requireRole(req, res, ['admin']);
+    if (!user) return;
+
+    const { action } = req.query;
+
+    switch (action) {
+      case 'reports':
+        res.status(200).json({
+          success: true,
+          reports: Analytics.listReports()
+        });
+        break;
+
+      case 'report':
+        const { range, error } = Analytics.parseRange(req.query);
+        if (error) {
+          res.status(400).json({ error: 'Invalid date range', message: error });
+          return;
+        }
+
+        if (req.query.consent && !Analytics.CONSENT_STATES.includes(req.query.consent)) {
+          res.status(400).json({
+            error: 'Invalid consent',
+            validConsent: Analytics.CONSENT_STATES
+          });
+          return;
+        }
+
+        const report = await Analytics.report(req.query.name, range, {
+          consent: req.query.consent,
+          shop: req.query.shop
+        });
+
+        if (!report) {
+          res.status(400).json({
+            error: 'Invalid report',
+            validReports: Analytics.listReports().map(definition => definition.name)
+          });
+          return;
+        }
+
+        if (req.query.format === 'csv') {
+          res.status(200)
+            .setHeader('Content-Type', 'text/csv; charset=utf-8')
+            .setHeader('Content-Disposition', `attachment; filename="analytics-${report.report}-${range.from}-to-${range.to}.csv"`)
+            .send(Analytics.toCsv(report));
+          return;
+        }
+
+        res.status(200).json({
+          success: true,
+          from: range.from,
+          to: range.to,
+          timeZone: range.timeZone,
+          consent: req.query.consent || 'all',
+          ...report
+        });
+        break;
+
+      default:
+        res.status(400).json({
+          error: 'Invalid action',
+          validActions: ['reports', 'report']
+        });
+    }
+  } catch (error) {
+    console.error('Analytics API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
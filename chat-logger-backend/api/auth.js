@@ -0,0 +1,110 @@
+/**
+ * Admin Authentication API Endpoint
+ * Issues JWTs for knowledge center, DAM and support staff (roles: admin, editor, affiliate, support)
+ */
+
+const AdminAuth = require('../lib/admin-auth');
+const rateLimiter = require('../lib/rate-limiter');
+
+module.exports = async (req, res) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200)
+      .setHeader('Access-Control-Allow-Origin', '*')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+      .setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+      .end();
+    return;
+  }
+
+  // Rate limiting (login attempts)
+  const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'auth' });
+
+  if (!rateCheck.allowed) {
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: rateCheck.message,
+      retryAfter: rateCheck.retryAfter
+    });
+    return;
+  }
+
+  try {
+    const { action } = req.query;
+
+    switch (action) {
+      case 'login':
+        // Exchange email + password for a token
+        if (req.method !== 'POST') {
+          res.status(405).json({ error: 'POST method required for login' });
+          return;
+        }
+
+        const { email, password } = req.body || {};
+
+        if (!email || !password) {
+          res.status(400).json({ error: 'Email and password required' });
+          return;
+        }
+
+        const session = await AdminAuth.login(email, password);
+
+        if (!session) {
+          res.status(401).json({
+            success: false,
+            error: 'Invalid email or password'
+          });
+          return;
+        }
+
+        res.status(200).json({ success: true, ...session });
+        break;
+
+      case 'me':
+        // Check the current token
+        const user = AdminAuth.getUser(req);
+
+        if (!user) {
+          res.status(401).json({
+            success: false,
+            error: 'Invalid or expired token'
+          });
+          return;
+        }
+
+        res.status(200).json({
+          success: true,
+          user: { email: user.email, roles: user.roles }
+        });
+        break;
+
+      case 'refresh':
+        // Issue a fresh token for a still-valid one
+        const current = AdminAuth.getUser(req);
+
+        if (!current || !AdminAuth.findUser(current.email)) {
+          res.status(401).json({
+            success: false,
+            error: 'Invalid or expired token'
+          });
+          return;
+        }
+
+        res.status(200).json({ success: true, ...AdminAuth.issueToken(AdminAuth.findUser(current.email)) });
+        break;
+
+      default:
+        res.status(400).json({
+          error: 'Invalid action',
+          validActions: ['login', 'me', 'refresh']
+        });
+    }
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
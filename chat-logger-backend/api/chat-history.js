@@ -5,11 +5,14 @@
 
 const Storage = require('../lib/storage');
 const rateLimiter = require('../lib/rate-limiter');
+const CustomerAuth = require('../lib/customer-auth');
+const MessageIngest = require('../lib/message-ingest');
+const { requestLocale } = require('../lib/i18n');
 
 function getCorsHeaders() {
   return {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Customer-Token',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     'Content-Type': 'application/json'
   };
@@ -19,7 +22,7 @@ module.exports = async (req, res) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     res.status(200).setHeader('Access-Control-Allow-Origin', '*')
-      .setHeader('Access-Control-Allow-Headers', 'Content-Type')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Customer-Token')
       .setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
       .end();
     return;
@@ -27,7 +30,7 @@ module.exports = async (req, res) => {
 
   // Rate limiting
   const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
-  const rateCheck = rateLimiter.checkRateLimit(identifier, { type: 'chat_history' });
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'chat_history' });
 
   if (!rateCheck.allowed) {
     res.status(429).json({
@@ -40,18 +43,16 @@ module.exports = async (req, res) => {
 
   try {
     if (req.method === 'GET') {
-      // Get chat history
+      // Get chat history (signed-in customers only, for their own email)
+      const customer = CustomerAuth.requireCustomer(req, res);
+      if (!customer) return;
+
       const { customerId, limit } = req.query;
 
-      if (!customerId) {
-        res.status(400).json({
-          error: 'Missing customerId parameter'
-        });
-        return;
-      }
+      if (!CustomerAuth.assertSameCustomer(customer, customerId, res)) return;
 
       const history = await Storage.getCustomerHistory(
-        customerId,
+        customer.email,
         parseInt(limit) || 100
       );
 
@@ -60,21 +61,24 @@ module.exports = async (req, res) => {
         ...history
       });
     } else if (req.method === 'POST') {
-      // Store message with history tracking
-      const message = req.body;
+      // Store message with history tracking (attaching a customer requires their token)
+      const result = await MessageIngest.ingest(req.body, {
+        identifier,
+        customer: CustomerAuth.getCustomer(req),
+        language: requestLocale(req).preferred
+      });
 
-      if (!message.sessionId || !message.sender || !message.message) {
-        res.status(400).json({
-          error: 'Missing required fields'
-        });
+      const statusCode = MessageIngest.statusCode(result);
+      if (statusCode !== 200) {
+        res.status(statusCode).json(MessageIngest.errorBody(result));
         return;
       }
 
-      await Storage.storeMessage(message);
-
       res.status(200).json({
         success: true,
-        message: 'Message stored'
+        logged: !!result.logged,
+        message: result.status === 'duplicate' ? 'Message already received'
+          : result.logged ? 'Message stored' : 'Message counted (no logging consent)'
       });
     } else {
       res.status(405).json({
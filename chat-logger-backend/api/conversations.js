@@ -0,0 +1,140 @@
+/**
+ * Conversations API Endpoint
+ * Lets support staff browse, filter and search logged chat sessions and read
+ * their transcripts (admin or support role). Backs conversations-admin.html.
+ *
+ * GET /api/conversations?action=list&from=&to=&topic=&intent=&sentiment=&identified=&escalated=&unresolved=&page=&limit=
+ * GET /api/conversations?action=search&q=...(same filters)
+ * GET /api/conversations?action=get&sessionId=...&date=YYYY-MM-DD
+ */
+
+const AdminAuth = require('../lib/admin-auth');
+const Conversations = require('../lib/conversations');
+const rateLimiter = require('../lib/rate-limiter');
+
+module.exports = async (req, res) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200)
+      .setHeader('Access-Control-Allow-Origin', '*')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+      .setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
+      .end();
+    return;
+  }
+
+  // Rate limiting
+  const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'conversations' });
+
+  if (!rateCheck.allowed) {
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: rateCheck.message,
+      retryAfter: rateCheck.retryAfter
+    });
+    return;
+  }
+
+  const user = AdminAuth.requireRole(req, res, ['admin', 'support']);
+  if (!user) return;
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  try {
+    const { action } = req.query;
+
+    switch (action) {
+      case 'list':
+      case 'search':
+        const { range, error } = Conversations.parseRange(req.query);
+        if (error) {
+          res.status(400).json({ error: 'Invalid date range', message: error });
+          return;
+        }
+
+        const filters = parseFilters(req.query);
+        if (filters.sentiment && !Conversations.SENTIMENTS.includes(filters.sentiment)) {
+          res.status(400).json({
+            error: 'Invalid sentiment',
+            validSentiments: Conversations.SENTIMENTS
+          });
+          return;
+        }
+
+        const paging = {
+          page: Math.max(parseInt(req.query.page) || 1, 1),
+          limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100)
+        };
+
+        if (action === 'list') {
+          const result = await Conversations.list(range, filters, paging);
+          res.status(200).json({ success: true, from: range.from, to: range.to, timeZone: range.timeZone, ...result });
+          return;
+        }
+
+        if (!req.query.q || !String(req.query.q).trim()) {
+          res.status(400).json({ error: 'q required' });
+          return;
+        }
+
+        const results = await Conversations.search(range, String(req.query.q).substring(0, 200), filters, paging);
+        res.status(200).json({ success: true, from: range.from, to: range.to, timeZone: range.timeZone, ...results });
+        break;
+
+      case 'get':
+        // One session's transcript
+        if (!req.query.sessionId) {
+          res.status(400).json({ error: 'sessionId required' });
+          return;
+        }
+
+        const transcript = await Conversations.getTranscript(req.query.sessionId, { date: req.query.date });
+
+        if (!transcript) {
+          res.status(404).json({
+            error: 'Session not found',
+            sessionId: req.query.sessionId
+          });
+          return;
+        }
+
+        res.status(200).json({
+          success: true,
+          ...transcript
+        });
+        break;
+
+      default:
+        res.status(400).json({
+          error: 'Invalid action',
+          validActions: ['list', 'search', 'get']
+        });
+    }
+  } catch (error) {
+    console.error('Conversations API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Helper: Session filters from the query string ("true"/"false" for the flags)
+ */
+function parseFilters(query) {
+  const flag = value => (value === 'true' ? true : value === 'false' ? false : undefined);
+
+  return {
+    topic: query.topic || undefined,
+    intent: query.intent || undefined,
+    sentiment: query.sentiment || undefined,
+    identified: flag(query.identified),
+    escalated: flag(query.escalated),
+    unresolved: flag(query.unresolved)
+  };
+}
@@ -1,12 +1,23 @@
 /**
- * Vercel Serverless Function - Daily Cron Job
- * Sends daily email report of chat logs
+ * Vercel Serverless Function - Cron Job
+ * Sends the daily digests that are due, then applies the retention policy
  *
- * This endpoint is called automatically by Vercel Cron at 9 AM daily
- * Schedule configured in vercel.json
+ * Vercel Cron calls this endpoint hourly (schedule in vercel.json) so each
+ * shop's digest goes out at its own hour (see lib/digest.js). Retention runs
+ * once a day, on the run in RETENTION_HOUR_UTC (default 9), followed by the
+ * rebuild of the learned autocomplete suggestions (lib/suggestions.js).
+ *
+ * GET /api/cron-daily?dryRun=true only reports what retention would remove
+ * (no digest is sent and nothing is deleted)
  */
 
 const { sendDailyReport } = require('../index');
+const RetentionPolicy = require('../lib/retention');
+const suggestionsEngine = require('../lib/suggestions');
+
+const RETENTION_HOUR_UTC = Number.isInteger(parseInt(process.env.RETENTION_HOUR_UTC))
+  ? parseInt(process.env.RETENTION_HOUR_UTC)
+  : 9;
 
 module.exports = async (req, res) => {
   // Verify this is a cron request from Vercel
@@ -18,23 +29,73 @@ module.exports = async (req, res) => {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  console.log('Starting daily chat report cron job...');
+  const dryRun = ['true', '1'].includes(String(req.query?.dryRun));
+
+  if (dryRun) {
+    try {
+      const retention = await RetentionPolicy.run({ dryRun: true });
+      return res.status(200).json({ success: true, retention, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error('Retention dry run failed:', error);
+      return res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+    }
+  }
 
+  console.log('Starting chat digest cron job...');
+
+  // Retention runs even if a digest fails, so a broken mailer can't stall deletion
+  let digests = null;
+  let reportError = null;
   try {
-    await sendDailyReport();
-    console.log('Daily report sent successfully');
+    digests = await sendDailyReport();
+  } catch (error) {
+    console.error('Failed to send daily digests:', error);
+    reportError = error;
+  }
+
+  if (new Date().getUTCHours() !== RETENTION_HOUR_UTC) {
+    if (reportError) {
+      return res.status(500).json({ success: false, error: reportError.message, timestamp: new Date().toISOString() });
+    }
+    return res.status(200).json({ success: true, digests, timestamp: new Date().toISOString() });
+  }
+
+  try {
+    const retention = await RetentionPolicy.run();
+    console.log(`Retention applied: ${retention.actions.length} artifacts affected`);
+
+    // After retention, so nothing is learned from logs it just removed
+    let autocomplete = null;
+    try {
+      autocomplete = await suggestionsEngine.learn();
+    } catch (error) {
+      console.error('Failed to rebuild autocomplete suggestions:', error);
+    }
+
+    if (reportError) {
+      return res.status(500).json({
+        success: false,
+        error: reportError.message,
+        retention,
+        autocomplete,
+        timestamp: new Date().toISOString()
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Daily report sent',
+      digests,
+      retention,
+      autocomplete,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Failed to send daily report:', error);
+    console.error('Failed to apply retention policy:', error);
 
     res.status(500).json({
       success: false,
-      error: error.message,
+      error: reportError ? `${reportError.message}; retention: ${error.message}` : error.message,
+      digests,
       timestamp: new Date().toISOString()
     });
   }
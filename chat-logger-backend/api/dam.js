@@ -2,16 +2,20 @@
  * Digital Asset Management (DAM) API Endpoint
  * Handles all DAM operations for file and folder management
  *
- * Access restricted to users with 'admin' or 'affiliate' tags
+ * Access restricted to users with the 'admin' or 'affiliate' role or tag:
+ * - staff signed in via /api/auth ("Authorization: Bearer <token>")
+ * - storefront customers whose tags are signed into their customer token
+ *   ("X-Customer-Token", issued by shopify-dam.liquid)
  */
 
 const DAMManager = require('../lib/dam');
-const RateLimiter = require('../lib/rate-limiter');
+const rateLimiter = require('../lib/rate-limiter');
+const AdminAuth = require('../lib/admin-auth');
+const CustomerAuth = require('../lib/customer-auth');
 const multiparty = require('multiparty');
 
-// Initialize DAM and rate limiter
+// Initialize DAM
 const dam = new DAMManager();
-const rateLimiter = new RateLimiter();
 
 // Parse multipart form data
 function parseFormData(req) {
@@ -40,12 +44,25 @@ function sendResponse(res, statusCode, data) {
   res.status(statusCode);
   res.setHeader('Content-Type', 'application/json');
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Customer-Token');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   return res.json(data);
 }
 
-// Parse user tags from request
+// Access tags from the verified staff or customer token (never from request parameters)
+function getUserTags(req) {
+  const user = AdminAuth.getUser(req);
+  if (user) return AdminAuth.tagsForUser(user);
+
+  return CustomerAuth.getCustomer(req)?.tags || [];
+}
+
+// Email of the signed-in staff member or customer
+function getUserEmail(req) {
+  return AdminAuth.getUser(req)?.email || CustomerAuth.getCustomer(req)?.email || null;
+}
+
+// Parse a list parameter (JSON array or comma separated)
 function parseUserTags(tagsInput) {
   if (!tagsInput) return [];
   if (Array.isArray(tagsInput)) return tagsInput;
@@ -63,7 +80,7 @@ function parseUserTags(tagsInput) {
  */
 async function handleGetContents(req, res) {
   const { folderId = 'root', sortBy, sortOrder, search } = req.query;
-  const userTags = parseUserTags(req.query.userTags);
+  const userTags = getUserTags(req);
 
   try {
     const contents = await dam.getFolderContents(folderId, {
@@ -86,8 +103,9 @@ async function handleGetContents(req, res) {
  * Handle create folder request
  */
 async function handleCreateFolder(req, res) {
-  const { name, parentId, userEmail } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const { name, parentId } = req.body;
+  const userEmail = getUserEmail(req);
+  const userTags = getUserTags(req);
 
   if (!name) {
     return sendResponse(res, 400, { success: false, error: 'Folder name is required' });
@@ -115,7 +133,7 @@ async function handleCreateFolder(req, res) {
  */
 async function handleRenameFolder(req, res) {
   const { folderId, newName } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!folderId || !newName) {
     return sendResponse(res, 400, { success: false, error: 'Folder ID and new name are required' });
@@ -137,7 +155,7 @@ async function handleRenameFolder(req, res) {
  */
 async function handleMoveFolder(req, res) {
   const { folderId, newParentId } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!folderId || !newParentId) {
     return sendResponse(res, 400, { success: false, error: 'Folder ID and destination are required' });
@@ -159,7 +177,7 @@ async function handleMoveFolder(req, res) {
  */
 async function handleUpdateFolder(req, res) {
   const { folderId, color, description } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!folderId) {
     return sendResponse(res, 400, { success: false, error: 'Folder ID is required' });
@@ -181,7 +199,7 @@ async function handleUpdateFolder(req, res) {
  */
 async function handleDeleteFolder(req, res) {
   const { folderId } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!folderId) {
     return sendResponse(res, 400, { success: false, error: 'Folder ID is required' });
@@ -204,7 +222,7 @@ async function handleDeleteFolder(req, res) {
 async function handleUpload(req, res) {
   try {
     const { fields, files } = await parseFormData(req);
-    const userTags = parseUserTags(fields.userTags);
+    const userTags = getUserTags(req);
 
     if (!files.file || files.file.length === 0) {
       return sendResponse(res, 400, { success: false, error: 'No file provided' });
@@ -219,7 +237,7 @@ async function handleUpload(req, res) {
       fileName: uploadedFile.originalFilename,
       mimeType: uploadedFile.headers['content-type'],
       folderId: fields.folderId || 'root',
-      userEmail: fields.userEmail,
+      userEmail: getUserEmail(req),
       userTags,
       description: fields.description || '',
       fileTags: fields.tags ? parseUserTags(fields.tags) : []
@@ -247,7 +265,7 @@ async function handleUpload(req, res) {
  */
 async function handleGetFile(req, res) {
   const { fileId } = req.query;
-  const userTags = parseUserTags(req.query.userTags);
+  const userTags = getUserTags(req);
 
   if (!fileId) {
     return sendResponse(res, 400, { success: false, error: 'File ID is required' });
@@ -269,7 +287,7 @@ async function handleGetFile(req, res) {
  */
 async function handleRenameFile(req, res) {
   const { fileId, newName } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!fileId || !newName) {
     return sendResponse(res, 400, { success: false, error: 'File ID and new name are required' });
@@ -291,7 +309,7 @@ async function handleRenameFile(req, res) {
  */
 async function handleMoveFile(req, res) {
   const { fileId, newFolderId } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!fileId || !newFolderId) {
     return sendResponse(res, 400, { success: false, error: 'File ID and destination folder are required' });
@@ -313,7 +331,7 @@ async function handleMoveFile(req, res) {
  */
 async function handleUpdateFile(req, res) {
   const { fileId, description, tags } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!fileId) {
     return sendResponse(res, 400, { success: false, error: 'File ID is required' });
@@ -335,7 +353,7 @@ async function handleUpdateFile(req, res) {
  */
 async function handleDeleteFile(req, res) {
   const { fileId } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!fileId) {
     return sendResponse(res, 400, { success: false, error: 'File ID is required' });
@@ -357,7 +375,7 @@ async function handleDeleteFile(req, res) {
  */
 async function handleSearch(req, res) {
   const { query, fileTypes, folderId, limit } = req.query;
-  const userTags = parseUserTags(req.query.userTags);
+  const userTags = getUserTags(req);
 
   if (!query) {
     return sendResponse(res, 400, { success: false, error: 'Search query is required' });
@@ -385,7 +403,7 @@ async function handleSearch(req, res) {
  */
 async function handleGetRecent(req, res) {
   const { limit } = req.query;
-  const userTags = parseUserTags(req.query.userTags);
+  const userTags = getUserTags(req);
 
   try {
     const files = await dam.getRecentFiles(parseInt(limit) || 20, userTags);
@@ -402,7 +420,7 @@ async function handleGetRecent(req, res) {
  * Handle get statistics request
  */
 async function handleGetStats(req, res) {
-  const userTags = parseUserTags(req.query.userTags);
+  const userTags = getUserTags(req);
 
   try {
     const stats = await dam.getStatistics(userTags);
@@ -419,7 +437,7 @@ async function handleGetStats(req, res) {
  * Handle get folder tree request
  */
 async function handleGetTree(req, res) {
-  const userTags = parseUserTags(req.query.userTags);
+  const userTags = getUserTags(req);
 
   try {
     const tree = await dam.getFolderTree(userTags);
@@ -437,7 +455,7 @@ async function handleGetTree(req, res) {
  */
 async function handleDownload(req, res) {
   const { fileId } = req.query;
-  const userTags = parseUserTags(req.query.userTags);
+  const userTags = getUserTags(req);
 
   if (!fileId) {
     return sendResponse(res, 400, { success: false, error: 'File ID is required' });
@@ -465,7 +483,7 @@ async function handleDownload(req, res) {
  */
 async function handleServe(req, res) {
   const { fileId } = req.query;
-  const userTags = parseUserTags(req.query.userTags);
+  const userTags = getUserTags(req);
 
   if (!fileId) {
     return sendResponse(res, 400, { success: false, error: 'File ID is required' });
@@ -504,7 +522,7 @@ async function handleServe(req, res) {
  */
 async function handleBulkMove(req, res) {
   const { items, destinationFolderId } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!items || !Array.isArray(items) || items.length === 0) {
     return sendResponse(res, 400, { success: false, error: 'Items array is required' });
@@ -544,7 +562,7 @@ async function handleBulkMove(req, res) {
  */
 async function handleBulkDelete(req, res) {
   const { items } = req.body;
-  const userTags = parseUserTags(req.body.userTags);
+  const userTags = getUserTags(req);
 
   if (!items || !Array.isArray(items) || items.length === 0) {
     return sendResponse(res, 400, { success: false, error: 'Items array is required' });
@@ -580,7 +598,7 @@ async function handleBulkDelete(req, res) {
  */
 async function handleGetByCategory(req, res) {
   const { categories } = req.query;
-  const userTags = parseUserTags(req.query.userTags);
+  const userTags = getUserTags(req);
 
   if (!categories) {
     return sendResponse(res, 400, { success: false, error: 'Categories are required' });
@@ -604,14 +622,15 @@ module.exports = async (req, res) => {
   if (req.method === 'OPTIONS') {
     res.status(200);
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Customer-Token');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     return res.end();
   }
 
   // Rate limiting
   const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
-  const rateCheck = rateLimiter.checkRateLimit(identifier, { type: 'dam' });
+  const rateType = req.query.action === 'upload' ? 'dam_upload' : 'dam';
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: rateType });
 
   if (!rateCheck.allowed) {
     return sendResponse(res, 429, {
@@ -621,6 +640,21 @@ module.exports = async (req, res) => {
     });
   }
 
+  // Every DAM action needs a signed-in staff member or customer with access
+  if (!AdminAuth.getUser(req) && !CustomerAuth.getCustomer(req)) {
+    return sendResponse(res, 401, {
+      success: false,
+      error: 'Authentication required. Sign in via /api/auth or send a customer token.'
+    });
+  }
+
+  if (!dam.hasAccess(getUserTags(req))) {
+    return sendResponse(res, 403, {
+      success: false,
+      error: 'Access denied: Requires admin or affiliate access'
+    });
+  }
+
   try {
     // Initialize DAM
     await dam.init();
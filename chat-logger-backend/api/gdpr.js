@@ -5,13 +5,25 @@
 
 const GDPRCompliance = require('../lib/gdpr');
 const rateLimiter = require('../lib/rate-limiter');
+const CustomerAuth = require('../lib/customer-auth');
+
+// Actions that don't need a customer token: public information, and the
+// email-verified flow where the emailed link proves ownership of the address
+const ANONYMOUS_ACTIONS = ['privacy-policy', 'request-export', 'request-delete', 'confirm'];
+
+// Email-verified actions and the request they start
+const VERIFICATION_ACTIONS = {
+  'request-export': 'export',
+  'request-delete': 'delete',
+  delete: 'delete'
+};
 
 module.exports = async (req, res) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     res.status(200)
       .setHeader('Access-Control-Allow-Origin', '*')
-      .setHeader('Access-Control-Allow-Headers', 'Content-Type')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Customer-Token')
       .setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
       .end();
     return;
@@ -19,7 +31,7 @@ module.exports = async (req, res) => {
 
   // Rate limiting (stricter for GDPR operations)
   const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
-  const rateCheck = rateLimiter.checkRateLimit(identifier, { type: 'gdpr' });
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'gdpr' });
 
   if (!rateCheck.allowed) {
     res.status(429).json({
@@ -31,36 +43,92 @@ module.exports = async (req, res) => {
 
   try {
     const { action } = req.query;
-    const email = req.body?.email || req.query.email;
 
-    if (!email) {
-      res.status(400).json({
-        error: 'Email address required'
-      });
-      return;
+    // Customer data is only available to the signed-in customer it belongs to
+    let email = null;
+    if (!ANONYMOUS_ACTIONS.includes(action)) {
+      const customer = CustomerAuth.requireCustomer(req, res);
+      if (!customer) return;
+
+      if (!CustomerAuth.assertSameCustomer(customer, req.body?.email || req.query.email, res)) return;
+      email = customer.email;
     }
 
     switch (action) {
       case 'export':
         // Export all customer data
         const exportResult = await GDPRCompliance.requestDataExport(email, {
-          shopName: req.body.shopName,
-          contactEmail: req.body.contactEmail
+          shopName: req.body?.shopName,
+          contactEmail: req.body?.contactEmail
         });
 
         res.status(200).json(exportResult);
         break;
 
+      case 'request-export':
+      case 'request-delete':
       case 'delete':
-        // Delete all customer data
-        const deleteResult = await GDPRCompliance.requestDataDeletion(email, {
-          requireVerification: true,
-          verified: req.body.verified || false,
-          ipAddress: identifier,
-          reason: req.body.reason
-        });
+        // Email a one-time confirmation link (signed-in customers use their own
+        // address, guests supply one)
+        if (req.method !== 'POST') {
+          res.status(405).json({ error: 'Method not allowed' });
+          return;
+        }
+
+        const customer = CustomerAuth.getCustomer(req);
+        if (customer && !CustomerAuth.assertSameCustomer(customer, req.body?.email, res)) return;
+
+        const requestEmail = customer?.email || req.body?.email;
+        if (!requestEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(requestEmail)) {
+          res.status(400).json({ error: 'A valid email address is required' });
+          return;
+        }
+
+        const pendingResult = await GDPRCompliance.createVerificationRequest(
+          requestEmail,
+          VERIFICATION_ACTIONS[action],
+          {
+            confirmUrl: getConfirmUrl(req),
+            ipAddress: identifier,
+            shopName: req.body?.shopName,
+            contactEmail: req.body?.contactEmail,
+            reason: req.body?.reason
+          }
+        );
 
-        res.status(200).json(deleteResult);
+        res.status(202).json(pendingResult);
+        break;
+
+      case 'confirm':
+        // Emailed link: GET shows a confirmation page, POST performs the action
+        const token = req.body?.token || req.query.token;
+        const fromForm = (req.headers['content-type'] || '').includes('application/x-www-form-urlencoded');
+
+        if (req.method === 'GET') {
+          const pending = await GDPRCompliance.getPendingRequest(token);
+          sendPage(res, pending.success ? 200 : 400, pending.success
+            ? renderConfirmPage(token, pending.action)
+            : renderMessagePage('Link not valid', pending.error));
+          return;
+        }
+
+        const confirmResult = await GDPRCompliance.confirmRequest(token, { ipAddress: identifier });
+
+        if (!fromForm) {
+          res.status(confirmResult.success ? 200 : 400).json(confirmResult);
+          return;
+        }
+
+        if (!confirmResult.success) {
+          sendPage(res, 400, renderMessagePage('Request not completed',
+            confirmResult.partial ? confirmResult.message : confirmResult.error || confirmResult.message));
+        } else if (confirmResult.action === 'export') {
+          res.status(200)
+            .setHeader('Content-Disposition', 'attachment; filename="my-data-export.json"')
+            .json(confirmResult.data);
+        } else {
+          sendPage(res, 200, renderMessagePage('Your data has been deleted', confirmResult.message));
+        }
         break;
 
       case 'consent':
@@ -96,7 +164,10 @@ module.exports = async (req, res) => {
       default:
         res.status(400).json({
           error: 'Invalid action',
-          validActions: ['export', 'delete', 'consent', 'check-compliance', 'privacy-policy']
+          validActions: [
+            'export', 'request-export', 'request-delete', 'confirm',
+            'consent', 'check-compliance', 'privacy-policy'
+          ]
         });
     }
   } catch (error) {
@@ -107,3 +178,81 @@ module.exports = async (req, res) => {
     });
   }
 };
+
+/**
+ * Helper: Public URL of this endpoint for confirmation links
+ */
+function getConfirmUrl(req) {
+  if (process.env.GDPR_CONFIRM_URL) return process.env.GDPR_CONFIRM_URL;
+
+  const protocol = req.headers['x-forwarded-proto'] || 'https';
+  return `${protocol}://${req.headers.host}/api/gdpr`;
+}
+
+/**
+ * Helper: Send an HTML page
+ */
+function sendPage(res, status, html) {
+  res.status(status).setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.end(html);
+}
+
+/**
+ * Helper: Confirmation page with a button that POSTs the token
+ * (a plain GET never performs the action, so link scanners can't trigger it)
+ */
+function renderConfirmPage(token, action) {
+  const isDelete = action === 'delete';
+
+  return renderPage(
+    isDelete ? 'Confirm data deletion' : 'Confirm data export',
+    `<p>${isDelete
+      ? 'This will permanently delete your chat history and personal data. This cannot be undone.'
+      : 'Your data will be downloaded as a JSON file.'}</p>
+    <form method="POST" action="?action=confirm">
+      <input type="hidden" name="token" value="${token}">
+      <button type="submit" class="${isDelete ? 'danger' : ''}">${isDelete ? 'Delete my data' : 'Download my data'}</button>
+    </form>`
+  );
+}
+
+/**
+ * Helper: Simple message page
+ */
+function renderMessagePage(title, message) {
+  return renderPage(title, `<p>${escapeHtml(message || '')}</p>`);
+}
+
+/**
+ * Helper: Page shell
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; color: #333; }
+    button { padding: 12px 20px; border: none; border-radius: 6px; background: #4CAF50; color: white; font-size: 16px; cursor: pointer; }
+    button.danger { background: #f44336; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  ${body}
+</body>
+</html>`;
+}
+
+/**
+ * Helper: Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
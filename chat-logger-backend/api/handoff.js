@@ -0,0 +1,199 @@
+/**
+ * Handoff API Endpoint
+ * Escalates a chat to a person: the widget opens a support ticket and polls
+ * it for replies; agents (admin or support role) answer from the inbox
+ * (handoff-admin.html)
+ *
+ * Customer actions (X-Ticket-Token from create, or X-Customer-Token for the signed-in customer who opened it):
+ *   POST /api/handoff?action=create   { sessionId, topic, intent, shopDomain, transcript: [...], message }
+ *   GET  /api/handoff?action=status&ticketId=...&after=<seq>
+ *   POST /api/handoff?action=message  { ticketId, message }
+ *
+ * Agent actions (Authorization: Bearer <staff token>):
+ *   GET  /api/handoff?action=inbox&status=&queue=&assignee=me
+ *   GET  /api/handoff?action=ticket&ticketId=...
+ *   POST /api/handoff?action=reply    { ticketId, message, status }
+ *   POST /api/handoff?action=update   { ticketId, status, queue, assignee }
+ */
+
+const AdminAuth = require('../lib/admin-auth');
+const CustomerAuth = require('../lib/customer-auth');
+const Handoff = require('../lib/handoff');
+const rateLimiter = require('../lib/rate-limiter');
+
+const CUSTOMER_ACTIONS = ['create', 'status', 'message'];
+const AGENT_ACTIONS = ['inbox', 'ticket', 'reply', 'update'];
+
+module.exports = async (req, res) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200)
+      .setHeader('Access-Control-Allow-Origin', '*')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Customer-Token, X-Ticket-Token')
+      .setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+      .end();
+    return;
+  }
+
+  const { action } = req.query;
+
+  // Rate limiting (opening tickets is limited separately from polling)
+  const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, {
+    type: action === 'create' ? 'handoff_create' : 'handoff'
+  });
+
+  if (!rateCheck.allowed) {
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: rateCheck.message,
+      retryAfter: rateCheck.retryAfter
+    });
+    return;
+  }
+
+  if (!CUSTOMER_ACTIONS.includes(action) && !AGENT_ACTIONS.includes(action)) {
+    res.status(400).json({
+      error: 'Invalid action',
+      validActions: [...CUSTOMER_ACTIONS, ...AGENT_ACTIONS]
+    });
+    return;
+  }
+
+  const expectedMethod = ['status', 'inbox', 'ticket'].includes(action) ? 'GET' : 'POST';
+  if (req.method !== expectedMethod) {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  try {
+    const body = req.body || {};
+
+    if (CUSTOMER_ACTIONS.includes(action)) {
+      const customer = CustomerAuth.getCustomer(req);
+
+      if (action === 'create') {
+        const result = await Handoff.create(body, customer);
+
+        if (result.errors) {
+          res.status(400).json({ error: 'Invalid handoff request', errors: result.errors });
+          return;
+        }
+
+        res.status(201).json({
+          success: true,
+          ticketToken: result.ticketToken,
+          ticket: Handoff.customerView(result.ticket)
+        });
+        return;
+      }
+
+      const ticketId = action === 'status' ? req.query.ticketId : body.ticketId;
+      const ticket = await Handoff.getForCustomer(ticketId, {
+        ticketToken: req.headers['x-ticket-token'],
+        customer
+      });
+
+      // Same response whether the ticket is missing or someone else's
+      if (!ticket) {
+        res.status(404).json({ error: 'Ticket not found' });
+        return;
+      }
+
+      if (action === 'status') {
+        res.status(200).json({
+          success: true,
+          ticket: Handoff.customerView(ticket, parseInt(req.query.after) || 0)
+        });
+        return;
+      }
+
+      const result = await Handoff.addCustomerMessage(ticket, body.message);
+      if (result.error) {
+        res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json({ error: result.error });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        ticket: Handoff.customerView(result.ticket, parseInt(body.after) || 0)
+      });
+      return;
+    }
+
+    const user = AdminAuth.requireRole(req, res, ['admin', 'support']);
+    if (!user) return;
+
+    switch (action) {
+      case 'inbox':
+        const tickets = await Handoff.inbox({
+          status: req.query.status || undefined,
+          queue: req.query.queue || undefined,
+          assignee: req.query.assignee === 'me' ? user.email : req.query.assignee || undefined
+        });
+
+        res.status(200).json({
+          success: true,
+          tickets,
+          total: tickets.length,
+          queues: Object.keys(Handoff.getQueues()),
+          statuses: Handoff.STATUSES
+        });
+        break;
+
+      case 'ticket':
+        const ticket = req.query.ticketId ? await Handoff.get(req.query.ticketId) : null;
+
+        if (!ticket) {
+          res.status(404).json({ error: 'Ticket not found' });
+          return;
+        }
+
+        res.status(200).json({
+          success: true,
+          ticket: Handoff.agentView(ticket)
+        });
+        break;
+
+      case 'reply':
+      case 'update':
+        if (!body.ticketId) {
+          res.status(400).json({ error: 'ticketId required' });
+          return;
+        }
+
+        if (body.status !== undefined && !Handoff.STATUSES.includes(body.status)) {
+          res.status(400).json({
+            error: 'Invalid status',
+            validStatuses: Handoff.STATUSES
+          });
+          return;
+        }
+
+        const result = action === 'reply'
+          ? await Handoff.reply(body.ticketId, user, body.message, { status: body.status })
+          : await Handoff.update(body.ticketId, {
+            status: body.status,
+            queue: body.queue,
+            assignee: body.assignee === 'me' ? user.email : body.assignee
+          });
+
+        if (result.error) {
+          res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json({ error: result.error });
+          return;
+        }
+
+        res.status(200).json({
+          success: true,
+          ticket: Handoff.agentView(result.ticket)
+        });
+        break;
+    }
+  } catch (error) {
+    console.error('Handoff API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * Intent Classification API Endpoint
+ * Classifies chat messages server-side so the OpenAI key never reaches the storefront
+ * Keyword matching uses the shopper's language (`locale` in the body, or Accept-Language)
+ */
+
+const intentClassifier = require('../lib/intent-classifier');
+const rateLimiter = require('../lib/rate-limiter');
+const { requestLocale } = require('../lib/i18n');
+const { SESSION_ID_PATTERN } = require('../lib/message-schema');
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+module.exports = async (req, res) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200)
+      .setHeader('Access-Control-Allow-Origin', '*')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type')
+      .setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+      .end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const { message, topics, sessionId } = req.body || {};
+
+  if (sessionId !== undefined && (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId))) {
+    res.status(400).json({ error: 'Invalid session ID' });
+    return;
+  }
+
+  // Rate limiting (per IP, and per session when there is one)
+  const ip = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+  let rateCheck = await rateLimiter.checkRateLimit(ip, { type: 'intent_ip' });
+
+  if (rateCheck.allowed && sessionId) {
+    rateCheck = await rateLimiter.checkRateLimit(`session:${sessionId}`, { type: 'intent' });
+  }
+
+  if (!rateCheck.allowed) {
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: rateCheck.message,
+      retryAfter: rateCheck.retryAfter
+    });
+    return;
+  }
+
+  try {
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      res.status(400).json({ error: 'Message required' });
+      return;
+    }
+
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      res.status(400).json({ error: `Message must be ${MAX_MESSAGE_LENGTH} characters or fewer` });
+      return;
+    }
+
+    const { language } = requestLocale(req);
+    const result = await intentClassifier.classify(message.trim(), { topics, language });
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Intent classification error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
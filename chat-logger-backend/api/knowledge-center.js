@@ -5,13 +5,18 @@
 
 const knowledgeBase = require('../lib/knowledge-base');
 const rateLimiter = require('../lib/rate-limiter');
+const AdminAuth = require('../lib/admin-auth');
+const CustomerAuth = require('../lib/customer-auth');
+
+// Roles allowed to manage articles and view analytics
+const EDITOR_ROLES = ['admin', 'editor'];
 
 module.exports = async (req, res) => {
   // CORS handling
   if (req.method === 'OPTIONS') {
     return res.status(200)
       .setHeader('Access-Control-Allow-Origin', '*')
-      .setHeader('Access-Control-Allow-Headers', 'Content-Type')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Customer-Token')
       .setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
       .end();
   }
@@ -26,7 +31,11 @@ module.exports = async (req, res) => {
 
     // Rate limiting
     const identifier = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
-    const rateCheck = rateLimiter.checkRateLimit(identifier);
+    // Get action from query or body
+    const action = req.query.action || (req.body && req.body.action);
+
+    const rateType = action === 'search' ? 'kb_search' : 'kb';
+    const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: rateType });
 
     if (!rateCheck.allowed) {
       return res.status(429).json({
@@ -35,9 +44,6 @@ module.exports = async (req, res) => {
       });
     }
 
-    // Get action from query or body
-    const action = req.query.action || (req.body && req.body.action);
-
     // Route based on action
     switch (action) {
       case 'get-articles':
@@ -56,15 +62,19 @@ module.exports = async (req, res) => {
         return await handleTrackView(req, res);
 
       case 'get-analytics':
+        if (!AdminAuth.requireRole(req, res, EDITOR_ROLES)) return;
         return await handleGetAnalytics(req, res);
 
       case 'create-article':
+        if (!AdminAuth.requireRole(req, res, EDITOR_ROLES)) return;
         return await handleCreateArticle(req, res);
 
       case 'update-article':
+        if (!AdminAuth.requireRole(req, res, EDITOR_ROLES)) return;
         return await handleUpdateArticle(req, res);
 
       case 'delete-article':
+        if (!AdminAuth.requireRole(req, res, ['admin'])) return;
         return await handleDeleteArticle(req, res);
 
       default:
@@ -76,6 +86,31 @@ module.exports = async (req, res) => {
   }
 };
 
+/**
+ * Helper: Access tags and email from the verified staff or customer token
+ * (never from request parameters)
+ */
+function getRequestAccess(req) {
+  const user = AdminAuth.getUser(req);
+  const customer = CustomerAuth.getCustomer(req);
+
+  return {
+    userTags: user ? AdminAuth.tagsForUser(user) : customer?.tags || [],
+    userEmail: user?.email || customer?.email || null,
+    canEdit: AdminAuth.hasRole(user, EDITOR_ROLES)
+  };
+}
+
+/**
+ * Helper: Articles visible to the requester (editors see everything)
+ */
+async function getVisibleArticles(access, filters) {
+  if (access.canEdit) {
+    return knowledgeBase.getAllArticles(filters);
+  }
+  return knowledgeBase.getAccessibleArticles(access.userTags, access.userEmail, filters);
+}
+
 /**
  * Get all articles (with filtering)
  */
@@ -84,13 +119,10 @@ async function handleGetArticles(req, res) {
     const {
       category,
       tags,
-      featured,
-      userTags = [],
-      userEmail
+      featured
     } = req.method === 'GET' ? req.query : req.body;
 
     // Parse tags if string
-    const parsedUserTags = typeof userTags === 'string' ? JSON.parse(userTags) : (userTags || []);
     const parsedTags = tags ? (typeof tags === 'string' ? JSON.parse(tags) : tags) : undefined;
 
     const filters = {
@@ -100,11 +132,7 @@ async function handleGetArticles(req, res) {
     };
 
     // Get accessible articles
-    const articles = await knowledgeBase.getAccessibleArticles(
-      parsedUserTags,
-      userEmail,
-      filters
-    );
+    const articles = await getVisibleArticles(getRequestAccess(req), filters);
 
     // Remove content body from list view to reduce payload
     const articlesList = articles.map(article => ({
@@ -140,7 +168,7 @@ async function handleGetArticles(req, res) {
  */
 async function handleGetArticle(req, res) {
   try {
-    const { id, slug, userTags = [], userEmail } = req.method === 'GET' ? req.query : req.body;
+    const { id, slug } = req.method === 'GET' ? req.query : req.body;
     const identifier = id || slug;
 
     if (!identifier) {
@@ -154,8 +182,9 @@ async function handleGetArticle(req, res) {
     }
 
     // Check access
-    const parsedUserTags = typeof userTags === 'string' ? JSON.parse(userTags) : (userTags || []);
-    const hasAccess = knowledgeBase.hasAccess(article, parsedUserTags, userEmail);
+    const access = getRequestAccess(req);
+    const hasAccess = access.canEdit ||
+      knowledgeBase.hasAccess(article, access.userTags, access.userEmail);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -180,20 +209,14 @@ async function handleGetArticle(req, res) {
  */
 async function handleSearch(req, res) {
   try {
-    const { query, userTags = [], userEmail } = req.method === 'GET' ? req.query : req.body;
+    const { query } = req.method === 'GET' ? req.query : req.body;
 
     if (!query || query.trim().length < 2) {
       return res.status(400).json({ error: 'Search query must be at least 2 characters' });
     }
 
-    const parsedUserTags = typeof userTags === 'string' ? JSON.parse(userTags) : (userTags || []);
-
     // Search articles
-    const articles = await knowledgeBase.getAccessibleArticles(
-      parsedUserTags,
-      userEmail,
-      { search: query }
-    );
+    const articles = await getVisibleArticles(getRequestAccess(req), { search: query });
 
     // Remove content body from search results
     const searchResults = articles.map(article => ({
@@ -250,14 +273,14 @@ async function handleGetCategories(req, res) {
  */
 async function handleTrackView(req, res) {
   try {
-    const { articleId, userEmail, userTags = [] } = req.body;
+    const { articleId } = req.body;
 
     if (!articleId) {
       return res.status(400).json({ error: 'Article ID required' });
     }
 
-    const parsedUserTags = typeof userTags === 'string' ? JSON.parse(userTags) : (userTags || []);
-    await knowledgeBase.trackView(articleId, userEmail, parsedUserTags);
+    const access = getRequestAccess(req);
+    await knowledgeBase.trackView(articleId, access.userEmail, access.userTags);
 
     return res.status(200).json({
       success: true,
@@ -288,7 +311,7 @@ async function handleGetAnalytics(req, res) {
 }
 
 /**
- * Create article (admin only - implement auth as needed)
+ * Create article (admin or editor)
  */
 async function handleCreateArticle(req, res) {
   try {
@@ -327,7 +350,7 @@ async function handleCreateArticle(req, res) {
 }
 
 /**
- * Update article (admin only - implement auth as needed)
+ * Update article (admin or editor)
  */
 async function handleUpdateArticle(req, res) {
   try {
@@ -368,7 +391,7 @@ async function handleUpdateArticle(req, res) {
 }
 
 /**
- * Delete article (admin only - implement auth as needed)
+ * Delete article (admin only)
  */
 async function handleDeleteArticle(req, res) {
   try {
@@ -0,0 +1,65 @@
+/**
+ * Locale API Endpoint
+ * Serves the translated widget and knowledge center copy for a shopper's locale
+ *
+ * GET /api/locale?locale=fr-CA  (without a locale, Accept-Language decides)
+ * Returns { locale, language, defaultLocale, supportedLocales, strings: { widget, kb } }
+ */
+
+const rateLimiter = require('../lib/rate-limiter');
+const I18n = require('../lib/i18n');
+
+module.exports = async (req, res) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200)
+      .setHeader('Access-Control-Allow-Origin', '*')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type')
+      .setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
+      .end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  // Rate limiting
+  const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'locale' });
+
+  if (!rateCheck.allowed) {
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: rateCheck.message,
+      retryAfter: rateCheck.retryAfter
+    });
+    return;
+  }
+
+  try {
+    const { locale, language } = I18n.requestLocale(req);
+    const { widget, kb } = I18n.messages(language);
+
+    // The copy only changes on deploy
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Vary', 'Accept-Language');
+
+    res.status(200).json({
+      success: true,
+      locale,
+      language,
+      defaultLocale: I18n.defaultLocale(),
+      supportedLocales: I18n.supportedLocales(),
+      strings: { widget, kb }
+    });
+  } catch (error) {
+    console.error('Locale API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Message Ingest API Endpoint
+ * Accepts one chat message or a batch in the shared message schema
+ * (see lib/message-schema.js) and reports a result per message
+ *
+ * POST /api/messages
+ *   { ...message }                 -> single result
+ *   { "messages": [ ... ] } or [ ] -> { accepted, failed, results: [{ index, status, errors? }] }
+ */
+
+const MessageIngest = require('../lib/message-ingest');
+const CustomerAuth = require('../lib/customer-auth');
+const rateLimiter = require('../lib/rate-limiter');
+const { requestLocale } = require('../lib/i18n');
+
+module.exports = async (req, res) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200)
+      .setHeader('Access-Control-Allow-Origin', '*')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Customer-Token')
+      .setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+      .end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  // sendBeacon posts JSON as text/plain to avoid a CORS preflight
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid JSON body' });
+      return;
+    }
+  }
+
+  const batch = Array.isArray(body) ? body : Array.isArray(body?.messages) ? body.messages : null;
+
+  // Rate limiting (a batch costs one token per message)
+  const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+  const cost = batch ? Math.min(Math.max(batch.length, 1), MessageIngest.MAX_BATCH_SIZE) : 1;
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'messages', cost });
+
+  if (!rateCheck.allowed) {
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: rateCheck.message,
+      retryAfter: rateCheck.retryAfter
+    });
+    return;
+  }
+
+  try {
+    const context = { identifier, customer: CustomerAuth.getCustomer(req), language: requestLocale(req).preferred };
+
+    if (!batch) {
+      const result = await MessageIngest.ingest(body, context);
+
+      res.status(MessageIngest.statusCode(result)).json({
+        success: MessageIngest.statusCode(result) === 200,
+        ...result
+      });
+      return;
+    }
+
+    if (batch.length === 0 || batch.length > MessageIngest.MAX_BATCH_SIZE) {
+      res.status(400).json({
+        error: 'Invalid batch',
+        message: `Send between 1 and ${MessageIngest.MAX_BATCH_SIZE} messages`
+      });
+      return;
+    }
+
+    const result = await MessageIngest.ingestBatch(batch, context);
+
+    res.status(200).json({
+      success: result.failed === 0,
+      ...result
+    });
+  } catch (error) {
+    console.error('Message ingest error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
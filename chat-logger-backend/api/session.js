@@ -1,17 +1,33 @@
 /**
  * Session Persistence API Endpoint
  * Handles chat session state for persistence across page loads
+ *
+ * GET    /api/session?sessionId=...
+ * POST   /api/session?sessionId=...  { conversationContext, messages, currentTopic, currentStep, ..., version?, lastUpdated?, strategy? }
+ * DELETE /api/session?sessionId=...
+ * GET    /api/session?action=list&limit=5  (customer token) - open conversations to resume
+ * A save with version (or lastUpdated) gets 409 and the stored session if it
+ * was saved elsewhere since - see lib/chat-sessions.js.
+ * Saving with a customer token links the session to the customer; linked
+ * sessions need that customer's token (401 without, 403 for another customer).
  */
 
-const Storage = require('../lib/storage');
+const ChatSessions = require('../lib/chat-sessions');
+const CustomerAuth = require('../lib/customer-auth');
 const rateLimiter = require('../lib/rate-limiter');
 
+// Responses for sessions the request may not use
+const ACCESS_ERRORS = {
+  unauthorized: [401, { error: 'Authentication required', message: 'This conversation belongs to a signed-in customer' }],
+  forbidden: [403, { error: 'Forbidden', message: 'You can only access your own conversations' }]
+};
+
 module.exports = async (req, res) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     res.status(200)
       .setHeader('Access-Control-Allow-Origin', '*')
-      .setHeader('Access-Control-Allow-Headers', 'Content-Type')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Customer-Token')
       .setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
       .end();
     return;
@@ -19,7 +35,7 @@ module.exports = async (req, res) => {
 
   // Rate limiting
   const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
-  const rateCheck = rateLimiter.checkRateLimit(identifier, { type: 'session' });
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'session' });
 
   if (!rateCheck.allowed) {
     res.status(429).json({
@@ -30,7 +46,12 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const { sessionId } = req.query;
+    const { sessionId, action } = req.query;
+
+    if (action === 'list') {
+      await handleList(req, res);
+      return;
+    }
 
     if (!sessionId) {
       res.status(400).json({
@@ -39,12 +60,16 @@ module.exports = async (req, res) => {
       return;
     }
 
+    const customer = CustomerAuth.getCustomer(req);
+
     switch (req.method) {
       case 'GET':
         // Retrieve session state
-        const session = await Storage.getSession(sessionId);
+        const found = await ChatSessions.get(sessionId, { customer });
 
-        if (!session) {
+        if (sendAccessError(res, found.status)) return;
+
+        if (found.status === 'missing') {
           res.status(404).json({
             error: 'Session not found',
             sessionId
@@ -54,36 +79,58 @@ module.exports = async (req, res) => {
 
         res.status(200).json({
           success: true,
-          session
+          session: found.session
         });
         break;
 
       case 'POST':
       case 'PUT':
-        // Save session state
-        const sessionData = req.body;
+        // Save session state (merging messages unless strategy is 'replace')
+        const result = await ChatSessions.save(sessionId, req.body, { customer });
+
+        if (sendAccessError(res, result.status)) return;
 
-        if (!sessionData) {
+        if (result.status === 'invalid') {
           res.status(400).json({
-            error: 'Session data required'
+            error: 'Invalid session data',
+            errors: result.errors
           });
           return;
         }
 
-        const savedSession = await Storage.saveSession(sessionId, sessionData);
+        if (result.status === 'conflict') {
+          res.status(409).json({
+            error: 'Session was changed elsewhere',
+            message: 'Merge with the current session and save again',
+            session: result.session
+          });
+          return;
+        }
 
         res.status(200).json({
           success: true,
-          session: savedSession,
+          session: result.session,
           message: 'Session saved'
         });
         break;
 
       case 'DELETE':
-        // Clear session (not implemented in Storage yet, but could be)
+        // Delete the session
+        const deleted = await ChatSessions.delete(sessionId, { customer });
+
+        if (sendAccessError(res, deleted.status)) return;
+
+        if (deleted.status === 'missing') {
+          res.status(404).json({
+            error: 'Session not found',
+            sessionId
+          });
+          return;
+        }
+
         res.status(200).json({
           success: true,
-          message: 'Session cleared',
+          message: 'Session deleted',
           sessionId
         });
         break;
@@ -101,3 +148,34 @@ module.exports = async (req, res) => {
     });
   }
 };
+
+/**
+ * List the signed-in customer's open conversations
+ */
+async function handleList(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const customer = CustomerAuth.requireCustomer(req, res);
+  if (!customer) return;
+
+  const sessions = await ChatSessions.listForCustomer(customer, { limit: req.query.limit });
+
+  res.status(200).json({
+    success: true,
+    sessions
+  });
+}
+
+/**
+ * Send 401/403 for a session the request may not use; returns whether it did
+ */
+function sendAccessError(res, status) {
+  if (!ACCESS_ERRORS[status]) return false;
+
+  const [statusCode, body] = ACCESS_ERRORS[status];
+  res.status(statusCode).json(body);
+  return true;
+}
@@ -5,13 +5,15 @@
 
 const ShopifyIntegration = require('../lib/shopify');
 const rateLimiter = require('../lib/rate-limiter');
+const CustomerAuth = require('../lib/customer-auth');
+const { requestLocale } = require('../lib/i18n');
 
 module.exports = async (req, res) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     res.status(200)
       .setHeader('Access-Control-Allow-Origin', '*')
-      .setHeader('Access-Control-Allow-Headers', 'Content-Type')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key, X-Customer-Token')
       .setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
       .end();
     return;
@@ -19,7 +21,7 @@ module.exports = async (req, res) => {
 
   // Rate limiting
   const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
-  const rateCheck = rateLimiter.checkRateLimit(identifier, { type: 'shopify' });
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'shopify' });
 
   if (!rateCheck.allowed) {
     res.status(429).json({
@@ -32,23 +34,27 @@ module.exports = async (req, res) => {
   try {
     const { action } = req.query;
 
-    // Initialize Shopify API
-    const shopify = new ShopifyIntegration({
-      shopDomain: req.body.shopDomain || req.query.shopDomain,
-      accessToken: process.env.SHOPIFY_ACCESS_TOKEN
-    });
+    // Signed-in customer (null for anonymous requests)
+    const customer = CustomerAuth.getCustomer(req);
+
+    // Always the configured shop (SHOPIFY_SHOP_DOMAIN): a domain from the
+    // request would receive the shop's access token
+    const shopify = new ShopifyIntegration();
 
     switch (action) {
       case 'lookup-order':
-        // Look up order by number
+        // Look up order by number (only the signed-in customer's own orders)
         const { orderNumber, customerEmail } = req.query;
 
+        if (!CustomerAuth.requireCustomer(req, res)) return;
+        if (!CustomerAuth.assertSameCustomer(customer, customerEmail, res)) return;
+
         if (!orderNumber) {
           res.status(400).json({ error: 'Order number required' });
           return;
         }
 
-        const orderResult = await shopify.lookupOrder(orderNumber, customerEmail);
+        const orderResult = await shopify.lookupOrder(orderNumber, customer.email);
         res.status(200).json(orderResult);
         break;
 
@@ -56,26 +62,24 @@ module.exports = async (req, res) => {
         // Get tracking information
         const { orderId } = req.query;
 
+        if (!CustomerAuth.requireCustomer(req, res)) return;
+
         if (!orderId) {
           res.status(400).json({ error: 'Order ID required' });
           return;
         }
 
-        const trackingResult = await shopify.getOrderTracking(orderId);
+        const trackingResult = await shopify.getOrderTracking(orderId, customer.email);
         res.status(200).json(trackingResult);
         break;
 
       case 'order-history':
         // Get customer's order history
-        const email = req.query.email;
-
-        if (!email) {
-          res.status(400).json({ error: 'Email required' });
-          return;
-        }
+        if (!CustomerAuth.requireCustomer(req, res)) return;
+        if (!CustomerAuth.assertSameCustomer(customer, req.query.email, res)) return;
 
         const historyResult = await shopify.getCustomerOrders(
-          email,
+          customer.email,
           parseInt(req.query.limit) || 10
         );
         res.status(200).json(historyResult);
@@ -83,18 +87,19 @@ module.exports = async (req, res) => {
 
       case 'subscriptions':
         // Get subscription information
-        if (!req.query.email) {
-          res.status(400).json({ error: 'Email required' });
-          return;
-        }
+        if (!CustomerAuth.requireCustomer(req, res)) return;
+        if (!CustomerAuth.assertSameCustomer(customer, req.query.email, res)) return;
 
-        const subscriptionResult = await shopify.getSubscriptions(req.query.email);
+        const subscriptionResult = await shopify.getSubscriptions(customer.email);
         res.status(200).json(subscriptionResult);
         break;
 
       case 'manage-subscription':
-        // Manage subscription (pause/cancel/update)
-        const { subscriptionAction, subscriptionId } = req.body;
+        // Manage subscription (pause/resume/skip/reschedule/updateFrequency/cancel)
+        const { subscriptionAction, subscriptionId, customerEmail: subscriberEmail } = req.body;
+
+        if (!CustomerAuth.requireCustomer(req, res)) return;
+        if (!CustomerAuth.assertSameCustomer(customer, subscriberEmail, res)) return;
 
         if (!subscriptionAction || !subscriptionId) {
           res.status(400).json({
@@ -106,22 +111,17 @@ module.exports = async (req, res) => {
         const manageResult = await shopify.manageSubscription(
           subscriptionAction,
           subscriptionId,
-          req.body.params || {}
+          { ...(req.body.params || {}), customerEmail: customer.email }
         );
         res.status(200).json(manageResult);
         break;
 
       case 'recommendations':
-        // Get product recommendations
-        const recEmail = req.query.email;
-
-        if (!recEmail) {
-          res.status(400).json({ error: 'Email required' });
-          return;
-        }
+        // Get product recommendations (personalized when signed in, popular products otherwise)
+        if (customer && !CustomerAuth.assertSameCustomer(customer, req.query.email, res)) return;
 
         const recommendationsResult = await shopify.getRecommendations(
-          recEmail,
+          customer?.email || null,
           {
             currentProduct: req.query.productId,
             context: req.query.context
@@ -151,37 +151,40 @@ module.exports = async (req, res) => {
         const guidedResult = await shopify.getGuidedRecommendations({
           concern,
           applicationMethod,
-          strength
+          strength,
+          language: requestLocale(req).language
         });
         res.status(200).json(guidedResult);
         break;
 
       case 'loyalty-points':
         // Get loyalty points
-        const loyaltyEmail = req.query.email;
+        if (!CustomerAuth.requireCustomer(req, res)) return;
+        if (!CustomerAuth.assertSameCustomer(customer, req.query.email, res)) return;
 
-        if (!loyaltyEmail) {
-          res.status(400).json({ error: 'Email required' });
-          return;
-        }
-
-        const pointsResult = await shopify.getLoyaltyPoints(loyaltyEmail);
+        const pointsResult = await shopify.getLoyaltyPoints(customer.email);
         res.status(200).json(pointsResult);
         break;
 
       case 'redeem-points':
         // Redeem loyalty points
+        // redemptionId is generated by the client so retries return the same code
         const { email: redeemEmail, points, rewardType } = req.body;
+        const redemptionId = req.body.redemptionId || req.headers['idempotency-key'];
+
+        if (!CustomerAuth.requireCustomer(req, res)) return;
+        if (!CustomerAuth.assertSameCustomer(customer, redeemEmail, res)) return;
 
-        if (!redeemEmail || !points) {
-          res.status(400).json({ error: 'Email and points required' });
+        if (!points || !redemptionId) {
+          res.status(400).json({ error: 'Points and redemptionId required' });
           return;
         }
 
         const redeemResult = await shopify.redeemPoints(
-          redeemEmail,
+          customer.email,
           parseInt(points),
-          rewardType
+          rewardType,
+          String(redemptionId)
         );
         res.status(200).json(redeemResult);
         break;
@@ -1,17 +1,45 @@
 /**
  * Suggestions & Quick Replies API Endpoint
  * Provides auto-complete suggestions and context-aware quick actions
+ *
+ * GET  /api/suggestions?action=autocomplete&input=...&limit=5&topic=<current topic>
+ * POST /api/suggestions?action=quick-replies  { lastIntent, email, sessionId }
+ * GET  /api/suggestions?action=follow-up&intent=...
+ * POST /api/suggestions?action=track  { events: [{ id, variant, event: 'impression' | 'click' }] }
+ * GET  /api/suggestions?action=prompt&state=initial|clarification|confirmation|completion
+ * shop, locale and sessionId (query or body) pick the catalogue's variants;
+ * without a locale the Accept-Language header (or DEFAULT_LOCALE) is used.
+ *
+ * Catalogue (admin or editor role, Authorization: Bearer <staff token>):
+ *   GET  /api/suggestions?action=admin-catalog&type=autocomplete|quick-reply|follow-up
+ *   POST /api/suggestions?action=admin-create  { type, text, ... }  (see lib/suggestion-catalog.js)
+ *   POST /api/suggestions?action=admin-update  { id, ...changes }
+ *   POST /api/suggestions?action=admin-delete|admin-reset  { id }
+ *   GET  /api/suggestions?action=admin-stats&from=YYYY-MM-DD&to=YYYY-MM-DD
+ *
+ * Autocomplete curation (admin role):
+ *   GET  /api/suggestions?action=admin-learned
+ *   POST /api/suggestions?action=admin-pin|admin-unpin|admin-ban|admin-unban  { text }
+ *   POST /api/suggestions?action=admin-rename  { text, newText }  (empty newText restores it)
+ *   POST /api/suggestions?action=admin-rebuild  (learn from the logs now)
  */
 
+const AdminAuth = require('../lib/admin-auth');
 const suggestionsEngine = require('../lib/suggestions');
+const SuggestionCatalog = require('../lib/suggestion-catalog');
 const rateLimiter = require('../lib/rate-limiter');
+const { requestLocale } = require('../lib/i18n');
+
+const EDITOR_ROLES = ['admin', 'editor'];
+const CATALOG_ACTIONS = ['admin-catalog', 'admin-create', 'admin-update', 'admin-delete', 'admin-reset', 'admin-stats'];
+const CURATION_ACTIONS = ['admin-pin', 'admin-unpin', 'admin-ban', 'admin-unban', 'admin-rename'];
 
 module.exports = async (req, res) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     res.status(200)
       .setHeader('Access-Control-Allow-Origin', '*')
-      .setHeader('Access-Control-Allow-Headers', 'Content-Type')
+      .setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
       .setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
       .end();
     return;
@@ -19,7 +47,7 @@ module.exports = async (req, res) => {
 
   // Rate limiting
   const identifier = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
-  const rateCheck = rateLimiter.checkRateLimit(identifier, { type: 'suggestions' });
+  const rateCheck = await rateLimiter.checkRateLimit(identifier, { type: 'suggestions' });
 
   if (!rateCheck.allowed) {
     res.status(429).json({
@@ -35,10 +63,10 @@ module.exports = async (req, res) => {
     switch (action) {
       case 'autocomplete':
         // Get auto-complete suggestions
-        const { input, limit } = req.query;
-        const context = req.body?.context || {};
+        const { input, limit, topic } = req.query;
+        const context = { ...req.body?.context, ...(topic ? { topic } : {}), ...getCatalogContext(req) };
 
-        const suggestions = suggestionsEngine.getSuggestions(
+        const suggestions = await suggestionsEngine.getSuggestions(
           input,
           parseInt(limit) || 5,
           context
@@ -52,8 +80,8 @@ module.exports = async (req, res) => {
         const quickRepliesContext = {
           lastIntent: req.query.lastIntent || req.body?.lastIntent,
           customerEmail: req.query.email || req.body?.email,
-          sessionId: req.query.sessionId || req.body?.sessionId,
-          conversationState: req.body?.conversationState
+          conversationState: req.body?.conversationState,
+          ...getCatalogContext(req)
         };
 
         const quickReplies = await suggestionsEngine.getQuickReplies(quickRepliesContext);
@@ -63,19 +91,111 @@ module.exports = async (req, res) => {
       case 'follow-up':
         // Get follow-up questions
         const { intent } = req.query;
-        const data = req.body?.data || {};
 
-        const followUps = suggestionsEngine.getFollowUpQuestions(intent, data);
+        const followUps = await suggestionsEngine.getFollowUpQuestions(intent, getCatalogContext(req));
         res.status(200).json({
           intent,
-          followUpQuestions: followUps
+          followUpQuestions: followUps.map(followUp => followUp.text),
+          followUps
+        });
+        break;
+
+      case 'track':
+        // Impressions and clicks of catalogue suggestions (anonymous counts)
+        if (req.method !== 'POST') {
+          res.status(405).json({ error: 'Method not allowed' });
+          return;
+        }
+
+        const tracked = await SuggestionCatalog.recordEvents(req.body?.events);
+        if (tracked.errors) {
+          res.status(400).json({ error: 'Invalid events', errors: tracked.errors });
+          return;
+        }
+
+        res.status(200).json({ success: true, ...tracked });
+        break;
+
+      case 'admin-catalog':
+        if (!AdminAuth.requireRole(req, res, EDITOR_ROLES)) return;
+
+        if (req.query.type && !SuggestionCatalog.TYPES.includes(req.query.type)) {
+          res.status(400).json({ error: 'Invalid type', validTypes: SuggestionCatalog.TYPES });
+          return;
+        }
+
+        const entries = await SuggestionCatalog.list({ type: req.query.type });
+        res.status(200).json({
+          success: true,
+          entries,
+          total: entries.length,
+          types: SuggestionCatalog.TYPES
+        });
+        break;
+
+      case 'admin-create':
+      case 'admin-update':
+      case 'admin-delete':
+      case 'admin-reset':
+        const editor = AdminAuth.requireRole(req, res, EDITOR_ROLES);
+        if (!editor) return;
+
+        if (req.method !== 'POST') {
+          res.status(405).json({ error: 'Method not allowed' });
+          return;
+        }
+
+        const body = req.body || {};
+        if (action !== 'admin-create' && !body.id) {
+          res.status(400).json({ error: 'id required' });
+          return;
+        }
+
+        const { id, ...changes } = body;
+        const edited = action === 'admin-create'
+          ? await SuggestionCatalog.create(body, editor)
+          : action === 'admin-update'
+            ? await SuggestionCatalog.update(id, changes, editor)
+            : action === 'admin-delete'
+              ? await SuggestionCatalog.remove(id, editor)
+              : await SuggestionCatalog.reset(id);
+
+        if (edited.notFound) {
+          res.status(404).json({ error: 'Entry not found' });
+          return;
+        }
+        if (edited.errors) {
+          res.status(400).json({ error: 'Invalid entry', errors: edited.errors });
+          return;
+        }
+
+        // Rebuild this instance's autocomplete now (others catch up within 5 minutes)
+        suggestionsEngine.invalidate();
+
+        res.status(action === 'admin-create' ? 201 : 200).json({ success: true, ...edited });
+        break;
+
+      case 'admin-stats':
+        if (!AdminAuth.requireRole(req, res, EDITOR_ROLES)) return;
+
+        const { range, error: rangeError } = SuggestionCatalog.parseRange(req.query);
+        if (rangeError) {
+          res.status(400).json({ error: rangeError });
+          return;
+        }
+
+        res.status(200).json({
+          success: true,
+          from: range.from,
+          to: range.to,
+          stats: await SuggestionCatalog.stats(range)
         });
         break;
 
       case 'prompt':
         // Get conversational prompts
         const { state } = req.query;
-        const prompt = suggestionsEngine.getConversationalPrompts(state || 'initial');
+        const prompt = suggestionsEngine.getConversationalPrompts(state || 'initial', getCatalogContext(req).locale);
 
         res.status(200).json({
           prompt,
@@ -83,10 +203,61 @@ module.exports = async (req, res) => {
         });
         break;
 
+      case 'admin-learned':
+        if (!AdminAuth.requireRole(req, res, ['admin'])) return;
+
+        res.status(200).json({
+          success: true,
+          ...await suggestionsEngine.getLearned()
+        });
+        break;
+
+      case 'admin-pin':
+      case 'admin-unpin':
+      case 'admin-ban':
+      case 'admin-unban':
+      case 'admin-rename':
+        const curator = AdminAuth.requireRole(req, res, ['admin']);
+        if (!curator) return;
+
+        if (req.method !== 'POST') {
+          res.status(405).json({ error: 'Method not allowed' });
+          return;
+        }
+
+        const result = await suggestionsEngine.curate(
+          action.replace('admin-', ''),
+          req.body?.text,
+          curator,
+          req.body?.newText
+        );
+
+        if (result.error) {
+          res.status(400).json({ error: result.error });
+          return;
+        }
+
+        res.status(200).json({ success: true, curation: result.curation });
+        break;
+
+      case 'admin-rebuild':
+        if (!AdminAuth.requireRole(req, res, ['admin'])) return;
+
+        if (req.method !== 'POST') {
+          res.status(405).json({ error: 'Method not allowed' });
+          return;
+        }
+
+        res.status(200).json({
+          success: true,
+          learned: await suggestionsEngine.learn()
+        });
+        break;
+
       default:
         res.status(400).json({
           error: 'Invalid action',
-          validActions: ['autocomplete', 'quick-replies', 'follow-up', 'prompt']
+          validActions: ['autocomplete', 'quick-replies', 'follow-up', 'prompt', 'track', ...CATALOG_ACTIONS, 'admin-learned', ...CURATION_ACTIONS, 'admin-rebuild']
         });
     }
   } catch (error) {
@@ -97,3 +268,18 @@ module.exports = async (req, res) => {
     });
   }
 };
+
+/**
+ * Helper: Shop, locale and session that pick the catalogue's variants
+ */
+function getCatalogContext(req) {
+  const body = req.body || {};
+  const { locale, preferred } = requestLocale(req);
+
+  return {
+    shop: req.query.shop || body.shop || body.shopDomain,
+    // The shopper's own locale, so merchant variants for languages without a bundle still apply
+    locale: preferred || locale,
+    sessionId: req.query.sessionId || body.sessionId
+  };
+}
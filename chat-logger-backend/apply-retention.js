@@ -0,0 +1,38 @@
+/**
+ * Retention Policy - Manual Run
+ *
+ * Applies the retention policy (see lib/retention.js) to the configured storage.
+ * The daily cron runs this automatically; use this script to preview or run it by hand.
+ *
+ * Usage:
+ *   node apply-retention.js --dry-run   # report what would be removed
+ *   node apply-retention.js             # apply the policy
+ */
+
+const RetentionPolicy = require('./lib/retention');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  console.log(`Applying retention policy${dryRun ? ' (dry run)' : ''}...`);
+
+  try {
+    const report = await RetentionPolicy.run({ dryRun });
+
+    Object.entries(report.summary).forEach(([dataClass, summary]) => {
+      console.log(`  ${dataClass.padEnd(18)} ${summary.retention.padEnd(28)} ${summary.artifacts} artifacts, ${summary.records} records`);
+    });
+
+    report.actions.forEach(action => {
+      console.log(`  - ${action.action} ${action.store}/${action.key} (${action.removed})`);
+    });
+
+    console.log(dryRun ? 'Dry run complete, nothing was changed' : 'Retention policy applied');
+    process.exit(0);
+  } catch (error) {
+    console.error('Failed to apply retention policy:', error);
+    process.exit(1);
+  }
+}
+
+main();
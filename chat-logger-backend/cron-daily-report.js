@@ -1,28 +1,40 @@
 /**
- * Daily Email Report - Cron Job Handler
+ * Daily Chat Digest - Cron Job Handler
  *
- * This script sends the daily email report of chat logs.
- * Run this daily via cron, GitHub Actions, or serverless cron (Vercel Cron, AWS EventBridge)
+ * Sends the daily chat digests that are due (see lib/digest.js for the
+ * per-shop schedules). Run this hourly via cron, GitHub Actions, or serverless
+ * cron (Vercel Cron, AWS EventBridge); each digest is only sent once.
  *
  * Usage:
- *   node cron-daily-report.js
+ *   node cron-daily-report.js                     # send digests that are due
+ *   node cron-daily-report.js --force             # send yesterday's digests now, even if already sent
+ *   node cron-daily-report.js --date 2026-10-18   # (re)send the digests for a given day
  *
  * Or schedule with crontab:
- *   0 9 * * * /usr/bin/node /path/to/cron-daily-report.js
+ *   0 * * * * /usr/bin/node /path/to/cron-daily-report.js
  */
 
 const { sendDailyReport } = require('./index');
 
 async function main() {
-  console.log('Starting daily chat log report...');
+  const args = process.argv.slice(2);
+  const dateIndex = args.indexOf('--date');
+  const date = dateIndex !== -1 ? args[dateIndex + 1] : null;
+
+  if (date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    console.error('--date must be YYYY-MM-DD');
+    process.exit(1);
+  }
+
+  console.log('Starting daily chat digest...');
   console.log('Time:', new Date().toISOString());
 
   try {
-    await sendDailyReport();
-    console.log('Daily report completed successfully');
+    await sendDailyReport({ force: args.includes('--force') || Boolean(date), date });
+    console.log('Daily digest run completed successfully');
     process.exit(0);
   } catch (error) {
-    console.error('Failed to send daily report:', error);
+    console.error('Failed to send daily digest:', error);
     process.exit(1);
   }
 }
@@ -0,0 +1,24 @@
+/**
+ * Admin Password Hash Generator
+ *
+ * Prints a bcrypt hash to paste into the ADMIN_USERS environment variable.
+ *
+ * Usage:
+ *   npm run hash-password -- <password>
+ */
+
+const AdminAuth = require('./lib/admin-auth');
+
+async function main() {
+  const password = process.argv[2];
+
+  if (!password) {
+    console.error('Usage: npm run hash-password -- <password>');
+    process.exit(1);
+  }
+
+  const hash = await AdminAuth.hashPassword(password);
+  console.log(hash);
+}
+
+main();
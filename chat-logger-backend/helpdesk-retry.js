@@ -0,0 +1,40 @@
+/**
+ * Helpdesk Dead Letters - Manual Retry
+ *
+ * Sends the support tickets the helpdesk connector couldn't create (see
+ * lib/helpdesk.js) again. Tickets that fail again go back on the dead-letter list.
+ *
+ * Usage:
+ *   node helpdesk-retry.js --dry-run   # report what would be sent
+ *   node helpdesk-retry.js             # send them
+ */
+
+const Helpdesk = require('./lib/helpdesk');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!process.env.HELPDESK_CONNECTOR) {
+    console.error('HELPDESK_CONNECTOR is not set');
+    process.exit(1);
+  }
+
+  console.log(`Retrying dead-lettered helpdesk tickets${dryRun ? ' (dry run)' : ''}...`);
+
+  try {
+    const summary = await Helpdesk.retryDeadLetters({ dryRun });
+
+    console.log(`  ${summary.retried} to send, ${summary.dropped} dropped (ticket deleted or already sent)`);
+    if (!dryRun) {
+      console.log(`  ${summary.created} created, ${summary.failed} failed again`);
+    }
+
+    console.log(dryRun ? 'Dry run complete, nothing was sent' : 'Retry complete');
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Failed to retry helpdesk tickets:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,217 @@
+/**
+ * Abuse Detector
+ * Scores chat messages against a weighted rule set loaded from JSON.
+ *
+ * The default rules live in lib/abuse-rules.json; point ABUSE_RULES_PATH at
+ * another file to replace them. Rule types:
+ *   url      - links to domains outside allowedDomains (and the shop's own domain)
+ *   keywords - phrases per language code, "*" applies to every language; the
+ *              default locale's phrases (DEFAULT_LOCALE) are always checked too,
+ *              since the language comes from the client
+ *   pattern  - regular expression ({ pattern, flags })
+ *   length   - messages longer than { max }
+ *   metadata - a metadata field { below } a number or { equals } a value
+ * Each matching rule adds its weight (per match with perMatch, capped at
+ * maxWeight). A session's recent scores add a decaying reputation penalty.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultLocale, languageOf } = require('./i18n');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'abuse-rules.json');
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)([^\s/?#<>"']+)/gi;
+
+class AbuseDetector {
+  constructor(ruleSet) {
+    this.threshold = ruleSet.threshold ?? 60;
+    this.allowedDomains = (ruleSet.allowedDomains || []).map(domain => domain.toLowerCase());
+    this.reputation = {
+      halfLifeMinutes: 30,
+      factor: 0.5,
+      maxPenalty: 40,
+      ...ruleSet.reputation
+    };
+    this.rules = (ruleSet.rules || []).map(rule => this._compile(rule)).filter(Boolean);
+  }
+
+  /**
+   * Load a rule set from a JSON file (ABUSE_RULES_PATH or the bundled defaults)
+   */
+  static loadRuleSet(file = process.env.ABUSE_RULES_PATH) {
+    // Required rather than read so serverless bundlers include the defaults
+    const defaults = require('./abuse-rules.json');
+    if (!file) return defaults;
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Invalid abuse rules at ${file}, using defaults:`, error.message);
+      return defaults;
+    }
+  }
+
+  /**
+   * Score a message. `reputation` is the session's current (already decayed)
+   * reputation score; it adds a penalty on top of the rule score.
+   */
+  evaluate(message, metadata = {}, reputation = 0) {
+    const text = String(message || '');
+    const matches = [];
+
+    this.rules.forEach(rule => {
+      const hits = this._matchCount(rule, text, metadata);
+      if (hits === 0) return;
+
+      const weight = rule.perMatch
+        ? Math.min(rule.weight * hits, rule.maxWeight ?? Infinity)
+        : rule.weight;
+      matches.push({ rule: rule.id, hits, weight });
+    });
+
+    const ruleScore = matches.reduce((sum, match) => sum + match.weight, 0);
+    const penalty = Math.min(this.reputation.maxPenalty, Math.round(reputation * this.reputation.factor));
+    const riskScore = Math.min(100, ruleScore + (ruleScore > 0 ? penalty : 0));
+
+    return {
+      suspicious: matches.length > 0,
+      violations: matches.map(match => match.rule),
+      matches,
+      ruleScore,
+      reputationPenalty: ruleScore > 0 ? penalty : 0,
+      riskScore,
+      reject: riskScore > this.threshold
+    };
+  }
+
+  /**
+   * Decay a reputation score for the time since it was last updated
+   */
+  decayReputation(score, updatedAt, now = Date.now()) {
+    if (!score || !updatedAt) return 0;
+
+    const halfLifeMs = this.reputation.halfLifeMinutes * 60 * 1000;
+    const decayed = score * Math.pow(0.5, Math.max(0, now - updatedAt) / halfLifeMs);
+    return decayed < 1 ? 0 : decayed;
+  }
+
+  /**
+   * How long a reputation entry is worth keeping (until it decays below 1)
+   */
+  reputationTtlMs(score) {
+    const halfLifeMs = this.reputation.halfLifeMinutes * 60 * 1000;
+    return Math.ceil(Math.max(1, Math.log2(Math.max(score, 2))) * halfLifeMs);
+  }
+
+  /**
+   * Private: Validate a rule and precompile its matcher (null if invalid)
+   */
+  _compile(rule) {
+    if (!rule || !rule.id || typeof rule.weight !== 'number') {
+      console.warn('Ignoring abuse rule without id or numeric weight:', rule && rule.id);
+      return null;
+    }
+
+    try {
+      switch (rule.type) {
+        case 'pattern':
+          return { ...rule, regex: new RegExp(rule.pattern, this._globalFlags(rule.flags)) };
+
+        case 'keywords':
+          const keywords = {};
+          Object.entries(rule.keywords || {}).forEach(([language, phrases]) => {
+            keywords[language.toLowerCase()] = phrases.map(phrase => keywordRegex(phrase));
+          });
+          return { ...rule, keywords };
+
+        case 'url':
+        case 'length':
+        case 'metadata':
+          return { ...rule };
+
+        default:
+          console.warn(`Ignoring abuse rule "${rule.id}" with unknown type "${rule.type}"`);
+          return null;
+      }
+    } catch (error) {
+      console.warn(`Ignoring abuse rule "${rule.id}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Private: Number of times a rule matches (0 = no match)
+   */
+  _matchCount(rule, text, metadata) {
+    switch (rule.type) {
+      case 'pattern':
+        return (text.match(rule.regex) || []).length;
+
+      case 'keywords':
+        return this._keywordLists(rule, metadata.language)
+          .reduce((count, regex) => count + (regex.test(text) ? 1 : 0), 0);
+
+      case 'url':
+        return Array.from(text.matchAll(URL_PATTERN))
+          .filter(match => !this._isAllowedHost(match[1], metadata.shopDomain))
+          .length;
+
+      case 'length':
+        return text.length > rule.max ? 1 : 0;
+
+      case 'metadata':
+        const value = metadata[rule.field];
+        if (value === undefined || value === null) return 0;
+        if (rule.below !== undefined) return Number(value) < rule.below ? 1 : 0;
+        return value === rule.equals ? 1 : 0;
+
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Private: Keyword regexes for a language ("*", the default locale's and
+   * that language's, or every list if unknown)
+   */
+  _keywordLists(rule, language) {
+    const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+
+    if (code && rule.keywords[code]) {
+      const codes = [...new Set(['*', languageOf(defaultLocale()), code])];
+      return codes.flatMap(listCode => rule.keywords[listCode] || []);
+    }
+
+    return Object.values(rule.keywords).flat();
+  }
+
+  /**
+   * Private: Check a URL host against the allow-list and the shop's own domain
+   */
+  _isAllowedHost(host, shopDomain) {
+    const hostname = host.toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+    const allowed = shopDomain ? [...this.allowedDomains, String(shopDomain).toLowerCase()] : this.allowedDomains;
+
+    return allowed.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  }
+
+  /**
+   * Private: Pattern rules are counted with matchAll semantics
+   */
+  _globalFlags(flags = '') {
+    return flags.includes('g') ? flags : `${flags}g`;
+  }
+}
+
+/**
+ * Helper: Case-insensitive whole-phrase matcher (Unicode-aware word boundaries)
+ */
+function keywordRegex(phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+AbuseDetector.DEFAULT_RULES_PATH = DEFAULT_RULES_PATH;
+
+module.exports = AbuseDetector;
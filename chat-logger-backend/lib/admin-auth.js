@@ -0,0 +1,188 @@
+/**
+ * Admin Authentication Module
+ * Issues and verifies JWTs for knowledge center and DAM staff.
+ *
+ * Accounts are configured in the ADMIN_USERS environment variable as JSON:
+ *   [{ "email": "owner@shop.com", "passwordHash": "$2a$10$...", "roles": ["admin"], "tags": ["vip"] }]
+ * Generate password hashes with: npm run hash-password -- <password>
+ */
+
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+const ROLES = ['admin', 'editor', 'affiliate', 'support'];
+
+// Content tags implied by each role (matches existing KB/DAM access tags)
+const ROLE_TAGS = {
+  admin: ['admin'],
+  editor: ['editor'],
+  affiliate: ['affiliate', 'affiliates'],
+  support: ['support']
+};
+
+const TOKEN_ISSUER = 'chat-logger-backend';
+
+// Compared against when the account doesn't exist so timing doesn't reveal valid emails
+const DUMMY_HASH = '$2a$10$M1KS1yCwUpY7D94gbmC3nO2PodUJjJz4pjVceroqft5xsy06Ywsry';
+
+class AdminAuth {
+  /**
+   * Check credentials and issue a token (null if invalid)
+   */
+  static async login(email, password) {
+    if (!email || !password) return null;
+
+    const user = this.findUser(email);
+    const valid = await bcrypt.compare(String(password), user?.passwordHash || DUMMY_HASH);
+
+    if (!user || !valid) return null;
+
+    return this.issueToken(user);
+  }
+
+  /**
+   * Issue a signed JWT carrying the user's roles and content tags
+   */
+  static issueToken(user) {
+    const roles = this._validRoles(user.roles);
+    const expiresIn = process.env.JWT_EXPIRES_IN || '8h';
+
+    const token = jwt.sign(
+      { roles, tags: user.tags || [] },
+      this._secret(),
+      { subject: user.email.toLowerCase(), issuer: TOKEN_ISSUER, expiresIn }
+    );
+
+    const { exp } = jwt.decode(token);
+
+    return {
+      token,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      user: { email: user.email.toLowerCase(), roles }
+    };
+  }
+
+  /**
+   * Verify a JWT and return the user it identifies (null if invalid or expired)
+   */
+  static verifyToken(token) {
+    if (!token) return null;
+
+    try {
+      const payload = jwt.verify(token, this._secret(), { issuer: TOKEN_ISSUER });
+      return {
+        email: payload.sub,
+        roles: this._validRoles(payload.roles),
+        tags: Array.isArray(payload.tags) ? payload.tags : []
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the verified staff user for a request (null if no valid Bearer token)
+   */
+  static getUser(req) {
+    const header = req.headers?.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? this.verifyToken(match[1].trim()) : null;
+  }
+
+  /**
+   * Get the verified user if they hold one of the roles, otherwise send 401/403
+   * (returns null when the response was sent)
+   */
+  static requireRole(req, res, roles) {
+    const user = this.getUser(req);
+
+    if (!user) {
+      res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Sign in via /api/auth and send the token as "Authorization: Bearer <token>"'
+      });
+      return null;
+    }
+
+    if (!this.hasRole(user, roles)) {
+      res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: `Requires role: ${roles.join(' or ')}`
+      });
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Check whether a user holds any of the given roles
+   */
+  static hasRole(user, roles) {
+    return !!user && user.roles.some(role => roles.includes(role));
+  }
+
+  /**
+   * Access tags for KB/DAM checks (role tags plus any extra tags on the account)
+   */
+  static tagsForUser(user) {
+    if (!user) return [];
+
+    const tags = new Set(user.tags);
+    user.roles.forEach(role => (ROLE_TAGS[role] || []).forEach(tag => tags.add(tag)));
+    return Array.from(tags);
+  }
+
+  /**
+   * Find a configured account by email
+   */
+  static findUser(email) {
+    const normalized = String(email).toLowerCase().trim();
+    return this._loadUsers().find(u => u.email.toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Hash a password for ADMIN_USERS
+   */
+  static hashPassword(password) {
+    return bcrypt.hash(String(password), 10);
+  }
+
+  /**
+   * Private: Parse ADMIN_USERS
+   */
+  static _loadUsers() {
+    if (!process.env.ADMIN_USERS) return [];
+
+    try {
+      const users = JSON.parse(process.env.ADMIN_USERS);
+      return Array.isArray(users) ? users.filter(u => u.email && u.passwordHash) : [];
+    } catch (error) {
+      console.error('Invalid ADMIN_USERS configuration:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Private: Keep only known roles
+   */
+  static _validRoles(roles) {
+    return (Array.isArray(roles) ? roles : []).filter(role => ROLES.includes(role));
+  }
+
+  /**
+   * Private: JWT signing secret
+   */
+  static _secret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+  }
+}
+
+AdminAuth.ROLES = ROLES;
+
+module.exports = AdminAuth;
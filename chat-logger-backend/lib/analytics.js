@@ -0,0 +1,495 @@
+/**
+ * Conversation Analytics
+ * Stores the events the widget collects (chat-enhancements.js) with the
+ * consent state each one was collected under, and aggregates them into
+ * reports: sessions per topic, the intents that lead to Contact Support, the
+ * topic step funnel, quick reply clicks, the sentiment trend and time on chat.
+ *
+ * Reports are computed from the events alone (the counters in the widget's
+ * snapshot are ignored) and are returned as rows, so they export to CSV.
+ * Report days are calendar days in TIMEZONE.
+ */
+
+const crypto = require('crypto');
+const Storage = require('./storage');
+const { labelFor } = require('./sentiment');
+const { localDate, parseDateRange } = require('./timezone');
+const { createRateLimitStore } = require('./rate-limit-stores');
+
+const MAX_EVENTS_PER_REQUEST = 200;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 92;
+
+// How long an event ID is remembered; older events are refused as they could be resends
+const DEDUP_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Clock skew allowed for client timestamps
+const MAX_FUTURE_MS = 5 * 60 * 1000;
+
+const MAX_DATA_KEYS = 20;
+const MAX_VALUE_LENGTH = 200;
+
+const EVENT_NAME_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const EVENT_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9.-]{1,255}$/;
+
+// Kept without analytics consent (the choice itself), but not tied to a session
+const CONSENT_EVENTS = ['consent_updated', 'consent_preferences_saved'];
+
+// Event data holding URLs: query strings and fragments can carry personal details
+const URL_FIELDS = ['url', 'referrer'];
+
+const CONSENT_STATES = ['granted', 'denied', 'unknown'];
+
+let dedupStore = null;
+
+const REPORTS = {
+  topics: {
+    description: 'Sessions that selected each topic, per day',
+    columns: ['date', 'topic', 'sessions', 'selections'],
+    build: (events, range) => {
+      const groups = new Map();
+
+      events.filter(event => event.name === 'topic_selected' && event.data.topic).forEach(event => {
+        const date = localDate(new Date(event.timestamp), range.timeZone);
+        const key = `${date}\n${event.data.topic}`;
+        const group = groups.get(key) || { date, topic: event.data.topic, sessions: new Set(), selections: 0 };
+
+        group.sessions.add(sessionKey(event));
+        group.selections++;
+        groups.set(key, group);
+      });
+
+      return Array.from(groups.values())
+        .map(group => ({ ...group, sessions: group.sessions.size }))
+        .sort((a, b) => a.date.localeCompare(b.date) || b.sessions - a.sessions);
+    }
+  },
+
+  'support-intents': {
+    description: 'The last detected intent before customers chose Contact Support',
+    columns: ['intent', 'contacts', 'sessions', 'share'],
+    build: events => {
+      const contacts = events.filter(event => event.name === 'contact_support');
+      const groups = new Map();
+
+      contacts.forEach(event => {
+        const intent = event.data.intent || 'none';
+        const group = groups.get(intent) || { intent, contacts: 0, sessions: new Set() };
+
+        group.contacts++;
+        group.sessions.add(sessionKey(event));
+        groups.set(intent, group);
+      });
+
+      return Array.from(groups.values())
+        .map(group => ({
+          intent: group.intent,
+          contacts: group.contacts,
+          sessions: group.sessions.size,
+          share: percent(group.contacts, contacts.length)
+        }))
+        .sort((a, b) => b.contacts - a.contacts);
+    }
+  },
+
+  funnel: {
+    description: 'Sessions reaching each step of a topic, from selection to the last step',
+    columns: ['topic', 'stage', 'sessions', 'fromStart', 'fromPrevious'],
+    build: events => {
+      const topics = new Map();
+
+      events.forEach(event => {
+        if (!['topic_selected', 'step_viewed'].includes(event.name) || !event.data.topic) return;
+
+        const topic = topics.get(event.data.topic) || { furthest: new Map(), steps: 0 };
+        const session = sessionKey(event);
+        const step = event.name === 'step_viewed' ? Number(event.data.step) || 0 : 0;
+
+        topic.furthest.set(session, Math.max(topic.furthest.get(session) || 0, step));
+        if (event.name === 'step_viewed' && Number(event.data.steps) > 0) {
+          // Latest definition wins if the topic's steps were edited
+          topic.steps = Number(event.data.steps);
+        }
+        topics.set(event.data.topic, topic);
+      });
+
+      const rows = [];
+      Array.from(topics.keys()).sort().forEach(name => {
+        const { furthest, steps } = topics.get(name);
+        const reached = step => Array.from(furthest.values()).filter(furthestStep => furthestStep >= step).length;
+
+        const stages = [['selected', furthest.size]];
+        for (let step = 1; step <= steps; step++) {
+          stages.push([`step ${step}`, reached(step)]);
+        }
+        if (steps > 0) stages.push(['completed', reached(steps)]);
+
+        stages.forEach(([stage, sessions], index) => {
+          rows.push({
+            topic: name,
+            stage,
+            sessions,
+            fromStart: percent(sessions, furthest.size),
+            fromPrevious: index === 0 ? 100 : percent(sessions, stages[index - 1][1])
+          });
+        });
+      });
+
+      return rows;
+    }
+  },
+
+  'quick-replies': {
+    description: 'Clicks on quick replies and quick action buttons',
+    columns: ['text', 'source', 'clicks', 'sessions'],
+    build: events => {
+      const groups = new Map();
+
+      events.filter(event => event.name === 'quick_reply_click' && event.data.text).forEach(event => {
+        const source = event.data.source || 'unknown';
+        const key = `${source}\n${event.data.text}`;
+        const group = groups.get(key) || { text: event.data.text, source, clicks: 0, sessions: new Set() };
+
+        group.clicks++;
+        group.sessions.add(sessionKey(event));
+        groups.set(key, group);
+      });
+
+      return Array.from(groups.values())
+        .map(group => ({ ...group, sessions: group.sessions.size }))
+        .sort((a, b) => b.clicks - a.clicks);
+    }
+  },
+
+  sentiment: {
+    description: 'Average sentiment of customer messages per day, with the change from the day before',
+    columns: ['date', 'messages', 'averageSentiment', 'change', 'positive', 'neutral', 'negative'],
+    build: (events, range) => {
+      const days = new Map();
+
+      events.forEach(event => {
+        if (event.name !== 'chat_message' || typeof event.data.sentiment !== 'number') return;
+        if (event.data.sender && event.data.sender !== 'user') return;
+
+        const date = localDate(new Date(event.timestamp), range.timeZone);
+        const day = days.get(date) || { date, messages: 0, total: 0, positive: 0, neutral: 0, negative: 0 };
+
+        day.messages++;
+        day.total += event.data.sentiment;
+        day[labelFor(event.data.sentiment)]++;
+        days.set(date, day);
+      });
+
+      let previous = null;
+      return Array.from(days.values())
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(({ total, ...day }) => {
+          const averageSentiment = round(total / day.messages, 2);
+          const change = previous === null ? null : round(averageSentiment - previous, 2);
+          previous = averageSentiment;
+          return { ...day, averageSentiment, change };
+        });
+    }
+  },
+
+  overview: {
+    description: 'Sessions, events, chat messages and average active time on chat per day',
+    columns: ['date', 'sessions', 'events', 'chatMessages', 'averageActiveSeconds'],
+    build: (events, range) => {
+      const days = new Map();
+
+      events.forEach(event => {
+        const date = localDate(new Date(event.timestamp), range.timeZone);
+        const day = days.get(date) || { date, sessions: new Set(), events: 0, chatMessages: 0, activeSeconds: new Map() };
+        const session = sessionKey(event);
+
+        day.sessions.add(session);
+        day.events++;
+        if (event.name === 'chat_message') day.chatMessages++;
+
+        // time_on_page reports the running total, so keep each session's latest
+        if (event.name === 'time_on_page' && typeof event.data.seconds === 'number') {
+          day.activeSeconds.set(session, Math.max(day.activeSeconds.get(session) || 0, event.data.seconds));
+        }
+        days.set(date, day);
+      });
+
+      return Array.from(days.values())
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => {
+          const seconds = Array.from(day.activeSeconds.values());
+          return {
+            date: day.date,
+            sessions: day.sessions.size,
+            events: day.events,
+            chatMessages: day.chatMessages,
+            averageActiveSeconds: seconds.length
+              ? Math.round(seconds.reduce((sum, value) => sum + value, 0) / seconds.length)
+              : null
+          };
+        });
+    }
+  }
+};
+
+class Analytics {
+  /**
+   * Store the events of a widget snapshot
+   * snapshot: { sessionId, shopDomain, consent: { analytics, version }, events: [{ id, name, data, timestamp, sessionId, consent }] }
+   * Each event keeps the consent it carries (else the snapshot's). Without
+   * analytics consent only consent choices are kept, without the session;
+   * other events are dropped. Resent event IDs are ignored.
+   * Returns { status: 'ok', accepted, duplicates, dropped, invalid: [{ index, message }] }
+   * or { status: 'invalid', errors }
+   */
+  static async ingest(snapshot, context = {}) {
+    const now = context.now || new Date();
+
+    if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+      return { status: 'invalid', errors: [{ field: null, message: 'Body must be an object' }] };
+    }
+
+    const events = snapshot.events === undefined ? [] : snapshot.events;
+    if (!Array.isArray(events) || events.length > MAX_EVENTS_PER_REQUEST) {
+      return { status: 'invalid', errors: [{ field: 'events', message: `Must be an array of at most ${MAX_EVENTS_PER_REQUEST} events` }] };
+    }
+
+    const defaults = {
+      sessionId: snapshot.sessionId,
+      consent: snapshot.consent,
+      shopDomain: typeof snapshot.shopDomain === 'string' && SHOP_DOMAIN_PATTERN.test(snapshot.shopDomain.toLowerCase())
+        ? snapshot.shopDomain.toLowerCase()
+        : null
+    };
+
+    const result = { status: 'ok', accepted: 0, duplicates: 0, dropped: 0, invalid: [] };
+    const records = [];
+    const claimed = [];
+
+    for (let index = 0; index < events.length; index++) {
+      const { event, error } = normalizeEvent(events[index], defaults, now);
+
+      if (error) {
+        result.invalid.push({ index, message: error });
+        continue;
+      }
+
+      if (event.consent === 'denied' && !CONSENT_EVENTS.includes(event.name)) {
+        result.dropped++;
+        continue;
+      }
+
+      const dedupKey = `analytics:${event.sessionId || 'anonymous'}:${event.id}`;
+      if (!await this._claim(dedupKey)) {
+        result.duplicates++;
+        continue;
+      }
+      claimed.push(dedupKey);
+
+      if (event.consent === 'denied') event.sessionId = null;
+      records.push(event);
+    }
+
+    if (records.length > 0) {
+      try {
+        await Storage.recordAnalyticsEvents(records);
+      } catch (error) {
+        // Let the client's resend through
+        await Promise.all(claimed.map(key => this.dedupStore.release(key).catch(() => {})));
+        throw error;
+      }
+    }
+
+    result.accepted = records.length;
+    return result;
+  }
+
+  /**
+   * Parse a from/to (YYYY-MM-DD) range, defaulting to the last 30 days
+   * Returns { range } or { error } (see parseDateRange)
+   */
+  static parseRange(query = {}, now = new Date()) {
+    return parseDateRange(query, { now, defaultDays: DEFAULT_RANGE_DAYS, maxDays: MAX_RANGE_DAYS });
+  }
+
+  /**
+   * Available reports with their descriptions and columns
+   */
+  static listReports() {
+    return Object.entries(REPORTS).map(([name, { description, columns }]) => ({ name, description, columns }));
+  }
+
+  /**
+   * Build a report over a range
+   * filters: { consent (granted, denied or unknown; default all), shop }
+   * Returns { report, description, columns, rows } or null for an unknown report
+   */
+  static async report(name, range, filters = {}) {
+    const definition = Object.prototype.hasOwnProperty.call(REPORTS, name) ? REPORTS[name] : null;
+    if (!definition) return null;
+
+    const shop = filters.shop ? String(filters.shop).toLowerCase() : null;
+    const events = (await Storage.readAnalyticsEventsBetween(range.start, range.end))
+      .filter(event => !filters.consent || event.consent === filters.consent)
+      .filter(event => !shop || event.shopDomain === shop);
+
+    return {
+      report: name,
+      description: definition.description,
+      columns: definition.columns,
+      rows: definition.build(events, range)
+    };
+  }
+
+  /**
+   * A report as CSV (header row, then one line per row)
+   */
+  static toCsv(report) {
+    const lines = [report.columns, ...report.rows.map(row => report.columns.map(column => row[column]))];
+    return lines.map(values => values.map(csvValue).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Store used to remember event IDs (the rate limit store, shared across instances with KV)
+   */
+  static get dedupStore() {
+    if (!dedupStore) {
+      dedupStore = createRateLimitStore();
+    }
+    return dedupStore;
+  }
+
+  /**
+   * Private: Claim an event ID, failing open if the store is unreachable
+   */
+  static async _claim(key) {
+    try {
+      return await this.dedupStore.claim(key, DEDUP_TTL_MS);
+    } catch (error) {
+      console.error('Analytics de-duplication unavailable:', error.message);
+      return true;
+    }
+  }
+}
+
+/**
+ * Helper: Validate and normalize one event
+ * Returns { event } or { error }
+ */
+function normalizeEvent(input, defaults, now) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Event must be an object' };
+  }
+
+  if (typeof input.name !== 'string' || !EVENT_NAME_PATTERN.test(input.name)) {
+    return { error: 'name: required, lowercase letters, digits and _' };
+  }
+
+  if (input.id !== undefined && (typeof input.id !== 'string' || !EVENT_ID_PATTERN.test(input.id))) {
+    return { error: 'id: 1-64 letters, digits or _ . : -' };
+  }
+
+  const sessionId = input.sessionId === undefined ? defaults.sessionId : input.sessionId;
+  if (sessionId !== undefined && sessionId !== null && (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId))) {
+    return { error: 'sessionId: 1-128 letters, digits or _ . : -' };
+  }
+
+  // The widget sends epoch milliseconds; ISO strings are accepted too
+  const time = new Date(input.timestamp);
+  if (!['number', 'string'].includes(typeof input.timestamp) || isNaN(time.getTime())) {
+    return { error: 'timestamp: required, epoch milliseconds or ISO 8601' };
+  }
+  if (time.getTime() - now.getTime() > MAX_FUTURE_MS) {
+    return { error: 'timestamp: is in the future' };
+  }
+  if (now.getTime() - time.getTime() > DEDUP_TTL_MS) {
+    return { error: 'timestamp: older than 7 days' };
+  }
+
+  if (input.data !== undefined && (!input.data || typeof input.data !== 'object' || Array.isArray(input.data))) {
+    return { error: 'data: must be an object' };
+  }
+
+  const timestamp = time.toISOString();
+  const data = cleanData(input.data || {});
+  const consent = input.consent === undefined ? defaults.consent : input.consent;
+
+  return {
+    event: {
+      // Events from older widgets have no ID; resends of the same event hash alike
+      id: input.id || `h_${crypto.createHash('sha256').update(JSON.stringify([input.name, timestamp, data])).digest('hex').substring(0, 32)}`,
+      name: input.name,
+      sessionId: sessionId || null,
+      timestamp,
+      data,
+      consent: consentState(consent),
+      policyVersion: consent && typeof consent.version === 'string' ? consent.version.substring(0, 20) : null,
+      shopDomain: defaults.shopDomain,
+      receivedAt: now.toISOString()
+    }
+  };
+}
+
+/**
+ * Helper: Keep flat primitive data, trimming strings and URL parameters
+ */
+function cleanData(data) {
+  const cleaned = {};
+
+  Object.entries(data).slice(0, MAX_DATA_KEYS).forEach(([key, value]) => {
+    if (typeof value === 'string') {
+      const text = URL_FIELDS.includes(key) ? value.split(/[?#]/)[0] : value;
+      cleaned[key] = text.substring(0, MAX_VALUE_LENGTH);
+    } else if ((typeof value === 'number' && isFinite(value)) || typeof value === 'boolean' || value === null) {
+      cleaned[key] = value;
+    }
+  });
+
+  return cleaned;
+}
+
+/**
+ * Helper: granted/denied from the widget's consent state, unknown without one
+ */
+function consentState(consent) {
+  if (!consent || typeof consent !== 'object' || typeof consent.analytics !== 'boolean') return 'unknown';
+  return consent.analytics ? 'granted' : 'denied';
+}
+
+/**
+ * Helper: Key for counting distinct sessions (events kept without a session count on their own)
+ */
+function sessionKey(event) {
+  return event.sessionId || `event:${event.id}`;
+}
+
+/**
+ * Helper: Percentage to one decimal (0 when there's nothing to divide by)
+ */
+function percent(part, whole) {
+  return whole ? round((part / whole) * 100, 1) : 0;
+}
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Helper: One CSV field, quoted when needed; text that a spreadsheet would
+ * read as a formula is prefixed with '
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+Analytics.CONSENT_STATES = CONSENT_STATES;
+Analytics.MAX_EVENTS_PER_REQUEST = MAX_EVENTS_PER_REQUEST;
+
+module.exports = Analytics;
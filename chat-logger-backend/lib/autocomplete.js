@@ -0,0 +1,251 @@
+/**
+ * Autocomplete Index
+ * Mines the questions customers actually type from the chat logs and looks
+ * them up as they type (used by SuggestionsEngine, lib/suggestions.js).
+ *
+ * Mining only keeps text that is safe to show to other shoppers: messages are
+ * redacted again (lib/pii.js), anything that still carries a placeholder,
+ * long digit runs (order numbers, zip codes) or links is dropped, and a query
+ * must come from at least `minSessions` different sessions.
+ *
+ * Lookup is a prefix trie over every word start of each suggestion, searched
+ * with a bounded edit distance so "cancle my sub" still finds
+ * "I want to cancel my subscription".
+ */
+
+const { redactPii } = require('./pii');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Candidates kept per trie node (inserted best first)
+const TOP_PER_NODE = 20;
+
+const MIN_QUERY_LENGTH = 4;
+const MAX_QUERY_LENGTH = 80;
+const MAX_QUERY_WORDS = 12;
+
+// Widget intents -> suggestion categories
+const INTENT_CATEGORIES = [
+  [/^subscription_|^next_delivery$/, 'subscription'],
+  [/^order_/, 'order'],
+  [/^account_/, 'account'],
+  [/^product_/, 'products'],
+  [/^loyalty_/, 'loyalty'],
+  [/support|human|agent/, 'support']
+];
+
+/**
+ * Lowercase, accent-free, punctuation-free form used to match and group queries
+ */
+function normalizeQuery(text) {
+  return String(text == null ? '' : text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * A customer message as a displayable suggestion, or null when it can't be
+ * shown to other shoppers (PII, identifiers, links, too short or long)
+ */
+function cleanQuery(text) {
+  if (typeof text !== 'string') return null;
+
+  const redacted = redactPii(text).replace(/\s+/g, ' ').trim();
+  if (/\[[A-Z_]+\]/.test(redacted)) return null;
+  if (/\d{3,}/.test(redacted) || /https?:|www\.|@/i.test(redacted)) return null;
+  if (redacted.length < MIN_QUERY_LENGTH || redacted.length > MAX_QUERY_LENGTH) return null;
+
+  const key = normalizeQuery(redacted);
+  if (!/\p{L}/u.test(key) || key.split(' ').length > MAX_QUERY_WORDS) return null;
+
+  return redacted.charAt(0).toUpperCase() + redacted.slice(1);
+}
+
+/**
+ * Frequent customer queries from logged messages, most popular first.
+ * Popularity decays with age (halfLifeDays), so recent questions rank higher.
+ * options: { now, minSessions = 3, halfLifeDays = 14, maxQueries = 500 }
+ * Returns [{ key, text, count, sessions, weight, lastSeen, topic, category }]
+ */
+function mineQueries(messages, options = {}) {
+  const { now = new Date(), minSessions = 3, halfLifeDays = 14, maxQueries = 500 } = options;
+  const queries = new Map();
+
+  for (const message of messages) {
+    if (message.sender !== 'user') continue;
+
+    const text = cleanQuery(message.message);
+    if (!text) continue;
+
+    const key = normalizeQuery(text);
+    if (!queries.has(key)) {
+      queries.set(key, { key, forms: new Map(), sessions: new Set(), count: 0, weight: 0, lastSeen: null, topics: new Map(), intents: new Map() });
+    }
+
+    const query = queries.get(key);
+    const timestamp = new Date(message.timestamp);
+    const ageDays = Math.max(0, (now - timestamp) / DAY_MS) || 0;
+
+    query.count++;
+    query.weight += 0.5 ** (ageDays / halfLifeDays);
+    query.sessions.add(message.sessionId);
+    increment(query.forms, text);
+    if (message.topic && message.topic !== 'none') increment(query.topics, message.topic);
+    if (message.intent) increment(query.intents, message.intent);
+    if (!isNaN(timestamp) && (!query.lastSeen || timestamp > new Date(query.lastSeen))) {
+      query.lastSeen = timestamp.toISOString();
+    }
+  }
+
+  return [...queries.values()]
+    .filter(query => query.sessions.size >= minSessions)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, maxQueries)
+    .map(query => ({
+      key: query.key,
+      text: mostCommon(query.forms),
+      count: query.count,
+      sessions: query.sessions.size,
+      weight: Math.round(query.weight * 1000) / 1000,
+      lastSeen: query.lastSeen,
+      topic: mostCommon(query.topics),
+      category: categoryForIntent(mostCommon(query.intents))
+    }));
+}
+
+/**
+ * Suggestion category for a widget intent ('general' if unknown)
+ */
+function categoryForIntent(intent) {
+  if (!intent) return 'general';
+  const match = INTENT_CATEGORIES.find(([pattern]) => pattern.test(intent));
+  return match ? match[1] : 'general';
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(row[j - 1] + 1, previous[j] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Typos allowed for a query of this length
+ */
+function maxDistanceFor(query) {
+  if (query.length <= 3) return 0;
+  if (query.length <= 7) return 1;
+  return 2;
+}
+
+/**
+ * Prefix trie over the word starts of each suggestion. Items are inserted
+ * best first; each node keeps its first TOP_PER_NODE items, so a lookup never
+ * has to walk the subtree below the match.
+ */
+class SuggestionTrie {
+  constructor() {
+    this.root = createNode();
+    this.size = 0;
+  }
+
+  /**
+   * Index an item under its match keys (normalized phrases)
+   */
+  insert(item, keys) {
+    const ref = { item };
+    this.size++;
+
+    for (const key of new Set(keys)) {
+      const words = key.split(' ');
+
+      words.forEach((word, offset) => {
+        let node = this.root;
+        for (const char of words.slice(offset).join(' ')) {
+          if (!node.children.has(char)) node.children.set(char, createNode());
+          node = node.children.get(char);
+
+          if (node.items.length < TOP_PER_NODE && !node.items.some(entry => entry.ref === ref)) {
+            node.items.push({ ref, offset });
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Items whose indexed text starts (at a word) with something within
+   * maxDistance edits of the query.
+   * Returns [{ item, distance, offset }], closest first
+   */
+  search(query, maxDistance = maxDistanceFor(query)) {
+    const matches = new Map();
+    const firstRow = Array.from({ length: query.length + 1 }, (_, i) => i);
+
+    const collect = (node, distance) => {
+      node.items.forEach(({ ref, offset }) => {
+        const best = matches.get(ref);
+        if (!best || distance < best.distance || (distance === best.distance && offset < best.offset)) {
+          matches.set(ref, { item: ref.item, distance, offset });
+        }
+      });
+    };
+
+    // Rows of the edit distance table between the query and the path so far
+    const walk = (node, char, previousRow) => {
+      const row = [previousRow[0] + 1];
+      for (let i = 1; i <= query.length; i++) {
+        row[i] = Math.min(row[i - 1] + 1, previousRow[i] + 1, previousRow[i - 1] + (query[i - 1] === char ? 0 : 1));
+      }
+
+      if (row[query.length] <= maxDistance) collect(node, row[query.length]);
+      if (Math.min(...row) <= maxDistance) {
+        node.children.forEach((child, nextChar) => walk(child, nextChar, row));
+      }
+    };
+
+    this.root.children.forEach((child, char) => walk(child, char, firstRow));
+
+    return [...matches.values()].sort((a, b) => a.distance - b.distance || a.offset - b.offset);
+  }
+}
+
+function createNode() {
+  return { children: new Map(), items: [] };
+}
+
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+function mostCommon(map) {
+  let best = null;
+  map.forEach((count, key) => {
+    if (best === null || count > map.get(best)) best = key;
+  });
+  return best;
+}
+
+module.exports = {
+  SuggestionTrie,
+  normalizeQuery,
+  cleanQuery,
+  mineQueries,
+  categoryForIntent,
+  editDistance,
+  maxDistanceFor
+};
@@ -0,0 +1,363 @@
+/**
+ * Chat Sessions
+ * Saved widget state (conversation context and messages) behind /api/session,
+ * so a chat survives page loads.
+ *
+ * Every save bumps the session's version. A save can name the version (or
+ * lastUpdated) it was based on; if the session was saved since, it's refused
+ * as a conflict so two tabs don't overwrite each other. Saved messages are
+ * added to the stored ones by message ID (strategy 'merge', the default)
+ * unless the save asks to replace them. Sessions expire SESSION_TTL_HOURS
+ * after their last save (see Storage.getSession).
+ *
+ * A save with a customer token links the session to the customer's hashed
+ * ID, so they can list and resume it on another device. From then on only
+ * that customer can read, save or delete it. When a session that started
+ * anonymously is linked, the messages logged from it are added to the
+ * customer's chat history.
+ */
+
+const Storage = require('./storage');
+const GDPRCompliance = require('./gdpr');
+const { createRateLimitStore } = require('./rate-limit-stores');
+
+const STRATEGIES = ['merge', 'replace'];
+
+// Messages kept per session (oldest dropped first)
+const MAX_MESSAGES = 500;
+
+// Saves retried when a save without a precondition races another one
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Wait before re-reading a session another save holds, multiplied by the attempt number
+const RETRY_DELAY_MS = 100;
+
+// How long a save holds its session; covers one read-and-write
+const WRITE_CLAIM_TTL_MS = 10 * 1000;
+
+// Sessions remembered per customer (oldest link dropped first)
+const MAX_LINKED_SESSIONS = 20;
+
+// Characters of the last message shown when listing a customer's sessions
+const PREVIEW_LENGTH = 120;
+
+let claimStore = null;
+
+class ChatSessions {
+  /**
+   * Get a session
+   * context: { customer } - the customer verified from the request's token
+   * Returns { status: 'found' | 'missing' | 'unauthorized' | 'forbidden', session? }
+   * (missing covers expired sessions)
+   */
+  static async get(sessionId, context = {}) {
+    const session = await Storage.getSession(sessionId);
+    if (!session) return { status: 'missing' };
+
+    const access = accessStatus(session, context.customer);
+    return access ? { status: access } : { status: 'found', session };
+  }
+
+  /**
+   * Save a session's state
+   * input: { ...state, version, lastUpdated, strategy } - version or
+   * lastUpdated make the save conditional on the stored session (version 0
+   * = no session saved yet)
+   * context: { customer } - links the session to this customer
+   * Returns { status: 'saved' | 'conflict' | 'invalid' | 'unauthorized' |
+   * 'forbidden', session?, errors? } - a conflict carries the stored session
+   * (null if it's gone)
+   */
+  static async save(sessionId, input, context = {}) {
+    const validation = validateSave(input);
+    if (validation.errors.length > 0) {
+      return { status: 'invalid', errors: validation.errors };
+    }
+
+    // The link and creation time are the server's to set
+    const { version, lastUpdated, strategy = 'merge', customerHash, createdAt, ...state } = input;
+    const conditional = version !== undefined || lastUpdated !== undefined;
+    const { customer } = context;
+
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+      const current = await Storage.getSession(sessionId);
+
+      const access = accessStatus(current, customer);
+      if (access) return { status: access };
+
+      if (conditional && !matchesPrecondition(current, { version, lastUpdated })) {
+        return { status: 'conflict', session: current };
+      }
+
+      // Storage can't compare-and-set, so only one save per stored state goes through
+      const claimKey = `session:${sessionId}:${current ? current.lastUpdated : 'new'}`;
+      if (!await this._claim(claimKey)) {
+        if (conditional) {
+          return { status: 'conflict', session: await Storage.getSession(sessionId) };
+        }
+        // Give the save holding the claim time to write before merging into it
+        if (attempt < MAX_SAVE_ATTEMPTS) await sleep(RETRY_DELAY_MS * attempt);
+        continue;
+      }
+
+      let session;
+      try {
+        session = await Storage.saveSession(sessionId, {
+          ...mergeState(current, state, strategy),
+          ...(customer && { customerHash: Storage.hashCustomerId(customer.email) }),
+          createdAt: current?.createdAt || new Date().toISOString(),
+          version: (current?.version || 0) + 1
+        });
+      } catch (error) {
+        await this.claimStore.release(claimKey).catch(() => {});
+        throw error;
+      }
+
+      if (customer && !current?.customerHash) {
+        await this._link(customer, session);
+      }
+
+      return { status: 'saved', session };
+    }
+
+    return { status: 'conflict', session: await Storage.getSession(sessionId) };
+  }
+
+  /**
+   * Delete a session
+   * Returns { status: 'deleted' | 'missing' | 'unauthorized' | 'forbidden' }
+   */
+  static async delete(sessionId, context = {}) {
+    const session = await Storage.getSession(sessionId);
+    if (!session) return { status: 'missing' };
+
+    const access = accessStatus(session, context.customer);
+    if (access) return { status: access };
+
+    if (!await Storage.deleteSession(sessionId)) return { status: 'missing' };
+
+    // Let the session be created again straight away
+    await this.claimStore.release(`session:${sessionId}:new`).catch(() => {});
+
+    if (session.customerHash) {
+      const linked = await Storage.getCustomerSessionIds(context.customer.email);
+      await Storage.saveCustomerSessionIds(context.customer.email, linked.filter(id => id !== sessionId));
+    }
+
+    return { status: 'deleted' };
+  }
+
+  /**
+   * A signed-in customer's open conversations (unexpired sessions with
+   * messages), most recently saved first. Sessions that expired or were
+   * deleted are dropped from the customer's list.
+   * Returns [{ sessionId, lastUpdated, currentTopic, currentStep, messageCount, lastMessage }]
+   */
+  static async listForCustomer(customer, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit) || 5, 1), MAX_LINKED_SESSIONS);
+    const customerHash = Storage.hashCustomerId(customer.email);
+
+    const linked = await Storage.getCustomerSessionIds(customer.email);
+    const sessions = [];
+
+    for (const sessionId of linked) {
+      const session = await Storage.getSession(sessionId);
+      if (session && session.customerHash === customerHash) {
+        sessions.push(session);
+      }
+    }
+
+    if (sessions.length !== linked.length) {
+      await Storage.saveCustomerSessionIds(customer.email, sessions.map(session => session.sessionId));
+    }
+
+    return sessions
+      .filter(session => Array.isArray(session.messages) && session.messages.length > 0)
+      .sort((a, b) => b.lastUpdated.localeCompare(a.lastUpdated))
+      .slice(0, limit)
+      .map(summarize);
+  }
+
+  /**
+   * Shared claim store (the rate limit store)
+   */
+  static get claimStore() {
+    if (!claimStore) {
+      claimStore = createRateLimitStore();
+    }
+    return claimStore;
+  }
+
+  /**
+   * Private: Link a session to a customer: add it to their sessions and copy
+   * the messages logged from it before they signed in into their history
+   * (unless they've turned chat logging off)
+   */
+  static async _link(customer, session) {
+    const linked = await Storage.getCustomerSessionIds(customer.email);
+    await Storage.saveCustomerSessionIds(customer.email, [
+      ...linked.filter(id => id !== session.sessionId),
+      session.sessionId
+    ].slice(-MAX_LINKED_SESSIONS));
+
+    // Logged messages had consent when stored; the customer's own setting wins
+    const consented = await GDPRCompliance.hasChatLoggingConsent({
+      customerId: customer.email,
+      consent: { chatLogging: true }
+    });
+    if (!consented) return;
+
+    const since = new Date(Math.min(
+      new Date(session.createdAt).getTime(),
+      Date.now() - Storage.sessionTtlMs()
+    ));
+    const logged = (await Storage.readLogsBetween(since, new Date(Date.now() + 1000)))
+      .filter(entry => entry.sessionId === session.sessionId && !entry.customerId);
+
+    if (logged.length > 0) {
+      await Storage.addToCustomerHistory(customer.email, logged);
+    }
+  }
+
+  /**
+   * Private: Claim a write, failing open if the store is unreachable
+   */
+  static async _claim(key) {
+    try {
+      return await this.claimStore.claim(key, WRITE_CLAIM_TTL_MS);
+    } catch (error) {
+      console.error('Session write claims unavailable:', error.message);
+      return true;
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Helper: Check a save request. Returns { errors }
+ */
+function validateSave(input) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    fail('body', 'Session data must be an object');
+    return { errors };
+  }
+
+  if (input.version !== undefined && !(Number.isInteger(input.version) && input.version >= 0)) {
+    fail('version', 'Must be a whole number');
+  }
+  if (input.lastUpdated !== undefined && typeof input.lastUpdated !== 'string') {
+    fail('lastUpdated', 'Must be the lastUpdated timestamp of the stored session');
+  }
+  if (input.strategy !== undefined && !STRATEGIES.includes(input.strategy)) {
+    fail('strategy', `Must be one of: ${STRATEGIES.join(', ')}`);
+  }
+  if (input.messages !== undefined && !Array.isArray(input.messages)) {
+    fail('messages', 'Must be an array');
+  }
+  if (input.currentTopic !== undefined && input.currentTopic !== null &&
+      !(typeof input.currentTopic === 'string' && input.currentTopic.length <= 200)) {
+    fail('currentTopic', 'Must be a topic title of up to 200 characters, or null');
+  }
+  if (input.currentStep !== undefined && input.currentStep !== null &&
+      !(Number.isInteger(input.currentStep) && input.currentStep >= 0)) {
+    fail('currentStep', 'Must be a step index (0 or more), or null');
+  }
+
+  return { errors };
+}
+
+/**
+ * Helper: Why a customer (null when anonymous) can't use a session, or null
+ * if they can. Sessions linked to a customer are theirs alone.
+ */
+function accessStatus(session, customer) {
+  if (!session || !session.customerHash) return null;
+  if (!customer) return 'unauthorized';
+  return Storage.hashCustomerId(customer.email) === session.customerHash ? null : 'forbidden';
+}
+
+/**
+ * Helper: Whether the stored session is the one a conditional save was based on
+ */
+function matchesPrecondition(current, { version, lastUpdated }) {
+  if (!current) return version === 0 && lastUpdated === undefined;
+  if (version !== undefined && (current.version || 0) !== version) return false;
+  if (lastUpdated !== undefined && current.lastUpdated !== lastUpdated) return false;
+  return true;
+}
+
+/**
+ * Helper: The state to store. Merging keeps the stored fields the save
+ * doesn't send and appends messages whose ID isn't stored yet.
+ */
+function mergeState(current, state, strategy) {
+  const { version, lastUpdated, ...stored } = current || {};
+  const messages = strategy === 'merge'
+    ? mergeMessages(stored.messages || [], state.messages || [])
+    : state.messages || [];
+
+  return {
+    ...(strategy === 'merge' ? stored : {}),
+    ...state,
+    messages: messages.slice(-MAX_MESSAGES)
+  };
+}
+
+/**
+ * Helper: Stored messages followed by the new ones, each message ID once
+ */
+function mergeMessages(stored, incoming) {
+  const seen = new Set(stored.map(messageKey));
+
+  return [
+    ...stored,
+    ...incoming.filter(message => {
+      const key = messageKey(message);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+  ];
+}
+
+/**
+ * Helper: A message's ID, or its content for messages without one
+ */
+function messageKey(message) {
+  const id = message && (message.id || message.clientMessageId);
+  return id ? `id:${id}` : `content:${JSON.stringify(message)}`;
+}
+
+/**
+ * Helper: What a customer's list of conversations shows for a session
+ */
+function summarize(session) {
+  const last = session.messages[session.messages.length - 1] || {};
+  // Bot messages can be HTML (guide steps)
+  const text = String(last.text || last.message || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+  return {
+    sessionId: session.sessionId,
+    lastUpdated: session.lastUpdated,
+    currentTopic: session.currentTopic ?? session.conversationContext?.currentTopic ?? null,
+    currentStep: session.currentStep ?? null,
+    messageCount: session.messages.length,
+    lastMessage: {
+      sender: last.sender || null,
+      text: text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text,
+      timestamp: last.timestamp || null
+    }
+  };
+}
+
+ChatSessions.STRATEGIES = STRATEGIES;
+ChatSessions.MAX_MESSAGES = MAX_MESSAGES;
+ChatSessions.MAX_LINKED_SESSIONS = MAX_LINKED_SESSIONS;
+
+module.exports = ChatSessions;
@@ -0,0 +1,295 @@
+/**
+ * Conversations
+ * Reads logged chat sessions back for staff: summaries (topic, intents,
+ * sentiment, escalation, whether it was resolved), filters, full-text search
+ * and transcripts. Used by /api/conversations and the daily digest.
+ *
+ * Date ranges are calendar days in TIMEZONE.
+ */
+
+const Storage = require('./storage');
+const intentClassifier = require('./intent-classifier');
+const { analyzeSentiment, labelFor } = require('./sentiment');
+const { DATE_PATTERN, addDays, parseDateRange } = require('./timezone');
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 31;
+
+const QUESTION_LENGTH = 200;
+const PREVIEW_LENGTH = 120;
+const SNIPPET_LENGTH = 160;
+
+// Messages starting like this count as questions even without a "?"
+const QUESTION_START = /^(who|what|when|where|why|how|which|can|could|do|does|did|is|are|will|would|should)\b/i;
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+class Conversations {
+  /**
+   * Parse a from/to (YYYY-MM-DD) range, defaulting to the last 7 days
+   * Returns { range: { from, to, timeZone, start, end } } or { error }
+   */
+  static parseRange(query = {}, now = new Date()) {
+    return parseDateRange(query, { now, defaultDays: DEFAULT_RANGE_DAYS, maxDays: MAX_RANGE_DAYS });
+  }
+
+  /**
+   * Summaries of the sessions in a range that match the filters, newest first
+   * filters: { topic, intent, sentiment, identified, escalated, unresolved } -
+   * identified/escalated/unresolved are booleans, the others exact values
+   * Returns { sessions, total, page, limit, pages, facets: { topics, intents } }
+   */
+  static async list(range, filters = {}, paging = {}) {
+    const sessions = await this.loadSessions(range);
+    const matching = sessions.filter(session => this.matchesFilters(session.summary, filters));
+
+    const facets = { topics: new Set(), intents: new Set() };
+    sessions.forEach(({ summary }) => {
+      if (summary.topic !== 'none') facets.topics.add(summary.topic);
+      summary.intents.forEach(intent => facets.intents.add(intent));
+    });
+
+    const { items, ...pageInfo } = paginate(matching.map(session => publicSummary(session.summary)), paging);
+
+    return {
+      sessions: items,
+      ...pageInfo,
+      facets: {
+        topics: Array.from(facets.topics).sort(),
+        intents: Array.from(facets.intents).sort()
+      }
+    };
+  }
+
+  /**
+   * Full-text search across messages in a range
+   * Every word of the query must appear in the message (case and accent
+   * insensitive); "quoted phrases" must appear as written. Session filters
+   * apply as in list().
+   * Returns { hits: [{ sessionId, messageIndex, sender, timestamp, snippet, session }], total, page, limit, pages, query }
+   */
+  static async search(range, query, filters = {}, paging = {}) {
+    const terms = parseQuery(query);
+
+    const hits = [];
+    const sessions = terms.length > 0 ? await this.loadSessions(range) : [];
+    for (const session of sessions) {
+      if (!this.matchesFilters(session.summary, filters)) continue;
+
+      session.messages.forEach((message, messageIndex) => {
+        const text = normalize(message.message);
+        if (!terms.every(term => text.includes(term))) return;
+
+        hits.push({
+          sessionId: session.summary.sessionId,
+          messageIndex,
+          sender: message.sender,
+          timestamp: message.timestamp,
+          snippet: snippet(message.message, text.indexOf(terms[0])),
+          session: publicSummary(session.summary)
+        });
+      });
+    }
+
+    hits.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const { items, ...pageInfo } = paginate(hits, paging);
+
+    return { hits: items, ...pageInfo, query };
+  }
+
+  /**
+   * A session's summary and messages (null if not found)
+   * Looks around `date` (YYYY-MM-DD, the day it started) when given,
+   * otherwise through the default range.
+   */
+  static async getTranscript(sessionId, options = {}) {
+    const query = options.date && DATE_PATTERN.test(options.date)
+      ? { from: addDays(options.date, -1), to: addDays(options.date, 1) }
+      : {};
+    const { range, error } = this.parseRange(query, options.now);
+    if (error) return null;
+
+    const logs = (await Storage.readLogsBetween(range.start, range.end))
+      .filter(message => message.sessionId === sessionId);
+    if (logs.length === 0) return null;
+
+    const [session] = Storage._groupBySession(logs);
+
+    return {
+      session: publicSummary(this.summarizeSession(session)),
+      messages: session.messages.map(publicMessage)
+    };
+  }
+
+  /**
+   * Logged sessions in a range with their summaries, newest first
+   */
+  static async loadSessions(range) {
+    const logs = await Storage.readLogsBetween(range.start, range.end);
+
+    return Storage._groupBySession(logs)
+      .map(session => ({ summary: this.summarizeSession(session), messages: session.messages }))
+      .sort((a, b) => new Date(b.summary.startTime) - new Date(a.summary.startTime));
+  }
+
+  /**
+   * Classify a session's messages: intents, sentiment, escalation, resolution
+   * and the user's questions that went unanswered
+   */
+  static summarizeSession(session) {
+    const messages = session.messages;
+    const userMessages = [];
+    const unanswered = [];
+    let escalationReason = null;
+
+    messages.forEach((message, index) => {
+      if (message.sender === 'agent' && !escalationReason) {
+        escalationReason = 'Handed off to an agent';
+      }
+      if (message.metadata?.escalated === true && !escalationReason) {
+        escalationReason = 'Escalated';
+      }
+      if (message.sender !== 'user') return;
+
+      const intent = message.intent || intentClassifier.classifyWithKeywords(message.message).intent;
+      const next = messages.slice(index + 1).find(later => later.sender !== 'system');
+      const answered = Boolean(next && next.sender !== 'user');
+
+      if (intent === 'customer_support' && !escalationReason) {
+        escalationReason = 'Asked for a person';
+      }
+
+      const question = isQuestion(message.message);
+      userMessages.push({ text: message.message, intent, answered, question });
+
+      if (question && (!answered || intent === 'unclear')) {
+        unanswered.push(message.message.replace(/\s+/g, ' ').trim().substring(0, QUESTION_LENGTH));
+      }
+    });
+
+    const last = userMessages[userMessages.length - 1];
+    let unresolvedReason = null;
+    if (last && !last.answered) {
+      unresolvedReason = 'Last message got no reply';
+    } else if (last && last.question && last.intent === 'unclear') {
+      unresolvedReason = 'Last question was not understood';
+    }
+
+    const scores = userMessages.map(message => analyzeSentiment(message.text).score);
+    const customerId = messages.find(message => message.customerId)?.customerId;
+    const withShop = messages.find(message => message.metadata?.shopDomain || message.shopDomain);
+    const firstUser = userMessages[0];
+
+    return {
+      sessionId: session.sessionId,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      topic: session.topic || messages.find(message => message.topic)?.topic || 'none',
+      shopDomain: withShop ? withShop.metadata?.shopDomain || withShop.shopDomain : null,
+      messageCount: messages.length,
+      intents: userMessages.map(message => message.intent),
+      sentiment: scores.length ? labelFor(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      escalated: Boolean(escalationReason),
+      escalationReason,
+      unresolvedReason,
+      unanswered,
+      customerIdentified: Boolean(customerId),
+      // Stored customer IDs are either the email (daily logs) or already hashed (history)
+      customerHash: customerId ? (customerId.includes('@') ? Storage.hashCustomerId(customerId) : customerId) : null,
+      preview: firstUser ? firstUser.text.replace(/\s+/g, ' ').trim().substring(0, PREVIEW_LENGTH) : ''
+    };
+  }
+
+  /**
+   * Check a session summary against list/search filters
+   */
+  static matchesFilters(summary, filters = {}) {
+    if (filters.topic && summary.topic !== filters.topic) return false;
+    if (filters.intent && !summary.intents.includes(filters.intent)) return false;
+    if (filters.sentiment && summary.sentiment !== filters.sentiment) return false;
+    if (typeof filters.identified === 'boolean' && summary.customerIdentified !== filters.identified) return false;
+    if (typeof filters.escalated === 'boolean' && summary.escalated !== filters.escalated) return false;
+    if (typeof filters.unresolved === 'boolean' && Boolean(summary.unresolvedReason) !== filters.unresolved) return false;
+    return true;
+  }
+}
+
+/**
+ * Helper: Whether a message reads as a question
+ */
+function isQuestion(text) {
+  return text.includes('?') || QUESTION_START.test(text.trim());
+}
+
+/**
+ * Helper: Summary fields returned by the API (distinct intents, no question list)
+ */
+function publicSummary(summary) {
+  const { unanswered, intents, ...fields } = summary;
+  return { ...fields, intents: Array.from(new Set(intents)) };
+}
+
+/**
+ * Helper: Message fields returned by the API (no customer email or user agent)
+ */
+function publicMessage(message) {
+  return {
+    id: message.clientMessageId || null,
+    sender: message.sender,
+    message: message.message,
+    timestamp: message.timestamp,
+    topic: message.topic || null,
+    intent: message.intent || null
+  };
+}
+
+/**
+ * Helper: Lowercase and strip accents for matching
+ */
+function normalize(text) {
+  return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Helper: Split a query into normalized words and "quoted phrases"
+ */
+function parseQuery(query) {
+  const terms = [];
+  String(query || '').replace(/"([^"]+)"|(\S+)/g, (match, phrase, word) => {
+    const term = normalize(phrase || word).trim();
+    if (term) terms.push(term);
+    return '';
+  });
+  return terms;
+}
+
+/**
+ * Helper: Text around a match position
+ */
+function snippet(text, position) {
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  const start = Math.max(0, Math.min(position - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH));
+  const excerpt = text.substring(start, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '...' : ''}${excerpt}${start + SNIPPET_LENGTH < text.length ? '...' : ''}`;
+}
+
+/**
+ * Helper: One page of items with paging info
+ */
+function paginate(items, { page = 1, limit = 50 } = {}) {
+  const start = (page - 1) * limit;
+
+  return {
+    items: items.slice(start, start + limit),
+    total: items.length,
+    page,
+    limit,
+    pages: Math.ceil(items.length / limit)
+  };
+}
+
+Conversations.SENTIMENTS = SENTIMENTS;
+Conversations.MAX_RANGE_DAYS = MAX_RANGE_DAYS;
+
+module.exports = Conversations;
@@ -0,0 +1,160 @@
+/**
+ * Customer Authentication Module
+ * Verifies signed customer tokens issued by the storefront Liquid section.
+ *
+ * Token format: {customerId}.{expires}.{base64url(email)}.{signature}
+ * where signature = HMAC-SHA256(CUSTOMER_TOKEN_SECRET, "{customerId}|{email}|{expires}") in hex,
+ * email is lowercased and expires is a Unix timestamp in seconds.
+ *
+ * Sections that gate content on customer tags (KB articles, DAM) add the tags:
+ * {customerId}.{expires}.{base64url(email)}.{base64url(tags)}.{signature}
+ * where tags is customer.tags joined with "," and the signed payload is
+ * "{customerId}|{email}|{expires}|{tags}".
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_HEADER = 'x-customer-token';
+
+class CustomerAuth {
+  /**
+   * Verify a token string and return the customer it identifies (null if invalid or expired)
+   */
+  static verifyToken(token, secret = process.env.CUSTOMER_TOKEN_SECRET) {
+    if (!token || !secret || typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 4 && parts.length !== 5) return null;
+
+    const [customerId, expires, encodedEmail] = parts;
+    const encodedTags = parts.length === 5 ? parts[3] : null;
+    const signature = parts[parts.length - 1];
+
+    let email;
+    let tags = null;
+    try {
+      email = Buffer.from(encodedEmail, 'base64url').toString('utf8').toLowerCase().trim();
+      if (encodedTags !== null) {
+        tags = Buffer.from(encodedTags, 'base64url').toString('utf8');
+      }
+    } catch (error) {
+      return null;
+    }
+
+    if (!customerId || !email || !/^\d+$/.test(expires)) return null;
+
+    const expected = this.sign(customerId, email, expires, secret, tags);
+    if (!this._safeEqual(signature, expected)) return null;
+
+    if (parseInt(expires) * 1000 < Date.now()) return null;
+
+    return {
+      customerId: String(customerId),
+      email,
+      tags: this._parseTags(tags),
+      expiresAt: new Date(parseInt(expires) * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Compute the signature for a customer (same as the Liquid hmac_sha256 filter)
+   * tags: comma-joined customer tags, or null for a token without tags
+   */
+  static sign(customerId, email, expires, secret = process.env.CUSTOMER_TOKEN_SECRET, tags = null) {
+    const payload = `${customerId}|${email.toLowerCase().trim()}|${expires}`;
+
+    return crypto
+      .createHmac('sha256', secret)
+      .update(tags === null ? payload : `${payload}|${tags}`)
+      .digest('hex');
+  }
+
+  /**
+   * Issue a token (used for local testing and server-side integrations)
+   * tags: customer tags to carry in the token (omitted when null)
+   */
+  static issueToken(customerId, email, ttlSeconds = 86400, secret = process.env.CUSTOMER_TOKEN_SECRET, tags = null) {
+    const normalizedEmail = email.toLowerCase().trim();
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const encodedEmail = Buffer.from(normalizedEmail).toString('base64url');
+
+    if (tags === null) {
+      const signature = this.sign(customerId, normalizedEmail, expires, secret);
+      return `${customerId}.${expires}.${encodedEmail}.${signature}`;
+    }
+
+    const joinedTags = tags.join(',');
+    const signature = this.sign(customerId, normalizedEmail, expires, secret, joinedTags);
+    const encodedTags = Buffer.from(joinedTags).toString('base64url');
+
+    return `${customerId}.${expires}.${encodedEmail}.${encodedTags}.${signature}`;
+  }
+
+  /**
+   * Get the verified customer for a request (null for anonymous requests)
+   * Token is read from the X-Customer-Token header, then body/query customerToken
+   */
+  static getCustomer(req) {
+    const token = req.headers?.[TOKEN_HEADER] ||
+      req.body?.customerToken ||
+      req.query?.customerToken;
+
+    return this.verifyToken(token);
+  }
+
+  /**
+   * Get the verified customer or send 401 (returns null when the response was sent)
+   */
+  static requireCustomer(req, res) {
+    const customer = this.getCustomer(req);
+
+    if (!customer) {
+      res.status(401).json({
+        error: 'Authentication required',
+        message: 'A valid customer token is required for this request'
+      });
+      return null;
+    }
+
+    return customer;
+  }
+
+  /**
+   * Check that a client-supplied email (if any) belongs to the verified customer
+   * Sends 403 and returns false on mismatch
+   */
+  static assertSameCustomer(customer, email, res) {
+    if (email && email.toLowerCase().trim() !== customer.email) {
+      res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only access your own data'
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Helper: Tag list from the signed comma-joined tags
+   */
+  static _parseTags(tags) {
+    if (!tags) return [];
+    return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  /**
+   * Helper: Constant-time string comparison
+   */
+  static _safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+
+    if (bufferA.length !== bufferB.length) return false;
+    return crypto.timingSafeEqual(bufferA, bufferB);
+  }
+}
+
+CustomerAuth.TOKEN_HEADER = TOKEN_HEADER;
+
+module.exports = CustomerAuth;
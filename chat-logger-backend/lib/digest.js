@@ -0,0 +1,364 @@
+/**
+ * Daily Digest
+ * Builds the daily chat digest from the logged messages and the anonymous
+ * aggregates, renders it through lib/templates/daily-digest.* and emails it.
+ *
+ * A report day runs from midnight to midnight in the schedule's timezone.
+ * Schedules come from DIGEST_SCHEDULES as JSON keyed by shop domain ("*" for
+ * every shop):
+ *   {"*": {"recipients": ["ops@example.com"], "hour": 9, "timezone": "America/New_York"},
+ *    "wholesale.example.com": {"recipients": "b2b@example.com", "hour": 7}}
+ * Without it a single digest for every shop goes to EMAIL_TO at DIGEST_HOUR
+ * (default 9) in TIMEZONE. The cron runs hourly; each digest is sent once,
+ * on the first run at or after its hour.
+ */
+
+const Storage = require('./storage');
+const Conversations = require('./conversations');
+const { renderFile } = require('./template');
+const { sendMail } = require('./mailer');
+const { DEFAULT_TIMEZONE, localDate, localHour, startOfDay, addDays, isValidTimeZone } = require('./timezone');
+
+const DEFAULT_HOUR = 9;
+
+// How many entries each digest list shows
+const TOP_LIMIT = 10;
+const SESSION_LIST_LIMIT = 20;
+
+class DailyDigest {
+  /**
+   * Get the configured digest schedules
+   */
+  static getSchedules() {
+    const defaults = {
+      recipients: process.env.EMAIL_TO || 'caleb@wild-inc.com',
+      hour: process.env.DIGEST_HOUR || DEFAULT_HOUR,
+      timezone: process.env.TIMEZONE || DEFAULT_TIMEZONE
+    };
+
+    let configured = { '*': {} };
+    if (process.env.DIGEST_SCHEDULES) {
+      try {
+        configured = JSON.parse(process.env.DIGEST_SCHEDULES);
+      } catch (error) {
+        console.error('Invalid DIGEST_SCHEDULES configuration:', error.message);
+      }
+    }
+
+    return Object.entries(configured)
+      .filter(([, schedule]) => schedule && schedule.enabled !== false)
+      .map(([shop, schedule]) => this._normalizeSchedule(shop.toLowerCase(), { ...defaults, ...schedule }, defaults))
+      .filter(Boolean);
+  }
+
+  /**
+   * The report day before `now` in a timezone (or a given YYYY-MM-DD day)
+   * Returns { date, timeZone, start, end } with start/end as instants
+   */
+  static reportWindow(timeZone, now = new Date(), date = null) {
+    const reportDate = date || addDays(localDate(now, timeZone), -1);
+
+    return {
+      date: reportDate,
+      timeZone,
+      start: startOfDay(reportDate, timeZone),
+      end: startOfDay(addDays(reportDate, 1), timeZone)
+    };
+  }
+
+  /**
+   * Build the digest data for a report window and schedule
+   */
+  static async build(window, schedule) {
+    const logs = (await Storage.readLogsBetween(window.start, window.end))
+      .filter(message => matchesShop(message.metadata?.shopDomain || message.shopDomain, schedule.shop));
+
+    const sessions = Storage._groupBySession(logs).map(session => Conversations.summarizeSession(session));
+    const anonymous = await this._anonymousCounts(window, schedule.shop);
+
+    const topics = { ...anonymous.topics };
+    const intents = { ...anonymous.intents };
+    const questions = new Map();
+    const sentiment = { positive: 0, neutral: 0, negative: 0 };
+
+    sessions.forEach(session => {
+      increment(topics, session.topic);
+      session.intents.forEach(intent => increment(intents, intent));
+      if (session.sentiment) sentiment[session.sentiment]++;
+
+      session.unanswered.forEach(text => {
+        const key = text.toLowerCase();
+        const entry = questions.get(key) || { question: text, count: 0 };
+        entry.count++;
+        questions.set(key, entry);
+      });
+    });
+
+    const unresolved = sessions.filter(session => session.unresolvedReason);
+    const escalated = sessions.filter(session => session.escalated);
+    const rated = sentiment.positive + sentiment.neutral + sentiment.negative;
+    const loggedMessages = logs.length;
+
+    return {
+      shop: schedule.shop,
+      shopLabel: schedule.shop === '*' ? 'All shops' : schedule.shop,
+      date: window.date,
+      dateLabel: formatDate(window.date),
+      timeZone: window.timeZone,
+      totals: {
+        sessions: sessions.length,
+        messages: loggedMessages + anonymous.messages,
+        loggedMessages,
+        anonymousMessages: anonymous.messages,
+        avgMessagesPerSession: sessions.length ? (loggedMessages / sessions.length).toFixed(1) : '0.0'
+      },
+      topTopics: top(topics),
+      topIntents: top(intents),
+      sentiment: ['positive', 'neutral', 'negative'].map(label => ({
+        label,
+        count: sentiment[label],
+        percent: rated ? Math.round((sentiment[label] / rated) * 100) : 0
+      })),
+      unresolved: {
+        count: unresolved.length,
+        sessions: unresolved.slice(0, SESSION_LIST_LIMIT).map(session => this._sessionRow(session, session.unresolvedReason, window)),
+        more: Math.max(0, unresolved.length - SESSION_LIST_LIMIT)
+      },
+      escalated: {
+        count: escalated.length,
+        sessions: escalated.slice(0, SESSION_LIST_LIMIT).map(session => this._sessionRow(session, session.escalationReason, window)),
+        more: Math.max(0, escalated.length - SESSION_LIST_LIMIT)
+      },
+      unansweredQuestions: Array.from(questions.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_LIMIT),
+      hasTranscriptLinks: Boolean(process.env.TRANSCRIPT_VIEWER_URL),
+      isEmpty: loggedMessages + anonymous.messages === 0
+    };
+  }
+
+  /**
+   * Render a digest to an email { subject, html, text }
+   */
+  static render(digest) {
+    return {
+      subject: `Chat digest for ${digest.shopLabel} - ${digest.date}`,
+      html: renderFile('daily-digest.html', digest),
+      text: renderFile('daily-digest.txt', digest, { escape: false })
+    };
+  }
+
+  /**
+   * Send every digest that is due
+   * options: { now, force (ignore the hour and resend), date (YYYY-MM-DD report day) }
+   * Returns a result per schedule: { shop, date, status, recipients?, error? }
+   * where status is sent, empty, not-due, already-sent or failed
+   */
+  static async sendDue(options = {}) {
+    const { now = new Date(), force = false, date = null } = options;
+    const results = [];
+
+    for (const schedule of this.getSchedules()) {
+      const window = this.reportWindow(schedule.timezone, now, date);
+      const result = { shop: schedule.shop, date: window.date };
+      results.push(result);
+
+      try {
+        if (!force && !date && localHour(now, schedule.timezone) < schedule.hour) {
+          result.status = 'not-due';
+          continue;
+        }
+
+        const key = `${schedule.shop === '*' ? 'all' : schedule.shop}_${window.date}`;
+        if (!force && await Storage.getDigestRecord(key)) {
+          result.status = 'already-sent';
+          continue;
+        }
+
+        const digest = await this.build(window, schedule);
+
+        if (digest.isEmpty) {
+          result.status = 'empty';
+        } else {
+          const email = this.render(digest);
+          await sendMail({ to: schedule.recipients.join(', '), ...email });
+
+          result.status = 'sent';
+          result.recipients = schedule.recipients;
+        }
+
+        await Storage.saveDigestRecord(key, {
+          shop: schedule.shop,
+          date: window.date,
+          timeZone: window.timeZone,
+          status: result.status,
+          recipients: result.recipients || [],
+          totals: digest.totals
+        });
+      } catch (error) {
+        console.error(`Failed to send digest for ${schedule.shop} (${window.date}):`, error);
+        result.status = 'failed';
+        result.error = error.message;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Transcript viewer link for a session (null without TRANSCRIPT_VIEWER_URL)
+   */
+  static transcriptUrl(sessionId, date) {
+    const base = process.env.TRANSCRIPT_VIEWER_URL;
+    if (!base) return null;
+
+    const separator = base.includes('?') ? '&' : '?';
+    return `${base}${separator}sessionId=${encodeURIComponent(sessionId)}&date=${date}`;
+  }
+
+  /**
+   * Private: Validate a schedule, falling back to the defaults for bad values
+   */
+  static _normalizeSchedule(shop, schedule, defaults) {
+    const recipients = (Array.isArray(schedule.recipients) ? schedule.recipients : String(schedule.recipients || '').split(','))
+      .map(address => String(address).trim())
+      .filter(Boolean);
+
+    if (recipients.length === 0) {
+      console.warn(`Ignoring digest schedule for "${shop}" without recipients`);
+      return null;
+    }
+
+    let timezone = schedule.timezone;
+    if (!isValidTimeZone(timezone)) {
+      console.warn(`Invalid digest timezone "${timezone}" for "${shop}", using ${defaults.timezone}`);
+      timezone = isValidTimeZone(defaults.timezone) ? defaults.timezone : DEFAULT_TIMEZONE;
+    }
+
+    const hour = Number(schedule.hour);
+
+    return {
+      shop,
+      recipients,
+      timezone,
+      hour: Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_HOUR
+    };
+  }
+
+  /**
+   * Private: Row for a session list in the digest
+   */
+  static _sessionRow(session, reason, window) {
+    return {
+      sessionId: session.sessionId,
+      shortId: session.sessionId.length > 24 ? `${session.sessionId.substring(0, 24)}...` : session.sessionId,
+      startedAt: formatTime(session.startTime, window.timeZone),
+      topic: session.topic,
+      messageCount: session.messageCount,
+      reason,
+      link: this.transcriptUrl(session.sessionId, window.date)
+    };
+  }
+
+  /**
+   * Private: Anonymous (unlogged) message counts within the window
+   * Aggregates are kept in UTC hour buckets; days recorded before buckets
+   * existed only count towards the report day with the same date.
+   */
+  static async _anonymousCounts(window, shop) {
+    const counts = { messages: 0, topics: {}, intents: {} };
+    const allShops = shop === '*';
+
+    const day = new Date(Date.UTC(window.start.getUTCFullYear(), window.start.getUTCMonth(), window.start.getUTCDate()));
+    for (; day < window.end; day.setUTCDate(day.getUTCDate() + 1)) {
+      const date = day.toISOString().split('T')[0];
+      const aggregates = await Storage.getDailyAggregates(date);
+
+      if (!aggregates.hours || Object.keys(aggregates.hours).length === 0) {
+        if (allShops && date === window.date && aggregates.messages > 0) {
+          counts.messages += aggregates.messages;
+          mergeCounts(counts.topics, aggregates.topics);
+          mergeCounts(counts.intents, aggregates.intents);
+        }
+        continue;
+      }
+
+      Object.entries(aggregates.hours).forEach(([hour, bucket]) => {
+        const time = new Date(`${date}T${hour}:00:00.000Z`);
+        if (time < window.start || time >= window.end) return;
+
+        if (allShops) {
+          counts.messages += bucket.messages;
+          mergeCounts(counts.topics, bucket.topics);
+          mergeCounts(counts.intents, bucket.intents);
+        } else {
+          counts.messages += Object.entries(bucket.shops || {})
+            .filter(([domain]) => matchesShop(domain, shop))
+            .reduce((sum, [, count]) => sum + count, 0);
+        }
+      });
+    }
+
+    return counts;
+  }
+}
+
+/**
+ * Helper: Whether a message's shop domain belongs to a schedule's shop
+ */
+function matchesShop(domain, shop) {
+  if (shop === '*') return true;
+
+  const host = String(domain || '').toLowerCase();
+  return host === shop || host.endsWith(`.${shop}`);
+}
+
+/**
+ * Helper: Count a key (skipping the "none" placeholder)
+ */
+function increment(counts, key) {
+  if (!key || key === 'none') return;
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Helper: Add one set of counts to another (skipping "none")
+ */
+function mergeCounts(target, source = {}) {
+  Object.entries(source).forEach(([key, count]) => {
+    if (key === 'none') return;
+    target[key] = (target[key] || 0) + count;
+  });
+}
+
+/**
+ * Helper: Most frequent entries as [{ name, count }]
+ */
+function top(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_LIMIT)
+    .map(([name, count]) => ({ name, count }));
+}
+
+/**
+ * Helper: "Sunday, October 18, 2026" for a YYYY-MM-DD date
+ */
+function formatDate(date) {
+  return new Date(`${date}T12:00:00.000Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+/**
+ * Helper: Local time of day ("2:05 PM") for a timestamp
+ */
+function formatTime(timestamp, timeZone) {
+  return new Date(timestamp).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+}
+
+module.exports = DailyDigest;
@@ -4,8 +4,31 @@
  */
 
 const Storage = require('./storage');
+const knowledgeBase = require('./knowledge-base');
+const RetentionPolicy = require('./retention');
+const { sendMail } = require('./mailer');
 const crypto = require('crypto');
 
+// Current privacy policy version - bump when the policy text changes so
+// customers' consent records show which version they agreed to
+const PRIVACY_POLICY_VERSION = '1.0';
+
+// Requests that must be confirmed through an emailed one-time link
+const VERIFIED_ACTIONS = ['export', 'delete'];
+
+const REQUEST_EMAILS = {
+  export: {
+    subject: 'Confirm your data export request',
+    intro: 'We received a request to export the personal data we hold about you.',
+    button: 'Confirm export'
+  },
+  delete: {
+    subject: 'Confirm your data deletion request',
+    intro: 'We received a request to permanently delete the personal data we hold about you. This cannot be undone.',
+    button: 'Confirm deletion'
+  }
+};
+
 class GDPRCompliance {
   /**
    * Generate verification token for GDPR requests
@@ -30,6 +53,117 @@ class GDPRCompliance {
     return signature === expectedSignature;
   }
 
+  /**
+   * Start an export or deletion request that the customer confirms by email
+   * Persists the pending request and sends a one-time confirmation link
+   */
+  static async createVerificationRequest(email, action, options = {}) {
+    if (!VERIFIED_ACTIONS.includes(action)) {
+      throw new Error(`Unknown GDPR request action "${action}"`);
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const verification = this.generateVerificationToken(normalizedEmail);
+
+    await Storage.saveGdprRequest(this._requestId(verification.token), {
+      action,
+      email: normalizedEmail,
+      customerId: Storage.hashCustomerId(normalizedEmail),
+      signature: verification.signature,
+      expires: verification.expires,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      requestIp: options.ipAddress,
+      shopName: options.shopName,
+      contactEmail: options.contactEmail,
+      reason: options.reason
+    });
+
+    const link = `${options.confirmUrl}?action=confirm&token=${verification.token}`;
+    const content = REQUEST_EMAILS[action];
+
+    await sendMail({
+      to: normalizedEmail,
+      subject: content.subject,
+      html: `
+        <p>${content.intro}</p>
+        <p><a href="${link}">${content.button}</a></p>
+        <p>This link expires in 30 minutes and can only be used once.
+        If you didn't make this request, you can ignore this email.</p>
+      `,
+      text: `${content.intro}\n\n${content.button}: ${link}\n\n` +
+        'This link expires in 30 minutes and can only be used once. ' +
+        "If you didn't make this request, you can ignore this email."
+    });
+
+    return {
+      success: true,
+      status: 'pending',
+      action,
+      expiresAt: new Date(verification.expires).toISOString(),
+      message: 'We sent a confirmation link to your email address. It expires in 30 minutes.'
+    };
+  }
+
+  /**
+   * Check an emailed token without using it (for the confirmation page)
+   */
+  static async getPendingRequest(token) {
+    const { request, error } = await this._loadPendingRequest(token);
+
+    if (error) {
+      return { success: false, error };
+    }
+
+    return {
+      success: true,
+      action: request.action,
+      expiresAt: new Date(request.expires).toISOString()
+    };
+  }
+
+  /**
+   * Confirm an emailed token and perform the export or deletion
+   * The token is marked as used before the action runs so it can't be replayed
+   */
+  static async confirmRequest(token, options = {}) {
+    const { request, error } = await this._loadPendingRequest(token);
+
+    if (error) {
+      return { success: false, error };
+    }
+
+    await Storage.saveGdprRequest(request.id, {
+      ...request,
+      status: 'processing',
+      usedAt: new Date().toISOString()
+    });
+
+    const result = request.action === 'delete'
+      ? await this.requestDataDeletion(request.email, {
+        requireVerification: true,
+        verified: true,
+        verifiedBy: 'email',
+        ipAddress: options.ipAddress || request.requestIp,
+        reason: request.reason
+      })
+      : await this.requestDataExport(request.email, {
+        shopName: request.shopName,
+        contactEmail: request.contactEmail
+      });
+
+    // Keep the request for auditing, but not the email address
+    const { email, ...completed } = request;
+    await Storage.saveGdprRequest(request.id, {
+      ...completed,
+      status: result.success ? 'completed' : 'failed',
+      usedAt: new Date().toISOString(),
+      error: result.success ? undefined : result.message
+    });
+
+    return { ...result, action: request.action };
+  }
+
   /**
    * Handle data export request (GDPR Article 15 & 20)
    */
@@ -80,19 +214,55 @@ class GDPRCompliance {
         };
       }
 
-      // Delete all customer data
+      // Sessions are collected before anything is deleted, together with those a
+      // previous partial deletion could not remove from the Google Sheet
+      const sessionIds = [...new Set([
+        ...await Storage.findCustomerSessionIds(email),
+        ...await this._pendingSheetSessionIds(email)
+      ])];
+
+      // Delete all customer data (history, sessions, daily and archived logs)
       const result = await Storage.deleteCustomerData(email);
 
-      // Log deletion for compliance
-      await this._logDeletion(email, options);
+      // Delete KB analytics and Google Sheet rows tied to the customer
+      const artifacts = [
+        ...result.artifacts,
+        ...await this._deleteArtifacts('kb-analytics', () => knowledgeBase.deleteUserViews(email)),
+        ...await this._deleteArtifacts('google-sheet', () => this._deleteFromGoogleSheet(sessionIds), { sessionIds })
+      ];
+
+      const partial = artifacts.some(artifact => artifact.action === 'failed');
+      const receipt = {
+        customerId: result.customerId,
+        sessionCount: sessionIds.length,
+        artifacts,
+        partial,
+        completedAt: new Date().toISOString()
+      };
+
+      // Log deletion for compliance, including partial ones so a retry can finish them
+      await this._logDeletion(email, options, receipt);
+
+      if (partial) {
+        return {
+          success: false,
+          partial: true,
+          error: 'Deletion incomplete',
+          message: 'Your data was deleted from our systems, but some copies could not be removed yet. ' +
+            'Please submit your deletion request again to finish removing them.',
+          receipt
+        };
+      }
 
       return {
         success: true,
         message: 'All your data has been permanently deleted',
-        deletedAt: new Date().toISOString(),
+        deletedAt: receipt.completedAt,
+        receipt,
         gdpr: {
           article: '17 (Right to Erasure)',
-          retentionPeriod: 'Data deleted immediately, logs retained for 30 days for security'
+          retentionPeriod: 'Data deleted immediately, deletion records kept for security ' +
+            `(${RetentionPolicy.describe('gdprDeletionLogs')})`
         }
       };
     } catch (error) {
@@ -107,19 +277,29 @@ class GDPRCompliance {
 
   /**
    * Update consent preferences (GDPR Article 7)
+   * Every change is appended to a versioned consent history
    */
   static async updateConsent(email, consentData) {
     try {
+      const existing = await Storage.getCustomerData(email);
+      const history = existing.consentHistory || [];
+
+      const consent = {
+        chatLogging: consentData.chatLogging || false,
+        dataProcessing: consentData.dataProcessing || false,
+        marketing: consentData.marketing || false,
+        thirdPartySharing: consentData.thirdPartySharing || false,
+        version: history.length + 1,
+        policyVersion: consentData.policyVersion || PRIVACY_POLICY_VERSION,
+        source: consentData.source || 'api',
+        updatedAt: new Date().toISOString(),
+        ipAddress: consentData.ipAddress,
+        userAgent: consentData.userAgent
+      };
+
       const data = await Storage.storeCustomerData(email, {
-        gdprConsent: {
-          chatLogging: consentData.chatLogging || false,
-          dataProcessing: consentData.dataProcessing || false,
-          marketing: consentData.marketing || false,
-          thirdPartySharing: consentData.thirdPartySharing || false,
-          updatedAt: new Date().toISOString(),
-          ipAddress: consentData.ipAddress,
-          userAgent: consentData.userAgent
-        }
+        gdprConsent: consent,
+        consentHistory: [...history, consent]
       });
 
       return {
@@ -152,6 +332,9 @@ class GDPRCompliance {
           marketing: false,
           thirdPartySharing: false
         },
+        history: data.consentHistory || [],
+        currentPolicyVersion: PRIVACY_POLICY_VERSION,
+        policyUpToDate: data.gdprConsent?.policyVersion === PRIVACY_POLICY_VERSION,
         lastUpdated: data.updatedAt
       };
     } catch (error) {
@@ -163,10 +346,46 @@ class GDPRCompliance {
     }
   }
 
+  /**
+   * Check whether a chat message may be logged
+   * Identified customers: their stored consent (falling back to the payload flag
+   * until they have a stored record). Anonymous sessions: the payload opt-in flag.
+   */
+  static async hasChatLoggingConsent(message) {
+    const payloadConsent = message.consent?.chatLogging === true;
+
+    if (!message.customerId) {
+      return payloadConsent;
+    }
+
+    const data = await Storage.getCustomerData(message.customerId);
+    if (data.gdprConsent && typeof data.gdprConsent === 'object') {
+      return data.gdprConsent.chatLogging === true;
+    }
+
+    return payloadConsent;
+  }
+
+  /**
+   * Store a chat message if logging is consented, otherwise only count it
+   * in the anonymous daily aggregates
+   */
+  static async storeMessageWithConsent(message) {
+    const { consent, ...chatLog } = message;
+
+    if (await this.hasChatLoggingConsent(message)) {
+      return Storage.storeMessage(chatLog);
+    }
+
+    return Storage.recordAggregate(chatLog);
+  }
+
   /**
    * Generate privacy policy summary
    */
   static getPrivacyPolicySummary(shopInfo = {}) {
+    const retention = RetentionPolicy.getPolicy();
+
     return {
       dataController: shopInfo.name || 'Shop',
       contact: shopInfo.email || process.env.EMAIL_TO,
@@ -175,6 +394,7 @@ class GDPRCompliance {
         'Session identifiers (anonymous)',
         'Timestamps of interactions',
         'Topic selections and user preferences',
+        'Chat usage events such as steps viewed and buttons clicked (with analytics consent)',
         'Customer email (only if you sign in)'
       ],
       dataUsage: [
@@ -184,9 +404,15 @@ class GDPRCompliance {
         'Sending daily reports to shop owner'
       ],
       dataRetention: {
-        chatLogs: '30 days (then archived)',
-        customerHistory: 'Until deletion requested',
-        anonymousLogs: '90 days'
+        chatLogs: RetentionPolicy.describe('dailyLogs', retention),
+        customerHistory: RetentionPolicy.describe('customerHistory', retention),
+        anonymousLogs: RetentionPolicy.describe('archivedLogs', retention),
+        sessions: RetentionPolicy.describe('sessions', retention),
+        helpCenterViews: RetentionPolicy.describe('kbViews', retention),
+        deletionRecords: RetentionPolicy.describe('gdprDeletionLogs', retention),
+        abuseReports: RetentionPolicy.describe('abuseEvents', retention),
+        analyticsEvents: RetentionPolicy.describe('analyticsEvents', retention),
+        supportTickets: RetentionPolicy.describe('supportTickets', retention)
       },
       thirdParties: [
         {
@@ -198,7 +424,14 @@ class GDPRCompliance {
           name: 'Email Provider',
           purpose: 'Sending daily reports',
           dataShared: 'Aggregated chat statistics'
-        }
+        },
+        ...(process.env.HELPDESK_CONNECTOR ? [{
+          name: process.env.HELPDESK_CONNECTOR === 'email'
+            ? 'Email Provider'
+            : process.env.HELPDESK_CONNECTOR.charAt(0).toUpperCase() + process.env.HELPDESK_CONNECTOR.slice(1).toLowerCase(),
+          purpose: 'Handling support requests escalated from the chat',
+          dataShared: 'Support request transcript (redacted), email, order and subscription details if signed in'
+        }] : [])
       ],
       rights: [
         'Right to Access (Article 15)',
@@ -207,7 +440,7 @@ class GDPRCompliance {
         'Right to Data Portability (Article 20)',
         'Right to Withdraw Consent (Article 7)'
       ],
-      version: '1.0',
+      version: PRIVACY_POLICY_VERSION,
       lastUpdated: '2025-11-15'
     };
   }
@@ -256,27 +489,121 @@ class GDPRCompliance {
   }
 
   /**
-   * Private: Log deletion for compliance records
+   * Private: Storage ID for a verification token (the raw token is never stored)
+   */
+  static _requestId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Private: Load a pending request and check it is unused, unexpired and correctly signed
+   */
+  static async _loadPendingRequest(token) {
+    if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+      return { error: 'Invalid confirmation link' };
+    }
+
+    const request = await Storage.getGdprRequest(this._requestId(token));
+
+    if (!request) {
+      return { error: 'Invalid confirmation link' };
+    }
+
+    if (request.status === 'expired') {
+      return { error: 'This confirmation link has expired. Please submit a new request.' };
+    }
+
+    if (request.status !== 'pending') {
+      return { error: 'This confirmation link has already been used' };
+    }
+
+    if (!this.verifyToken(token, request.email, request.signature)) {
+      return { error: 'Invalid confirmation link' };
+    }
+
+    if (request.expires < Date.now()) {
+      const { email, ...expired } = request;
+      await Storage.saveGdprRequest(request.id, { ...expired, status: 'expired' });
+      return { error: 'This confirmation link has expired. Please submit a new request.' };
+    }
+
+    return { request };
+  }
+
+  /**
+   * Private: Remove the customer's sessions from the Google Sheets logger
+   * Skipped unless GOOGLE_SHEETS_LOGGER_URL and GOOGLE_SHEETS_DELETE_SECRET are set
    */
-  static async _logDeletion(email, options) {
-    const fs = require('fs').promises;
-    const path = require('path');
+  static async _deleteFromGoogleSheet(sessionIds) {
+    const url = process.env.GOOGLE_SHEETS_LOGGER_URL;
+    const secret = process.env.GOOGLE_SHEETS_DELETE_SECRET;
 
+    if (!url || !secret || sessionIds.length === 0) return [];
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' }, // Apps Script reads postData.contents
+      body: JSON.stringify({ action: 'delete-sessions', secret, sessionIds })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(`Google Sheet deletion failed: ${data.error || response.status}`);
+    }
+
+    return (data.sheets || []).map(sheet => ({
+      store: 'google-sheet',
+      key: sheet.name,
+      action: 'rewritten',
+      removed: sheet.removed
+    }));
+  }
+
+  /**
+   * Private: Run an external deletion step, recording a failure as an artifact
+   * instead of aborting the rest of the deletion
+   */
+  static async _deleteArtifacts(store, deleteFn, retry = {}) {
+    try {
+      return await deleteFn();
+    } catch (error) {
+      console.error(`GDPR deletion from ${store} failed:`, error);
+      return [{ store, key: null, action: 'failed', removed: 0, error: error.message, ...retry }];
+    }
+  }
+
+  /**
+   * Private: Session IDs left in the Google Sheet by the customer's last deletion
+   */
+  static async _pendingSheetSessionIds(email) {
+    const records = await Storage.getDeletionRecords(Storage.hashCustomerId(email));
+    const last = records[records.length - 1];
+    if (!last || !last.receipt) return [];
+
+    return last.receipt.artifacts
+      .filter(artifact => artifact.store === 'google-sheet' && artifact.action === 'failed')
+      .flatMap(artifact => artifact.sessionIds || []);
+  }
+
+  /**
+   * Private: Log deletion for compliance records
+   */
+  static async _logDeletion(email, options, receipt) {
     const logEntry = {
       email: Storage.hashCustomerId(email), // Store hashed only
       requestDate: new Date().toISOString(),
       requestIp: options.ipAddress,
       verified: options.verified,
-      reason: options.reason
+      verifiedBy: options.verifiedBy,
+      reason: options.reason,
+      receipt
     };
 
-    const logFile = path.join(
-      process.env.STORAGE_PATH || '/tmp/chat-logs',
-      'gdpr-deletions.jsonl'
-    );
-
-    await fs.appendFile(logFile, JSON.stringify(logEntry) + '\n');
+    await Storage.recordDeletion(logEntry);
   }
 }
 
+GDPRCompliance.PRIVACY_POLICY_VERSION = PRIVACY_POLICY_VERSION;
+
 module.exports = GDPRCompliance;
@@ -0,0 +1,385 @@
+/**
+ * Human Handoff
+ * Support tickets for conversations that need a person: the redacted chat
+ * transcript, topic and detected intent, routed to a queue. Customers follow
+ * up and poll for replies from the widget; agents answer from the inbox
+ * (handoff-admin.html).
+ *
+ * Statuses: open (waiting for an agent), pending (waiting for the customer),
+ * resolved (a new customer message reopens it).
+ *
+ * Tickets are also opened in the team's helpdesk when HELPDESK_CONNECTOR is
+ * set (lib/helpdesk.js). Changes to stored tickets go through
+ * Tickets.update (lib/tickets.js) so concurrent writers don't drop each
+ * other's messages.
+ *
+ * Queues are matched in order by intent or topic and can be configured with
+ * HANDOFF_QUEUES as JSON; the first queue without rules catches the rest:
+ *   {"billing": {"intents": ["subscription_payment"], "topics": ["Billing"]}, "general": {}}
+ */
+
+const crypto = require('crypto');
+const Storage = require('./storage');
+const Helpdesk = require('./helpdesk');
+const Tickets = require('./tickets');
+const { redactPii } = require('./pii');
+
+const STATUSES = ['open', 'pending', 'resolved'];
+
+const DEFAULT_QUEUES = {
+  subscriptions: {
+    intents: ['subscription_cancel', 'subscription_manage', 'subscription_info', 'subscription_payment', 'next_delivery']
+  },
+  orders: {
+    intents: ['order_tracking', 'order_status']
+  },
+  general: {}
+};
+
+const FALLBACK_QUEUE = 'general';
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+const TRANSCRIPT_SENDERS = ['user', 'bot', 'agent', 'system'];
+
+const MAX_TRANSCRIPT_MESSAGES = 100;
+const MAX_THREAD_MESSAGES = 200;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_FIELD_LENGTH = 100;
+
+class Handoff {
+  /**
+   * Configured queues (HANDOFF_QUEUES, else the defaults) in match order
+   */
+  static getQueues() {
+    if (!process.env.HANDOFF_QUEUES) return { ...DEFAULT_QUEUES };
+
+    try {
+      const queues = JSON.parse(process.env.HANDOFF_QUEUES);
+      if (!queues || typeof queues !== 'object' || Array.isArray(queues) || Object.keys(queues).length === 0) {
+        throw new Error('must be an object of queues');
+      }
+      return queues;
+    } catch (error) {
+      console.error('Invalid HANDOFF_QUEUES configuration:', error.message);
+      return { ...DEFAULT_QUEUES };
+    }
+  }
+
+  /**
+   * Queue for an intent and topic: the first whose rules match, else the
+   * first queue without rules
+   */
+  static routeQueue(intent, topic) {
+    const queues = Object.entries(this.getQueues());
+    const lowerTopic = (topic || '').toLowerCase();
+
+    const matched = queues.find(([, rules]) =>
+      (intent && (rules.intents || []).includes(intent)) ||
+      (lowerTopic && (rules.topics || []).some(name => String(name).toLowerCase() === lowerTopic))
+    );
+    if (matched) return matched[0];
+
+    const catchAll = queues.find(([, rules]) => !(rules.intents || []).length && !(rules.topics || []).length);
+    return catchAll ? catchAll[0] : FALLBACK_QUEUE;
+  }
+
+  /**
+   * Create a ticket from the widget
+   * input: { sessionId, topic, intent, shopDomain, transcript: [{ sender, message, timestamp }], message }
+   * customer: the verified customer (null for anonymous customers)
+   * Returns { ticket, ticketToken } - the token lets the widget read and
+   * follow up on the ticket and is only returned here - or { errors }
+   */
+  static async create(input, customer = null) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    if (!input || typeof input !== 'object') {
+      return { errors: [{ field: null, message: 'Body must be an object' }] };
+    }
+
+    if (typeof input.sessionId !== 'string' || !SESSION_ID_PATTERN.test(input.sessionId)) {
+      fail('sessionId', 'Required, 1-128 letters, digits or _ . : -');
+    }
+
+    const transcript = input.transcript === undefined ? [] : input.transcript;
+    if (!Array.isArray(transcript)) {
+      fail('transcript', 'Must be an array of messages');
+    }
+
+    ['topic', 'intent', 'shopDomain'].forEach(field => {
+      if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') {
+        fail(field, 'Must be a string');
+      }
+    });
+
+    if (input.message !== undefined && typeof input.message !== 'string') {
+      fail('message', 'Must be a string');
+    }
+
+    if (errors.length > 0) return { errors };
+
+    const now = new Date().toISOString();
+    const topic = clip(input.topic, MAX_FIELD_LENGTH);
+    const intent = clip(input.intent, MAX_FIELD_LENGTH);
+    const { token, tokenHash } = createTicketToken();
+
+    const ticket = {
+      id: `tkt_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'open',
+      queue: this.routeQueue(intent, topic),
+      topic,
+      intent,
+      sessionId: input.sessionId,
+      shopDomain: clip(input.shopDomain, 255),
+      customerHash: customer ? Storage.hashCustomerId(customer.email) : null,
+      customerEmail: customer ? customer.email : null,
+      assignee: null,
+      tokenHash,
+      // Last messages only, redacted like the chat logs
+      transcript: transcript.slice(-MAX_TRANSCRIPT_MESSAGES)
+        .filter(message => message && TRANSCRIPT_SENDERS.includes(message.sender) && typeof message.message === 'string')
+        .map(message => ({
+          sender: message.sender,
+          message: redactPii(message.message).substring(0, MAX_MESSAGE_LENGTH),
+          timestamp: isNaN(new Date(message.timestamp).getTime()) ? now : new Date(message.timestamp).toISOString()
+        })),
+      messages: [],
+      createdAt: now,
+      updatedAt: now,
+      resolvedAt: null,
+      version: 1
+    };
+
+    addThreadMessage(ticket, 'system', 'Support request created', null, now);
+    if (input.message && input.message.trim()) {
+      addThreadMessage(ticket, 'customer', customerText(input.message), null, now);
+    }
+
+    await Storage.saveTicket(ticket.id, ticket);
+
+    // Also open it in the team's helpdesk, if one is connected. One attempt
+    // only, so the customer isn't kept waiting: failures are dead-lettered for
+    // helpdesk-retry, and a retried request would only open a second ticket
+    await Helpdesk.escalate(ticket, { maxAttempts: 1 });
+
+    return { ticket, ticketToken: token };
+  }
+
+  /**
+   * Get a ticket (null if missing)
+   */
+  static async get(ticketId) {
+    return typeof ticketId === 'string' ? await Storage.getTicket(ticketId) : null;
+  }
+
+  /**
+   * Load a ticket for a customer: with its ticket token, or as the signed-in
+   * customer who opened it. Returns null when not found or not theirs.
+   */
+  static async getForCustomer(ticketId, { ticketToken, customer } = {}) {
+    const ticket = await this.get(ticketId);
+    if (!ticket) return null;
+
+    const tokenMatches = typeof ticketToken === 'string' && safeEqual(hashToken(ticketToken), ticket.tokenHash);
+    const customerMatches = customer && ticket.customerHash && Storage.hashCustomerId(customer.email) === ticket.customerHash;
+
+    return tokenMatches || customerMatches ? ticket : null;
+  }
+
+  /**
+   * Add a customer's follow-up message (reopens a pending or resolved ticket)
+   * Returns { ticket } or { error }
+   */
+  static async addCustomerMessage(ticket, text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return { error: 'message required' };
+    }
+
+    return await Tickets.update(ticket.id, current => {
+      if (current.messages.length >= MAX_THREAD_MESSAGES) {
+        return { error: 'This conversation is too long, please start a new request' };
+      }
+
+      if (current.status === 'resolved') {
+        addThreadMessage(current, 'system', 'Request reopened');
+        current.resolvedAt = null;
+      }
+
+      addThreadMessage(current, 'customer', customerText(text));
+      current.status = 'open';
+    });
+  }
+
+  /**
+   * Add an agent's reply; the ticket then waits for the customer unless a
+   * status is given. Unassigned tickets are assigned to the replying agent.
+   * Returns { ticket } or { error }
+   */
+  static async reply(ticketId, agent, text, options = {}) {
+    if (!await this.get(ticketId)) return { error: 'Ticket not found', notFound: true };
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return { error: 'message required' };
+    }
+
+    return await Tickets.update(ticketId, ticket => {
+      if (ticket.messages.length >= MAX_THREAD_MESSAGES) {
+        return { error: 'This conversation is too long' };
+      }
+
+      addThreadMessage(ticket, 'agent', text.trim().substring(0, MAX_MESSAGE_LENGTH), agent.email);
+      ticket.assignee = ticket.assignee || agent.email;
+      setStatus(ticket, options.status || 'pending');
+    });
+  }
+
+  /**
+   * Change a ticket's status, queue or assignee
+   * Returns { ticket } or { error }
+   */
+  static async update(ticketId, changes = {}) {
+    if (!await this.get(ticketId)) return { error: 'Ticket not found', notFound: true };
+
+    if (changes.status !== undefined && !STATUSES.includes(changes.status)) {
+      return { error: `status must be one of: ${STATUSES.join(', ')}` };
+    }
+    if (changes.queue !== undefined && !Object.keys(this.getQueues()).includes(changes.queue)) {
+      return { error: `queue must be one of: ${Object.keys(this.getQueues()).join(', ')}` };
+    }
+
+    return await Tickets.update(ticketId, ticket => {
+      if (changes.status) setStatus(ticket, changes.status);
+      if (changes.queue) ticket.queue = changes.queue;
+      if (changes.assignee !== undefined) ticket.assignee = changes.assignee || null;
+      ticket.updatedAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Tickets for the inbox, waiting longest first within each status
+   * filters: { status, queue, assignee }
+   */
+  static async inbox(filters = {}) {
+    const tickets = (await Storage.listTickets())
+      .filter(ticket => !filters.status || ticket.status === filters.status)
+      .filter(ticket => !filters.queue || ticket.queue === filters.queue)
+      .filter(ticket => !filters.assignee || ticket.assignee === filters.assignee);
+
+    const order = status => STATUSES.indexOf(status);
+    return tickets
+      .sort((a, b) => order(a.status) - order(b.status) || new Date(a.updatedAt) - new Date(b.updatedAt))
+      .map(ticket => this.summary(ticket));
+  }
+
+  /**
+   * Inbox row for a ticket
+   */
+  static summary(ticket) {
+    const last = ticket.messages[ticket.messages.length - 1];
+    const firstCustomer = ticket.transcript.find(message => message.sender === 'user');
+
+    return {
+      id: ticket.id,
+      status: ticket.status,
+      queue: ticket.queue,
+      topic: ticket.topic,
+      intent: ticket.intent,
+      assignee: ticket.assignee,
+      customerIdentified: Boolean(ticket.customerHash),
+      messageCount: ticket.messages.length,
+      preview: (last && last.from !== 'system' ? last.text : firstCustomer ? firstCustomer.message : '').substring(0, 120),
+      createdAt: ticket.createdAt,
+      updatedAt: ticket.updatedAt
+    };
+  }
+
+  /**
+   * A ticket as agents see it (everything but the token hash)
+   */
+  static agentView(ticket) {
+    const { tokenHash, ...fields } = ticket;
+    return fields;
+  }
+
+  /**
+   * A ticket as the customer sees it: status and thread, without agent
+   * emails; `after` limits messages to those with a higher seq (polling)
+   */
+  static customerView(ticket, after = 0) {
+    return {
+      id: ticket.id,
+      status: ticket.status,
+      queue: ticket.queue,
+      topic: ticket.topic,
+      createdAt: ticket.createdAt,
+      updatedAt: ticket.updatedAt,
+      messages: ticket.messages
+        .filter(message => message.seq > after)
+        .map(({ seq, from, text, timestamp }) => ({ seq, from, text, timestamp }))
+    };
+  }
+}
+
+/**
+ * Helper: Append to a ticket's thread (seq numbers let the widget poll for new messages)
+ */
+function addThreadMessage(ticket, from, text, author = null, timestamp = new Date().toISOString()) {
+  ticket.messages.push({
+    seq: ticket.messages.length + 1,
+    from,
+    author,
+    text,
+    timestamp
+  });
+  ticket.updatedAt = timestamp;
+}
+
+/**
+ * Helper: Set a status, noting resolution in the thread
+ */
+function setStatus(ticket, status) {
+  if (status === ticket.status) return;
+
+  if (status === 'resolved') {
+    ticket.resolvedAt = new Date().toISOString();
+    addThreadMessage(ticket, 'system', 'Request resolved');
+  } else if (ticket.status === 'resolved') {
+    ticket.resolvedAt = null;
+    addThreadMessage(ticket, 'system', 'Request reopened');
+  }
+  ticket.status = status;
+}
+
+/**
+ * Helper: Customer text for the thread - card numbers and SSNs are never
+ * kept, contact details are (the customer may be sharing them on purpose)
+ */
+function customerText(text) {
+  return redactPii(text.trim(), { keep: ['email', 'phone'] }).substring(0, MAX_MESSAGE_LENGTH);
+}
+
+function clip(value, length) {
+  return typeof value === 'string' && value.trim() ? value.trim().substring(0, length) : null;
+}
+
+/**
+ * Helper: A random ticket token and the hash that is stored
+ */
+function createTicketToken() {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+Handoff.STATUSES = STATUSES;
+
+module.exports = Handoff;
@@ -0,0 +1,221 @@
+/**
+ * Helpdesk Connector Base Class
+ * Shared HTTP handling and formatting for helpdesk adapters.
+ *
+ * Every connector takes the same escalation (see lib/helpdesk.js):
+ *   { ticketId, queue, topic, intent, sessionId, shopDomain, customerEmail,
+ *     createdAt, transcript: [{ sender, message, timestamp }],
+ *     thread: [{ from, text, timestamp }], order, subscriptions, inboxUrl }
+ * where order is { orderNumber, createdAt, financialStatus, fulfillmentStatus,
+ * total, currency, items: [{ name, quantity }] } and subscriptions have the
+ * subscription provider shape (lib/subscription-providers/base.js),
+ * and returns { externalId, url } for the ticket it created.
+ *
+ * fieldMap maps escalation fields to the helpdesk's custom fields, e.g.
+ *   { "intent": "360001234", "orderNumber": "360005678" }
+ */
+
+// Per-request timeout, so a hanging helpdesk can't hold the handoff request open
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Escalation fields that can be mapped to custom fields
+const MAPPABLE_FIELDS = [
+  'ticketId', 'queue', 'topic', 'intent', 'sessionId', 'shopDomain', 'customerEmail',
+  'orderNumber', 'orderStatus', 'fulfillmentStatus', 'subscriptionStatus', 'nextChargeDate'
+];
+
+class HelpdeskConnector {
+  constructor(config = {}) {
+    this.name = 'base';
+    this.label = 'Helpdesk';
+    this.baseUrl = config.baseUrl;
+    this.fieldMap = config.fieldMap || {};
+    this.defaultRequester = config.defaultRequester || process.env.HELPDESK_DEFAULT_REQUESTER || null;
+    this.timeoutMs = config.timeoutMs || parseInt(process.env.HELPDESK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Create a ticket for an escalation - overridden by each connector
+   */
+  async createTicket(escalation) {
+    throw new Error(`${this.label} connector does not implement createTicket`);
+  }
+
+  /**
+   * Make a JSON request to the helpdesk API. Errors carry the HTTP status and
+   * whether sending again could succeed (network errors, timeouts, 429 and 5xx).
+   */
+  async _request(endpoint, options = {}) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${endpoint}`, {
+        method: options.method || 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...this._authHeaders(),
+          ...options.headers
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      const networkError = new Error(error.name === 'TimeoutError'
+        ? `${this.label} API timed out after ${this.timeoutMs}ms`
+        : `${this.label} API unreachable: ${error.message}`);
+      networkError.retryable = true;
+      throw networkError;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`${this.label} API error: ${response.status} - ${await response.text()}`);
+      error.status = response.status;
+      error.retryable = response.status === 429 || response.status >= 500;
+      throw error;
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  }
+
+  /**
+   * Connector-specific authentication headers
+   */
+  _authHeaders() {
+    return {};
+  }
+
+  /**
+   * Basic auth header value
+   */
+  _basicAuth(user, password) {
+    return `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+  }
+
+  /**
+   * Requester email: the verified customer, else HELPDESK_DEFAULT_REQUESTER
+   * (required by helpdesks that can't take anonymous tickets)
+   */
+  _requester(escalation, required = true) {
+    const email = escalation.customerEmail || this.defaultRequester;
+
+    if (!email && required) {
+      const error = new Error(`${this.label} needs a requester email: set HELPDESK_DEFAULT_REQUESTER for anonymous customers`);
+      error.retryable = false;
+      throw error;
+    }
+
+    return email;
+  }
+
+  /**
+   * Mapped custom field values as [helpdesk field, value] pairs (empty values skipped)
+   */
+  _mappedFields(escalation) {
+    const values = fieldValues(escalation);
+
+    return Object.entries(this.fieldMap)
+      .filter(([source]) => values[source] !== null && values[source] !== undefined && values[source] !== '')
+      .map(([source, target]) => [target, values[source]]);
+  }
+
+  /**
+   * Tags for routing in the helpdesk
+   */
+  _tags(escalation) {
+    return ['chat-handoff', escalation.queue, escalation.intent]
+      .filter(Boolean)
+      .map(tag => String(tag).toLowerCase().replace(/[^a-z0-9_-]+/g, '_'));
+  }
+
+  /**
+   * Ticket subject, e.g. "Chat handoff: Billing (subscription payment)"
+   */
+  _subject(escalation) {
+    const about = escalation.topic || (escalation.intent ? escalation.intent.replace(/_/g, ' ') : 'General inquiry');
+    const detail = escalation.topic && escalation.intent ? ` (${escalation.intent.replace(/_/g, ' ')})` : '';
+    return `Chat handoff: ${about}${detail}`;
+  }
+
+  /**
+   * Plain-text ticket body: context, then the customer's messages, then the chat before the handoff
+   */
+  _formatText(escalation) {
+    const lines = [`Support request ${escalation.ticketId} from the chat widget (${escalation.queue} queue)`];
+
+    if (escalation.inboxUrl) lines.push(`Reply in the support inbox: ${escalation.inboxUrl}`);
+    lines.push('');
+    lines.push(`Customer: ${escalation.customerEmail || 'anonymous (not signed in)'}`);
+    if (escalation.topic) lines.push(`Topic: ${escalation.topic}`);
+    if (escalation.intent) lines.push(`Detected intent: ${escalation.intent}`);
+    if (escalation.shopDomain) lines.push(`Store: ${escalation.shopDomain}`);
+
+    if (escalation.order) {
+      const { order } = escalation;
+      lines.push('', 'Order:');
+      lines.push(`  ${order.orderNumber} - ${order.financialStatus || 'unknown'} / ${order.fulfillmentStatus || 'unfulfilled'} - ${order.total || ''} ${order.currency || ''}`.trimEnd());
+      (order.items || []).forEach(item => lines.push(`  ${item.quantity} x ${item.name}`));
+    }
+
+    if (escalation.subscriptions && escalation.subscriptions.length > 0) {
+      lines.push('', 'Subscriptions:');
+      escalation.subscriptions.forEach(subscription => {
+        lines.push(`  ${subscription.productTitle || subscription.id} - ${subscription.status}${subscription.frequencyLabel ? `, ${subscription.frequencyLabel}` : ''}${subscription.nextChargeDate ? `, next ${subscription.nextChargeDate}` : ''}`);
+      });
+    }
+
+    if (escalation.thread.length > 0) {
+      lines.push('', 'Customer messages:');
+      escalation.thread.forEach(message => lines.push(`[${message.from.toUpperCase()}] ${message.text}`));
+    }
+
+    if (escalation.transcript.length > 0) {
+      lines.push('', 'Chat before the handoff:');
+      escalation.transcript.forEach(message => lines.push(`[${message.sender.toUpperCase()}] ${message.message}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * HTML ticket body (the plain-text body, escaped)
+   */
+  _formatHtml(escalation) {
+    return `<pre style="white-space:pre-wrap;font-family:inherit">${escapeHtml(this._formatText(escalation))}</pre>`;
+  }
+}
+
+/**
+ * Helper: Flat values of the mappable fields
+ */
+function fieldValues(escalation) {
+  const order = escalation.order || {};
+  const subscription = (escalation.subscriptions || [])[0] || {};
+
+  return {
+    ticketId: escalation.ticketId,
+    queue: escalation.queue,
+    topic: escalation.topic,
+    intent: escalation.intent,
+    sessionId: escalation.sessionId,
+    shopDomain: escalation.shopDomain,
+    customerEmail: escalation.customerEmail,
+    orderNumber: order.orderNumber,
+    orderStatus: order.financialStatus,
+    fulfillmentStatus: order.fulfillmentStatus,
+    subscriptionStatus: subscription.status,
+    nextChargeDate: subscription.nextChargeDate
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+HelpdeskConnector.MAPPABLE_FIELDS = MAPPABLE_FIELDS;
+
+module.exports = HelpdeskConnector;
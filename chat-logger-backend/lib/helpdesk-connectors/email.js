@@ -0,0 +1,60 @@
+/**
+ * Email Helpdesk Connector
+ * Fallback for teams without a supported helpdesk: sends the escalation as a
+ * formatted email to HELPDESK_EMAIL_TO over the shared SMTP transport
+ * (lib/mailer.js). Templates: lib/templates/helpdesk-ticket.html / .txt
+ */
+
+const HelpdeskConnector = require('./base');
+const { renderFile } = require('../template');
+const { sendMail } = require('../mailer');
+
+class EmailConnector extends HelpdeskConnector {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'email';
+    this.label = 'Email';
+    this.to = config.to || process.env.HELPDESK_EMAIL_TO || process.env.EMAIL_TO;
+  }
+
+  /**
+   * Send the ticket email; replies go to the customer when they're signed in
+   */
+  async createTicket(escalation) {
+    if (!this.to) {
+      const error = new Error('Set HELPDESK_EMAIL_TO to send escalations by email');
+      error.retryable = false;
+      throw error;
+    }
+
+    const data = {
+      ...escalation,
+      subject: this._subject(escalation),
+      fields: this._mappedFields(escalation).map(([name, value]) => ({ name, value })),
+      thread: escalation.thread.map(message => ({ ...message, from: message.from.toUpperCase() })),
+      transcript: escalation.transcript.map(message => ({ ...message, sender: message.sender.toUpperCase() }))
+    };
+
+    let info;
+    try {
+      info = await sendMail({
+        to: this.to,
+        replyTo: escalation.customerEmail || undefined,
+        subject: `${data.subject} [${escalation.ticketId}]`,
+        html: renderFile('helpdesk-ticket.html', data),
+        text: renderFile('helpdesk-ticket.txt', data, { escape: false })
+      });
+    } catch (error) {
+      // Connection and 4xx/5xx SMTP failures are worth another try
+      error.retryable = !error.responseCode || error.responseCode >= 400;
+      throw error;
+    }
+
+    return {
+      externalId: info.messageId || escalation.ticketId,
+      url: null
+    };
+  }
+}
+
+module.exports = EmailConnector;
@@ -0,0 +1,56 @@
+/**
+ * Freshdesk Helpdesk Connector
+ * Creates tickets with the Freshdesk API v2
+ * https://developers.freshdesk.com/api/#create_ticket
+ */
+
+const HelpdeskConnector = require('./base');
+
+// Freshdesk enums
+const STATUS_OPEN = 2;
+const PRIORITY_LOW = 1;
+const SOURCE_CHAT = 7;
+
+class FreshdeskConnector extends HelpdeskConnector {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'freshdesk';
+    this.label = 'Freshdesk';
+    this.domain = config.domain || process.env.FRESHDESK_DOMAIN;
+    this.apiKey = config.apiKey || process.env.FRESHDESK_API_KEY;
+    this.baseUrl = config.baseUrl || `https://${this.domain}.freshdesk.com`;
+  }
+
+  /**
+   * Create an open chat-sourced ticket; mapped fields are custom field names (cf_...)
+   */
+  async createTicket(escalation) {
+    const ticket = await this._request('/api/v2/tickets', {
+      method: 'POST',
+      body: {
+        email: this._requester(escalation),
+        subject: this._subject(escalation),
+        description: this._formatHtml(escalation),
+        status: STATUS_OPEN,
+        priority: PRIORITY_LOW,
+        source: SOURCE_CHAT,
+        tags: this._tags(escalation),
+        custom_fields: Object.fromEntries(this._mappedFields(escalation))
+      }
+    });
+
+    return {
+      externalId: String(ticket.id),
+      url: `${this.baseUrl}/a/tickets/${ticket.id}`
+    };
+  }
+
+  /**
+   * Freshdesk takes the API key as the basic auth user
+   */
+  _authHeaders() {
+    return { 'Authorization': this._basicAuth(this.apiKey, 'X') };
+  }
+}
+
+module.exports = FreshdeskConnector;
@@ -0,0 +1,58 @@
+/**
+ * Gorgias Helpdesk Connector
+ * Creates tickets with the Gorgias REST API
+ * https://developers.gorgias.com/reference/create-ticket
+ */
+
+const HelpdeskConnector = require('./base');
+
+class GorgiasConnector extends HelpdeskConnector {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'gorgias';
+    this.label = 'Gorgias';
+    this.domain = config.domain || process.env.GORGIAS_DOMAIN;
+    this.email = config.email || process.env.GORGIAS_EMAIL;
+    this.apiKey = config.apiKey || process.env.GORGIAS_API_KEY;
+    this.baseUrl = config.baseUrl || `https://${this.domain}.gorgias.com`;
+  }
+
+  /**
+   * Create a ticket with the transcript as the customer's first message
+   */
+  async createTicket(escalation) {
+    const requester = this._requester(escalation);
+
+    const ticket = await this._request('/api/tickets', {
+      method: 'POST',
+      body: {
+        customer: { email: requester },
+        channel: 'api',
+        via: 'api',
+        subject: this._subject(escalation),
+        messages: [{
+          channel: 'api',
+          via: 'api',
+          from_agent: false,
+          sender: { email: requester },
+          subject: this._subject(escalation),
+          body_text: this._formatText(escalation),
+          body_html: this._formatHtml(escalation)
+        }],
+        tags: this._tags(escalation).map(name => ({ name })),
+        custom_fields: this._mappedFields(escalation).map(([id, value]) => ({ id: Number(id), value }))
+      }
+    });
+
+    return {
+      externalId: String(ticket.id),
+      url: `${this.baseUrl}/app/ticket/${ticket.id}`
+    };
+  }
+
+  _authHeaders() {
+    return { 'Authorization': this._basicAuth(this.email, this.apiKey) };
+  }
+}
+
+module.exports = GorgiasConnector;
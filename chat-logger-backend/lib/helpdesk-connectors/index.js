@@ -0,0 +1,30 @@
+/**
+ * Helpdesk Connector Factory
+ * Selects where escalations are sent from the HELPDESK_CONNECTOR environment variable.
+ * Returns null when no connector is configured.
+ */
+
+const CONNECTORS = {
+  zendesk: () => require('./zendesk'),
+  gorgias: () => require('./gorgias'),
+  freshdesk: () => require('./freshdesk'),
+  email: () => require('./email')
+};
+
+/**
+ * Create a helpdesk connector instance
+ */
+function createHelpdeskConnector(type = process.env.HELPDESK_CONNECTOR, config = {}) {
+  if (!type) return null;
+
+  const loader = CONNECTORS[type.toLowerCase()];
+
+  if (!loader) {
+    throw new Error(`Unknown helpdesk connector "${type}". Valid connectors: ${Object.keys(CONNECTORS).join(', ')}`);
+  }
+
+  const Connector = loader();
+  return new Connector(config);
+}
+
+module.exports = { createHelpdeskConnector, connectorTypes: Object.keys(CONNECTORS) };
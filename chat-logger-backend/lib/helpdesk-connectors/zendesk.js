@@ -0,0 +1,51 @@
+/**
+ * Zendesk Helpdesk Connector
+ * Creates tickets with the Zendesk Support API
+ * https://developer.zendesk.com/api-reference/ticketing/tickets/tickets/
+ */
+
+const HelpdeskConnector = require('./base');
+
+class ZendeskConnector extends HelpdeskConnector {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'zendesk';
+    this.label = 'Zendesk';
+    this.subdomain = config.subdomain || process.env.ZENDESK_SUBDOMAIN;
+    this.email = config.email || process.env.ZENDESK_EMAIL;
+    this.apiToken = config.apiToken || process.env.ZENDESK_API_TOKEN;
+    this.baseUrl = config.baseUrl || `https://${this.subdomain}.zendesk.com`;
+  }
+
+  /**
+   * Create a ticket; the transcript goes in as an internal note. Without a
+   * requester the ticket is requested by the API user.
+   */
+  async createTicket(escalation) {
+    const requester = this._requester(escalation, false);
+
+    const { ticket } = await this._request('/api/v2/tickets.json', {
+      method: 'POST',
+      body: {
+        ticket: {
+          subject: this._subject(escalation),
+          comment: { body: this._formatText(escalation), public: false },
+          requester: requester ? { email: requester } : undefined,
+          tags: this._tags(escalation),
+          custom_fields: this._mappedFields(escalation).map(([id, value]) => ({ id: Number(id), value }))
+        }
+      }
+    });
+
+    return {
+      externalId: String(ticket.id),
+      url: `${this.baseUrl}/agent/tickets/${ticket.id}`
+    };
+  }
+
+  _authHeaders() {
+    return { 'Authorization': this._basicAuth(`${this.email}/token`, this.apiToken) };
+  }
+}
+
+module.exports = ZendeskConnector;
@@ -0,0 +1,267 @@
+/**
+ * Helpdesk Escalation
+ * Sends handoff tickets (lib/handoff.js) to the team's helpdesk through the
+ * connector chosen with HELPDESK_CONNECTOR (zendesk, gorgias, freshdesk or
+ * email; see lib/helpdesk-connectors). The helpdesk ticket is built from the
+ * stored ticket, plus order and subscription context from ShopifyIntegration
+ * for signed-in customers.
+ *
+ * A new ticket gets one attempt while the customer waits. If it fails, it goes
+ * to the dead-letter list (helpdesk-dead-letter) and `npm run helpdesk-retry`
+ * sends it again, retrying with backoff (HELPDESK_MAX_ATTEMPTS, default 3).
+ * Each request to the helpdesk times out after HELPDESK_TIMEOUT_MS (default 5000).
+ *
+ * HELPDESK_FIELD_MAP maps escalation fields to helpdesk custom fields as JSON:
+ *   {"intent": "360001234", "orderNumber": "360005678"}
+ */
+
+const Storage = require('./storage');
+const Tickets = require('./tickets');
+const ShopifyIntegration = require('./shopify');
+const { createHelpdeskConnector } = require('./helpdesk-connectors');
+const HelpdeskConnector = require('./helpdesk-connectors/base');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_SUBSCRIPTIONS = 5;
+
+// "order #1234", "order 1234", "#1234"
+const ORDER_NUMBER_PATTERN = /(?:order\s*(?:number|no\.?)?\s*#?\s*|#)(\d{3,10})\b/i;
+
+let connector;
+
+class Helpdesk {
+  /**
+   * The configured connector (null when HELPDESK_CONNECTOR isn't set)
+   */
+  static getConnector() {
+    if (connector === undefined) {
+      connector = createHelpdeskConnector(process.env.HELPDESK_CONNECTOR, {
+        fieldMap: this.getFieldMap()
+      });
+    }
+    return connector;
+  }
+
+  /**
+   * Field mapping from HELPDESK_FIELD_MAP (unknown source fields are dropped)
+   */
+  static getFieldMap() {
+    if (!process.env.HELPDESK_FIELD_MAP) return {};
+
+    try {
+      const fieldMap = JSON.parse(process.env.HELPDESK_FIELD_MAP);
+      if (!fieldMap || typeof fieldMap !== 'object' || Array.isArray(fieldMap)) {
+        throw new Error('must be an object of field names');
+      }
+
+      return Object.fromEntries(Object.entries(fieldMap).filter(([source]) => {
+        if (HelpdeskConnector.MAPPABLE_FIELDS.includes(source)) return true;
+        console.warn(`HELPDESK_FIELD_MAP: unknown field "${source}" ignored`);
+        return false;
+      }));
+    } catch (error) {
+      console.error('Invalid HELPDESK_FIELD_MAP configuration:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Create the helpdesk ticket for a handoff ticket and note the result on it.
+   * Never throws: failures are dead-lettered. Returns the ticket's helpdesk
+   * record, or null when no connector is configured.
+   * options: { maxAttempts } (defaults to HELPDESK_MAX_ATTEMPTS)
+   */
+  static async escalate(ticket, options = {}) {
+    let target;
+    try {
+      target = this.getConnector();
+    } catch (error) {
+      console.error('Helpdesk connector error:', error.message);
+      return null;
+    }
+    if (!target) return null;
+
+    const result = await this.send(target, ticket, options);
+
+    ticket.helpdesk = {
+      connector: target.name,
+      status: result.error ? 'failed' : 'created',
+      externalId: result.externalId || null,
+      url: result.url || null,
+      attempts: result.attempts,
+      lastError: result.error || null,
+      updatedAt: new Date().toISOString()
+    };
+
+    // Sending can take seconds: update only the helpdesk record on the stored
+    // ticket so replies added in the meantime aren't overwritten
+    const saved = await Tickets.update(ticket.id, current => {
+      current.helpdesk = ticket.helpdesk;
+    });
+    if (saved.conflict) {
+      console.error(`Could not record the helpdesk ticket on ${ticket.id}: ${saved.error}`);
+    }
+
+    if (result.error) {
+      await Storage.recordHelpdeskDeadLetter({
+        ticketId: ticket.id,
+        connector: target.name,
+        attempts: result.attempts,
+        error: result.error
+      });
+    }
+
+    return ticket.helpdesk;
+  }
+
+  /**
+   * Send a ticket through a connector, retrying retryable errors with
+   * exponential backoff. Returns { externalId, url, attempts } or { error, attempts }
+   */
+  static async send(target, ticket, options = {}) {
+    const maxAttempts = options.maxAttempts || parseInt(process.env.HELPDESK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    const baseDelay = parseInt(process.env.HELPDESK_RETRY_DELAY_MS) || DEFAULT_RETRY_DELAY_MS;
+
+    let escalation;
+    try {
+      escalation = await this.buildEscalation(ticket);
+    } catch (error) {
+      console.error('Helpdesk escalation error:', error);
+      return { error: error.message, attempts: 0 };
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const created = await target.createTicket(escalation);
+        return { ...created, attempts: attempt };
+      } catch (error) {
+        const retryable = error.retryable !== false;
+        console.error(`${target.label} ticket for ${ticket.id} failed (attempt ${attempt}/${maxAttempts}):`, error.message);
+
+        if (!retryable || attempt >= maxAttempts) {
+          return { error: error.message, attempts: attempt };
+        }
+        await sleep(baseDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * The connector input for a ticket (see lib/helpdesk-connectors/base.js)
+   */
+  static async buildEscalation(ticket) {
+    const inboxUrl = process.env.HANDOFF_INBOX_URL
+      ? `${process.env.HANDOFF_INBOX_URL}${process.env.HANDOFF_INBOX_URL.includes('?') ? '&' : '?'}ticketId=${encodeURIComponent(ticket.id)}`
+      : null;
+
+    return {
+      ticketId: ticket.id,
+      queue: ticket.queue,
+      topic: ticket.topic,
+      intent: ticket.intent,
+      sessionId: ticket.sessionId,
+      shopDomain: ticket.shopDomain,
+      customerEmail: ticket.customerEmail,
+      createdAt: ticket.createdAt,
+      transcript: ticket.transcript,
+      thread: ticket.messages
+        .filter(message => message.from !== 'system')
+        .map(({ from, text, timestamp }) => ({ from, text, timestamp })),
+      ...await this.getCommerceContext(ticket).catch(error => {
+        // The ticket is still worth sending without it
+        console.error('Helpdesk commerce context error:', error.message);
+        return { order: null, subscriptions: [] };
+      }),
+      inboxUrl
+    };
+  }
+
+  /**
+   * Order and subscription context for a signed-in customer. The order is
+   * the one they mentioned in the chat, and only when it's theirs.
+   */
+  static async getCommerceContext(ticket) {
+    const context = { order: null, subscriptions: [] };
+
+    if (!ticket.customerEmail || !process.env.SHOPIFY_ACCESS_TOKEN) return context;
+
+    const shopify = new ShopifyIntegration();
+    const orderNumber = findOrderNumber(ticket);
+
+    if (orderNumber) {
+      const lookup = await shopify.lookupOrder(`#${orderNumber}`, ticket.customerEmail);
+      if (lookup.found) {
+        const { order } = lookup;
+        context.order = {
+          orderNumber: order.orderNumber,
+          createdAt: order.createdAt,
+          financialStatus: order.financialStatus,
+          fulfillmentStatus: order.fulfillmentStatus,
+          total: order.total,
+          currency: order.currency,
+          items: order.items.map(({ name, quantity }) => ({ name, quantity }))
+        };
+      }
+    }
+
+    const subscriptions = await shopify.getSubscriptions(ticket.customerEmail);
+    if (subscriptions.success && subscriptions.subscriptions) {
+      context.subscriptions = subscriptions.subscriptions.slice(0, MAX_SUBSCRIPTIONS);
+    }
+
+    return context;
+  }
+
+  /**
+   * Send dead-lettered tickets again. Entries whose ticket is gone or already
+   * in the helpdesk are dropped; tickets that fail again are dead-lettered anew.
+   * Returns { retried, created, failed, dropped }
+   */
+  static async retryDeadLetters(options = {}) {
+    const { dryRun = false } = options;
+    const entries = await Storage.getHelpdeskDeadLetters();
+    const summary = { retried: 0, created: 0, failed: 0, dropped: 0 };
+
+    for (const entry of entries) {
+      const ticket = await Storage.getTicket(entry.ticketId);
+
+      if (!ticket || (ticket.helpdesk && ticket.helpdesk.status === 'created')) {
+        summary.dropped++;
+      } else {
+        summary.retried++;
+        if (dryRun) continue;
+
+        const helpdesk = await this.escalate(ticket);
+        if (helpdesk && helpdesk.status === 'created') summary.created++;
+        else summary.failed++;
+      }
+
+      if (!dryRun) await Storage.removeHelpdeskDeadLetter(entry);
+    }
+
+    return summary;
+  }
+}
+
+/**
+ * Helper: First order number the customer mentioned, newest messages first
+ */
+function findOrderNumber(ticket) {
+  const customerTexts = [
+    ...ticket.transcript.filter(message => message.sender === 'user').map(message => message.message),
+    ...ticket.messages.filter(message => message.from === 'customer').map(message => message.text)
+  ].reverse();
+
+  for (const text of customerTexts) {
+    const match = ORDER_NUMBER_PATTERN.exec(text);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = Helpdesk;
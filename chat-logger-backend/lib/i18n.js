@@ -0,0 +1,196 @@
+/**
+ * Locales
+ * Translated copy for the chat widget, the knowledge center and the
+ * suggestions the backend serves, plus the keywords used to match intents
+ * in each language.
+ *
+ * Each language has a bundle in lib/locales/<language>.json. A shopper's
+ * locale is the `locale` the widget sends (Shopify's request.locale), else
+ * the Accept-Language header. Languages without a bundle get DEFAULT_LOCALE
+ * (default en), and strings missing from a bundle come from the default
+ * locale's bundle.
+ */
+
+const BUNDLES = {
+  // Required rather than read so serverless bundlers include them
+  en: require('./locales/en.json'),
+  es: require('./locales/es.json'),
+  fr: require('./locales/fr.json'),
+  de: require('./locales/de.json')
+};
+
+const FALLBACK_LOCALE = 'en';
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+// Merged bundles by language
+const merged = new Map();
+
+/**
+ * Locale served when the shopper's language has no bundle (DEFAULT_LOCALE)
+ */
+function defaultLocale() {
+  const configured = normalizeLocale(process.env.DEFAULT_LOCALE);
+  return configured && BUNDLES[languageOf(configured)] ? configured : FALLBACK_LOCALE;
+}
+
+/**
+ * Languages with a bundle
+ */
+function supportedLocales() {
+  return Object.keys(BUNDLES);
+}
+
+/**
+ * Lowercase locale with a hyphen ("fr_CA" -> "fr-ca"), or null if it isn't one
+ */
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string') return null;
+
+  const normalized = locale.trim().replace('_', '-').toLowerCase();
+  return LOCALE_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Language of a locale ("fr-ca" -> "fr")
+ */
+function languageOf(locale) {
+  return String(locale || '').split('-')[0];
+}
+
+/**
+ * Locales in an Accept-Language header, most preferred first
+ */
+function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { locale: normalizeLocale(tag), quality: quality ? parseFloat(quality.slice(2)) : 1, index };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.locale);
+}
+
+/**
+ * The locale to serve for the shopper's preferred locales: the first whose
+ * language has a bundle, else the default.
+ * Returns { locale, language } - locale keeps the region ("fr-ca") for
+ * catalogue variants, language names the bundle
+ */
+function negotiateLocale(preferred = []) {
+  const locale = preferred.map(normalizeLocale).find(candidate => candidate && BUNDLES[languageOf(candidate)]) || defaultLocale();
+  return { locale, language: languageOf(locale) };
+}
+
+/**
+ * The shopper's locale for a request: `locale` in the query or body, then
+ * Accept-Language.
+ * Returns { locale, language, preferred } - preferred is the first locale
+ * the shopper asked for, even one without a bundle (null if none)
+ */
+function requestLocale(req) {
+  const headers = req.headers || {};
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+
+  const preferred = [req.query?.locale, body.locale, ...parseAcceptLanguage(headers['accept-language'])]
+    .map(normalizeLocale)
+    .filter(Boolean);
+
+  return { ...negotiateLocale(preferred), preferred: preferred[0] || null };
+}
+
+/**
+ * The bundle for a language, with anything it lacks taken from the default
+ * locale (and English)
+ */
+function messages(language) {
+  const code = BUNDLES[language] ? language : languageOf(defaultLocale());
+  if (merged.has(code)) return merged.get(code);
+
+  const bundle = [BUNDLES[FALLBACK_LOCALE], BUNDLES[languageOf(defaultLocale())], BUNDLES[code]]
+    .reduce((result, source) => deepMerge(result, source), {});
+
+  merged.set(code, bundle);
+  return bundle;
+}
+
+/**
+ * Fill {name} placeholders in a string
+ */
+function format(template, values = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+/**
+ * Intent keywords for a language, plus the default locale's so phrases in
+ * the store's main language still match: { intent: [phrase] }
+ */
+function intentKeywords(language) {
+  const keywords = {};
+
+  [BUNDLES[languageOf(defaultLocale())], BUNDLES[language]].forEach(bundle => {
+    Object.entries((bundle && bundle.intentKeywords) || {}).forEach(([intent, phrases]) => {
+      keywords[intent] = [...new Set([...(keywords[intent] || []), ...phrases])];
+    });
+  });
+
+  return keywords;
+}
+
+/**
+ * Entity words for a language: { entity: { value: [word] } }
+ */
+function entityKeywords(language) {
+  return (BUNDLES[language] && BUNDLES[language].entityKeywords) || {};
+}
+
+/**
+ * Catalogue translations by entry ID, as locale variants:
+ * { entryId: [{ id: 'fr', text, locale: 'fr' }] }
+ */
+function catalogTranslations() {
+  const translations = {};
+
+  Object.entries(BUNDLES).forEach(([language, bundle]) => {
+    Object.entries(bundle.catalog || {}).forEach(([id, text]) => {
+      (translations[id] = translations[id] || []).push({ id: language, text, locale: language });
+    });
+  });
+
+  return translations;
+}
+
+/**
+ * Helper: Objects are merged key by key; arrays and strings are replaced
+ */
+function deepMerge(target, source) {
+  if (!source) return target;
+
+  const result = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject && result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  });
+
+  return result;
+}
+
+module.exports = {
+  defaultLocale,
+  supportedLocales,
+  normalizeLocale,
+  languageOf,
+  parseAcceptLanguage,
+  negotiateLocale,
+  requestLocale,
+  messages,
+  format,
+  intentKeywords,
+  entityKeywords,
+  catalogTranslations
+};
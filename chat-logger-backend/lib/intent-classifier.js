@@ -0,0 +1,323 @@
+/**
+ * Intent Classifier
+ * Server-side intent classification for the support chat widget.
+ * Keeps the OpenAI API key off the storefront, caches identical messages,
+ * and falls back to deterministic keyword matching when no model is configured.
+ *
+ * Keywords come from the locale bundles (lib/i18n.js): the shopper's language
+ * plus the default locale's, matched without accents. Phrases score higher
+ * than single words.
+ */
+
+const crypto = require('crypto');
+const { intentKeywords, entityKeywords } = require('./i18n');
+
+// Intents understood by handleAIIntent in subscription-support-guide.liquid
+const DEFAULT_INTENTS = {
+  subscription_payment: 'User asking about subscription payment, billing date, next charge, when they\'ll be charged',
+  subscription_info: 'User asking about their subscription details, status, or list',
+  subscription_manage: 'User wants to manage subscription (address, payment method, frequency, pause, skip, date)',
+  subscription_cancel: 'User wants to cancel a subscription',
+  order_tracking: 'User asking about package location or shipping status',
+  order_status: 'User asking about their order history or status',
+  next_delivery: 'User asking about next order or upcoming delivery',
+  account_update: 'User wants to update email, password, or address',
+  customer_support: 'User wants to contact support or talk to someone',
+  product_question: 'User asking about products',
+  general_question: 'General inquiry',
+  unclear: 'Cannot determine intent'
+};
+
+const ENTITY_PATTERNS = {
+  subscription_filter: [
+    ['active', /\bactive\b/],
+    ['paused', /\bpaused\b/],
+    ['canceled', /\bcancell?ed\b/],
+    ['expired', /\bexpired\b/]
+  ],
+  subscription_action: [
+    ['address', /\baddress\b/],
+    ['payment', /\b(payment|card|billing)\b/],
+    ['frequency', /\b(frequency|often|every \d+)\b/],
+    ['pause', /\bpause\b/],
+    ['skip', /\bskip\b/],
+    ['date', /\b(date|reschedule)\b/]
+  ],
+  account_field: [
+    ['email', /\bemail\b/],
+    ['password', /\bpassword\b/],
+    ['address', /\baddress\b/]
+  ]
+};
+
+class IntentClassifier {
+  constructor(config = {}) {
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+    this.model = config.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.apiUrl = config.apiUrl || process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions';
+    this.timeoutMs = config.timeoutMs || 5000;
+
+    // In-memory response cache
+    this.cache = new Map();
+    this.cacheTTL = config.cacheTTL || parseInt(process.env.INTENT_CACHE_TTL) || 60 * 60 * 1000; // 1 hour
+    this.maxCacheSize = config.maxCacheSize || 1000;
+  }
+
+  /**
+   * Whether a model is configured
+   */
+  hasModel() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Classify a message into one of the candidate intents
+   * Options: topics, language (the shopper's, for keyword matching)
+   * Returns { intent, entities, confidence, source }
+   */
+  async classify(message, options = {}) {
+    const intents = this.resolveIntents(options.topics);
+    const cacheKey = this._cacheKey(message, intents, options.language);
+
+    const cached = this._getCached(cacheKey);
+    if (cached) {
+      return { ...cached, source: 'cache' };
+    }
+
+    let result = null;
+
+    if (this.hasModel()) {
+      try {
+        result = await this._classifyWithModel(message, intents);
+      } catch (error) {
+        console.error('Intent model error, using keyword fallback:', error.message);
+      }
+    }
+
+    if (!result) {
+      result = this.classifyWithKeywords(message, intents, options.language);
+    }
+
+    this._setCached(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Build the candidate intent list from the client's topic list
+   * Accepts intent ids (strings) from the default catalogue or { id, description } objects
+   */
+  resolveIntents(topics) {
+    if (!Array.isArray(topics) || topics.length === 0) {
+      return { ...DEFAULT_INTENTS };
+    }
+
+    const intents = {};
+
+    topics.forEach(topic => {
+      if (typeof topic === 'string' && DEFAULT_INTENTS[topic]) {
+        intents[topic] = DEFAULT_INTENTS[topic];
+      } else if (topic && typeof topic.id === 'string' && /^[a-z0-9_]{1,64}$/.test(topic.id)) {
+        intents[topic.id] = String(topic.description || DEFAULT_INTENTS[topic.id] || topic.id).slice(0, 200);
+      }
+    });
+
+    // Always allow the model to say it doesn't know
+    intents.unclear = DEFAULT_INTENTS.unclear;
+    return intents;
+  }
+
+  /**
+   * Deterministic keyword classification
+   */
+  classifyWithKeywords(message, intents = DEFAULT_INTENTS, language) {
+    const text = foldText(message);
+    let best = { intent: 'unclear', score: 0 };
+
+    Object.entries(intentKeywords(language)).forEach(([intent, keywords]) => {
+      if (!intents[intent]) return;
+
+      const score = keywords.reduce((total, keyword) => {
+        if (!text.includes(foldText(keyword))) return total;
+        return total + (keyword.includes(' ') ? 2 : 1);
+      }, 0);
+
+      if (score > best.score) {
+        best = { intent, score };
+      }
+    });
+
+    return {
+      intent: best.intent,
+      entities: best.score > 0 ? this._extractEntities(text, best.intent, language) : {},
+      confidence: best.score > 0 ? Math.min(0.9, 0.5 + best.score * 0.15) : 0,
+      source: 'keyword'
+    };
+  }
+
+  /**
+   * Private: Ask the configured model
+   */
+  async _classifyWithModel(message, intents) {
+    const intentList = Object.entries(intents)
+      .map(([id, description]) => `- ${id}: ${description}`)
+      .join('\n');
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(this.apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({
+          model: this.model,
+          messages: [
+            {
+              role: 'system',
+              content: `You are an intent classifier for a subscription and e-commerce support chat. Analyze the user's message and classify their intent.
+
+Available intents:
+${intentList}
+
+Respond with ONLY a JSON object in this exact format:
+{
+  "intent": "intent_name",
+  "confidence": 0.95,
+  "entities": {
+    "subscription_filter": "active|paused|canceled|expired|all",
+    "subscription_action": "address|payment|frequency|pause|skip|date",
+    "account_field": "email|password|address|general"
+  }
+}
+
+Use the entities field to extract specific details when applicable (otherwise leave empty object).
+The message may be in any language; always answer with the intent and entity values listed above.`
+            },
+            { role: 'user', content: message }
+          ],
+          temperature: 0.3,
+          max_tokens: 200
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const parsed = JSON.parse(data.choices[0].message.content.trim());
+
+      return this._normalizeResult(parsed, intents);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Private: Validate model output against the candidate intents
+   */
+  _normalizeResult(result, intents) {
+    const intent = intents[result?.intent] ? result.intent : 'unclear';
+    const confidence = Math.max(0, Math.min(1, parseFloat(result?.confidence) || 0));
+
+    const entities = {};
+    if (result?.entities && typeof result.entities === 'object') {
+      Object.keys(ENTITY_PATTERNS).forEach(name => {
+        if (typeof result.entities[name] === 'string') {
+          entities[name] = result.entities[name];
+        }
+      });
+    }
+
+    return { intent, entities, confidence, source: 'model' };
+  }
+
+  /**
+   * Private: Extract entities for keyword matches - the English patterns,
+   * then the language's entity words
+   */
+  _extractEntities(text, intent, language) {
+    const relevant = {
+      subscription_info: ['subscription_filter'],
+      subscription_manage: ['subscription_action'],
+      account_update: ['account_field']
+    }[intent] || [];
+
+    const localized = entityKeywords(language);
+
+    const entities = {};
+    relevant.forEach(name => {
+      const match = ENTITY_PATTERNS[name].find(([, pattern]) => pattern.test(text))
+        || Object.entries(localized[name] || {}).find(([, words]) => words.some(word => containsWord(text, foldText(word))));
+      if (match) {
+        entities[name] = match[0];
+      }
+    });
+
+    return entities;
+  }
+
+  /**
+   * Private: Cache helpers
+   */
+  _cacheKey(message, intents, language) {
+    const normalized = String(message).toLowerCase().replace(/\s+/g, ' ').trim();
+    return crypto
+      .createHash('sha256')
+      .update(`${normalized}|${Object.keys(intents).sort().join(',')}|${language || ''}`)
+      .digest('hex');
+  }
+
+  _getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.cachedAt > this.cacheTTL) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return entry.result;
+  }
+
+  _setCached(key, result) {
+    // Evict oldest entry when full (Map preserves insertion order)
+    if (this.cache.size >= this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { result, cachedAt: Date.now() });
+  }
+}
+
+/**
+ * Helper: Lowercase text without accents, so "résilier" matches "resilier"
+ */
+function foldText(value) {
+  return String(value).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Helper: Whether text contains a word or phrase on its own, not inside
+ * another word
+ */
+function containsWord(text, word) {
+  let index = text.indexOf(word);
+
+  while (index !== -1) {
+    const before = text[index - 1];
+    const after = text[index + word.length];
+    if (!/[\p{L}\p{N}]/u.test(before || ' ') && !/[\p{L}\p{N}]/u.test(after || ' ')) return true;
+    index = text.indexOf(word, index + 1);
+  }
+
+  return false;
+}
+
+// Singleton instance
+const intentClassifier = new IntentClassifier();
+
+module.exports = intentClassifier;
@@ -336,6 +336,84 @@ class KnowledgeBase {
     }
   }
 
+  /**
+   * Remove a user's view records from the analytics logs (GDPR erasure)
+   * Returns the files that were rewritten or deleted
+   */
+  async deleteUserViews(userEmail) {
+    // Views are keyed by a truncated hash of the email as it was sent
+    const hashes = new Set(
+      [userEmail, userEmail.toLowerCase().trim()].map(value =>
+        crypto.createHash('sha256').update(value).digest('hex').substring(0, 16)
+      )
+    );
+
+    let files;
+    try {
+      files = (await fs.readdir(this.analyticsPath)).filter(file => /^views-.*\.jsonl$/.test(file));
+    } catch (error) {
+      return []; // No analytics recorded yet
+    }
+
+    const artifacts = [];
+
+    for (const file of files) {
+      const logPath = path.join(this.analyticsPath, file);
+      const lines = (await fs.readFile(logPath, 'utf8')).split('\n').filter(Boolean);
+
+      const kept = lines.filter(line => {
+        try {
+          return !hashes.has(JSON.parse(line).userEmail);
+        } catch (error) {
+          return true;
+        }
+      });
+      const removed = lines.length - kept.length;
+
+      if (removed === 0) continue;
+
+      if (kept.length === 0) {
+        await fs.unlink(logPath);
+        artifacts.push({ store: 'kb-analytics', key: file, action: 'deleted', removed });
+      } else {
+        await fs.writeFile(logPath, kept.join('\n') + '\n', 'utf8');
+        artifacts.push({ store: 'kb-analytics', key: file, action: 'rewritten', removed });
+      }
+    }
+
+    return artifacts;
+  }
+
+  /**
+   * Delete view logs dated before the cutoff (retention policy)
+   * With dryRun nothing is deleted. Returns the files affected.
+   */
+  async purgeViewLogs(cutoff, options = {}) {
+    const cutoffDate = cutoff.toISOString().split('T')[0];
+
+    let files;
+    try {
+      files = await fs.readdir(this.analyticsPath);
+    } catch (error) {
+      return []; // No analytics recorded yet
+    }
+
+    const actions = [];
+
+    for (const file of files) {
+      const match = file.match(/^views-(\d{4}-\d{2}-\d{2})\.jsonl$/);
+      if (!match || match[1] >= cutoffDate) continue;
+
+      const logPath = path.join(this.analyticsPath, file);
+      const lines = (await fs.readFile(logPath, 'utf8')).split('\n').filter(Boolean);
+
+      if (!options.dryRun) await fs.unlink(logPath);
+      actions.push({ dataClass: 'kbViews', store: 'kb-analytics', key: file, action: 'deleted', removed: lines.length });
+    }
+
+    return actions;
+  }
+
   /**
    * Get analytics summary
    */
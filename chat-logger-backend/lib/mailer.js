@@ -0,0 +1,39 @@
+/**
+ * Mailer
+ * Shared nodemailer transport using the same SMTP settings as the daily report
+ */
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Get the SMTP transport (created on first use)
+ */
+function getTransport() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: process.env.SMTP_PORT || 587,
+      secure: false,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  }
+
+  return transporter;
+}
+
+/**
+ * Send an email from EMAIL_FROM
+ */
+async function sendMail(message) {
+  return getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'noreply@bluesky-cbd.com',
+    ...message
+  });
+}
+
+module.exports = { getTransport, sendMail };
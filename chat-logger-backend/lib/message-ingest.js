@@ -0,0 +1,198 @@
+/**
+ * Message Ingest
+ * Validates, authenticates, screens and stores chat messages. Every ingest
+ * path goes through here so they all accept the same schema (see
+ * lib/message-schema.js) and apply the same checks.
+ */
+
+const { validateMessage } = require('./message-schema');
+const CustomerAuth = require('./customer-auth');
+const GDPRCompliance = require('./gdpr');
+const Storage = require('./storage');
+const rateLimiter = require('./rate-limiter');
+const { createRateLimitStore } = require('./rate-limit-stores');
+
+const MAX_BATCH_SIZE = 50;
+
+// How long a client message ID is remembered (covers outbox retries across visits)
+const DEDUP_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+let dedupStore = null;
+
+// HTTP status and error for a single-message result
+const STATUS_CODES = {
+  stored: 200,
+  counted: 200,
+  duplicate: 200,
+  invalid: 400,
+  rejected: 400,
+  unauthorized: 401,
+  forbidden: 403
+};
+
+const ERRORS = {
+  invalid: 'Invalid message',
+  rejected: 'Message rejected',
+  unauthorized: 'Authentication required',
+  forbidden: 'Forbidden'
+};
+
+class MessageIngest {
+  /**
+   * Ingest one message
+   * context: { identifier, customer, language } - the client address, the
+   * customer verified from the request's token (null for anonymous requests)
+   * and the request's language, used for abuse keywords when the message
+   * metadata has none
+   * Returns { status, logged?, errors? } where status is stored, counted,
+   * duplicate (clientMessageId already ingested), invalid, rejected,
+   * unauthorized or forbidden
+   */
+  static async ingest(input, context = {}) {
+    const validation = validateMessage(input);
+    if (!validation.valid) {
+      return { status: 'invalid', errors: validation.errors };
+    }
+
+    const { customerToken, ...message } = validation.message;
+
+    // A customer can only be attached with their token (per message or per request)
+    const customer = customerToken ? CustomerAuth.verifyToken(customerToken) : context.customer;
+
+    if (customerToken && !customer) {
+      return { status: 'unauthorized', errors: [{ field: 'customerToken', message: 'Invalid or expired customer token' }] };
+    }
+
+    if (message.customerId && !customer) {
+      return { status: 'unauthorized', errors: [{ field: 'customerId', message: 'A valid customer token is required to attach a customer' }] };
+    }
+
+    if (message.customerId && message.customerId.toLowerCase().trim() !== customer.email) {
+      return { status: 'forbidden', errors: [{ field: 'customerId', message: 'You can only log messages for your own account' }] };
+    }
+
+    if (customer) {
+      message.customerId = customer.email;
+    }
+
+    // Resends of an already ingested message (outbox retries) are acknowledged, not stored
+    const dedupKey = message.clientMessageId ? `message:${message.sessionId}:${message.clientMessageId}` : null;
+    if (dedupKey && !await this._claim(dedupKey)) {
+      return { status: 'duplicate' };
+    }
+
+    try {
+      return await this._screenAndStore(message, context);
+    } catch (error) {
+      // Let the client's retry through
+      if (dedupKey) await this.dedupStore.release(dedupKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Ingest a batch in order, returning a result per item
+   */
+  static async ingestBatch(items, context = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('messages must be a non-empty array');
+    }
+    if (items.length > MAX_BATCH_SIZE) {
+      throw new Error(`At most ${MAX_BATCH_SIZE} messages per batch`);
+    }
+
+    const results = [];
+    for (let index = 0; index < items.length; index++) {
+      results.push({ index, ...await this.ingest(items[index], context) });
+    }
+
+    const accepted = results.filter(result => this.statusCode(result) === 200).length;
+
+    return {
+      accepted,
+      failed: results.length - accepted,
+      results
+    };
+  }
+
+  /**
+   * HTTP status code for a single-message result
+   */
+  static statusCode(result) {
+    return STATUS_CODES[result.status] || 500;
+  }
+
+  /**
+   * Error response body for a failed single-message result
+   */
+  static errorBody(result) {
+    return { error: ERRORS[result.status] || 'Internal server error', errors: result.errors };
+  }
+
+  /**
+   * Store used to remember client message IDs (the rate limit store, shared across instances with KV)
+   */
+  static get dedupStore() {
+    if (!dedupStore) {
+      dedupStore = createRateLimitStore();
+    }
+    return dedupStore;
+  }
+
+  /**
+   * Private: Claim a message ID, failing open if the store is unreachable
+   */
+  static async _claim(key) {
+    try {
+      return await this.dedupStore.claim(key, DEDUP_TTL_MS);
+    } catch (error) {
+      console.error('Message de-duplication unavailable:', error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Private: Screen a validated message for abuse, then store it
+   */
+  static async _screenAndStore(message, context) {
+    // Abuse screening
+    const abuseCheck = await rateLimiter.detectAbuse(message.message, {
+      ...message.metadata,
+      language: message.metadata?.language || context.language,
+      sessionId: message.sessionId
+    });
+
+    if (abuseCheck.reject) {
+      console.warn('Suspicious message detected:', abuseCheck);
+
+      // Keep a record so staff can review rejections in /api/abuse
+      await Storage.recordAbuseEvent({
+        type: 'message_rejected',
+        identifier: context.identifier || 'unknown',
+        sessionId: message.sessionId,
+        customerId: message.customerId ? Storage.hashCustomerId(message.customerId) : undefined,
+        riskScore: abuseCheck.riskScore,
+        violations: abuseCheck.violations,
+        reputation: abuseCheck.reputation,
+        excerpt: message.message.substring(0, 200)
+      }).catch(error => console.error('Failed to record abuse event:', error.message));
+
+      return {
+        status: 'rejected',
+        errors: [{ field: 'message', message: 'Your message appears to be spam or abuse.' }]
+      };
+    }
+
+    // Store the message, or only anonymous counts without logging consent
+    const result = await GDPRCompliance.storeMessageWithConsent(message);
+
+    return {
+      status: result.aggregated ? 'counted' : 'stored',
+      logged: !result.aggregated
+    };
+  }
+}
+
+MessageIngest.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
+module.exports = MessageIngest;
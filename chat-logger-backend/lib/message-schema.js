@@ -0,0 +1,175 @@
+/**
+ * Chat Message Schema
+ * The one message format accepted by every ingest path (/api/messages,
+ * /api/chat-history POST and the Lambda-style handler in index.js).
+ *
+ * Version 1:
+ *   schemaVersion  1 (optional, payloads without it are treated as legacy v1)
+ *   clientMessageId optional ID set by the sender, 1-64 of [A-Za-z0-9_.:-];
+ *                  resends with the same ID are only stored once
+ *   sessionId      required, 1-128 of [A-Za-z0-9_.:-]
+ *   sender         required, one of SENDERS
+ *   message        required, 1-MAX_MESSAGE_LENGTH characters
+ *   timestamp      ISO 8601 (defaults to the time it was received)
+ *   topic, intent  optional strings
+ *   customerToken  optional signed customer token (see lib/customer-auth.js)
+ *   customerId     optional customer email, only accepted with a matching token
+ *   consent        optional { chatLogging: boolean }
+ *   metadata       optional flat object (userAgent, shopDomain, language,
+ *                  timeSinceLastMessage, isDuplicate, ...)
+ *
+ * Legacy payloads put the metadata fields at the top level; they're moved
+ * into metadata.
+ */
+
+const SCHEMA_VERSION = 1;
+
+const SENDERS = ['user', 'bot', 'system', 'agent'];
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_FIELD_LENGTH = 100;
+const MAX_METADATA_KEYS = 20;
+
+// Clock skew allowed for client timestamps
+const MAX_FUTURE_MS = 5 * 60 * 1000;
+
+// Top-level fields of legacy payloads that belong in metadata
+const LEGACY_METADATA_FIELDS = ['userAgent', 'shopDomain', 'language', 'timeSinceLastMessage', 'isDuplicate'];
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+/**
+ * Validate and normalize a message
+ * Returns { valid, errors: [{ field, message }], message } where message is the
+ * normalized form (unknown fields dropped) when valid
+ */
+function validateMessage(input, now = new Date()) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: [{ field: null, message: 'Message must be an object' }], message: null };
+  }
+
+  const version = input.schemaVersion === undefined ? SCHEMA_VERSION : input.schemaVersion;
+  if (version !== SCHEMA_VERSION) {
+    fail('schemaVersion', `Unsupported schema version (supported: ${SCHEMA_VERSION})`);
+  }
+
+  if (typeof input.sessionId !== 'string' || !SESSION_ID_PATTERN.test(input.sessionId)) {
+    fail('sessionId', 'Required, 1-128 letters, digits or _ . : -');
+  }
+
+  if (input.clientMessageId !== undefined && (
+    typeof input.clientMessageId !== 'string' || !CLIENT_MESSAGE_ID_PATTERN.test(input.clientMessageId)
+  )) {
+    fail('clientMessageId', '1-64 letters, digits or _ . : -');
+  }
+
+  if (!SENDERS.includes(input.sender)) {
+    fail('sender', `Required, one of: ${SENDERS.join(', ')}`);
+  }
+
+  if (typeof input.message !== 'string' || !input.message.trim()) {
+    fail('message', 'Required, non-empty string');
+  } else if (input.message.length > MAX_MESSAGE_LENGTH) {
+    fail('message', `Longer than ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  let timestamp = now.toISOString();
+  if (input.timestamp !== undefined) {
+    const parsed = new Date(input.timestamp);
+    if (typeof input.timestamp !== 'string' || isNaN(parsed.getTime())) {
+      fail('timestamp', 'Must be an ISO 8601 date');
+    } else if (parsed.getTime() - now.getTime() > MAX_FUTURE_MS) {
+      fail('timestamp', 'Is in the future');
+    } else {
+      timestamp = parsed.toISOString();
+    }
+  }
+
+  ['topic', 'intent'].forEach(field => {
+    if (input[field] === undefined || input[field] === null || input[field] === '') return;
+    if (typeof input[field] !== 'string' || input[field].length > MAX_FIELD_LENGTH) {
+      fail(field, `Must be a string of at most ${MAX_FIELD_LENGTH} characters`);
+    }
+  });
+
+  if (input.customerToken !== undefined && typeof input.customerToken !== 'string') {
+    fail('customerToken', 'Must be a string');
+  }
+
+  if (input.customerId !== undefined && input.customerId !== null && typeof input.customerId !== 'string') {
+    fail('customerId', 'Must be a string');
+  }
+
+  if (input.consent !== undefined && (
+    !input.consent || typeof input.consent !== 'object' ||
+    (input.consent.chatLogging !== undefined && typeof input.consent.chatLogging !== 'boolean')
+  )) {
+    fail('consent', 'Must be an object like { "chatLogging": true }');
+  }
+
+  const metadata = collectMetadata(input, fail);
+
+  if (errors.length > 0) {
+    return { valid: false, errors, message: null };
+  }
+
+  const message = {
+    schemaVersion: SCHEMA_VERSION,
+    sessionId: input.sessionId,
+    sender: input.sender,
+    message: input.message,
+    timestamp
+  };
+
+  if (input.clientMessageId) message.clientMessageId = input.clientMessageId;
+  if (input.topic) message.topic = input.topic;
+  if (input.intent) message.intent = input.intent;
+  if (input.customerToken) message.customerToken = input.customerToken;
+  if (input.customerId) message.customerId = input.customerId;
+  if (input.consent) message.consent = { chatLogging: input.consent.chatLogging === true };
+  if (Object.keys(metadata).length > 0) message.metadata = metadata;
+
+  return { valid: true, errors: [], message };
+}
+
+/**
+ * Helper: Merge metadata with legacy top-level fields, allowing only flat primitive values
+ */
+function collectMetadata(input, fail) {
+  if (input.metadata !== undefined && (!input.metadata || typeof input.metadata !== 'object' || Array.isArray(input.metadata))) {
+    fail('metadata', 'Must be an object');
+    return {};
+  }
+
+  const metadata = {};
+  LEGACY_METADATA_FIELDS.forEach(field => {
+    if (input[field] !== undefined) metadata[field] = input[field];
+  });
+  Object.assign(metadata, input.metadata);
+
+  const entries = Object.entries(metadata);
+  if (entries.length > MAX_METADATA_KEYS) {
+    fail('metadata', `At most ${MAX_METADATA_KEYS} keys`);
+  }
+
+  entries.forEach(([key, value]) => {
+    const primitive = value === null || ['string', 'number', 'boolean'].includes(typeof value);
+    if (!primitive || (typeof value === 'string' && value.length > 500)) {
+      fail(`metadata.${key}`, 'Must be a string (max 500 characters), number, boolean or null');
+    }
+  });
+
+  return metadata;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SENDERS,
+  MAX_MESSAGE_LENGTH,
+  SESSION_ID_PATTERN,
+  validateMessage
+};
@@ -0,0 +1,39 @@
+/**
+ * PII Redaction
+ * Server-side version of the widget's sanitizeMessageForLogging
+ * (subscription-support-guide.liquid), for text that arrives from clients that
+ * may not have redacted it. Uses the same placeholders, so transcripts look
+ * the same wherever they were redacted.
+ */
+
+// Cards and SSNs go first so their digits aren't taken for phone numbers
+const PATTERNS = [
+  { type: 'email', pattern: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g, placeholder: '[EMAIL_REDACTED]' },
+  { type: 'card', pattern: /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/g, placeholder: '[CARD_REDACTED]' },
+  { type: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g, placeholder: '[SSN_REDACTED]' },
+  { type: 'phone', pattern: /(\+?1?\s*)?(\(?\d{3}\)?[\s.-]?)?\d{3}[\s.-]?\d{4}/g, placeholder: '[PHONE_REDACTED]' }
+];
+
+const TYPES = PATTERNS.map(({ type }) => type);
+
+/**
+ * Replace emails, card numbers, SSNs and phone numbers with placeholders
+ * options: { keep: ['email', 'phone'] } leaves those types as written
+ */
+function redactPii(text, options = {}) {
+  const keep = options.keep || [];
+
+  return PATTERNS.reduce(
+    (redacted, { type, pattern, placeholder }) => (keep.includes(type) ? redacted : redacted.replace(pattern, placeholder)),
+    String(text == null ? '' : text)
+  );
+}
+
+/**
+ * Whether text still contains anything redactPii would replace
+ */
+function containsPii(text) {
+  return redactPii(text) !== String(text == null ? '' : text);
+}
+
+module.exports = { redactPii, containsPii, TYPES };
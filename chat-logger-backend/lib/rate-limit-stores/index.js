@@ -0,0 +1,37 @@
+/**
+ * Rate Limit Store Factory
+ * Selects where rate limit counters and the blacklist live, from the
+ * RATE_LIMIT_STORE environment variable (defaults to KV when STORAGE_ADAPTER=kv,
+ * otherwise in-memory).
+ *
+ * Every store implements the same interface:
+ *   Counters: increment (atomic, with TTL), get
+ *   Token buckets: takeToken (atomic refill + take)
+ *   Values: setValue, getValue (JSON with TTL, e.g. session reputation)
+ *   Claims: claim (atomic first-writer-wins with TTL), release - e.g. message de-duplication
+ *   Blacklist: addToBlacklist, getBlacklistEntry, removeFromBlacklist, listBlacklist
+ */
+
+const STORES = {
+  memory: () => require('./memory'),
+  kv: () => require('./kv')
+};
+
+/**
+ * Create a rate limit store instance
+ */
+function createRateLimitStore(
+  type = process.env.RATE_LIMIT_STORE || (process.env.STORAGE_ADAPTER === 'kv' ? 'kv' : 'memory'),
+  config = {}
+) {
+  const loader = STORES[type.toLowerCase()];
+
+  if (!loader) {
+    throw new Error(`Unknown rate limit store "${type}". Valid stores: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  const Store = loader();
+  return new Store(config);
+}
+
+module.exports = { createRateLimitStore, storeTypes: Object.keys(STORES) };
@@ -0,0 +1,179 @@
+/**
+ * Vercel KV Rate Limit Store
+ * Keeps counters, token buckets and the blacklist in Vercel KV so limits are
+ * shared by every serverless instance. Counter and bucket updates run as Lua
+ * scripts, so each check is a single atomic round trip.
+ */
+
+const { kv } = require('@vercel/kv');
+
+const KEY_PREFIX = process.env.KV_RATE_LIMIT_PREFIX || 'ratelimit';
+
+// INCR, setting the TTL when the counter is created
+const INCREMENT_SCRIPT = `
+local value = redis.call('INCR', KEYS[1])
+if value == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return value
+`;
+
+// Refill for the elapsed time, take ARGV[4] tokens if available
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refill)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refill))
+return { allowed, tostring(tokens) }
+`;
+
+class KVStore {
+  constructor(config = {}) {
+    this.name = 'kv';
+    this.client = config.client || kv;
+    this.prefix = config.prefix || KEY_PREFIX;
+  }
+
+  /**
+   * Increment a counter, starting a new one with the given TTL if missing or expired
+   */
+  async increment(key, ttlMs) {
+    const value = await this.client.eval(INCREMENT_SCRIPT, [this._key('count', key)], [String(ttlMs)]);
+    return Number(value);
+  }
+
+  /**
+   * Read a counter (0 if missing or expired)
+   */
+  async get(key) {
+    const value = await this.client.get(this._key('count', key));
+    return Number(value) || 0;
+  }
+
+  /**
+   * Refill a token bucket for the elapsed time and take `cost` tokens if available
+   */
+  async takeToken(key, { capacity, refillPerMs, cost = 1 }) {
+    const [allowed, tokens] = await this.client.eval(
+      TOKEN_BUCKET_SCRIPT,
+      [this._key('bucket', key)],
+      [String(capacity), String(refillPerMs), String(Date.now()), String(cost)]
+    );
+
+    return { allowed: Number(allowed) === 1, tokens: parseFloat(tokens) };
+  }
+
+  /**
+   * Store a JSON value with a TTL
+   */
+  async setValue(key, value, ttlMs) {
+    await this.client.set(this._key('value', key), JSON.stringify(value), { px: Math.max(1, ttlMs) });
+  }
+
+  /**
+   * Read a JSON value (null if missing or expired)
+   */
+  async getValue(key) {
+    const data = await this.client.get(this._key('value', key));
+    return data ? this._parse(data) : null;
+  }
+
+  /**
+   * Claim a key for ttlMs, returns true only for the first claim (SET NX)
+   */
+  async claim(key, ttlMs) {
+    const result = await this.client.set(this._key('claim', key), 1, { nx: true, px: Math.max(1, ttlMs) });
+    return result === 'OK';
+  }
+
+  /**
+   * Release a claim so the key can be claimed again
+   */
+  async release(key) {
+    await this.client.del(this._key('claim', key));
+  }
+
+  /**
+   * Blacklist an identifier ({ reason, createdAt, expiresAt|null })
+   */
+  async addToBlacklist(identifier, entry) {
+    const data = JSON.stringify({ ...entry, identifier });
+    const key = this._key('blacklist', identifier);
+
+    if (entry.expiresAt) {
+      const ttl = Math.max(1, new Date(entry.expiresAt).getTime() - Date.now());
+      await this.client.set(key, data, { px: ttl });
+    } else {
+      await this.client.set(key, data);
+    }
+
+    await this.client.sadd(this._indexKey(), identifier);
+  }
+
+  /**
+   * Get an identifier's blacklist entry (null if not blacklisted or expired)
+   */
+  async getBlacklistEntry(identifier) {
+    const data = await this.client.get(this._key('blacklist', identifier));
+    return data ? this._parse(data) : null;
+  }
+
+  /**
+   * Remove an identifier from the blacklist, returns true if it was listed
+   */
+  async removeFromBlacklist(identifier) {
+    const removed = await this.client.del(this._key('blacklist', identifier));
+    await this.client.srem(this._indexKey(), identifier);
+    return removed > 0;
+  }
+
+  /**
+   * List active blacklist entries (expired ones are dropped from the index)
+   */
+  async listBlacklist() {
+    const identifiers = (await this.client.smembers(this._indexKey())) || [];
+    const entries = [];
+
+    for (const identifier of identifiers.map(String)) {
+      const entry = await this.getBlacklistEntry(identifier);
+      if (entry) {
+        entries.push(entry);
+      } else {
+        await this.client.srem(this._indexKey(), identifier);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Private: KV key helpers
+   */
+  _key(type, key) {
+    return `${this.prefix}:${type}:${key}`;
+  }
+
+  _indexKey() {
+    return `${this.prefix}:index:blacklist`;
+  }
+
+  /**
+   * Private: KV may return values already deserialized
+   */
+  _parse(data) {
+    return typeof data === 'string' ? JSON.parse(data) : data;
+  }
+}
+
+module.exports = KVStore;
@@ -0,0 +1,166 @@
+/**
+ * In-Memory Rate Limit Store
+ * Keeps counters, token buckets and the blacklist in this process only.
+ * Fine for a single long-running server and local development; on serverless
+ * each instance starts empty, so use the KV store there.
+ */
+
+// Expired entries are swept after this many writes (no background timer)
+const SWEEP_EVERY = 1000;
+
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.counters = new Map();
+    this.buckets = new Map();
+    this.blacklist = new Map();
+    this.values = new Map();
+    this.writes = 0;
+  }
+
+  /**
+   * Increment a counter, starting a new one with the given TTL if missing or expired
+   */
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.expiresAt <= now) {
+      counter = { value: 0, expiresAt: now + ttlMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.value++;
+    this._afterWrite();
+    return counter.value;
+  }
+
+  /**
+   * Read a counter (0 if missing or expired)
+   */
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > Date.now() ? counter.value : 0;
+  }
+
+  /**
+   * Refill a token bucket for the elapsed time and take `cost` tokens if available
+   */
+  async takeToken(key, { capacity, refillPerMs, cost = 1 }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) bucket.tokens -= cost;
+
+    bucket.expiresAt = now + Math.ceil(capacity / refillPerMs);
+    this.buckets.set(key, bucket);
+    this._afterWrite();
+
+    return { allowed, tokens: bucket.tokens };
+  }
+
+  /**
+   * Store a JSON value with a TTL
+   */
+  async setValue(key, value, ttlMs) {
+    this.values.set(key, { value, expiresAt: Date.now() + ttlMs });
+    this._afterWrite();
+  }
+
+  /**
+   * Read a JSON value (null if missing or expired)
+   */
+  async getValue(key) {
+    const entry = this.values.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  }
+
+  /**
+   * Claim a key for ttlMs, returns true only for the first claim
+   */
+  async claim(key, ttlMs) {
+    const existing = this.values.get(`claim:${key}`);
+    if (existing && existing.expiresAt > Date.now()) return false;
+
+    await this.setValue(`claim:${key}`, true, ttlMs);
+    return true;
+  }
+
+  /**
+   * Release a claim so the key can be claimed again
+   */
+  async release(key) {
+    this.values.delete(`claim:${key}`);
+  }
+
+  /**
+   * Blacklist an identifier ({ reason, createdAt, expiresAt|null })
+   */
+  async addToBlacklist(identifier, entry) {
+    this.blacklist.set(identifier, { ...entry, identifier });
+    this._afterWrite();
+  }
+
+  /**
+   * Get an identifier's blacklist entry (null if not blacklisted or expired)
+   */
+  async getBlacklistEntry(identifier) {
+    const entry = this.blacklist.get(identifier);
+    if (!entry) return null;
+
+    if (this._isExpired(entry)) {
+      this.blacklist.delete(identifier);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove an identifier from the blacklist, returns true if it was listed
+   */
+  async removeFromBlacklist(identifier) {
+    return this.blacklist.delete(identifier);
+  }
+
+  /**
+   * List active blacklist entries
+   */
+  async listBlacklist() {
+    return Array.from(this.blacklist.values()).filter(entry => !this._isExpired(entry));
+  }
+
+  /**
+   * Private: Check a blacklist entry's expiry
+   */
+  _isExpired(entry) {
+    return entry.expiresAt !== null && new Date(entry.expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * Private: Periodically drop expired entries so memory stays bounded
+   */
+  _afterWrite() {
+    if (++this.writes % SWEEP_EVERY !== 0) return;
+
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.expiresAt <= now) this.buckets.delete(key);
+    }
+    for (const [key, entry] of this.values) {
+      if (entry.expiresAt <= now) this.values.delete(key);
+    }
+    for (const [identifier, entry] of this.blacklist) {
+      if (this._isExpired(entry)) this.blacklist.delete(identifier);
+    }
+  }
+}
+
+module.exports = MemoryStore;
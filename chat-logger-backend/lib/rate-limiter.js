@@ -1,86 +1,77 @@
 /**
  * Rate Limiter & Abuse Prevention
  * Prevents spam and bot attacks on the chat system
+ *
+ * Counters and the blacklist live in a pluggable store (in-memory or Vercel KV,
+ * see lib/rate-limit-stores) so limits hold across serverless instances.
+ * Limits are set per route type and can be overridden with the RATE_LIMITS
+ * environment variable as JSON, e.g. {"session": {"limit": 120}}.
  */
 
+const net = require('net');
+const { createRateLimitStore } = require('./rate-limit-stores');
+const AbuseDetector = require('./abuse-detector');
+
+// Per route type: sliding-window counters ({ limit, windowMs }) or
+// token buckets ({ capacity, refillPerMinute }) for bursty actions
+const DEFAULT_LIMITS = {
+  default: { algorithm: 'sliding-window', limit: 30, windowMs: 60 * 1000 },
+  session: { algorithm: 'sliding-window', limit: 60, windowMs: 60 * 1000 },
+  chat_history: { algorithm: 'sliding-window', limit: 20, windowMs: 60 * 1000 },
+  gdpr: { algorithm: 'sliding-window', limit: 10, windowMs: 15 * 60 * 1000 },
+  auth: { algorithm: 'sliding-window', limit: 10, windowMs: 15 * 60 * 1000 },
+  dam_upload: { algorithm: 'token-bucket', capacity: 10, refillPerMinute: 2 },
+  kb_search: { algorithm: 'token-bucket', capacity: 20, refillPerMinute: 30 },
+  messages: { algorithm: 'token-bucket', capacity: 60, refillPerMinute: 30 },
+  conversations: { algorithm: 'sliding-window', limit: 60, windowMs: 60 * 1000 },
+  analytics: { algorithm: 'token-bucket', capacity: 20, refillPerMinute: 10 },
+  handoff: { algorithm: 'sliding-window', limit: 60, windowMs: 60 * 1000 },
+  handoff_create: { algorithm: 'sliding-window', limit: 5, windowMs: 15 * 60 * 1000 },
+  intent: { algorithm: 'sliding-window', limit: 30, windowMs: 60 * 1000 },
+  // Per address, so fresh session IDs can't get around the session limit
+  intent_ip: { algorithm: 'sliding-window', limit: 120, windowMs: 60 * 1000 }
+};
+
+// How long CIDR blocks are cached before re-reading them from the store
+const RANGE_CACHE_MS = 30 * 1000;
+
 class RateLimiter {
   constructor() {
-    // In-memory store (use Redis in production)
-    this.requests = new Map();
-    this.blacklist = new Set();
+    this.store = createRateLimitStore();
 
     // Configuration
     this.config = {
-      windowMs: 60 * 1000, // 1 minute
-      maxRequests: 30, // 30 requests per minute
       maxMessagesPerSession: 100, // 100 messages per session
-      blacklistThreshold: 5, // Blacklist after 5 violations
-      cleanupInterval: 5 * 60 * 1000 // Cleanup every 5 minutes
+      blacklistThreshold: 10, // Blacklist after 10 rejected requests...
+      violationWindowMs: 60 * 60 * 1000, // ...within an hour
+      blacklistDurationMs: 24 * 60 * 60 * 1000 // Blacklist for a day
     };
 
-    // Start cleanup task
-    this.startCleanup();
+    this.limits = this._loadLimits();
+    this.rangeCache = null;
+    this.abuseDetector = new AbuseDetector(AbuseDetector.loadRuleSet());
   }
 
   /**
    * Check if request should be allowed
+   * options: { type, cost } - cost is how many tokens a token-bucket request
+   * takes (e.g. the size of a batch), sliding windows count each request once
+   * Fails open if the store is unreachable, so a KV outage doesn't take the API down
    */
-  checkRateLimit(identifier, options = {}) {
-    // Check if blacklisted
-    if (this.blacklist.has(identifier)) {
-      return {
-        allowed: false,
-        reason: 'blacklisted',
-        message: 'Too many violations. Please contact support.'
-      };
-    }
-
-    const now = Date.now();
-    const key = `${identifier}:${options.type || 'default'}`;
-
-    if (!this.requests.has(key)) {
-      this.requests.set(key, {
-        count: 1,
-        violations: 0,
-        firstRequest: now,
-        windowStart: now
-      });
-      return { allowed: true };
-    }
-
-    const record = this.requests.get(key);
-
-    // Reset window if expired
-    if (now - record.windowStart > this.config.windowMs) {
-      record.count = 1;
-      record.windowStart = now;
-      this.requests.set(key, record);
-      return { allowed: true };
-    }
-
-    // Increment counter
-    record.count++;
-
-    // Check if over limit
-    if (record.count > this.config.maxRequests) {
-      record.violations++;
-
-      // Blacklist if too many violations
-      if (record.violations >= this.config.blacklistThreshold) {
-        this.blacklist.add(identifier);
-        console.warn(`Blacklisted: ${identifier} (${record.violations} violations)`);
-      }
-
-      return {
-        allowed: false,
-        reason: 'rate_limit_exceeded',
-        message: 'Too many requests. Please slow down.',
-        retryAfter: this.config.windowMs - (now - record.windowStart)
-      };
+  async checkRateLimit(identifier, options = {}) {
+    try {
+      return await this._evaluate(identifier, options);
+    } catch (error) {
+      console.error('Rate limit store error:', error.message);
+      return { allowed: true, degraded: true };
     }
+  }
 
-    this.requests.set(key, record);
-    return { allowed: true, remaining: this.config.maxRequests - record.count };
+  /**
+   * Get the limit configuration for a route type
+   */
+  getLimit(type) {
+    return this.limits[type] || this.limits.default;
   }
 
   /**
@@ -99,50 +90,35 @@ class RateLimiter {
   }
 
   /**
-   * Detect suspicious patterns
+   * Detect suspicious messages with the weighted rule set (see lib/abuse-detector.js)
+   * metadata: { sessionId, language, shopDomain, timeSinceLastMessage, isDuplicate }
+   * With a sessionId, the session's decaying reputation raises the score of repeat offenders.
+   * Returns { suspicious, violations, riskScore, reject, ... }
    */
-  detectAbuse(message, metadata = {}) {
-    const suspiciousPatterns = [
-      // Spam indicators
-      /http[s]?:\/\//gi, // URLs
-      /\b(buy|cheap|discount|click here|viagra|casino)\b/gi, // Spam keywords
-      /(.)\1{10,}/gi, // Repeated characters
-      /[A-Z]{20,}/g // All caps spam
-    ];
-
-    const violations = [];
-
-    // Check message content
-    suspiciousPatterns.forEach((pattern, index) => {
-      if (pattern.test(message)) {
-        violations.push(`pattern_${index}`);
-      }
-    });
-
-    // Check message length
-    if (message.length > 2000) {
-      violations.push('message_too_long');
-    }
+  async detectAbuse(message, metadata = {}) {
+    const detector = this.abuseDetector;
+    const key = metadata.sessionId ? `reputation:${metadata.sessionId}` : null;
+    const now = Date.now();
 
-    // Check for very rapid messages
-    if (metadata.timeSinceLastMessage && metadata.timeSinceLastMessage < 500) {
-      violations.push('rapid_fire');
+    let reputation = 0;
+    if (key) {
+      try {
+        const stored = await this.store.getValue(key);
+        reputation = stored ? detector.decayReputation(stored.score, stored.updatedAt, now) : 0;
+      } catch (error) {
+        console.error('Rate limit store error:', error.message);
+      }
     }
 
-    // Check for identical messages
-    if (metadata.isDuplicate) {
-      violations.push('duplicate_message');
-    }
+    const result = detector.evaluate(message, metadata, reputation);
 
-    if (violations.length > 0) {
-      return {
-        suspicious: true,
-        violations,
-        riskScore: violations.length * 20 // 0-100 scale
-      };
+    if (key && result.ruleScore > 0) {
+      const score = reputation + result.ruleScore;
+      await this.store.setValue(key, { score, updatedAt: now }, detector.reputationTtlMs(score))
+        .catch(error => console.error('Rate limit store error:', error.message));
     }
 
-    return { suspicious: false, riskScore: 0 };
+    return { ...result, reputation: Math.round(reputation) };
   }
 
   /**
@@ -172,62 +148,94 @@ class RateLimiter {
     return { valid: true };
   }
 
+  /**
+   * Add an IP address or CIDR range to the blacklist (durationMs null = until removed)
+   */
+  async blacklist(identifier, { reason = 'manual', durationMs = this.config.blacklistDurationMs, createdBy } = {}) {
+    const target = normalizeBlockTarget(identifier);
+    const normalized = target || String(identifier);
+    const entry = {
+      reason,
+      type: target && target.includes('/') ? 'range' : 'address',
+      createdAt: new Date().toISOString(),
+      expiresAt: durationMs ? new Date(Date.now() + durationMs).toISOString() : null
+    };
+    if (createdBy) entry.createdBy = createdBy;
+
+    await this.store.addToBlacklist(normalized, entry);
+    this.rangeCache = null;
+    return { success: true, identifier: normalized, ...entry };
+  }
+
   /**
    * Remove from blacklist (admin function)
    */
-  unblacklist(identifier) {
-    this.blacklist.delete(identifier);
-    return { success: true };
+  async unblacklist(identifier) {
+    const normalized = normalizeBlockTarget(identifier) || String(identifier);
+    const removed = await this.store.removeFromBlacklist(normalized);
+    this.rangeCache = null;
+    return { success: true, removed };
   }
 
   /**
-   * Get rate limit stats
+   * List active blacklist entries, newest first
    */
-  getStats(identifier) {
-    const stats = {
-      blacklisted: this.blacklist.has(identifier),
-      requests: [],
-      totalViolations: 0
-    };
+  async getBlacklist() {
+    const entries = await this.store.listBlacklist();
+    return entries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
 
-    // Get all records for this identifier
-    for (const [key, record] of this.requests.entries()) {
-      if (key.startsWith(identifier)) {
-        stats.requests.push({
-          type: key.split(':')[1],
-          count: record.count,
-          violations: record.violations,
-          windowStart: record.windowStart
-        });
-        stats.totalViolations += record.violations;
-      }
-    }
+  /**
+   * Canonical form of an IP address or CIDR range for manual blocks (null if invalid)
+   */
+  parseBlockTarget(value) {
+    return normalizeBlockTarget(value);
+  }
 
-    return stats;
+  /**
+   * Find the blacklist entry blocking an identifier: its own entry or a CIDR range containing it
+   */
+  async findBlacklistEntry(identifier) {
+    const address = clientAddress(identifier);
+
+    const exact = await this.store.getBlacklistEntry(address || String(identifier));
+    if (exact || !address) return exact;
+
+    const ranges = await this._getRanges();
+    return ranges.find(entry => ipInRange(address, entry.identifier)) || null;
   }
 
   /**
-   * Periodic cleanup of old records
+   * Get rate limit stats
    */
-  startCleanup() {
-    setInterval(() => {
-      const now = Date.now();
-      const maxAge = this.config.windowMs * 10; // Keep records for 10 windows
-
-      for (const [key, record] of this.requests.entries()) {
-        if (now - record.firstRequest > maxAge) {
-          this.requests.delete(key);
-        }
+  async getStats(identifier) {
+    const now = Date.now();
+    const stats = {
+      blacklisted: false,
+      blacklistEntry: await this.findBlacklistEntry(identifier),
+      violations: await this.store.get(`violations:${identifier}`),
+      windows: []
+    };
+    stats.blacklisted = !!stats.blacklistEntry;
+
+    // Current usage of each sliding-window route type
+    for (const [type, limit] of Object.entries(this.limits)) {
+      if (limit.algorithm === 'token-bucket') continue;
+
+      const window = Math.floor(now / limit.windowMs);
+      const count = await this.store.get(`${identifier}:${type}:${window}`);
+      if (count > 0) {
+        stats.windows.push({ type, count, limit: limit.limit, windowStart: window * limit.windowMs });
       }
+    }
 
-      console.log(`Rate limiter cleanup: ${this.requests.size} active records, ${this.blacklist.size} blacklisted`);
-    }, this.config.cleanupInterval);
+    return stats;
   }
 
   /**
    * Create rate limit middleware for serverless functions
    */
-  middleware() {
+  middleware(options = {}) {
     return async (event) => {
       // Extract identifier (IP or session)
       const identifier =
@@ -237,7 +245,7 @@ class RateLimiter {
         'unknown';
 
       // Check rate limit
-      const result = this.checkRateLimit(identifier);
+      const result = await this.checkRateLimit(identifier, options);
 
       if (!result.allowed) {
         return {
@@ -257,6 +265,189 @@ class RateLimiter {
       return null; // Allow request to proceed
     };
   }
+
+  /**
+   * Private: Blacklist check, then the route type's limit
+   */
+  async _evaluate(identifier, options) {
+    // Check if blacklisted (directly or by a blocked range)
+    const blacklisted = await this.findBlacklistEntry(identifier);
+    if (blacklisted) {
+      return {
+        allowed: false,
+        reason: 'blacklisted',
+        message: 'Too many violations. Please contact support.',
+        retryAfter: blacklisted.expiresAt
+          ? new Date(blacklisted.expiresAt).getTime() - Date.now()
+          : undefined
+      };
+    }
+
+    const type = options.type || 'default';
+    const limit = this.getLimit(type);
+    const key = `${identifier}:${type}`;
+
+    const result = limit.algorithm === 'token-bucket'
+      ? await this._checkTokenBucket(key, limit, options.cost)
+      : await this._checkSlidingWindow(key, limit);
+
+    if (result.allowed) {
+      return { allowed: true, remaining: result.remaining };
+    }
+
+    // Blacklist if too many violations
+    const violations = await this.store.increment(`violations:${identifier}`, this.config.violationWindowMs);
+    if (violations >= this.config.blacklistThreshold) {
+      await this.blacklist(identifier, {
+        reason: `rate_limit_violations (${violations} in ${type})`,
+        durationMs: this.config.blacklistDurationMs
+      });
+      console.warn(`Blacklisted: ${identifier} (${violations} violations)`);
+    }
+
+    return {
+      allowed: false,
+      reason: 'rate_limit_exceeded',
+      message: 'Too many requests. Please slow down.',
+      retryAfter: result.retryAfter
+    };
+  }
+
+  /**
+   * Private: Sliding window counter - this window's count plus the previous
+   * window's count weighted by how much of it still overlaps
+   */
+  async _checkSlidingWindow(key, { limit, windowMs }) {
+    const now = Date.now();
+    const window = Math.floor(now / windowMs);
+    const elapsed = now - window * windowMs;
+
+    const current = await this.store.increment(`${key}:${window}`, windowMs * 2);
+    const previous = await this.store.get(`${key}:${window - 1}`);
+    const count = current + previous * ((windowMs - elapsed) / windowMs);
+
+    if (count > limit) {
+      return { allowed: false, retryAfter: windowMs - elapsed };
+    }
+
+    return { allowed: true, remaining: Math.max(0, Math.floor(limit - count)) };
+  }
+
+  /**
+   * Private: Token bucket - allows bursts up to capacity, refilled continuously
+   */
+  async _checkTokenBucket(key, { capacity, refillPerMinute }, cost = 1) {
+    const refillPerMs = refillPerMinute / 60000;
+    const result = await this.store.takeToken(key, { capacity, refillPerMs, cost });
+
+    if (!result.allowed) {
+      return { allowed: false, retryAfter: Math.ceil((cost - result.tokens) / refillPerMs) };
+    }
+
+    return { allowed: true, remaining: Math.floor(result.tokens) };
+  }
+
+  /**
+   * Private: Active CIDR blocks, cached briefly so each check isn't a full blacklist scan
+   */
+  async _getRanges() {
+    if (!this.rangeCache || Date.now() - this.rangeCache.loadedAt > RANGE_CACHE_MS) {
+      const entries = await this.store.listBlacklist();
+      this.rangeCache = {
+        entries: entries.filter(entry => entry.type === 'range'),
+        loadedAt: Date.now()
+      };
+    }
+
+    return this.rangeCache.entries.filter(entry =>
+      entry.expiresAt === null || new Date(entry.expiresAt).getTime() > Date.now()
+    );
+  }
+
+  /**
+   * Private: Merge RATE_LIMITS overrides into the defaults
+   */
+  _loadLimits() {
+    const limits = {};
+    Object.entries(DEFAULT_LIMITS).forEach(([type, limit]) => {
+      limits[type] = { ...limit };
+    });
+
+    if (!process.env.RATE_LIMITS) return limits;
+
+    try {
+      const overrides = JSON.parse(process.env.RATE_LIMITS);
+      Object.entries(overrides).forEach(([type, limit]) => {
+        const base = limits[type] || limits.default;
+        limits[type] = { ...base, ...limit };
+      });
+    } catch (error) {
+      console.error('Invalid RATE_LIMITS configuration:', error.message);
+    }
+
+    return limits;
+  }
+}
+
+/**
+ * Helper: First address of an X-Forwarded-For style identifier (null if not an IP)
+ */
+function clientAddress(identifier) {
+  const address = String(identifier || '').split(',')[0].trim().replace(/^::ffff:(?=\d+\.)/i, '');
+  return net.isIP(address) ? address : null;
+}
+
+/**
+ * Helper: Canonical form of an IP address or CIDR range (null if invalid)
+ */
+function normalizeBlockTarget(value) {
+  const [host, bits, extra] = String(value || '').trim().split('/');
+  const address = clientAddress(host);
+  if (!address || extra !== undefined) return null;
+  if (bits === undefined) return address;
+
+  const maxBits = net.isIPv4(address) ? 32 : 128;
+  const prefix = Number(bits);
+  if (!/^\d+$/.test(bits) || prefix > maxBits) return null;
+
+  return `${address}/${prefix}`;
+}
+
+/**
+ * Helper: IP address as a BigInt (IPv4 and IPv6)
+ */
+function ipToBigInt(address) {
+  if (net.isIPv4(address)) {
+    return address.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+  }
+
+  // Expand "::" and any embedded IPv4 tail into eight 16-bit groups
+  let groups = address.split(':');
+  const tail = groups[groups.length - 1];
+  if (tail.includes('.')) {
+    const v4 = ipToBigInt(tail);
+    groups.splice(-1, 1, (v4 >> 16n).toString(16), (v4 & 0xffffn).toString(16));
+  }
+
+  const gap = groups.indexOf('');
+  if (gap !== -1) {
+    const filled = groups.filter(group => group !== '');
+    groups = [...filled.slice(0, gap), ...Array(8 - filled.length).fill('0'), ...filled.slice(gap)];
+  }
+
+  return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Helper: Check whether an address falls inside a CIDR range
+ */
+function ipInRange(address, range) {
+  const [base, bits] = range.split('/');
+  if (net.isIPv4(address) !== net.isIPv4(base)) return false;
+
+  const width = net.isIPv4(base) ? 32n : 128n;
+  const shift = width - BigInt(bits);
+  return (ipToBigInt(address) >> shift) === (ipToBigInt(base) >> shift);
 }
 
 // Singleton instance
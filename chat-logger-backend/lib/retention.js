@@ -0,0 +1,108 @@
+/**
+ * Retention Policy Engine
+ * Enforces how long each class of data is kept. The same policy feeds the
+ * retention periods shown in GDPRCompliance.getPrivacyPolicySummary.
+ *
+ * Periods are in days (null = keep until deletion is requested) and can be
+ * overridden with the RETENTION_POLICY environment variable as JSON:
+ *   {"archivedLogs": 60, "customerHistory": 365}
+ */
+
+const Storage = require('./storage');
+const knowledgeBase = require('./knowledge-base');
+
+const DEFAULT_POLICY = {
+  dailyLogs: 30,          // then archived
+  archivedLogs: 90,
+  sessions: 30,
+  customerHistory: null,
+  kbViews: 90,
+  gdprDeletionLogs: 30,
+  gdprRequests: 30,
+  abuseEvents: 30,
+  digests: 90,
+  analyticsEvents: 90,
+  supportTickets: 365,
+  helpdeskDeadLetters: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionPolicy {
+  /**
+   * Get the active policy (defaults merged with RETENTION_POLICY)
+   */
+  static getPolicy() {
+    if (!process.env.RETENTION_POLICY) return { ...DEFAULT_POLICY };
+
+    try {
+      const overrides = JSON.parse(process.env.RETENTION_POLICY);
+      const policy = { ...DEFAULT_POLICY };
+
+      Object.entries(overrides).forEach(([dataClass, days]) => {
+        if (!(dataClass in DEFAULT_POLICY)) {
+          console.warn(`Ignoring unknown retention class "${dataClass}"`);
+        } else if (days === null || (Number.isInteger(days) && days > 0)) {
+          policy[dataClass] = days;
+        } else {
+          console.warn(`Ignoring invalid retention period for "${dataClass}": ${days}`);
+        }
+      });
+
+      return policy;
+    } catch (error) {
+      console.error('Invalid RETENTION_POLICY configuration:', error.message);
+      return { ...DEFAULT_POLICY };
+    }
+  }
+
+  /**
+   * Human-readable retention period for a data class
+   */
+  static describe(dataClass, policy = this.getPolicy()) {
+    const days = policy[dataClass];
+    if (days === null) return 'Until deletion requested';
+    return dataClass === 'dailyLogs' ? `${days} days (then archived)` : `${days} days`;
+  }
+
+  /**
+   * Apply the policy to every data class
+   * With dryRun the report lists what would be removed without changing anything
+   */
+  static async run(options = {}) {
+    const { dryRun = false, now = new Date() } = options;
+    const policy = this.getPolicy();
+
+    const cutoffs = {};
+    Object.entries(policy).forEach(([dataClass, days]) => {
+      cutoffs[dataClass] = days === null ? null : new Date(now.getTime() - days * DAY_MS);
+    });
+
+    const actions = [
+      ...await Storage.purgeExpired(cutoffs, { dryRun }),
+      ...(cutoffs.kbViews ? await knowledgeBase.purgeViewLogs(cutoffs.kbViews, { dryRun }) : [])
+    ];
+
+    const summary = {};
+    Object.keys(policy).forEach(dataClass => {
+      const classActions = actions.filter(action => action.dataClass === dataClass);
+      summary[dataClass] = {
+        retention: this.describe(dataClass, policy),
+        artifacts: classActions.length,
+        records: classActions.reduce((sum, action) => sum + action.removed, 0)
+      };
+    });
+
+    return {
+      dryRun,
+      ranAt: now.toISOString(),
+      policy,
+      summary,
+      actions
+    };
+  }
+}
+
+RetentionPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = RetentionPolicy;
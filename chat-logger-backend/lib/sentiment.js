@@ -0,0 +1,82 @@
+/**
+ * Sentiment Scoring
+ * Lexicon-based scoring for logged chat messages, using the same word lists
+ * as the widget's analyzeSentiment (chat-enhancements.js) so the digest and
+ * the widget agree on what counts as positive or negative.
+ */
+
+const POSITIVE_WORDS = [
+  'thank', 'thanks', 'great', 'awesome', 'excellent', 'perfect', 'love', 'wonderful',
+  'amazing', 'fantastic', 'helpful', 'appreciate', 'good', 'nice', 'happy', 'pleased',
+  'satisfied', 'brilliant', 'superb', 'outstanding', 'delighted', 'glad'
+];
+
+const NEGATIVE_WORDS = [
+  'bad', 'terrible', 'awful', 'horrible', 'worst', 'hate', 'angry', 'frustrated',
+  'disappointed', 'useless', 'broken', 'failed', 'issue', 'problem', 'wrong', 'error',
+  'never', 'cant', "can't", 'cannot', 'wont', "won't", 'doesnt', "doesn't", 'didnt',
+  'not working', 'annoyed', 'upset', 'poor', 'waste'
+];
+
+const INTENSIFIERS = ['very', 'really', 'extremely', 'absolutely', 'totally', 'completely', 'so'];
+
+const NEGATORS = ['not', 'no', "don't", 'dont', "isn't", 'isnt', "wasn't", 'wasnt', 'never'];
+
+const POSITIVE_EMOJIS = ['😊', '😃', '😄', '🙂', '👍', '❤️', '💯', '🎉', '✨', '👏'];
+const NEGATIVE_EMOJIS = ['😞', '😢', '😡', '😤', '👎', '💔', '😠', '🤬', '😭', '😔'];
+
+// Scores beyond these are positive / negative
+const POSITIVE_THRESHOLD = 0.2;
+const NEGATIVE_THRESHOLD = -0.2;
+
+const countMatches = (text, words) => words.reduce((count, word) => {
+  const matches = text.match(new RegExp(`\\b${word}\\b`, 'g'));
+  return count + (matches ? matches.length : 0);
+}, 0);
+
+/**
+ * Score a message from -1 (negative) to 1 (positive)
+ * Returns { score, label } where label is positive, neutral or negative
+ */
+function analyzeSentiment(text) {
+  if (!text || typeof text !== 'string') {
+    return { score: 0, label: 'neutral' };
+  }
+
+  const normalized = text.toLowerCase();
+  const positive = countMatches(normalized, POSITIVE_WORDS);
+  const negative = countMatches(normalized, NEGATIVE_WORDS);
+
+  let score = (positive - negative) * 0.3;
+
+  if (INTENSIFIERS.some(word => new RegExp(`\\b${word}\\b`).test(normalized))) {
+    score *= 1.2;
+  }
+
+  // A negated positive ("not good", "not happy") reads as negative
+  if (positive > negative && countMatches(normalized, NEGATORS) > 0) {
+    score = -Math.abs(score) * 0.5;
+  }
+
+  POSITIVE_EMOJIS.forEach(emoji => {
+    if (text.includes(emoji)) score += 0.4;
+  });
+  NEGATIVE_EMOJIS.forEach(emoji => {
+    if (text.includes(emoji)) score -= 0.4;
+  });
+
+  score = Math.max(-1, Math.min(1, score));
+
+  return { score, label: labelFor(score) };
+}
+
+/**
+ * Label for an (average) score
+ */
+function labelFor(score) {
+  if (score > POSITIVE_THRESHOLD) return 'positive';
+  if (score < NEGATIVE_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+module.exports = { analyzeSentiment, labelFor };
@@ -4,6 +4,36 @@
  */
 
 const crypto = require('crypto');
+const { createSubscriptionProvider } = require('./subscription-providers');
+const { createRateLimitStore } = require('./rate-limit-stores');
+const { messages } = require('./i18n');
+
+// Chat action names -> provider methods
+const SUBSCRIPTION_ACTIONS = {
+  pause: 'pause',
+  resume: 'resume',
+  skip: 'skip',
+  reschedule: 'reschedule',
+  updateFrequency: 'updateFrequency',
+  cancel: 'cancel'
+};
+
+// Actions that still need the subscription app's customer portal
+const MANUAL_SUBSCRIPTION_ACTIONS = ['updateAddress', 'updatePayment'];
+
+// Loyalty ledger (customer metafield loyalty.transactions)
+const LOYALTY_NAMESPACE = 'loyalty';
+const LEDGER_KEY = 'transactions';
+const MAX_LEDGER_ENTRIES = 200;
+const POINTS_PER_DOLLAR = 100;
+const DISCOUNT_EXPIRY_DAYS = 30;
+
+// One redemption per customer at a time; the claim covers a full redemption
+const REDEMPTION_CLAIM_TTL_MS = 30 * 1000;
+// Redemptions retried when the ledger changed while one was in progress
+const MAX_REDEMPTION_ATTEMPTS = 3;
+
+let claimStore = null;
 
 class ShopifyIntegration {
   constructor(config = {}) {
@@ -11,6 +41,15 @@ class ShopifyIntegration {
     this.accessToken = config.accessToken || process.env.SHOPIFY_ACCESS_TOKEN;
     this.apiVersion = config.apiVersion || '2024-01';
     this.baseUrl = `https://${this.shopDomain}/admin/api/${this.apiVersion}`;
+
+    // Subscription app adapter (Recharge, Bold or Shopify native), null if not configured
+    const providerType = config.subscriptionProvider || process.env.SUBSCRIPTION_PROVIDER;
+    this.subscriptionProvider = createSubscriptionProvider(
+      providerType,
+      providerType === 'shopify'
+        ? { shopDomain: this.shopDomain, accessToken: this.accessToken, apiVersion: this.apiVersion }
+        : {}
+    );
   }
 
   /**
@@ -30,10 +69,14 @@ class ShopifyIntegration {
     });
 
     if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Shopify API error: ${response.status} - ${error}`);
+      const error = new Error(`Shopify API error: ${response.status} - ${await response.text()}`);
+      error.status = response.status;
+      throw error;
     }
 
+    // DELETE answers 204 with no body
+    if (response.status === 204) return {};
+
     return await response.json();
   }
 
@@ -81,11 +124,19 @@ class ShopifyIntegration {
   /**
    * Get order tracking information
    */
-  async getOrderTracking(orderId) {
+  async getOrderTracking(orderId, customerEmail = null) {
     try {
       const response = await this._request(`/orders/${orderId}.json`);
       const order = response.order;
 
+      // Verify customer if email provided
+      if (customerEmail && order.email?.toLowerCase() !== customerEmail.toLowerCase()) {
+        return {
+          success: false,
+          message: 'Order not found or does not belong to this email address.'
+        };
+      }
+
       const fulfillments = order.fulfillments || [];
       const trackingInfo = fulfillments.map(f => ({
         trackingNumber: f.tracking_number,
@@ -156,12 +207,24 @@ class ShopifyIntegration {
   }
 
   /**
-   * Get subscription information (requires subscription app)
+   * Get subscription information
+   * Uses the configured subscription provider, or guesses from order tags without one
    */
   async getSubscriptions(customerEmail) {
     try {
-      // Note: This requires a subscription app like Recharge or Bold
-      // For now, we'll check for recurring orders
+      if (this.subscriptionProvider) {
+        const subscriptions = await this.subscriptionProvider.listSubscriptions(customerEmail);
+
+        return {
+          success: true,
+          provider: this.subscriptionProvider.name,
+          hasSubscriptions: subscriptions.length > 0,
+          subscriptions,
+          supportedActions: Object.keys(SUBSCRIPTION_ACTIONS)
+        };
+      }
+
+      // No subscription app configured - check for recurring orders
       const ordersData = await this.getCustomerOrders(customerEmail, 50);
 
       if (!ordersData.success) {
@@ -189,53 +252,66 @@ class ShopifyIntegration {
   }
 
   /**
-   * Manage subscription (pause/cancel/update)
-   * Note: Requires subscription app integration
+   * Manage subscription (pause/resume/skip/reschedule/updateFrequency/cancel)
+   * params.customerEmail must own the subscription
    */
   async manageSubscription(action, subscriptionId, params = {}) {
-    // This is a placeholder - actual implementation depends on subscription app
-    const actions = {
-      pause: async () => ({
-        success: true,
-        message: 'Subscription paused successfully',
-        pausedUntil: params.pauseUntil
-      }),
-      cancel: async () => ({
-        success: true,
-        message: 'Subscription cancelled successfully',
-        cancelledAt: new Date().toISOString()
-      }),
-      updateFrequency: async () => ({
-        success: true,
-        message: 'Subscription frequency updated',
-        newFrequency: params.frequency
-      }),
-      updateAddress: async () => ({
-        success: true,
-        message: 'Shipping address updated'
-      }),
-      updatePayment: async () => ({
-        success: true,
-        message: 'Payment method update initiated. Please check your email.'
-      })
-    };
+    const validActions = [...Object.keys(SUBSCRIPTION_ACTIONS), ...MANUAL_SUBSCRIPTION_ACTIONS];
 
-    if (!actions[action]) {
+    if (!validActions.includes(action)) {
       return {
         success: false,
         error: 'Invalid action',
-        validActions: Object.keys(actions)
+        validActions
       };
     }
 
-    // In production, integrate with Recharge, Bold, or other subscription app
-    console.log(`Subscription ${action} requested for ${subscriptionId}`, params);
+    // Without a provider (or for portal-only actions) hand off to the support team
+    if (!this.subscriptionProvider || MANUAL_SUBSCRIPTION_ACTIONS.includes(action)) {
+      // Action and ID only: params carry the customer's email
+      console.log(`Subscription ${action} requested for ${subscriptionId}`);
 
-    return {
-      success: true,
-      message: `Subscription ${action} request received. A support team member will process this shortly.`,
-      requiresManualProcessing: true
-    };
+      return {
+        success: true,
+        message: `Subscription ${action} request received. A support team member will process this shortly.`,
+        requiresManualProcessing: true
+      };
+    }
+
+    if (!params.customerEmail) {
+      return {
+        success: false,
+        error: 'Customer email required to manage subscriptions'
+      };
+    }
+
+    try {
+      // Verify the subscription belongs to this customer
+      const existing = await this.subscriptionProvider.getSubscription(subscriptionId);
+
+      if (!existing || existing.customerEmail?.toLowerCase() !== params.customerEmail.toLowerCase()) {
+        return {
+          success: false,
+          error: 'Subscription not found'
+        };
+      }
+
+      const subscription = await this.subscriptionProvider[SUBSCRIPTION_ACTIONS[action]](subscriptionId, params);
+
+      return {
+        success: true,
+        action,
+        provider: this.subscriptionProvider.name,
+        subscription,
+        message: this._subscriptionActionMessage(action, subscription)
+      };
+    } catch (error) {
+      console.error(`Subscription ${action} error:`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
   }
 
   /**
@@ -243,6 +319,10 @@ class ShopifyIntegration {
    */
   async getRecommendations(customerEmail, context = {}) {
     try {
+      if (!customerEmail) {
+        return await this._getPopularProducts();
+      }
+
       const ordersData = await this.getCustomerOrders(customerEmail, 20);
 
       if (!ordersData.success) {
@@ -282,10 +362,11 @@ class ShopifyIntegration {
   /**
    * Get guided product recommendations based on user preferences
    * Filters products by area of concern, application method, and strength
+   * (language picks the labels in matchInfo)
    */
   async getGuidedRecommendations(filters = {}) {
     try {
-      const { concern, applicationMethod, strength } = filters;
+      const { concern, applicationMethod, strength, language } = filters;
 
       // Fetch all products from Shopify
       const response = await this._request('/products.json?limit=250&published_status=published');
@@ -401,38 +482,16 @@ class ShopifyIntegration {
         .sort((a, b) => b.score - a.score)
         .slice(0, 6);
 
-      // Create human-readable match info
-      const concernLabels = {
-        acne: 'Acne & Breakouts',
-        aging: 'Anti-Aging',
-        hydration: 'Hydration',
-        dark_spots: 'Dark Spots',
-        sensitivity: 'Sensitivity',
-        texture: 'Texture & Pores'
-      };
-
-      const methodLabels = {
-        serum: 'Serum',
-        cream: 'Cream/Moisturizer',
-        cleanser: 'Cleanser',
-        mask: 'Mask/Treatment',
-        toner: 'Toner/Essence',
-        spot: 'Spot Treatment'
-      };
-
-      const strengthLabels = {
-        gentle: 'Gentle',
-        moderate: 'Moderate',
-        strong: 'Strong'
-      };
+      // Human-readable match info, in the wizard's labels for the shopper's language
+      const labels = messages(language).widget.recommendations;
 
       return {
         success: true,
         recommendations: filteredProducts,
         matchInfo: {
-          concern: concernLabels[concern] || concern,
-          applicationMethod: methodLabels[applicationMethod] || applicationMethod,
-          strength: strengthLabels[strength] || strength
+          concern: labels.concerns[concern] || concern,
+          applicationMethod: labels.methods[applicationMethod]?.label || applicationMethod,
+          strength: labels.strengths[strength]?.label || strength
         },
         basedOn: 'guided_preferences'
       };
@@ -447,54 +506,34 @@ class ShopifyIntegration {
   }
 
   /**
-   * Get loyalty program points (if using loyalty app)
+   * Get loyalty program points and transaction history
+   * Balance comes from the loyalty.points metafield (set by a loyalty app) or,
+   * without one, from order history minus redemptions recorded in the ledger
    */
   async getLoyaltyPoints(customerEmail) {
     try {
-      const customerResponse = await this._request(
-        `/customers/search.json?query=email:${encodeURIComponent(customerEmail)}`
-      );
+      const account = await this._getLoyaltyAccount(customerEmail);
 
-      if (!customerResponse.customers || customerResponse.customers.length === 0) {
+      if (!account) {
         return {
           success: false,
           message: 'Customer not found'
         };
       }
 
-      const customer = customerResponse.customers[0];
-
-      // Check metafields for loyalty points
-      const metafieldsResponse = await this._request(
-        `/customers/${customer.id}/metafields.json`
-      );
-
-      const loyaltyData = metafieldsResponse.metafields.find(
-        m => m.namespace === 'loyalty' || m.key === 'points'
-      );
-
-      if (loyaltyData) {
-        return {
-          success: true,
-          points: parseInt(loyaltyData.value) || 0,
-          tier: this._calculateTier(parseInt(loyaltyData.value)),
-          customer: {
-            email: customer.email,
-            name: `${customer.first_name} ${customer.last_name}`
-          }
-        };
-      }
-
-      // Calculate points from order history
-      const ordersData = await this.getCustomerOrders(customerEmail);
-      const points = this._calculatePointsFromOrders(ordersData.orders);
-
       return {
         success: true,
-        points: points,
-        tier: this._calculateTier(points),
-        message: 'Points calculated from order history',
-        estimatedOnly: true
+        points: account.balance,
+        tier: this._calculateTier(account.balance),
+        customer: {
+          email: account.customer.email,
+          name: `${account.customer.first_name} ${account.customer.last_name}`
+        },
+        transactions: account.transactions,
+        ...(account.estimatedOnly && {
+          message: 'Points calculated from order history',
+          estimatedOnly: true
+        })
       };
     } catch (error) {
       console.error('Loyalty points error:', error);
@@ -506,39 +545,56 @@ class ShopifyIntegration {
   }
 
   /**
-   * Redeem loyalty points
+   * Redeem loyalty points for a single-use discount code
+   * Idempotent on redemptionId: repeating a request returns the original code
    */
-  async redeemPoints(customerEmail, points, rewardType = 'discount') {
+  async redeemPoints(customerEmail, points, rewardType = 'discount', redemptionId = null) {
     try {
-      const loyaltyData = await this.getLoyaltyPoints(customerEmail);
+      if (rewardType !== 'discount') {
+        return {
+          success: false,
+          message: `Unsupported reward type: ${rewardType}`
+        };
+      }
 
-      if (!loyaltyData.success) {
-        return loyaltyData;
+      if (!redemptionId) {
+        return {
+          success: false,
+          message: 'redemptionId is required'
+        };
       }
 
-      if (loyaltyData.points < points) {
+      const discountValue = Math.floor(points / POINTS_PER_DOLLAR);
+      if (!discountValue || discountValue < 1) {
         return {
           success: false,
-          message: `Insufficient points. You have ${loyaltyData.points} points, need ${points}.`
+          message: `Minimum redemption is ${POINTS_PER_DOLLAR} points.`
         };
       }
 
-      // Create discount code
-      const discountCode = this._generateDiscountCode();
-      const discountValue = Math.floor(points / 100); // 100 points = $1
+      const customer = await this._findCustomer(customerEmail);
+
+      if (!customer) {
+        return {
+          success: false,
+          message: 'Customer not found'
+        };
+      }
 
-      // In production, create actual Shopify discount code
-      console.log(`Creating discount code: ${discountCode} for $${discountValue}`);
+      // Two redemptions at once would both pass the balance check
+      const claimKey = `loyalty-redemption:${customer.id}`;
+      if (!await this._claimRedemption(claimKey)) {
+        return {
+          success: false,
+          message: 'Another redemption is in progress. Please try again in a moment.'
+        };
+      }
 
-      return {
-        success: true,
-        discountCode: discountCode,
-        discountValue: discountValue,
-        pointsRedeemed: points,
-        pointsRemaining: loyaltyData.points - points,
-        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days
-        message: `Discount code ${discountCode} created! Use it at checkout for $${discountValue} off.`
-      };
+      try {
+        return await this._redeemForCustomer(customer, discountValue, redemptionId);
+      } finally {
+        await this.claimStore.release(claimKey).catch(() => {});
+      }
     } catch (error) {
       console.error('Points redemption error:', error);
       return {
@@ -548,6 +604,94 @@ class ShopifyIntegration {
     }
   }
 
+  /**
+   * Helper: Redeem for a customer holding the redemption claim. The ledger
+   * is written only if nobody changed it since it was read; otherwise the
+   * redemption starts over against the new balance.
+   */
+  async _redeemForCustomer(customer, discountValue, redemptionId) {
+    // Only whole dollars are debited so leftover points stay on the account
+    const pointsToRedeem = discountValue * POINTS_PER_DOLLAR;
+
+    // Code is derived from the redemption ID so a retry after a partial failure
+    // finds the code created by the first attempt instead of issuing a second one
+    const discountCode = this._generateDiscountCode(customer.id, redemptionId);
+
+    for (let attempt = 1; attempt <= MAX_REDEMPTION_ATTEMPTS; attempt++) {
+      const account = await this._getLoyaltyAccount(customer.email, customer);
+
+      // Already redeemed - return the original result
+      const existing = account.ledger.transactions.find(t => t.redemptionId === redemptionId);
+      if (existing) {
+        return {
+          ...this._redemptionResult(existing, account.balance),
+          duplicate: true
+        };
+      }
+
+      if (account.balance < pointsToRedeem) {
+        // A code from an attempt that was never debited must not stay usable
+        await this._deleteDiscountCode(discountCode);
+
+        return {
+          success: false,
+          message: `Insufficient points. You have ${account.balance} points, need ${pointsToRedeem}.`
+        };
+      }
+
+      const expiresAt = new Date(Date.now() + DISCOUNT_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+      const discount = await this._findDiscountCode(discountCode) ||
+        await this._createLoyaltyDiscount(customer.id, discountCode, discountValue, expiresAt);
+
+      const transaction = {
+        id: crypto.randomUUID(),
+        type: 'debit',
+        points: pointsToRedeem,
+        reason: 'redemption',
+        redemptionId,
+        discountCode,
+        discountValue,
+        priceRuleId: discount.priceRuleId,
+        expiresAt,
+        createdAt: new Date().toISOString()
+      };
+
+      const balance = account.balance - pointsToRedeem;
+      if (await this._saveLoyaltyLedger(account, transaction, balance)) {
+        return this._redemptionResult(transaction, balance);
+      }
+    }
+
+    return {
+      success: false,
+      message: 'Your points balance changed during the redemption. Please try again.'
+    };
+  }
+
+  /**
+   * Shared claim store (the rate limit store)
+   */
+  get claimStore() {
+    if (!claimStore) {
+      claimStore = createRateLimitStore();
+    }
+    return claimStore;
+  }
+
+  /**
+   * Helper: Claim a customer's redemption, failing open if the store is
+   * unreachable (the ledger check still catches concurrent writes)
+   */
+  async _claimRedemption(key) {
+    try {
+      return await this.claimStore.claim(key, REDEMPTION_CLAIM_TTL_MS);
+    } catch (error) {
+      console.error('Redemption claims unavailable:', error.message);
+      return true;
+    }
+  }
+
   /**
    * Helper: Format order information
    */
@@ -635,24 +779,279 @@ class ShopifyIntegration {
   }
 
   /**
-   * Helper: Calculate points from orders
+   * Helper: Confirmation message for a completed subscription action
    */
-  _calculatePointsFromOrders(orders) {
-    if (!orders) return 0;
-
-    return orders.reduce((total, order) => {
-      const orderTotal = parseFloat(order.total) || 0;
-      return total + Math.floor(orderTotal * 10); // 10 points per dollar
-    }, 0);
+  _subscriptionActionMessage(action, subscription) {
+    switch (action) {
+      case 'pause':
+        return subscription.pausedUntil
+          ? `Your subscription is paused until ${subscription.pausedUntil}.`
+          : 'Your subscription is paused. You can resume it anytime.';
+      case 'resume':
+        return 'Your subscription is active again.';
+      case 'skip':
+        return `Your delivery on ${subscription.skippedDate} has been skipped.`;
+      case 'reschedule':
+        return `Your next delivery is now scheduled for ${subscription.nextChargeDate}.`;
+      case 'updateFrequency':
+        return `Your delivery frequency is now: ${subscription.frequencyLabel}.`;
+      case 'cancel':
+        return 'Your subscription has been cancelled.';
+      default:
+        return 'Subscription updated.';
+    }
   }
 
   /**
-   * Helper: Generate discount code
+   * Helper: Generate discount code (deterministic per customer + redemption)
    */
-  _generateDiscountCode() {
+  _generateDiscountCode(customerId, redemptionId) {
     const prefix = 'LOYALTY';
-    const random = crypto.randomBytes(4).toString('hex').toUpperCase();
-    return `${prefix}${random}`;
+    const suffix = crypto.createHash('sha256')
+      .update(`${customerId}:${redemptionId}`)
+      .digest('hex')
+      .substring(0, 8)
+      .toUpperCase();
+    return `${prefix}${suffix}`;
+  }
+
+  /**
+   * Helper: Find customer by email (null if not found)
+   */
+  async _findCustomer(customerEmail) {
+    const customerResponse = await this._request(
+      `/customers/search.json?query=email:${encodeURIComponent(customerEmail)}`
+    );
+    return customerResponse.customers?.[0] || null;
+  }
+
+  /**
+   * Helper: Load balance, ledger and metafields for a customer (null if not found)
+   * customer: the Shopify customer when already looked up
+   */
+  async _getLoyaltyAccount(customerEmail, customer = null) {
+    customer = customer || await this._findCustomer(customerEmail);
+    if (!customer) return null;
+
+    const { pointsMetafield, ledgerMetafield } = await this._getLoyaltyMetafields(customer.id);
+    const ledger = this._parseLedger(ledgerMetafield);
+
+    let balance;
+    let transactions = ledger.transactions;
+    let estimatedOnly = false;
+
+    if (pointsMetafield) {
+      balance = parseInt(pointsMetafield.value) || 0;
+    } else {
+      // No loyalty app - earn from lifetime spend, minus everything redeemed
+      // so far (recent orders are listed as credits)
+      const earned = Math.floor((parseFloat(customer.total_spent) || 0) * 10); // 10 points per dollar
+      balance = Math.max(0, earned - ledger.totalRedeemed);
+
+      const ordersData = await this.getCustomerOrders(customerEmail);
+      transactions = [...transactions, ...this._orderCredits(ordersData.orders)];
+      estimatedOnly = true;
+    }
+
+    transactions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return { customer, pointsMetafield, ledgerMetafield, ledger, balance, transactions, estimatedOnly };
+  }
+
+  /**
+   * Helper: The customer's loyalty.points and loyalty.transactions metafields (null when missing)
+   */
+  async _getLoyaltyMetafields(customerId) {
+    const { metafields = [] } = await this._request(
+      `/customers/${customerId}/metafields.json?namespace=${LOYALTY_NAMESPACE}`
+    );
+
+    return {
+      pointsMetafield: metafields.find(m => m.key === 'points') || null,
+      ledgerMetafield: metafields.find(m => m.key === LEDGER_KEY) || null
+    };
+  }
+
+  /**
+   * Helper: Whether a metafield was created, updated or deleted since it was read
+   * (updated_at only has second precision, so the value is compared too)
+   */
+  _metafieldChanged(read, current) {
+    if (!read || !current) return read !== current;
+    return read.updated_at !== current.updated_at || read.value !== current.value;
+  }
+
+  /**
+   * Helper: Parse the loyalty ledger metafield
+   */
+  _parseLedger(metafield) {
+    const empty = { totalRedeemed: 0, transactions: [] };
+    if (!metafield) return empty;
+
+    try {
+      const ledger = typeof metafield.value === 'string' ? JSON.parse(metafield.value) : metafield.value;
+      return {
+        totalRedeemed: parseInt(ledger.totalRedeemed) || 0,
+        transactions: Array.isArray(ledger.transactions) ? ledger.transactions : []
+      };
+    } catch (error) {
+      console.error('Invalid loyalty ledger metafield:', error);
+      return empty;
+    }
+  }
+
+  /**
+   * Helper: Update the points balance and append a transaction to the ledger
+   * Returns false without writing if either metafield changed since the
+   * account was read.
+   *
+   * Points are debited before the ledger records the redemption: a ledger
+   * entry marks the redemption as done, so it must never exist for points
+   * that were not taken. If the ledger write fails the points are put back.
+   */
+  async _saveLoyaltyLedger(account, transaction, balance) {
+    const { customer, ledger, ledgerMetafield, pointsMetafield } = account;
+
+    const current = await this._getLoyaltyMetafields(customer.id);
+    if (this._metafieldChanged(ledgerMetafield, current.ledgerMetafield) ||
+        this._metafieldChanged(pointsMetafield, current.pointsMetafield)) {
+      return false;
+    }
+
+    if (pointsMetafield) {
+      await this._setPoints(customer.id, pointsMetafield, balance);
+    }
+
+    const value = JSON.stringify({
+      totalRedeemed: ledger.totalRedeemed + transaction.points,
+      transactions: [transaction, ...ledger.transactions].slice(0, MAX_LEDGER_ENTRIES)
+    });
+
+    try {
+      if (ledgerMetafield) {
+        await this._request(`/customers/${customer.id}/metafields/${ledgerMetafield.id}.json`, {
+          method: 'PUT',
+          body: { metafield: { id: ledgerMetafield.id, value, type: 'json' } }
+        });
+      } else {
+        await this._request(`/customers/${customer.id}/metafields.json`, {
+          method: 'POST',
+          body: { metafield: { namespace: LOYALTY_NAMESPACE, key: LEDGER_KEY, value, type: 'json' } }
+        });
+      }
+    } catch (error) {
+      if (pointsMetafield) {
+        await this._setPoints(customer.id, pointsMetafield, account.balance).catch(restoreError => {
+          console.error(`Could not restore ${account.balance} loyalty points for customer ${customer.id}:`, restoreError);
+        });
+      }
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Helper: Write the loyalty app's points balance
+   */
+  async _setPoints(customerId, pointsMetafield, points) {
+    await this._request(`/customers/${customerId}/metafields/${pointsMetafield.id}.json`, {
+      method: 'PUT',
+      body: { metafield: { id: pointsMetafield.id, value: String(points), type: pointsMetafield.type } }
+    });
+  }
+
+  /**
+   * Helper: Create a single-use price rule and discount code for one customer
+   */
+  async _createLoyaltyDiscount(customerId, code, discountValue, expiresAt) {
+    const { price_rule: priceRule } = await this._request('/price_rules.json', {
+      method: 'POST',
+      body: {
+        price_rule: {
+          title: code,
+          target_type: 'line_item',
+          target_selection: 'all',
+          allocation_method: 'across',
+          value_type: 'fixed_amount',
+          value: `-${discountValue.toFixed(2)}`,
+          customer_selection: 'prerequisite',
+          prerequisite_customer_ids: [customerId],
+          usage_limit: 1,
+          once_per_customer: true,
+          starts_at: new Date().toISOString(),
+          ends_at: expiresAt
+        }
+      }
+    });
+
+    const { discount_code: discountCode } = await this._request(
+      `/price_rules/${priceRule.id}/discount_codes.json`,
+      { method: 'POST', body: { discount_code: { code } } }
+    );
+
+    return { priceRuleId: priceRule.id, discountCodeId: discountCode.id };
+  }
+
+  /**
+   * Helper: Look up an existing discount code (null if not found)
+   */
+  async _findDiscountCode(code) {
+    try {
+      const { discount_code: discountCode } = await this._request(
+        `/discount_codes/lookup.json?code=${encodeURIComponent(code)}`
+      );
+      return discountCode
+        ? { priceRuleId: discountCode.price_rule_id, discountCodeId: discountCode.id }
+        : null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Delete a discount code's price rule, if the code exists
+   */
+  async _deleteDiscountCode(code) {
+    const discount = await this._findDiscountCode(code);
+    if (!discount) return;
+
+    await this._request(`/price_rules/${discount.priceRuleId}.json`, { method: 'DELETE' });
+  }
+
+  /**
+   * Helper: Order history as loyalty credit transactions
+   */
+  _orderCredits(orders) {
+    if (!orders) return [];
+
+    return orders
+      .map(order => ({
+        id: `order-${order.id}`,
+        type: 'credit',
+        points: Math.floor((parseFloat(order.total) || 0) * 10),
+        reason: 'order',
+        orderNumber: order.orderNumber,
+        createdAt: order.createdAt
+      }))
+      .filter(t => t.points > 0);
+  }
+
+  /**
+   * Helper: Response for a completed redemption
+   */
+  _redemptionResult(transaction, pointsRemaining) {
+    return {
+      success: true,
+      redemptionId: transaction.redemptionId,
+      discountCode: transaction.discountCode,
+      discountValue: transaction.discountValue,
+      pointsRedeemed: transaction.points,
+      pointsRemaining,
+      expiresAt: transaction.expiresAt,
+      message: `Discount code ${transaction.discountCode} created! Use it at checkout for $${transaction.discountValue} off.`
+    };
   }
 }
 
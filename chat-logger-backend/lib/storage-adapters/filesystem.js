@@ -0,0 +1,214 @@
+/**
+ * Filesystem Storage Adapter
+ * Stores lists as JSONL files and documents as JSON files on local disk.
+ * Suitable for local development and long-running servers; on Vercel the
+ * /tmp paths do not survive between invocations.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Where each named list lives: base directory plus file-name prefix.
+// Keeps the original chat-logs-YYYY-MM-DD.jsonl layout intact.
+const LIST_LAYOUT = {
+  'chat-logs': { dir: 'storage', prefix: 'chat-logs-' },
+  'archived-chat-logs': { dir: 'storage', prefix: 'archived-chat-logs-' },
+  'gdpr-deletions': { dir: 'storage', prefix: 'gdpr-deletions-' },
+  'abuse-events': { dir: 'storage', prefix: 'abuse-events-' },
+  history: { dir: 'history', prefix: '' }
+};
+
+const DOCUMENT_LAYOUT = {
+  customers: { dir: 'customerData' },
+  sessions: { dir: 'storage', subdir: 'sessions' }
+};
+
+class FilesystemAdapter {
+  constructor(config = {}) {
+    this.name = 'filesystem';
+    this.paths = {
+      storage: config.storagePath || process.env.STORAGE_PATH || '/tmp/chat-logs',
+      history: config.historyPath || process.env.HISTORY_PATH || '/tmp/chat-history',
+      customerData: config.customerDataPath || process.env.CUSTOMER_DATA_PATH || '/tmp/customer-data'
+    };
+  }
+
+  /**
+   * Create base directories
+   */
+  async init() {
+    await Promise.all(
+      Object.values(this.paths).map(dir => fs.mkdir(dir, { recursive: true }))
+    );
+  }
+
+  /**
+   * Append a single entry to a list
+   */
+  async appendToList(name, key, entry) {
+    const file = await this._listFile(name, key);
+    await fs.appendFile(file, JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Read all entries of a list (empty array if missing)
+   */
+  async readList(name, key) {
+    const file = await this._listFile(name, key);
+
+    try {
+      const content = await fs.readFile(file, 'utf8');
+      return content
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the full contents of a list
+   */
+  async writeList(name, key, entries) {
+    const file = await this._listFile(name, key);
+    const content = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    await fs.writeFile(file, content);
+  }
+
+  /**
+   * Delete a list, returns true if it existed
+   */
+  async deleteList(name, key) {
+    return this._unlink(await this._listFile(name, key));
+  }
+
+  /**
+   * List the keys of all lists with the given name
+   */
+  async listKeys(name) {
+    const { dir, prefix } = this._listLayout(name);
+    const files = await this._readdir(dir);
+
+    return files
+      .filter(file => file.startsWith(prefix) && file.endsWith('.jsonl'))
+      .map(file => file.slice(prefix.length, -'.jsonl'.length));
+  }
+
+  /**
+   * Get a document (null if missing)
+   */
+  async getDocument(collection, key) {
+    const file = await this._documentFile(collection, key);
+
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a document
+   */
+  async putDocument(collection, key, value) {
+    const file = await this._documentFile(collection, key);
+    await fs.writeFile(file, JSON.stringify(value, null, 2));
+  }
+
+  /**
+   * Delete a document, returns true if it existed
+   */
+  async deleteDocument(collection, key) {
+    return this._unlink(await this._documentFile(collection, key));
+  }
+
+  /**
+   * List the keys of all documents in a collection
+   */
+  async listDocuments(collection) {
+    const files = await this._readdir(this._documentDir(collection));
+
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+
+  /**
+   * Private: Resolve list layout, unknown lists get their own directory
+   */
+  _listLayout(name) {
+    const layout = LIST_LAYOUT[name];
+    if (layout) {
+      return { dir: this.paths[layout.dir], prefix: layout.prefix };
+    }
+    return { dir: path.join(this.paths.storage, name), prefix: '' };
+  }
+
+  /**
+   * Private: Resolve list file path, creating its directory
+   */
+  async _listFile(name, key) {
+    const { dir, prefix } = this._listLayout(name);
+    await fs.mkdir(dir, { recursive: true });
+    return path.join(dir, `${prefix}${this._safeKey(key)}.jsonl`);
+  }
+
+  /**
+   * Private: Resolve document directory
+   */
+  _documentDir(collection) {
+    const layout = DOCUMENT_LAYOUT[collection];
+    if (layout) {
+      return layout.subdir
+        ? path.join(this.paths[layout.dir], layout.subdir)
+        : this.paths[layout.dir];
+    }
+    return path.join(this.paths.storage, collection);
+  }
+
+  /**
+   * Private: Resolve document file path, creating its directory
+   */
+  async _documentFile(collection, key) {
+    const dir = this._documentDir(collection);
+    await fs.mkdir(dir, { recursive: true });
+    return path.join(dir, `${this._safeKey(key)}.json`);
+  }
+
+  /**
+   * Private: Prevent keys from escaping their directory
+   */
+  _safeKey(key) {
+    return String(key).replace(/[^a-zA-Z0-9_.-]/g, '_');
+  }
+
+  /**
+   * Private: readdir that treats a missing directory as empty
+   */
+  async _readdir(dir) {
+    try {
+      return await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Private: unlink that treats a missing file as already deleted
+   */
+  async _unlink(file) {
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = FilesystemAdapter;
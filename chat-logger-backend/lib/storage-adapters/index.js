@@ -0,0 +1,32 @@
+/**
+ * Storage Adapter Factory
+ * Selects the storage backend from the STORAGE_ADAPTER environment variable.
+ *
+ * Every adapter implements the same interface:
+ *   Lists (append-only JSONL-style logs, addressed by name + key):
+ *     appendToList, readList, writeList, deleteList, listKeys
+ *   Documents (JSON objects, addressed by collection + key):
+ *     getDocument, putDocument, deleteDocument, listDocuments
+ */
+
+const ADAPTERS = {
+  filesystem: () => require('./filesystem'),
+  kv: () => require('./kv'),
+  sqlite: () => require('./sqlite')
+};
+
+/**
+ * Create a storage adapter instance
+ */
+function createAdapter(type = process.env.STORAGE_ADAPTER || 'filesystem', config = {}) {
+  const loader = ADAPTERS[type.toLowerCase()];
+
+  if (!loader) {
+    throw new Error(`Unknown storage adapter "${type}". Valid adapters: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  const Adapter = loader();
+  return new Adapter(config);
+}
+
+module.exports = { createAdapter, adapterTypes: Object.keys(ADAPTERS) };
@@ -0,0 +1,128 @@
+/**
+ * Vercel KV Storage Adapter
+ * Stores lists as Redis lists and documents as JSON strings in Vercel KV,
+ * the same store lib/dam.js uses for its metadata. Data survives between
+ * serverless invocations.
+ */
+
+const { kv } = require('@vercel/kv');
+
+const KEY_PREFIX = process.env.KV_STORAGE_PREFIX || 'chat';
+
+class KVAdapter {
+  constructor(config = {}) {
+    this.name = 'kv';
+    this.client = config.client || kv;
+    this.prefix = config.prefix || KEY_PREFIX;
+  }
+
+  /**
+   * Nothing to prepare - KV is provisioned externally
+   */
+  async init() {}
+
+  /**
+   * Append a single entry to a list
+   */
+  async appendToList(name, key, entry) {
+    await this.client.rpush(this._listKey(name, key), JSON.stringify(entry));
+    await this.client.sadd(this._indexKey('list', name), key);
+  }
+
+  /**
+   * Read all entries of a list (empty array if missing)
+   */
+  async readList(name, key) {
+    const items = await this.client.lrange(this._listKey(name, key), 0, -1);
+    return (items || []).map(item => this._parse(item));
+  }
+
+  /**
+   * Replace the full contents of a list
+   */
+  async writeList(name, key, entries) {
+    const listKey = this._listKey(name, key);
+    await this.client.del(listKey);
+
+    if (entries.length > 0) {
+      await this.client.rpush(listKey, ...entries.map(entry => JSON.stringify(entry)));
+      await this.client.sadd(this._indexKey('list', name), key);
+    } else {
+      await this.client.srem(this._indexKey('list', name), key);
+    }
+  }
+
+  /**
+   * Delete a list, returns true if it existed
+   */
+  async deleteList(name, key) {
+    const removed = await this.client.del(this._listKey(name, key));
+    await this.client.srem(this._indexKey('list', name), key);
+    return removed > 0;
+  }
+
+  /**
+   * List the keys of all lists with the given name
+   */
+  async listKeys(name) {
+    const keys = await this.client.smembers(this._indexKey('list', name));
+    return (keys || []).map(String);
+  }
+
+  /**
+   * Get a document (null if missing)
+   */
+  async getDocument(collection, key) {
+    const data = await this.client.get(this._documentKey(collection, key));
+    return data ? this._parse(data) : null;
+  }
+
+  /**
+   * Create or replace a document
+   */
+  async putDocument(collection, key, value) {
+    await this.client.set(this._documentKey(collection, key), JSON.stringify(value));
+    await this.client.sadd(this._indexKey('doc', collection), key);
+  }
+
+  /**
+   * Delete a document, returns true if it existed
+   */
+  async deleteDocument(collection, key) {
+    const removed = await this.client.del(this._documentKey(collection, key));
+    await this.client.srem(this._indexKey('doc', collection), key);
+    return removed > 0;
+  }
+
+  /**
+   * List the keys of all documents in a collection
+   */
+  async listDocuments(collection) {
+    const keys = await this.client.smembers(this._indexKey('doc', collection));
+    return (keys || []).map(String);
+  }
+
+  /**
+   * Private: KV key helpers
+   */
+  _listKey(name, key) {
+    return `${this.prefix}:list:${name}:${key}`;
+  }
+
+  _documentKey(collection, key) {
+    return `${this.prefix}:doc:${collection}:${key}`;
+  }
+
+  _indexKey(type, name) {
+    return `${this.prefix}:index:${type}:${name}`;
+  }
+
+  /**
+   * Private: KV may return values already deserialized
+   */
+  _parse(data) {
+    return typeof data === 'string' ? JSON.parse(data) : data;
+  }
+}
+
+module.exports = KVAdapter;
@@ -0,0 +1,153 @@
+/**
+ * SQLite Storage Adapter
+ * Stores lists and documents in a single embedded SQLite database file.
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+class SQLiteAdapter {
+  constructor(config = {}) {
+    this.name = 'sqlite';
+    this.dbPath = config.dbPath || process.env.SQLITE_PATH || '/tmp/chat-logger.db';
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create tables
+   */
+  async init() {
+    if (this.db) return;
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS list_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_list_entries_name_key ON list_entries (name, key);
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      );
+    `);
+  }
+
+  /**
+   * Append a single entry to a list
+   */
+  async appendToList(name, key, entry) {
+    await this.init();
+    this.db
+      .prepare('INSERT INTO list_entries (name, key, data) VALUES (?, ?, ?)')
+      .run(name, String(key), JSON.stringify(entry));
+  }
+
+  /**
+   * Read all entries of a list (empty array if missing)
+   */
+  async readList(name, key) {
+    await this.init();
+    return this.db
+      .prepare('SELECT data FROM list_entries WHERE name = ? AND key = ? ORDER BY id')
+      .all(name, String(key))
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Replace the full contents of a list
+   */
+  async writeList(name, key, entries) {
+    await this.init();
+
+    const remove = this.db.prepare('DELETE FROM list_entries WHERE name = ? AND key = ?');
+    const insert = this.db.prepare('INSERT INTO list_entries (name, key, data) VALUES (?, ?, ?)');
+
+    this.db.transaction(() => {
+      remove.run(name, String(key));
+      entries.forEach(entry => insert.run(name, String(key), JSON.stringify(entry)));
+    })();
+  }
+
+  /**
+   * Delete a list, returns true if it existed
+   */
+  async deleteList(name, key) {
+    await this.init();
+    const result = this.db
+      .prepare('DELETE FROM list_entries WHERE name = ? AND key = ?')
+      .run(name, String(key));
+    return result.changes > 0;
+  }
+
+  /**
+   * List the keys of all lists with the given name
+   */
+  async listKeys(name) {
+    await this.init();
+    return this.db
+      .prepare('SELECT DISTINCT key FROM list_entries WHERE name = ?')
+      .all(name)
+      .map(row => row.key);
+  }
+
+  /**
+   * Get a document (null if missing)
+   */
+  async getDocument(collection, key) {
+    await this.init();
+    const row = this.db
+      .prepare('SELECT data FROM documents WHERE collection = ? AND key = ?')
+      .get(collection, String(key));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Create or replace a document
+   */
+  async putDocument(collection, key, value) {
+    await this.init();
+    this.db
+      .prepare('INSERT OR REPLACE INTO documents (collection, key, data) VALUES (?, ?, ?)')
+      .run(collection, String(key), JSON.stringify(value));
+  }
+
+  /**
+   * Delete a document, returns true if it existed
+   */
+  async deleteDocument(collection, key) {
+    await this.init();
+    const result = this.db
+      .prepare('DELETE FROM documents WHERE collection = ? AND key = ?')
+      .run(collection, String(key));
+    return result.changes > 0;
+  }
+
+  /**
+   * List the keys of all documents in a collection
+   */
+  async listDocuments(collection) {
+    await this.init();
+    return this.db
+      .prepare('SELECT key FROM documents WHERE collection = ?')
+      .all(collection)
+      .map(row => row.key);
+  }
+}
+
+module.exports = SQLiteAdapter;
@@ -1,24 +1,74 @@
 /**
  * Storage Module - Chat History & Customer Data
  * Handles persistent storage of chat sessions with customer identification
+ *
+ * The backend is pluggable (filesystem, Vercel KV, SQLite) and selected with
+ * the STORAGE_ADAPTER environment variable - see lib/storage-adapters.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const crypto = require('crypto');
-
-const STORAGE_PATH = process.env.STORAGE_PATH || '/tmp/chat-logs';
-const HISTORY_PATH = process.env.HISTORY_PATH || '/tmp/chat-history';
-const CUSTOMER_DATA_PATH = process.env.CUSTOMER_DATA_PATH || '/tmp/customer-data';
+const { createAdapter } = require('./storage-adapters');
+
+// List and document names shared by every adapter
+const LISTS = {
+  DAILY_LOGS: 'chat-logs',
+  ARCHIVED_LOGS: 'archived-chat-logs',
+  HISTORY: 'history',
+  GDPR_DELETIONS: 'gdpr-deletions',
+  ABUSE_EVENTS: 'abuse-events',
+  ANALYTICS_EVENTS: 'analytics-events',
+  HELPDESK_DEAD_LETTER: 'helpdesk-dead-letter'
+};
+
+const DOCUMENTS = {
+  CUSTOMERS: 'customers',
+  SESSIONS: 'sessions',
+  CUSTOMER_SESSIONS: 'customer-sessions',
+  GDPR_REQUESTS: 'gdpr-requests',
+  AGGREGATES: 'chat-aggregates',
+  DIGESTS: 'chat-digests',
+  TICKETS: 'support-tickets',
+  AUTOCOMPLETE: 'autocomplete',
+  SUGGESTION_CATALOG: 'suggestion-catalog',
+  SUGGESTION_STATS: 'suggestion-stats'
+};
+
+// Hours a saved chat session lives after its last save (SESSION_TTL_HOURS)
+const DEFAULT_SESSION_TTL_HOURS = 168;
+
+let adapter = null;
+let initPromise = null;
 
 class Storage {
   /**
-   * Initialize storage directories
+   * Get the active storage adapter
+   */
+  static get adapter() {
+    if (!adapter) {
+      adapter = createAdapter();
+    }
+    return adapter;
+  }
+
+  /**
+   * Replace the storage adapter (e.g. for scripts or local testing)
+   */
+  static setAdapter(newAdapter) {
+    adapter = newAdapter;
+    initPromise = null;
+  }
+
+  /**
+   * Initialize the storage backend
    */
   static async init() {
-    await fs.mkdir(STORAGE_PATH, { recursive: true });
-    await fs.mkdir(HISTORY_PATH, { recursive: true });
-    await fs.mkdir(CUSTOMER_DATA_PATH, { recursive: true });
+    if (!initPromise) {
+      initPromise = this.adapter.init().catch(error => {
+        initPromise = null;
+        throw error;
+      });
+    }
+    await initPromise;
   }
 
   /**
@@ -39,64 +89,104 @@ class Storage {
 
     // Store in daily logs (existing functionality)
     const today = new Date().toISOString().split('T')[0];
-    const logFile = path.join(STORAGE_PATH, `chat-logs-${today}.jsonl`);
-    const logEntry = JSON.stringify(message) + '\n';
-    await fs.appendFile(logFile, logEntry);
+    await this.adapter.appendToList(LISTS.DAILY_LOGS, today, message);
 
     // Store in customer history if customer is identified
     if (message.customerId) {
       const customerHash = this.hashCustomerId(message.customerId);
-      const historyFile = path.join(HISTORY_PATH, `${customerHash}.jsonl`);
 
-      const historyEntry = JSON.stringify({
+      await this.adapter.appendToList(LISTS.HISTORY, customerHash, {
         ...message,
         customerId: customerHash, // Store only hashed version
         storedAt: new Date().toISOString()
-      }) + '\n';
-
-      await fs.appendFile(historyFile, historyEntry);
+      });
     }
 
     return { success: true };
   }
 
   /**
-   * Get chat history for a customer
+   * Count a message in the daily anonymous aggregates (no text, session or customer)
+   * Used when there is no consent to log the message itself
    */
-  static async getCustomerHistory(customerId, limit = 100) {
+  static async recordAggregate(message) {
     await this.init();
 
-    const customerHash = this.hashCustomerId(customerId);
-    const historyFile = path.join(HISTORY_PATH, `${customerHash}.jsonl`);
+    const timestamp = message.timestamp ? new Date(message.timestamp) : new Date();
+    const date = timestamp.toISOString().split('T')[0];
+    const aggregates = await this.getDailyAggregates(date);
+
+    const increment = (counts, key) => {
+      counts[key] = (counts[key] || 0) + 1;
+    };
+
+    aggregates.messages++;
+    increment(aggregates.senders, message.sender || 'unknown');
+    increment(aggregates.topics, message.topic || 'none');
+    increment(aggregates.intents, message.intent || 'none');
+
+    // UTC hour buckets let reports cut days at another timezone's midnight
+    const hour = String(timestamp.getUTCHours()).padStart(2, '0');
+    aggregates.hours = aggregates.hours || {};
+    const bucket = aggregates.hours[hour] = aggregates.hours[hour] || { messages: 0, topics: {}, intents: {}, shops: {} };
+
+    bucket.messages++;
+    increment(bucket.topics, message.topic || 'none');
+    increment(bucket.intents, message.intent || 'none');
+    increment(bucket.shops, (message.metadata && message.metadata.shopDomain) || 'unknown');
+    aggregates.updatedAt = new Date().toISOString();
+
+    await this.adapter.putDocument(DOCUMENTS.AGGREGATES, date, aggregates);
+    return { success: true, aggregated: true };
+  }
+
+  /**
+   * Get the anonymous aggregates for a day (YYYY-MM-DD)
+   */
+  static async getDailyAggregates(date) {
+    await this.init();
 
-    try {
-      const content = await fs.readFile(historyFile, 'utf8');
-      const lines = content.trim().split('\n');
+    const aggregates = await this.adapter.getDocument(DOCUMENTS.AGGREGATES, date);
+    return aggregates || {
+      date,
+      messages: 0,
+      senders: {},
+      topics: {},
+      intents: {},
+      hours: {}
+    };
+  }
 
-      // Get last N messages
-      const recentLines = lines.slice(-limit);
-      const messages = recentLines.map(line => JSON.parse(line));
+  /**
+   * Get chat history for a customer
+   */
+  static async getCustomerHistory(customerId, limit = 100) {
+    await this.init();
 
-      // Group by session
-      const sessions = this._groupBySession(messages);
+    const customerHash = this.hashCustomerId(customerId);
+    const entries = await this.adapter.readList(LISTS.HISTORY, customerHash);
 
+    if (entries.length === 0) {
       return {
         customerId: customerHash,
-        totalSessions: sessions.length,
-        recentSessions: sessions.slice(-5), // Last 5 sessions
-        lastInteraction: messages[messages.length - 1]?.timestamp
+        totalSessions: 0,
+        recentSessions: [],
+        lastInteraction: null
       };
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return {
-          customerId: customerHash,
-          totalSessions: 0,
-          recentSessions: [],
-          lastInteraction: null
-        };
-      }
-      throw error;
     }
+
+    // Get last N messages
+    const messages = entries.slice(-limit);
+
+    // Group by session
+    const sessions = this._groupBySession(messages);
+
+    return {
+      customerId: customerHash,
+      totalSessions: sessions.length,
+      recentSessions: sessions.slice(-5), // Last 5 sessions
+      lastInteraction: messages[messages.length - 1]?.timestamp
+    };
   }
 
   /**
@@ -114,7 +204,6 @@ class Storage {
     await this.init();
 
     const customerHash = this.hashCustomerId(customerId);
-    const dataFile = path.join(CUSTOMER_DATA_PATH, `${customerHash}.json`);
 
     const existingData = await this.getCustomerData(customerId);
     const updatedData = {
@@ -124,7 +213,7 @@ class Storage {
       updatedAt: new Date().toISOString()
     };
 
-    await fs.writeFile(dataFile, JSON.stringify(updatedData, null, 2));
+    await this.adapter.putDocument(DOCUMENTS.CUSTOMERS, customerHash, updatedData);
     return updatedData;
   }
 
@@ -135,49 +224,137 @@ class Storage {
     await this.init();
 
     const customerHash = this.hashCustomerId(customerId);
-    const dataFile = path.join(CUSTOMER_DATA_PATH, `${customerHash}.json`);
-
-    try {
-      const content = await fs.readFile(dataFile, 'utf8');
-      return JSON.parse(content);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return {
-          customerId: customerHash,
-          createdAt: new Date().toISOString(),
-          preferences: {},
-          gdprConsent: false
-        };
-      }
-      throw error;
-    }
+    const data = await this.adapter.getDocument(DOCUMENTS.CUSTOMERS, customerHash);
+
+    return data || {
+      customerId: customerHash,
+      createdAt: new Date().toISOString(),
+      preferences: {},
+      gdprConsent: false
+    };
   }
 
   /**
    * Delete all customer data (GDPR right to deletion)
+   * Removes history and customer data, the sessions the customer owns, and every
+   * daily/archived log line and abuse event tied to the customer or those sessions,
+   * plus the widget analytics events from those sessions.
+   * Returns a receipt listing each artifact touched.
    */
   static async deleteCustomerData(customerId) {
     await this.init();
 
     const customerHash = this.hashCustomerId(customerId);
+    const isCustomer = this._customerMatcher(customerId);
+
+    const artifacts = [];
+    const record = (store, key, action, removed) => artifacts.push({ store, key, action, removed });
+
+    const history = await this.adapter.readList(LISTS.HISTORY, customerHash);
+    const sessionIds = new Set(await this.findCustomerSessionIds(customerId));
+
+    const logLists = [LISTS.DAILY_LOGS, LISTS.ARCHIVED_LOGS, LISTS.ABUSE_EVENTS];
 
     // Delete history
-    const historyFile = path.join(HISTORY_PATH, `${customerHash}.jsonl`);
-    try {
-      await fs.unlink(historyFile);
-    } catch (error) {
-      if (error.code !== 'ENOENT') throw error;
+    if (await this.adapter.deleteList(LISTS.HISTORY, customerHash)) {
+      record(LISTS.HISTORY, customerHash, 'deleted', history.length);
     }
 
     // Delete customer data
-    const dataFile = path.join(CUSTOMER_DATA_PATH, `${customerHash}.json`);
-    try {
-      await fs.unlink(dataFile);
-    } catch (error) {
-      if (error.code !== 'ENOENT') throw error;
+    if (await this.adapter.deleteDocument(DOCUMENTS.CUSTOMERS, customerHash)) {
+      record(DOCUMENTS.CUSTOMERS, customerHash, 'deleted', 1);
+    }
+
+    // Delete owned sessions and the list of linked ones
+    for (const sessionId of sessionIds) {
+      if (await this.adapter.deleteDocument(DOCUMENTS.SESSIONS, sessionId)) {
+        record(DOCUMENTS.SESSIONS, sessionId, 'deleted', 1);
+      }
+    }
+
+    if (await this.adapter.deleteDocument(DOCUMENTS.CUSTOMER_SESSIONS, customerHash)) {
+      record(DOCUMENTS.CUSTOMER_SESSIONS, customerHash, 'deleted', 1);
+    }
+
+    // Delete support tickets opened by the customer or from their sessions
+    for (const ticket of await this.listTickets()) {
+      if (ticket.customerHash === customerHash || sessionIds.has(ticket.sessionId)) {
+        await this.adapter.deleteDocument(DOCUMENTS.TICKETS, ticket.id);
+        record(DOCUMENTS.TICKETS, ticket.id, 'deleted', 1);
+      }
+    }
+
+    // Rewrite daily and archived logs without the customer's lines
+    // (analytics events carry no customer, only the session)
+    for (const name of [...logLists, LISTS.ANALYTICS_EVENTS]) {
+      for (const key of await this.adapter.listKeys(name)) {
+        const entries = await this.adapter.readList(name, key);
+        const kept = entries.filter(entry =>
+          !isCustomer(entry.customerId) && !sessionIds.has(entry.sessionId)
+        );
+        const removed = entries.length - kept.length;
+
+        if (removed === 0) continue;
+
+        if (kept.length === 0) {
+          await this.adapter.deleteList(name, key);
+          record(name, key, 'deleted', removed);
+        } else {
+          await this.adapter.writeList(name, key, kept);
+          record(name, key, 'rewritten', removed);
+        }
+      }
+    }
+
+    return {
+      success: true,
+      message: 'All customer data deleted',
+      customerId: customerHash,
+      sessionIds: Array.from(sessionIds),
+      artifacts
+    };
+  }
+
+  /**
+   * Sessions a customer owns: from history, linked and stored sessions and logged messages
+   */
+  static async findCustomerSessionIds(customerId) {
+    await this.init();
+
+    const customerHash = this.hashCustomerId(customerId);
+    const isCustomer = this._customerMatcher(customerId);
+
+    const history = await this.adapter.readList(LISTS.HISTORY, customerHash);
+    const sessionIds = new Set(history.map(entry => entry.sessionId).filter(Boolean));
+
+    const linked = await this.adapter.getDocument(DOCUMENTS.CUSTOMER_SESSIONS, customerHash);
+    (linked ? linked.sessionIds : []).forEach(sessionId => sessionIds.add(sessionId));
+
+    for (const sessionId of await this.adapter.listDocuments(DOCUMENTS.SESSIONS)) {
+      const session = await this.adapter.getDocument(DOCUMENTS.SESSIONS, sessionId);
+      if (session && (isCustomer(session.customerEmail) || isCustomer(session.customerId) || isCustomer(session.customerHash))) {
+        sessionIds.add(session.sessionId || sessionId);
+      }
+    }
+
+    for (const name of [LISTS.DAILY_LOGS, LISTS.ARCHIVED_LOGS, LISTS.ABUSE_EVENTS]) {
+      for (const key of await this.adapter.listKeys(name)) {
+        const entries = await this.adapter.readList(name, key);
+        entries
+          .filter(entry => isCustomer(entry.customerId) && entry.sessionId)
+          .forEach(entry => sessionIds.add(entry.sessionId));
+      }
     }
 
-    return { success: true, message: 'All customer data deleted' };
+    return Array.from(sessionIds);
+  }
+
+  /**
+   * Private: Whether a stored customer field (email or hash) belongs to the customer
+   */
+  static _customerMatcher(customerId) {
+    const identifiers = new Set([this.hashCustomerId(customerId), String(customerId).toLowerCase().trim()]);
+    return value => !!value && identifiers.has(String(value).toLowerCase().trim());
   }
 
   /**
@@ -189,12 +366,16 @@ class Storage {
     const customerHash = this.hashCustomerId(customerId);
     const history = await this.getCustomerHistory(customerId, 10000);
     const data = await this.getCustomerData(customerId);
+    const tickets = (await this.listTickets())
+      .filter(ticket => ticket.customerHash === customerHash)
+      .map(({ tokenHash, ...ticket }) => ticket);
 
     return {
       exportDate: new Date().toISOString(),
       customerId: customerHash,
       customerData: data,
       chatHistory: history,
+      supportTickets: tickets,
       format: 'JSON'
     };
   }
@@ -233,21 +414,21 @@ class Storage {
 
   /**
    * Get chat session by ID (for persistence)
+   * Sessions not saved within SESSION_TTL_HOURS are deleted when read and
+   * reported as missing.
    */
   static async getSession(sessionId) {
     await this.init();
 
-    const sessionFile = path.join(STORAGE_PATH, 'sessions', `${sessionId}.json`);
+    const session = await this.adapter.getDocument(DOCUMENTS.SESSIONS, sessionId);
+    if (!session) return null;
 
-    try {
-      const content = await fs.readFile(sessionFile, 'utf8');
-      return JSON.parse(content);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return null;
-      }
-      throw error;
+    if (Date.now() - new Date(session.lastUpdated).getTime() > this.sessionTtlMs()) {
+      await this.adapter.deleteDocument(DOCUMENTS.SESSIONS, sessionId);
+      return null;
     }
+
+    return session;
   }
 
   /**
@@ -256,20 +437,566 @@ class Storage {
   static async saveSession(sessionId, sessionData) {
     await this.init();
 
-    const sessionsDir = path.join(STORAGE_PATH, 'sessions');
-    await fs.mkdir(sessionsDir, { recursive: true });
-
-    const sessionFile = path.join(sessionsDir, `${sessionId}.json`);
-
     const data = {
       ...sessionData,
       sessionId,
       lastUpdated: new Date().toISOString()
     };
 
-    await fs.writeFile(sessionFile, JSON.stringify(data, null, 2));
+    await this.adapter.putDocument(DOCUMENTS.SESSIONS, sessionId, data);
     return data;
   }
+
+  /**
+   * Delete a chat session, returns whether it existed
+   */
+  static async deleteSession(sessionId) {
+    await this.init();
+
+    return await this.adapter.deleteDocument(DOCUMENTS.SESSIONS, sessionId);
+  }
+
+  /**
+   * Session IDs linked to a signed-in customer, oldest link first
+   */
+  static async getCustomerSessionIds(customerId) {
+    await this.init();
+
+    const linked = await this.adapter.getDocument(DOCUMENTS.CUSTOMER_SESSIONS, this.hashCustomerId(customerId));
+    return linked ? linked.sessionIds : [];
+  }
+
+  /**
+   * Replace the session IDs linked to a customer (none deletes the list)
+   */
+  static async saveCustomerSessionIds(customerId, sessionIds) {
+    await this.init();
+
+    const customerHash = this.hashCustomerId(customerId);
+
+    if (sessionIds.length === 0) {
+      await this.adapter.deleteDocument(DOCUMENTS.CUSTOMER_SESSIONS, customerHash);
+      return;
+    }
+
+    await this.adapter.putDocument(DOCUMENTS.CUSTOMER_SESSIONS, customerHash, {
+      customerId: customerHash,
+      sessionIds,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Add already logged messages (e.g. from a session before sign-in) to a
+   * customer's history, skipping any it already has. Returns the number added.
+   */
+  static async addToCustomerHistory(customerId, messages) {
+    await this.init();
+
+    const customerHash = this.hashCustomerId(customerId);
+    const history = await this.adapter.readList(LISTS.HISTORY, customerHash);
+    const seen = new Set(history.map(historyKey));
+
+    let added = 0;
+    for (const message of messages) {
+      const entry = { ...message, customerId: customerHash, storedAt: new Date().toISOString() };
+      if (seen.has(historyKey(entry))) continue;
+
+      seen.add(historyKey(entry));
+      await this.adapter.appendToList(LISTS.HISTORY, customerHash, entry);
+      added++;
+    }
+
+    return added;
+  }
+
+  /**
+   * How long a session lives after its last save, in ms
+   */
+  static sessionTtlMs() {
+    const hours = parseFloat(process.env.SESSION_TTL_HOURS);
+    return (hours > 0 ? hours : DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Read all messages logged on a given day (YYYY-MM-DD)
+   */
+  static async readDailyLog(date) {
+    await this.init();
+    return await this.adapter.readList(LISTS.DAILY_LOGS, date);
+  }
+
+  /**
+   * Move a day's messages to the archive once they have been reported
+   */
+  static async archiveDailyLog(date) {
+    await this.init();
+
+    const entries = await this.adapter.readList(LISTS.DAILY_LOGS, date);
+    if (entries.length === 0) {
+      return { archived: 0 };
+    }
+
+    const archived = await this.adapter.readList(LISTS.ARCHIVED_LOGS, date);
+    await this.adapter.writeList(LISTS.ARCHIVED_LOGS, date, [...archived, ...entries]);
+    await this.adapter.deleteList(LISTS.DAILY_LOGS, date);
+
+    return { archived: entries.length };
+  }
+
+  /**
+   * Read the messages logged between two instants, whether or not their day
+   * has been archived yet (for reports whose day isn't a UTC day)
+   */
+  static async readLogsBetween(start, end) {
+    return await this._readListsBetween([LISTS.ARCHIVED_LOGS, LISTS.DAILY_LOGS], start, end);
+  }
+
+  /**
+   * Store widget analytics events in date-keyed lists (UTC day of each event)
+   */
+  static async recordAnalyticsEvents(events) {
+    await this.init();
+
+    for (const event of events) {
+      await this.adapter.appendToList(LISTS.ANALYTICS_EVENTS, event.timestamp.split('T')[0], event);
+    }
+
+    return { success: true, stored: events.length };
+  }
+
+  /**
+   * Read the analytics events recorded between two instants
+   */
+  static async readAnalyticsEventsBetween(start, end) {
+    return await this._readListsBetween([LISTS.ANALYTICS_EVENTS], start, end);
+  }
+
+  /**
+   * Private: Entries of date-keyed lists whose timestamp is in [start, end), oldest first
+   */
+  static async _readListsBetween(names, start, end) {
+    await this.init();
+
+    const entries = [];
+    const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+
+    for (; day < end; day.setUTCDate(day.getUTCDate() + 1)) {
+      const date = day.toISOString().split('T')[0];
+
+      for (const name of names) {
+        (await this.adapter.readList(name, date)).forEach(entry => {
+          const time = new Date(entry.timestamp);
+          if (time >= start && time < end) entries.push(entry);
+        });
+      }
+    }
+
+    return entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Get the record of a sent digest (null if it hasn't been sent)
+   */
+  static async getDigestRecord(key) {
+    await this.init();
+    return await this.adapter.getDocument(DOCUMENTS.DIGESTS, key);
+  }
+
+  /**
+   * Record that a digest was sent, so it isn't sent again
+   */
+  static async saveDigestRecord(key, record) {
+    await this.init();
+
+    const data = {
+      ...record,
+      key,
+      sentAt: new Date().toISOString()
+    };
+
+    await this.adapter.putDocument(DOCUMENTS.DIGESTS, key, data);
+    return data;
+  }
+
+  /**
+   * Get the autocomplete queries learned from the chat logs (null before the first build)
+   */
+  static async getLearnedSuggestions() {
+    await this.init();
+    return await this.adapter.getDocument(DOCUMENTS.AUTOCOMPLETE, 'learned');
+  }
+
+  /**
+   * Save the learned autocomplete queries (replaces the previous build)
+   */
+  static async saveLearnedSuggestions(learned) {
+    await this.init();
+    await this.adapter.putDocument(DOCUMENTS.AUTOCOMPLETE, 'learned', learned);
+    return learned;
+  }
+
+  /**
+   * Get the admins' autocomplete curation (pinned, banned and renamed suggestions)
+   */
+  static async getSuggestionCuration() {
+    await this.init();
+    return await this.adapter.getDocument(DOCUMENTS.AUTOCOMPLETE, 'curation');
+  }
+
+  /**
+   * Save the autocomplete curation
+   */
+  static async saveSuggestionCuration(curation) {
+    await this.init();
+
+    const data = {
+      ...curation,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.adapter.putDocument(DOCUMENTS.AUTOCOMPLETE, 'curation', data);
+    return data;
+  }
+
+  /**
+   * All stored suggestion catalogue entries (merchant edits and deleted defaults)
+   */
+  static async listSuggestionEntries() {
+    await this.init();
+
+    const entries = [];
+    for (const id of await this.adapter.listDocuments(DOCUMENTS.SUGGESTION_CATALOG)) {
+      const entry = await this.adapter.getDocument(DOCUMENTS.SUGGESTION_CATALOG, id);
+      if (entry) entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Save a suggestion catalogue entry
+   */
+  static async saveSuggestionEntry(id, entry) {
+    await this.init();
+    await this.adapter.putDocument(DOCUMENTS.SUGGESTION_CATALOG, id, entry);
+    return entry;
+  }
+
+  /**
+   * Delete a stored suggestion catalogue entry (true if it existed)
+   */
+  static async deleteSuggestionEntry(id) {
+    await this.init();
+    return await this.adapter.deleteDocument(DOCUMENTS.SUGGESTION_CATALOG, id);
+  }
+
+  /**
+   * Count suggestion impressions and clicks for a day (YYYY-MM-DD)
+   * events: [{ id, variant, event: 'impression' | 'click' }] - no session or customer data
+   */
+  static async recordSuggestionStats(date, events) {
+    await this.init();
+
+    const stats = await this.getSuggestionStats(date);
+
+    events.forEach(({ id, variant, event }) => {
+      const entry = stats.entries[id] = stats.entries[id] || {};
+      const counts = entry[variant] = entry[variant] || { impressions: 0, clicks: 0 };
+      counts[event === 'click' ? 'clicks' : 'impressions']++;
+    });
+    stats.updatedAt = new Date().toISOString();
+
+    await this.adapter.putDocument(DOCUMENTS.SUGGESTION_STATS, date, stats);
+    return { success: true, recorded: events.length };
+  }
+
+  /**
+   * Get a day's suggestion counts: { date, entries: { [id]: { [variant]: { impressions, clicks } } } }
+   */
+  static async getSuggestionStats(date) {
+    await this.init();
+
+    const stats = await this.adapter.getDocument(DOCUMENTS.SUGGESTION_STATS, date);
+    return stats || { date, entries: {} };
+  }
+
+  /**
+   * Get a support ticket (null if missing)
+   */
+  static async getTicket(ticketId) {
+    await this.init();
+    return await this.adapter.getDocument(DOCUMENTS.TICKETS, ticketId);
+  }
+
+  /**
+   * Save a support ticket
+   */
+  static async saveTicket(ticketId, ticket) {
+    await this.init();
+    await this.adapter.putDocument(DOCUMENTS.TICKETS, ticketId, ticket);
+    return ticket;
+  }
+
+  /**
+   * All support tickets
+   */
+  static async listTickets() {
+    await this.init();
+
+    const tickets = [];
+    for (const ticketId of await this.adapter.listDocuments(DOCUMENTS.TICKETS)) {
+      const ticket = await this.adapter.getDocument(DOCUMENTS.TICKETS, ticketId);
+      if (ticket) tickets.push(ticket);
+    }
+    return tickets;
+  }
+
+  /**
+   * Get a pending GDPR export/deletion request (null if missing)
+   */
+  static async getGdprRequest(requestId) {
+    await this.init();
+    return await this.adapter.getDocument(DOCUMENTS.GDPR_REQUESTS, requestId);
+  }
+
+  /**
+   * Save a GDPR export/deletion request
+   */
+  static async saveGdprRequest(requestId, request) {
+    await this.init();
+
+    const data = {
+      ...request,
+      id: requestId,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.adapter.putDocument(DOCUMENTS.GDPR_REQUESTS, requestId, data);
+    return data;
+  }
+
+  /**
+   * Append an entry to the GDPR deletion log
+   */
+  static async recordDeletion(entry) {
+    await this.init();
+
+    const today = new Date().toISOString().split('T')[0];
+    await this.adapter.appendToList(LISTS.GDPR_DELETIONS, today, entry);
+  }
+
+  /**
+   * Deletion records for a hashed customer ID, oldest first
+   */
+  static async getDeletionRecords(customerHash) {
+    await this.init();
+
+    const records = [];
+    for (const date of (await this.adapter.listKeys(LISTS.GDPR_DELETIONS)).sort()) {
+      const entries = await this.adapter.readList(LISTS.GDPR_DELETIONS, date);
+      records.push(...entries.filter(entry => entry.email === customerHash));
+    }
+    return records;
+  }
+
+  /**
+   * Append an entry to the abuse event log
+   */
+  static async recordAbuseEvent(event) {
+    await this.init();
+
+    const entry = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...event };
+    const date = entry.timestamp.split('T')[0];
+    await this.adapter.appendToList(LISTS.ABUSE_EVENTS, date, entry);
+    return entry;
+  }
+
+  /**
+   * Append a ticket the helpdesk connector couldn't create to the dead-letter list
+   */
+  static async recordHelpdeskDeadLetter(entry) {
+    await this.init();
+
+    const record = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...entry };
+    await this.adapter.appendToList(LISTS.HELPDESK_DEAD_LETTER, record.timestamp.split('T')[0], record);
+    return record;
+  }
+
+  /**
+   * All dead-lettered helpdesk tickets, oldest first
+   */
+  static async getHelpdeskDeadLetters() {
+    await this.init();
+
+    const entries = [];
+    for (const date of (await this.adapter.listKeys(LISTS.HELPDESK_DEAD_LETTER)).sort()) {
+      entries.push(...await this.adapter.readList(LISTS.HELPDESK_DEAD_LETTER, date));
+    }
+    return entries;
+  }
+
+  /**
+   * Remove a dead-lettered ticket once it has been sent again
+   */
+  static async removeHelpdeskDeadLetter(entry) {
+    await this.init();
+
+    const date = entry.timestamp.split('T')[0];
+    const kept = (await this.adapter.readList(LISTS.HELPDESK_DEAD_LETTER, date)).filter(other => other.id !== entry.id);
+
+    if (kept.length === 0) {
+      await this.adapter.deleteList(LISTS.HELPDESK_DEAD_LETTER, date);
+    } else {
+      await this.adapter.writeList(LISTS.HELPDESK_DEAD_LETTER, date, kept);
+    }
+  }
+
+  /**
+   * Page through abuse events from the last `days` days, newest first
+   */
+  static async getAbuseEvents(options = {}) {
+    await this.init();
+
+    const { days = 7, page = 1, limit = 50, identifier } = options;
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const dates = (await this.adapter.listKeys(LISTS.ABUSE_EVENTS))
+      .filter(date => date >= since)
+      .sort()
+      .reverse();
+
+    let events = [];
+    for (const date of dates) {
+      const entries = await this.adapter.readList(LISTS.ABUSE_EVENTS, date);
+      events.push(...entries.reverse());
+    }
+
+    // Match on the client address, ignoring any proxies after it in X-Forwarded-For
+    if (identifier) {
+      events = events.filter(event => String(event.identifier).split(',')[0].trim() === identifier);
+    }
+
+    const start = (page - 1) * limit;
+    return {
+      events: events.slice(start, start + limit),
+      total: events.length,
+      page,
+      limit,
+      pages: Math.ceil(events.length / limit)
+    };
+  }
+
+  /**
+   * Apply retention cutoffs (Dates, or null to keep forever) per data class:
+   * dailyLogs are archived, everything else is deleted. With dryRun nothing is
+   * changed. Returns the actions taken (or that would be taken).
+   */
+  static async purgeExpired(cutoffs, options = {}) {
+    await this.init();
+
+    const { dryRun = false } = options;
+    const actions = [];
+    const record = (dataClass, store, key, action, removed) =>
+      actions.push({ dataClass, store, key, action, removed });
+
+    const dateKey = date => date.toISOString().split('T')[0];
+
+    // Daily logs the report never picked up are moved to the archive
+    // (tracked so a dry run also reports archives that would then expire)
+    const newlyArchived = {};
+    if (cutoffs.dailyLogs) {
+      for (const date of await this.adapter.listKeys(LISTS.DAILY_LOGS)) {
+        if (date >= dateKey(cutoffs.dailyLogs)) continue;
+
+        const entries = await this.adapter.readList(LISTS.DAILY_LOGS, date);
+        if (!dryRun) await this.archiveDailyLog(date);
+        record('dailyLogs', LISTS.DAILY_LOGS, date, 'archived', entries.length);
+
+        if (dryRun) newlyArchived[date] = entries.length;
+      }
+    }
+
+    // Date-keyed lists are deleted whole
+    const datedLists = [
+      ['archivedLogs', LISTS.ARCHIVED_LOGS],
+      ['gdprDeletionLogs', LISTS.GDPR_DELETIONS],
+      ['abuseEvents', LISTS.ABUSE_EVENTS],
+      ['analyticsEvents', LISTS.ANALYTICS_EVENTS],
+      ['helpdeskDeadLetters', LISTS.HELPDESK_DEAD_LETTER]
+    ];
+
+    for (const [dataClass, name] of datedLists) {
+      if (!cutoffs[dataClass]) continue;
+
+      const pending = name === LISTS.ARCHIVED_LOGS ? newlyArchived : {};
+      const dates = new Set([...await this.adapter.listKeys(name), ...Object.keys(pending)]);
+
+      for (const date of dates) {
+        if (date >= dateKey(cutoffs[dataClass])) continue;
+
+        const entries = await this.adapter.readList(name, date);
+        if (!dryRun) await this.adapter.deleteList(name, date);
+        record(dataClass, name, date, 'deleted', entries.length + (pending[date] || 0));
+      }
+    }
+
+    // Customer history is trimmed entry by entry
+    if (cutoffs.customerHistory) {
+      for (const customerHash of await this.adapter.listKeys(LISTS.HISTORY)) {
+        const entries = await this.adapter.readList(LISTS.HISTORY, customerHash);
+        const kept = entries.filter(entry =>
+          new Date(entry.storedAt || entry.timestamp) >= cutoffs.customerHistory
+        );
+        const removed = entries.length - kept.length;
+
+        if (removed === 0) continue;
+
+        if (kept.length === 0) {
+          if (!dryRun) await this.adapter.deleteList(LISTS.HISTORY, customerHash);
+          record('customerHistory', LISTS.HISTORY, customerHash, 'deleted', removed);
+        } else {
+          if (!dryRun) await this.adapter.writeList(LISTS.HISTORY, customerHash, kept);
+          record('customerHistory', LISTS.HISTORY, customerHash, 'rewritten', removed);
+        }
+      }
+    }
+
+    // Documents are deleted once they haven't been updated within the period
+    const documents = [
+      ['sessions', DOCUMENTS.SESSIONS, doc => doc.lastUpdated],
+      ['sessions', DOCUMENTS.CUSTOMER_SESSIONS, doc => doc.updatedAt],
+      ['gdprRequests', DOCUMENTS.GDPR_REQUESTS, doc => doc.updatedAt || doc.createdAt],
+      ['digests', DOCUMENTS.DIGESTS, doc => doc.sentAt],
+      ['supportTickets', DOCUMENTS.TICKETS, doc => doc.updatedAt]
+    ];
+
+    for (const [dataClass, collection, lastUpdated] of documents) {
+      if (!cutoffs[dataClass]) continue;
+
+      for (const key of await this.adapter.listDocuments(collection)) {
+        const doc = await this.adapter.getDocument(collection, key);
+        if (!doc || new Date(lastUpdated(doc)) >= cutoffs[dataClass]) continue;
+
+        if (!dryRun) await this.adapter.deleteDocument(collection, key);
+        record(dataClass, collection, key, 'deleted', 1);
+      }
+    }
+
+    return actions;
+  }
 }
 
+/**
+ * Helper: Identity of a history entry - its client message ID, else the
+ * session, sender, time and text
+ */
+function historyKey(entry) {
+  return entry.clientMessageId
+    ? `id:${entry.clientMessageId}`
+    : `${entry.sessionId}|${entry.sender}|${entry.timestamp}|${entry.message}`;
+}
+
+Storage.LISTS = LISTS;
+Storage.DOCUMENTS = DOCUMENTS;
+
 module.exports = Storage;
@@ -0,0 +1,156 @@
+/**
+ * Subscription Provider Base Class
+ * Shared HTTP handling and normalization for subscription app adapters.
+ *
+ * Every provider returns subscriptions in the same shape:
+ *   { id, provider, status, customerEmail, productTitle, variantTitle, quantity,
+ *     price, frequency: { interval, intervalCount }, frequencyLabel, nextChargeDate }
+ * where status is 'active', 'paused' or 'cancelled' and interval is 'day', 'week' or 'month'.
+ */
+
+const SUPPORTED_ACTIONS = ['pause', 'resume', 'skip', 'reschedule', 'updateFrequency', 'cancel'];
+const VALID_INTERVALS = ['day', 'week', 'month'];
+
+class SubscriptionProvider {
+  constructor(config = {}) {
+    this.name = 'base';
+    this.label = 'Subscription';
+    this.baseUrl = config.baseUrl;
+  }
+
+  /**
+   * List a customer's subscriptions
+   */
+  async listSubscriptions(customerEmail) {
+    throw new Error(`${this.label} provider does not implement listSubscriptions`);
+  }
+
+  /**
+   * Get a single subscription (null if not found)
+   */
+  async getSubscription(subscriptionId) {
+    throw new Error(`${this.label} provider does not implement getSubscription`);
+  }
+
+  /**
+   * Subscription actions - overridden by each provider
+   */
+  async pause(subscriptionId, params = {}) {
+    throw new Error(`${this.label} provider does not support pause`);
+  }
+
+  async resume(subscriptionId, params = {}) {
+    throw new Error(`${this.label} provider does not support resume`);
+  }
+
+  async skip(subscriptionId, params = {}) {
+    throw new Error(`${this.label} provider does not support skip`);
+  }
+
+  async reschedule(subscriptionId, params = {}) {
+    throw new Error(`${this.label} provider does not support reschedule`);
+  }
+
+  async updateFrequency(subscriptionId, params = {}) {
+    throw new Error(`${this.label} provider does not support updateFrequency`);
+  }
+
+  async cancel(subscriptionId, params = {}) {
+    throw new Error(`${this.label} provider does not support cancel`);
+  }
+
+  /**
+   * Make a JSON request to the provider API
+   */
+  async _request(endpoint, options = {}) {
+    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      method: options.method || 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...this._authHeaders(),
+        ...options.headers
+      },
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (!response.ok) {
+      const error = new Error(`${this.label} API error: ${response.status} - ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  }
+
+  /**
+   * Provider-specific authentication headers
+   */
+  _authHeaders() {
+    return {};
+  }
+
+  /**
+   * Validate and normalize a frequency change request
+   */
+  _parseFrequency(params) {
+    const interval = String(params.interval || '').toLowerCase().replace(/s$/, '');
+    const intervalCount = parseInt(params.intervalCount);
+
+    if (!VALID_INTERVALS.includes(interval)) {
+      throw new Error(`Invalid interval. Valid intervals: ${VALID_INTERVALS.join(', ')}`);
+    }
+    if (!intervalCount || intervalCount < 1 || intervalCount > 365) {
+      throw new Error('intervalCount must be a positive number');
+    }
+
+    return { interval, intervalCount };
+  }
+
+  /**
+   * Validate a YYYY-MM-DD date in the future
+   */
+  _parseDate(value, fieldName = 'date') {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+      throw new Error(`${fieldName} must be a date in YYYY-MM-DD format`);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    if (value <= today) {
+      throw new Error(`${fieldName} must be in the future`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Default pause end date (30 days from now)
+   */
+  _defaultPauseUntil() {
+    const date = new Date();
+    date.setDate(date.getDate() + 30);
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Human readable frequency, e.g. "Every 2 weeks"
+   */
+  _formatFrequency(interval, intervalCount) {
+    if (!interval || !intervalCount) return null;
+    return intervalCount === 1
+      ? `Every ${interval}`
+      : `Every ${intervalCount} ${interval}s`;
+  }
+
+  /**
+   * Normalize a YYYY-MM-DD date from an ISO timestamp
+   */
+  _toDate(value) {
+    return value ? String(value).split('T')[0] : null;
+  }
+}
+
+SubscriptionProvider.SUPPORTED_ACTIONS = SUPPORTED_ACTIONS;
+
+module.exports = SubscriptionProvider;
@@ -0,0 +1,194 @@
+/**
+ * Bold Subscriptions Provider
+ * Uses the Bold Subscriptions v1 API
+ * https://developer.boldcommerce.com/api/subscriptions
+ */
+
+const SubscriptionProvider = require('./base');
+
+const STATUS_MAP = {
+  active: 'active',
+  paused: 'paused',
+  inactive: 'cancelled',
+  cancelled: 'cancelled'
+};
+
+// Bold interval types -> common interval names
+const INTERVAL_MAP = {
+  day: 'day',
+  daily: 'day',
+  week: 'week',
+  weekly: 'week',
+  month: 'month',
+  monthly: 'month'
+};
+
+class BoldProvider extends SubscriptionProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'bold';
+    this.label = 'Bold';
+    this.shopIdentifier = config.shopIdentifier || process.env.BOLD_SHOP_IDENTIFIER;
+    this.accessToken = config.accessToken || process.env.BOLD_API_TOKEN;
+    this.baseUrl = config.baseUrl ||
+      `${process.env.BOLD_API_URL || 'https://api.boldcommerce.com'}/subscriptions/v1/shops/${this.shopIdentifier}`;
+  }
+
+  /**
+   * List a customer's subscriptions
+   */
+  async listSubscriptions(customerEmail) {
+    const customer = await this._findCustomer(customerEmail);
+    if (!customer) return [];
+
+    const response = await this._request(
+      `/subscriptions?customer_id=${customer.id}&limit=100`
+    );
+
+    return (response.subscriptions || []).map(s => this._normalize(s, customer.email));
+  }
+
+  /**
+   * Get a single subscription (null if not found)
+   */
+  async getSubscription(subscriptionId) {
+    try {
+      const { subscription } = await this._request(`/subscriptions/${encodeURIComponent(subscriptionId)}`);
+      const { customer } = await this._request(`/customers/${subscription.customer_id}`);
+      return this._normalize(subscription, customer?.email);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Pause deliveries until a given date
+   */
+  async pause(subscriptionId, params = {}) {
+    const pauseUntil = params.pauseUntil
+      ? this._parseDate(params.pauseUntil, 'pauseUntil')
+      : this._defaultPauseUntil();
+
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/pause`,
+      { method: 'PATCH', body: { resume_date: pauseUntil } }
+    );
+
+    return { ...this._normalize(subscription), pausedUntil: pauseUntil };
+  }
+
+  /**
+   * Resume a paused subscription
+   */
+  async resume(subscriptionId) {
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/unpause`,
+      { method: 'PATCH', body: {} }
+    );
+    return this._normalize(subscription);
+  }
+
+  /**
+   * Skip the next scheduled order
+   */
+  async skip(subscriptionId) {
+    const current = await this.getSubscription(subscriptionId);
+    if (!current?.nextChargeDate) {
+      throw new Error('No upcoming order to skip');
+    }
+
+    await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/future_orders/${current.nextChargeDate}/skip`,
+      { method: 'POST', body: {} }
+    );
+
+    const subscription = await this.getSubscription(subscriptionId);
+    return { ...subscription, skippedDate: current.nextChargeDate };
+  }
+
+  /**
+   * Move the next order to a new date
+   */
+  async reschedule(subscriptionId, params = {}) {
+    const date = this._parseDate(params.date);
+
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/next_order_date`,
+      { method: 'PUT', body: { next_order_datetime: `${date}T00:00:00Z` } }
+    );
+    return this._normalize(subscription);
+  }
+
+  /**
+   * Change delivery frequency
+   */
+  async updateFrequency(subscriptionId, params = {}) {
+    const { interval, intervalCount } = this._parseFrequency(params);
+
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/interval`,
+      {
+        method: 'PUT',
+        body: { interval_type: interval, interval_number: intervalCount }
+      }
+    );
+    return this._normalize(subscription);
+  }
+
+  /**
+   * Cancel a subscription
+   */
+  async cancel(subscriptionId, params = {}) {
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`,
+      {
+        method: 'PATCH',
+        body: { cancel_reason: params.reason || 'Cancelled via support chat' }
+      }
+    );
+    return this._normalize(subscription);
+  }
+
+  /**
+   * Private: Bold authentication headers
+   */
+  _authHeaders() {
+    return { 'Authorization': `Bearer ${this.accessToken}` };
+  }
+
+  /**
+   * Private: Find Bold customer by email
+   */
+  async _findCustomer(customerEmail) {
+    const response = await this._request(
+      `/customers?email=${encodeURIComponent(customerEmail)}&limit=1`
+    );
+    return response.customers?.[0] || null;
+  }
+
+  /**
+   * Private: Convert Bold subscription to common shape
+   */
+  _normalize(subscription, customerEmail = null) {
+    const lineItem = subscription.line_items?.[0] || {};
+    const interval = INTERVAL_MAP[String(subscription.interval_type || '').toLowerCase()] || null;
+    const intervalCount = parseInt(subscription.interval_number) || null;
+
+    return {
+      id: String(subscription.id),
+      provider: this.name,
+      status: STATUS_MAP[String(subscription.subscription_status || '').toLowerCase()] || 'active',
+      customerEmail,
+      productTitle: lineItem.product_title || lineItem.title,
+      variantTitle: lineItem.variant_title,
+      quantity: lineItem.quantity,
+      price: lineItem.price,
+      frequency: { interval, intervalCount },
+      frequencyLabel: this._formatFrequency(interval, intervalCount),
+      nextChargeDate: this._toDate(subscription.next_order_datetime)
+    };
+  }
+}
+
+module.exports = BoldProvider;
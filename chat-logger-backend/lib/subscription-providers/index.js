@@ -0,0 +1,29 @@
+/**
+ * Subscription Provider Factory
+ * Selects the subscription app adapter from the SUBSCRIPTION_PROVIDER environment variable.
+ * Returns null when no provider is configured.
+ */
+
+const PROVIDERS = {
+  recharge: () => require('./recharge'),
+  bold: () => require('./bold'),
+  shopify: () => require('./shopify')
+};
+
+/**
+ * Create a subscription provider instance
+ */
+function createSubscriptionProvider(type = process.env.SUBSCRIPTION_PROVIDER, config = {}) {
+  if (!type) return null;
+
+  const loader = PROVIDERS[type.toLowerCase()];
+
+  if (!loader) {
+    throw new Error(`Unknown subscription provider "${type}". Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const Provider = loader();
+  return new Provider(config);
+}
+
+module.exports = { createSubscriptionProvider, providerTypes: Object.keys(PROVIDERS) };
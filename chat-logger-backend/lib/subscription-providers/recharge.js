@@ -0,0 +1,196 @@
+/**
+ * Recharge Subscription Provider
+ * Uses the Recharge REST API (version 2021-11)
+ * https://developer.rechargepayments.com/2021-11
+ */
+
+const SubscriptionProvider = require('./base');
+
+const STATUS_MAP = {
+  active: 'active',
+  cancelled: 'cancelled',
+  expired: 'cancelled'
+};
+
+class RechargeProvider extends SubscriptionProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'recharge';
+    this.label = 'Recharge';
+    this.baseUrl = config.baseUrl || process.env.RECHARGE_API_URL || 'https://api.rechargeapps.com';
+    this.accessToken = config.accessToken || process.env.RECHARGE_API_TOKEN;
+    this.apiVersion = config.apiVersion || '2021-11';
+  }
+
+  /**
+   * List a customer's subscriptions
+   */
+  async listSubscriptions(customerEmail) {
+    const customer = await this._findCustomer(customerEmail);
+    if (!customer) return [];
+
+    const response = await this._request(
+      `/subscriptions?customer_id=${customer.id}&limit=250`
+    );
+
+    return (response.subscriptions || []).map(s => this._normalize(s, customer.email));
+  }
+
+  /**
+   * Get a single subscription (null if not found)
+   */
+  async getSubscription(subscriptionId) {
+    try {
+      const { subscription } = await this._request(`/subscriptions/${encodeURIComponent(subscriptionId)}`);
+      const { customer } = await this._request(`/customers/${subscription.customer_id}`);
+      return this._normalize(subscription, customer?.email);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Pause by pushing the next charge out to the pause end date
+   * (Recharge 2021-11 has no paused subscription status)
+   */
+  async pause(subscriptionId, params = {}) {
+    const pauseUntil = params.pauseUntil
+      ? this._parseDate(params.pauseUntil, 'pauseUntil')
+      : this._defaultPauseUntil();
+
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/set_next_charge_date`,
+      { method: 'POST', body: { date: pauseUntil } }
+    );
+
+    return { ...this._normalize(subscription), pausedUntil: pauseUntil };
+  }
+
+  /**
+   * Reactivate a cancelled subscription
+   */
+  async resume(subscriptionId) {
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/activate`,
+      { method: 'POST', body: {} }
+    );
+    return this._normalize(subscription);
+  }
+
+  /**
+   * Skip the next queued charge for this subscription
+   */
+  async skip(subscriptionId) {
+    const { charges } = await this._request(
+      `/charges?subscription_id=${encodeURIComponent(subscriptionId)}&status=queued&sort_by=scheduled_at-asc&limit=1`
+    );
+
+    if (!charges || charges.length === 0) {
+      throw new Error('No upcoming charge to skip');
+    }
+
+    const charge = charges[0];
+    await this._request(`/charges/${charge.id}/skip`, {
+      method: 'POST',
+      body: { purchase_item_ids: [Number(subscriptionId)] }
+    });
+
+    const subscription = await this.getSubscription(subscriptionId);
+    return { ...subscription, skippedDate: this._toDate(charge.scheduled_at) };
+  }
+
+  /**
+   * Move the next charge to a new date
+   */
+  async reschedule(subscriptionId, params = {}) {
+    const date = this._parseDate(params.date);
+
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/set_next_charge_date`,
+      { method: 'POST', body: { date } }
+    );
+    return this._normalize(subscription);
+  }
+
+  /**
+   * Change delivery and charge frequency
+   */
+  async updateFrequency(subscriptionId, params = {}) {
+    const { interval, intervalCount } = this._parseFrequency(params);
+
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}`,
+      {
+        method: 'PUT',
+        body: {
+          order_interval_unit: interval,
+          order_interval_frequency: intervalCount,
+          charge_interval_frequency: intervalCount
+        }
+      }
+    );
+    return this._normalize(subscription);
+  }
+
+  /**
+   * Cancel a subscription
+   */
+  async cancel(subscriptionId, params = {}) {
+    const { subscription } = await this._request(
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`,
+      {
+        method: 'POST',
+        body: {
+          cancellation_reason: params.reason || 'Cancelled via support chat',
+          send_email: true
+        }
+      }
+    );
+    return this._normalize(subscription);
+  }
+
+  /**
+   * Private: Recharge authentication headers
+   */
+  _authHeaders() {
+    return {
+      'X-Recharge-Access-Token': this.accessToken,
+      'X-Recharge-Version': this.apiVersion
+    };
+  }
+
+  /**
+   * Private: Find Recharge customer by email
+   */
+  async _findCustomer(customerEmail) {
+    const response = await this._request(
+      `/customers?email=${encodeURIComponent(customerEmail)}&limit=1`
+    );
+    return response.customers?.[0] || null;
+  }
+
+  /**
+   * Private: Convert Recharge subscription to common shape
+   */
+  _normalize(subscription, customerEmail = null) {
+    const interval = subscription.order_interval_unit;
+    const intervalCount = parseInt(subscription.order_interval_frequency) || null;
+
+    return {
+      id: String(subscription.id),
+      provider: this.name,
+      status: STATUS_MAP[subscription.status?.toLowerCase()] || 'active',
+      customerEmail,
+      productTitle: subscription.product_title,
+      variantTitle: subscription.variant_title,
+      quantity: subscription.quantity,
+      price: subscription.price,
+      frequency: { interval, intervalCount },
+      frequencyLabel: this._formatFrequency(interval, intervalCount),
+      nextChargeDate: this._toDate(subscription.next_charge_scheduled_at)
+    };
+  }
+}
+
+module.exports = RechargeProvider;
@@ -0,0 +1,276 @@
+/**
+ * Shopify Native Subscription Provider
+ * Manages SubscriptionContracts through the Shopify Admin GraphQL API
+ * (requires the read/write_own_subscription_contracts scopes)
+ */
+
+const SubscriptionProvider = require('./base');
+
+const STATUS_MAP = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'cancelled',
+  FAILED: 'active'
+};
+
+const CONTRACT_FIELDS = `
+  id
+  status
+  nextBillingDate
+  customer { email }
+  billingPolicy { interval intervalCount }
+  lines(first: 5) {
+    edges {
+      node {
+        title
+        variantTitle
+        quantity
+        currentPrice { amount currencyCode }
+      }
+    }
+  }
+`;
+
+class ShopifySubscriptionProvider extends SubscriptionProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'shopify';
+    this.label = 'Shopify';
+    this.shopDomain = config.shopDomain || process.env.SHOPIFY_SHOP_DOMAIN;
+    this.accessToken = config.accessToken || process.env.SHOPIFY_ACCESS_TOKEN;
+    this.apiVersion = config.apiVersion || '2024-01';
+    this.baseUrl = config.baseUrl || `https://${this.shopDomain}/admin/api/${this.apiVersion}`;
+  }
+
+  /**
+   * List a customer's subscription contracts
+   */
+  async listSubscriptions(customerEmail) {
+    const data = await this._graphql(`
+      query customerContracts($query: String!) {
+        customers(first: 1, query: $query) {
+          edges {
+            node {
+              subscriptionContracts(first: 25) {
+                edges { node { ${CONTRACT_FIELDS} } }
+              }
+            }
+          }
+        }
+      }
+    `, { query: `email:${customerEmail}` });
+
+    const customer = data.customers.edges[0]?.node;
+    if (!customer) return [];
+
+    return customer.subscriptionContracts.edges.map(edge => this._normalize(edge.node));
+  }
+
+  /**
+   * Get a single subscription contract (null if not found)
+   */
+  async getSubscription(subscriptionId) {
+    const data = await this._graphql(`
+      query contract($id: ID!) {
+        subscriptionContract(id: $id) { ${CONTRACT_FIELDS} }
+      }
+    `, { id: this._gid(subscriptionId) });
+
+    return data.subscriptionContract ? this._normalize(data.subscriptionContract) : null;
+  }
+
+  /**
+   * Pause a contract (no billing until resumed)
+   */
+  async pause(subscriptionId) {
+    return this._contractMutation('subscriptionContractPause', subscriptionId);
+  }
+
+  /**
+   * Resume a paused contract
+   */
+  async resume(subscriptionId) {
+    return this._contractMutation('subscriptionContractActivate', subscriptionId);
+  }
+
+  /**
+   * Cancel a contract
+   */
+  async cancel(subscriptionId) {
+    return this._contractMutation('subscriptionContractCancel', subscriptionId);
+  }
+
+  /**
+   * Skip the next billing cycle
+   */
+  async skip(subscriptionId) {
+    const current = await this.getSubscription(subscriptionId);
+    if (!current?.nextChargeDate) {
+      throw new Error('No upcoming billing cycle to skip');
+    }
+
+    const data = await this._graphql(`
+      mutation skip($input: SubscriptionBillingCycleInput!) {
+        subscriptionBillingCycleSkip(billingCycleInput: $input) {
+          billingCycle { skipped }
+          userErrors { field message }
+        }
+      }
+    `, {
+      input: {
+        contractId: this._gid(subscriptionId),
+        selector: { date: `${current.nextChargeDate}T00:00:00Z` }
+      }
+    });
+
+    this._assertNoUserErrors(data.subscriptionBillingCycleSkip);
+
+    const subscription = await this.getSubscription(subscriptionId);
+    return { ...subscription, skippedDate: current.nextChargeDate };
+  }
+
+  /**
+   * Move the next billing date
+   */
+  async reschedule(subscriptionId, params = {}) {
+    const date = this._parseDate(params.date);
+
+    const data = await this._graphql(`
+      mutation reschedule($contractId: ID!, $date: DateTime!) {
+        subscriptionContractSetNextBillingDate(contractId: $contractId, date: $date) {
+          contract { id }
+          userErrors { field message }
+        }
+      }
+    `, { contractId: this._gid(subscriptionId), date: `${date}T00:00:00Z` });
+
+    this._assertNoUserErrors(data.subscriptionContractSetNextBillingDate);
+    return this.getSubscription(subscriptionId);
+  }
+
+  /**
+   * Change billing and delivery frequency via a contract draft
+   */
+  async updateFrequency(subscriptionId, params = {}) {
+    const { interval, intervalCount } = this._parseFrequency(params);
+    const policy = { interval: interval.toUpperCase(), intervalCount };
+
+    const draftData = await this._graphql(`
+      mutation draft($contractId: ID!) {
+        subscriptionContractUpdate(contractId: $contractId) {
+          draft { id }
+          userErrors { field message }
+        }
+      }
+    `, { contractId: this._gid(subscriptionId) });
+
+    this._assertNoUserErrors(draftData.subscriptionContractUpdate);
+    const draftId = draftData.subscriptionContractUpdate.draft.id;
+
+    const updateData = await this._graphql(`
+      mutation updateDraft($draftId: ID!, $input: SubscriptionDraftInput!) {
+        subscriptionDraftUpdate(draftId: $draftId, input: $input) {
+          draft { id }
+          userErrors { field message }
+        }
+      }
+    `, { draftId, input: { billingPolicy: policy, deliveryPolicy: policy } });
+
+    this._assertNoUserErrors(updateData.subscriptionDraftUpdate);
+
+    const commitData = await this._graphql(`
+      mutation commit($draftId: ID!) {
+        subscriptionDraftCommit(draftId: $draftId) {
+          contract { ${CONTRACT_FIELDS} }
+          userErrors { field message }
+        }
+      }
+    `, { draftId });
+
+    this._assertNoUserErrors(commitData.subscriptionDraftCommit);
+    return this._normalize(commitData.subscriptionDraftCommit.contract);
+  }
+
+  /**
+   * Private: Shopify authentication headers
+   */
+  _authHeaders() {
+    return { 'X-Shopify-Access-Token': this.accessToken };
+  }
+
+  /**
+   * Private: Execute an Admin GraphQL query
+   */
+  async _graphql(query, variables = {}) {
+    const response = await this._request('/graphql.json', {
+      method: 'POST',
+      body: { query, variables }
+    });
+
+    if (response.errors?.length) {
+      throw new Error(`Shopify GraphQL error: ${response.errors.map(e => e.message).join('; ')}`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Private: Run a simple { contract, userErrors } mutation
+   */
+  async _contractMutation(mutation, subscriptionId) {
+    const data = await this._graphql(`
+      mutation run($id: ID!) {
+        ${mutation}(subscriptionContractId: $id) {
+          contract { ${CONTRACT_FIELDS} }
+          userErrors { field message }
+        }
+      }
+    `, { id: this._gid(subscriptionId) });
+
+    this._assertNoUserErrors(data[mutation]);
+    return this._normalize(data[mutation].contract);
+  }
+
+  /**
+   * Private: Throw on GraphQL userErrors
+   */
+  _assertNoUserErrors(payload) {
+    if (payload?.userErrors?.length) {
+      throw new Error(payload.userErrors.map(e => e.message).join('; '));
+    }
+  }
+
+  /**
+   * Private: Accept numeric IDs as well as GIDs
+   */
+  _gid(subscriptionId) {
+    const id = String(subscriptionId);
+    return id.startsWith('gid://') ? id : `gid://shopify/SubscriptionContract/${id}`;
+  }
+
+  /**
+   * Private: Convert SubscriptionContract to common shape
+   */
+  _normalize(contract) {
+    const line = contract.lines?.edges?.[0]?.node || {};
+    const interval = contract.billingPolicy?.interval?.toLowerCase() || null;
+    const intervalCount = contract.billingPolicy?.intervalCount || null;
+
+    return {
+      id: contract.id.split('/').pop(),
+      provider: this.name,
+      status: STATUS_MAP[contract.status] || 'active',
+      customerEmail: contract.customer?.email || null,
+      productTitle: line.title,
+      variantTitle: line.variantTitle,
+      quantity: line.quantity,
+      price: line.currentPrice?.amount,
+      frequency: { interval, intervalCount },
+      frequencyLabel: this._formatFrequency(interval, intervalCount),
+      nextChargeDate: this._toDate(contract.nextBillingDate)
+    };
+  }
+}
+
+module.exports = ShopifySubscriptionProvider;
@@ -0,0 +1,602 @@
+/**
+ * Suggestion Catalogue
+ * The autocomplete questions, quick replies and follow-up questions served by
+ * SuggestionsEngine (lib/suggestions.js), as entries merchants can edit with
+ * /api/suggestions?action=admin-* (suggestions-admin.html).
+ *
+ * The defaults live in lib/suggestion-catalog.json. A saved entry replaces
+ * the default with the same ID; deleting a default keeps a tombstone until
+ * it's reset. Entry:
+ *   { id, type: 'autocomplete' | 'quick-reply' | 'follow-up',
+ *     category (autocomplete) or intent (quick replies and follow-ups;
+ *       'default' holds the quick replies for any other intent),
+ *     text, action (quick replies), icon, position, enabled,
+ *     shops: ['store.myshopify.com'], locales: ['fr'] - only shown there (empty = everywhere),
+ *     schedule: { months: [12], from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' } - days in TIMEZONE,
+ *     variants: [{ id, text, action, icon, shop, locale, weight }] }
+ *
+ * The default entries carry a variant per translation in lib/locales (variant
+ * ID = language, e.g. "fr"); an edited default keeps the variants it was
+ * saved with.
+ *
+ * For a shop and locale, the most specific variants are used: shop and
+ * locale, then shop, then locale, then the entry itself (variant "default").
+ * When several are equally specific it's an A/B test: each session keeps
+ * seeing the same variant, picked by weight. The widget reports impressions
+ * and clicks, which are counted per variant per day without session or
+ * customer data.
+ */
+
+const crypto = require('crypto');
+const Storage = require('./storage');
+const { DATE_PATTERN, localDate, addDays, configuredTimeZone, parseDateRange } = require('./timezone');
+const { catalogTranslations } = require('./i18n');
+
+const TYPES = ['autocomplete', 'quick-reply', 'follow-up'];
+const STAT_EVENTS = ['impression', 'click'];
+
+const DEFAULT_VARIANT = 'default';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,79}$/;
+const VARIANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const NAME_PATTERN = /^[a-z0-9_]{1,60}$/;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i;
+const SHOP_PATTERN = /^[a-z0-9.-]{1,255}$/i;
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_VARIANTS = 10;
+const MAX_STAT_EVENTS = 50;
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 92;
+
+// How long the merged catalogue is reused before stored edits are reloaded
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+class SuggestionCatalog {
+  /**
+   * The bundled default entries
+   */
+  static getDefaults() {
+    const translations = catalogTranslations();
+
+    // Required rather than read so serverless bundlers include the defaults
+    return require('./suggestion-catalog.json').entries.map((entry, index) => {
+      const variants = entry.variants || [];
+      const translated = (translations[entry.id] || [])
+        .filter(translation => !variants.some(variant => variant.id === translation.id || variant.locale === translation.locale));
+
+      return normalizeEntry({ ...entry, variants: [...variants, ...translated] }, index);
+    });
+  }
+
+  /**
+   * Every entry for the admin view, defaults merged with stored edits.
+   * Each carries source: 'default', 'custom' (added by the merchant) or
+   * 'modified'; deleted defaults are included with deleted: true.
+   */
+  static async list(filters = {}) {
+    const entries = await this._load();
+
+    return entries
+      .filter(entry => !filters.type || entry.type === filters.type)
+      .sort(compareEntries);
+  }
+
+  /**
+   * One entry (null if missing)
+   */
+  static async get(id) {
+    const entries = await this._load();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Entries of a type to show for a shop and locale right now, in position
+   * order, each with its most specific variants.
+   * options: { shop, locale, now, intent, category }
+   * Returns [{ entry, candidates: [variant] }]
+   */
+  static async active(type, options = {}) {
+    const { shop, locale, now = new Date(), intent, category } = options;
+    const today = localDate(now, configuredTimeZone());
+    const entries = await this._load();
+
+    return entries
+      .filter(entry => entry.type === type && entry.enabled && !entry.deleted)
+      .filter(entry => intent === undefined || entry.intent === intent)
+      .filter(entry => category === undefined || entry.category === category)
+      .filter(entry => entry.shops.length === 0 || entry.shops.includes(normalizeShop(shop)))
+      .filter(entry => entry.locales.length === 0 || entry.locales.some(entryLocale => localeMatch(entryLocale, locale) > 0))
+      .filter(entry => isScheduled(entry.schedule, today))
+      .sort(compareEntries)
+      .map(entry => ({ entry, candidates: this.candidates(entry, shop, locale) }))
+      .filter(({ candidates }) => candidates.length > 0);
+  }
+
+  /**
+   * The most specific variants of an entry for a shop and locale
+   */
+  static candidates(entry, shop, locale) {
+    const variants = [
+      { id: DEFAULT_VARIANT, text: entry.text, action: entry.action, icon: entry.icon, shop: null, locale: null, weight: entry.weight },
+      ...entry.variants.map(variant => ({ ...variant, action: variant.action || entry.action, icon: variant.icon || entry.icon }))
+    ];
+
+    let best = -1;
+    let candidates = [];
+
+    variants.forEach(variant => {
+      if (variant.shop && variant.shop !== normalizeShop(shop)) return;
+
+      const localeScore = variant.locale ? localeMatch(variant.locale, locale) : 0;
+      if (variant.locale && localeScore === 0) return;
+
+      const specificity = (variant.shop ? 4 : 0) + localeScore;
+      if (specificity > best) {
+        best = specificity;
+        candidates = [variant];
+      } else if (specificity === best) {
+        candidates.push(variant);
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Pick one of the candidates for a session (by weight; the same session
+   * always gets the same one). Without a session the pick is random.
+   */
+  static chooseVariant(entry, candidates, sessionId) {
+    if (candidates.length === 1) return candidates[0];
+
+    const total = candidates.reduce((sum, variant) => sum + variant.weight, 0);
+    const point = (sessionId ? hashFraction(`${sessionId}:${entry.id}`) : Math.random()) * total;
+
+    let sum = 0;
+    return candidates.find(variant => (sum += variant.weight) > point) || candidates[candidates.length - 1];
+  }
+
+  /**
+   * Resolve the active entries of a type for a request, one variant each.
+   * context: { shop, locale, sessionId, now, intent, category }
+   * Returns [{ id, variant, text, action, icon, category, intent }]
+   */
+  static async resolve(type, context = {}) {
+    const active = await this.active(type, context);
+
+    return active.map(({ entry, candidates }) => {
+      const variant = this.chooseVariant(entry, candidates, context.sessionId);
+      return describe(entry, variant);
+    });
+  }
+
+  /**
+   * Add an entry. Returns { entry } or { errors }
+   */
+  static async create(input, user) {
+    const { entry, errors } = validateEntry(input);
+    if (errors) return { errors };
+
+    if (!entry.id) {
+      entry.id = `${entry.type}-${crypto.randomBytes(4).toString('hex')}`;
+    } else if (await this.get(entry.id)) {
+      return { errors: [{ field: 'id', message: 'An entry with this ID already exists' }] };
+    }
+
+    return { entry: await this._store(entry, user) };
+  }
+
+  /**
+   * Change an entry; fields left out keep their value. Editing a default
+   * stores the merchant's version. Returns { entry }, { errors } or { notFound }
+   */
+  static async update(id, changes, user) {
+    const existing = await this.get(id);
+    if (!existing || existing.deleted) {
+      return { notFound: true, errors: [{ field: 'id', message: 'Entry not found' }] };
+    }
+
+    const { entry, errors } = validateEntry({ ...stripMeta(existing), ...changes, id, type: existing.type });
+    if (errors) return { errors };
+
+    return { entry: await this._store(entry, user) };
+  }
+
+  /**
+   * Delete an entry (a default is hidden until reset). Returns { deleted } or { notFound }
+   */
+  static async remove(id, user) {
+    const existing = await this.get(id);
+    if (!existing || existing.deleted) return { notFound: true };
+
+    if (this.getDefaults().some(entry => entry.id === id)) {
+      await Storage.saveSuggestionEntry(id, {
+        id,
+        deleted: true,
+        updatedAt: new Date().toISOString(),
+        updatedBy: user ? user.email : null
+      });
+    } else {
+      await Storage.deleteSuggestionEntry(id);
+    }
+
+    this.invalidate();
+    return { deleted: id };
+  }
+
+  /**
+   * Restore a default entry, dropping the merchant's edits or deletion.
+   * Returns { entry } or { notFound }
+   */
+  static async reset(id) {
+    const defaultEntry = this.getDefaults().find(entry => entry.id === id);
+    if (!defaultEntry) return { notFound: true };
+
+    await Storage.deleteSuggestionEntry(id);
+    this.invalidate();
+
+    return { entry: { ...defaultEntry, source: 'default' } };
+  }
+
+  /**
+   * Count impressions and clicks reported by the widget.
+   * events: [{ id, variant, event: 'impression' | 'click' }]
+   * Returns { recorded } or { errors }
+   */
+  static async recordEvents(events, options = {}) {
+    if (!Array.isArray(events) || events.length === 0 || events.length > MAX_STAT_EVENTS) {
+      return { errors: [{ field: 'events', message: `Must be an array of 1-${MAX_STAT_EVENTS} events` }] };
+    }
+
+    const entries = await this._load();
+    const valid = events.filter(event => event
+      && STAT_EVENTS.includes(event.event)
+      && typeof event.variant === 'string'
+      && entries.some(entry => entry.id === event.id && !entry.deleted
+        && (event.variant === DEFAULT_VARIANT || entry.variants.some(variant => variant.id === event.variant))));
+
+    if (valid.length > 0) {
+      const date = localDate(options.now || new Date(), configuredTimeZone());
+      await Storage.recordSuggestionStats(date, valid.map(({ id, variant, event }) => ({ id, variant, event })));
+    }
+
+    return { recorded: valid.length, ignored: events.length - valid.length };
+  }
+
+  /**
+   * Parse a from/to (YYYY-MM-DD) range for stats, defaulting to the last 30 days
+   * Returns { range } or { error } (see parseDateRange)
+   */
+  static parseRange(query = {}, now = new Date()) {
+    return parseDateRange(query, { now, defaultDays: DEFAULT_RANGE_DAYS, maxDays: MAX_RANGE_DAYS });
+  }
+
+  /**
+   * Impressions, clicks and click-through rate per entry and variant for a
+   * range of days (see parseRange)
+   * Returns [{ id, type, text, variants: [{ variant, text, impressions, clicks, ctr }] }]
+   */
+  static async stats(range) {
+    const totals = {};
+
+    for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+      const day = await Storage.getSuggestionStats(date);
+
+      Object.entries(day.entries).forEach(([id, variants]) => {
+        Object.entries(variants).forEach(([variant, counts]) => {
+          const total = (totals[id] = totals[id] || {})[variant] = totals[id][variant] || { impressions: 0, clicks: 0 };
+          total.impressions += counts.impressions;
+          total.clicks += counts.clicks;
+        });
+      });
+    }
+
+    const entries = await this._load();
+
+    return Object.entries(totals).map(([id, variants]) => {
+      const entry = entries.find(candidate => candidate.id === id) || { id, variants: [] };
+
+      return {
+        id,
+        type: entry.type || null,
+        text: entry.text || null,
+        variants: Object.entries(variants).map(([variant, counts]) => ({
+          variant,
+          text: variant === DEFAULT_VARIANT ? entry.text || null : (entry.variants.find(candidate => candidate.id === variant) || {}).text || null,
+          impressions: counts.impressions,
+          clicks: counts.clicks,
+          ctr: counts.impressions > 0 ? Math.round((counts.clicks / counts.impressions) * 10000) / 10000 : null
+        }))
+      };
+    });
+  }
+
+  /**
+   * Drop the cached catalogue so the next read reloads stored edits
+   */
+  static invalidate() {
+    cache = null;
+    cacheLoadedAt = 0;
+  }
+
+  /**
+   * Private: Save an entry and refresh the cache
+   */
+  static async _store(entry, user) {
+    const stored = {
+      ...entry,
+      updatedAt: new Date().toISOString(),
+      updatedBy: user ? user.email : null
+    };
+
+    await Storage.saveSuggestionEntry(entry.id, stored);
+    this.invalidate();
+
+    return (await this.get(entry.id)) || stored;
+  }
+
+  /**
+   * Private: Defaults merged with stored entries (cached for CACHE_TTL_MS)
+   */
+  static async _load() {
+    if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+
+    const defaults = this.getDefaults();
+    const defaultIds = new Set(defaults.map(entry => entry.id));
+    const stored = new Map((await Storage.listSuggestionEntries()).map(entry => [entry.id, entry]));
+
+    const merged = defaults.map(entry => {
+      const edit = stored.get(entry.id);
+      if (!edit) return { ...entry, source: 'default' };
+      if (edit.deleted) return { ...entry, source: 'default', deleted: true, updatedAt: edit.updatedAt, updatedBy: edit.updatedBy };
+      return { ...normalizeEntry(edit, entry.position), source: 'modified' };
+    });
+
+    stored.forEach((entry, id) => {
+      if (!defaultIds.has(id) && !entry.deleted) {
+        merged.push({ ...normalizeEntry(entry, merged.length), source: 'custom' });
+      }
+    });
+
+    cache = merged;
+    cacheLoadedAt = Date.now();
+    return cache;
+  }
+}
+
+/**
+ * Helper: Check an entry from the admin API. Returns { entry } or { errors }
+ */
+function validateEntry(input) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: [{ field: null, message: 'Body must be an object' }] };
+  }
+
+  const isText = value => typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_TEXT_LENGTH;
+  const isIcon = value => value === undefined || value === null || (typeof value === 'string' && value.length <= 16);
+
+  if (input.id !== undefined && (typeof input.id !== 'string' || !ID_PATTERN.test(input.id))) {
+    fail('id', 'Must be 1-80 lowercase letters, digits, _ or -');
+  }
+  if (!TYPES.includes(input.type)) {
+    fail('type', `Required, one of: ${TYPES.join(', ')}`);
+  }
+  if (!isText(input.text)) {
+    fail('text', `Required, 1-${MAX_TEXT_LENGTH} characters`);
+  }
+  if (input.type === 'autocomplete' && (typeof input.category !== 'string' || !NAME_PATTERN.test(input.category))) {
+    fail('category', 'Required for autocomplete, lowercase letters, digits or _');
+  }
+  if (['quick-reply', 'follow-up'].includes(input.type) && (typeof input.intent !== 'string' || !NAME_PATTERN.test(input.intent))) {
+    fail('intent', 'Required, an intent name such as order_tracking (or "default" for quick replies)');
+  }
+  if (input.type === 'quick-reply' && (typeof input.action !== 'string' || !NAME_PATTERN.test(input.action))) {
+    fail('action', 'Required for quick replies, lowercase letters, digits or _');
+  }
+  if (!isIcon(input.icon)) {
+    fail('icon', 'Must be a short string (an emoji)');
+  }
+  if (input.position !== undefined && input.position !== null && !Number.isInteger(input.position)) {
+    fail('position', 'Must be an integer');
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    fail('enabled', 'Must be true or false');
+  }
+
+  ['shops', 'locales'].forEach(field => {
+    const pattern = field === 'shops' ? SHOP_PATTERN : LOCALE_PATTERN;
+    if (input[field] !== undefined && (!Array.isArray(input[field]) || !input[field].every(value => typeof value === 'string' && pattern.test(value)))) {
+      fail(field, field === 'shops' ? 'Must be an array of shop domains' : 'Must be an array of locales such as fr or fr-CA');
+    }
+  });
+
+  const schedule = input.schedule;
+  if (schedule !== undefined && schedule !== null) {
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+      fail('schedule', 'Must be an object with months, from and/or to');
+    } else {
+      if (schedule.months !== undefined && schedule.months !== null && (!Array.isArray(schedule.months) || schedule.months.length === 0
+        || !schedule.months.every(month => Number.isInteger(month) && month >= 1 && month <= 12))) {
+        fail('schedule.months', 'Must be an array of months 1-12');
+      }
+      ['from', 'to'].forEach(field => {
+        if (schedule[field] !== undefined && schedule[field] !== null && !(typeof schedule[field] === 'string' && DATE_PATTERN.test(schedule[field]))) {
+          fail(`schedule.${field}`, 'Must be a YYYY-MM-DD date');
+        }
+      });
+      if (schedule.from && schedule.to && schedule.from > schedule.to) {
+        fail('schedule', 'from must not be after to');
+      }
+    }
+  }
+
+  if (input.variants !== undefined) {
+    if (!Array.isArray(input.variants) || input.variants.length > MAX_VARIANTS) {
+      fail('variants', `Must be an array of at most ${MAX_VARIANTS} variants`);
+    } else {
+      const ids = new Set([DEFAULT_VARIANT]);
+
+      input.variants.forEach((variant, index) => {
+        const field = `variants[${index}]`;
+        if (!variant || typeof variant !== 'object') {
+          fail(field, 'Must be an object');
+          return;
+        }
+        if (typeof variant.id !== 'string' || !VARIANT_ID_PATTERN.test(variant.id) || ids.has(variant.id)) {
+          fail(`${field}.id`, `Required, unique, 1-32 lowercase letters, digits, _ or - (not "${DEFAULT_VARIANT}")`);
+        }
+        ids.add(variant.id);
+        if (!isText(variant.text)) fail(`${field}.text`, `Required, 1-${MAX_TEXT_LENGTH} characters`);
+        if (variant.action !== undefined && variant.action !== null && !(typeof variant.action === 'string' && NAME_PATTERN.test(variant.action))) {
+          fail(`${field}.action`, 'Lowercase letters, digits or _');
+        }
+        if (!isIcon(variant.icon)) fail(`${field}.icon`, 'Must be a short string (an emoji)');
+        if (variant.shop !== undefined && variant.shop !== null && !(typeof variant.shop === 'string' && SHOP_PATTERN.test(variant.shop))) {
+          fail(`${field}.shop`, 'Must be a shop domain');
+        }
+        if (variant.locale !== undefined && variant.locale !== null && !(typeof variant.locale === 'string' && LOCALE_PATTERN.test(variant.locale))) {
+          fail(`${field}.locale`, 'Must be a locale such as fr or fr-CA');
+        }
+        if (variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight > 0 && variant.weight <= 100)) {
+          fail(`${field}.weight`, 'Must be a number above 0, at most 100');
+        }
+      });
+    }
+  }
+
+  if (input.weight !== undefined && !(typeof input.weight === 'number' && input.weight > 0 && input.weight <= 100)) {
+    fail('weight', 'Must be a number above 0, at most 100');
+  }
+
+  if (errors.length > 0) return { errors };
+
+  // Without a position, new entries go after the others in their group
+  const entry = normalizeEntry(input);
+  if (!Number.isInteger(input.position)) delete entry.position;
+  if (input.id === undefined) delete entry.id;
+  return { entry: stripMeta(entry) };
+}
+
+/**
+ * Helper: An entry with every field filled in
+ */
+function normalizeEntry(input, position = 0) {
+  const entry = {
+    id: input.id,
+    type: input.type,
+    text: input.text.trim(),
+    icon: input.icon || null,
+    position: Number.isInteger(input.position) ? input.position : position,
+    enabled: input.enabled !== false,
+    weight: input.weight || 1,
+    shops: (input.shops || []).map(normalizeShop),
+    locales: (input.locales || []).map(normalizeLocale),
+    schedule: input.schedule ? {
+      months: input.schedule.months || null,
+      from: input.schedule.from || null,
+      to: input.schedule.to || null
+    } : null,
+    variants: (input.variants || []).map(variant => ({
+      id: variant.id,
+      text: variant.text.trim(),
+      action: variant.action || null,
+      icon: variant.icon || null,
+      shop: variant.shop ? normalizeShop(variant.shop) : null,
+      locale: variant.locale ? normalizeLocale(variant.locale) : null,
+      weight: variant.weight || 1
+    }))
+  };
+
+  if (entry.type === 'autocomplete') entry.category = input.category;
+  else entry.intent = input.intent;
+  if (entry.type === 'quick-reply') entry.action = input.action;
+
+  if (input.updatedAt) entry.updatedAt = input.updatedAt;
+  if (input.updatedBy) entry.updatedBy = input.updatedBy;
+
+  return entry;
+}
+
+/**
+ * Helper: An entry without the fields added when it's stored or listed
+ */
+function stripMeta(entry) {
+  const { source, deleted, updatedAt, updatedBy, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * Helper: A resolved suggestion for the API
+ */
+function describe(entry, variant) {
+  const item = {
+    id: entry.id,
+    variant: variant.id,
+    text: variant.text,
+    icon: variant.icon || null
+  };
+
+  if (entry.type === 'autocomplete') item.category = entry.category;
+  else item.intent = entry.intent;
+  if (entry.type === 'quick-reply') item.action = variant.action;
+
+  return item;
+}
+
+/**
+ * Helper: How well a variant or entry locale fits the requested locale:
+ * 2 for the same locale, 1 for the same language ("fr" for "fr-CA"), else 0
+ */
+function localeMatch(target, requested) {
+  if (!requested) return 0;
+
+  const wanted = normalizeLocale(requested);
+  if (target === wanted) return 2;
+  if (!target.includes('-') && wanted.split('-')[0] === target) return 1;
+  return 0;
+}
+
+/**
+ * Helper: Whether a schedule includes a day (YYYY-MM-DD in TIMEZONE)
+ */
+function isScheduled(schedule, today) {
+  if (!schedule) return true;
+  if (schedule.from && today < schedule.from) return false;
+  if (schedule.to && today > schedule.to) return false;
+  if (schedule.months && !schedule.months.includes(parseInt(today.slice(5, 7)))) return false;
+  return true;
+}
+
+function compareEntries(a, b) {
+  return a.type.localeCompare(b.type)
+    || (a.intent || a.category || '').localeCompare(b.intent || b.category || '')
+    || a.position - b.position;
+}
+
+function normalizeShop(shop) {
+  return String(shop || '').toLowerCase().trim();
+}
+
+function normalizeLocale(locale) {
+  return String(locale || '').replace('_', '-').toLowerCase().trim();
+}
+
+/**
+ * Helper: Stable number in [0, 1) for a string
+ */
+function hashFraction(value) {
+  return parseInt(crypto.createHash('sha256').update(value).digest('hex').slice(0, 8), 16) / 0x100000000;
+}
+
+SuggestionCatalog.TYPES = TYPES;
+SuggestionCatalog.DEFAULT_VARIANT = DEFAULT_VARIANT;
+
+module.exports = SuggestionCatalog;
@@ -1,326 +1,420 @@
 /**
  * Auto-Complete Suggestions & Smart Quick Replies
  * Provides intelligent suggestions and context-aware quick actions
+ *
+ * Question templates, quick replies and follow-up questions come from the
+ * merchant-editable catalogue (lib/suggestion-catalog.js), resolved for the
+ * request's shop, locale and session. Autocomplete also draws on the
+ * questions customers actually ask, mined daily from the chat logs
+ * (lib/autocomplete.js, see learn()). Results are ranked by popularity,
+ * recency and the topic the customer is in. Admins can pin, ban or rename
+ * learned suggestions.
+ *
+ * The common questions shown before the customer types, the conversational
+ * prompts and the personalized quick replies come from the locale bundles
+ * (lib/i18n.js). Learned suggestions aren't split by language.
  */
 
 const Storage = require('./storage');
+const SuggestionCatalog = require('./suggestion-catalog');
+const { SuggestionTrie, normalizeQuery, mineQueries } = require('./autocomplete');
+const { messages, normalizeLocale, languageOf } = require('./i18n');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a built index is reused before the catalogue, curation and learned queries are reloaded
+const INDEX_TTL_MS = 5 * 60 * 1000;
+
+// Indexes kept at once (one per shop and locale)
+const MAX_INDEXES = 50;
+
+// Ranking: each typo costs a quarter, mid-sentence matches rank below
+// matches at the start, suggestions from the customer's topic rank higher
+const TYPO_PENALTY = 0.25;
+const MID_SENTENCE_FACTOR = 0.85;
+const TOPIC_BOOST = 1.2;
+
+const MAX_SUGGESTION_LENGTH = 120;
 
 class SuggestionsEngine {
   constructor() {
-    // Common question templates
-    this.templates = {
-      subscription: [
-        'I want to cancel my subscription',
-        'I need to update my subscription address',
-        'How do I change my subscription frequency?',
-        'Can I pause my subscription?',
-        'When is my next subscription delivery?',
-        'I want to update my payment method',
-        'How do I manage my subscription?'
-      ],
-      order: [
-        'Where is my order?',
-        'Track my order #',
-        'When will my order arrive?',
-        'I haven\'t received my order',
-        'I want to return an order',
-        'Cancel my recent order',
-        'Change shipping address for order'
-      ],
-      account: [
-        'Update my email address',
-        'Change my password',
-        'Update my shipping address',
-        'View my order history',
-        'I forgot my password',
-        'Delete my account'
-      ],
-      products: [
-        'Help me find the right product',
-        'Tell me about this product',
-        'Is this product in stock?',
-        'What are your best sellers?',
-        'Do you have any deals or discounts?',
-        'Product recommendations for me'
-      ],
-      support: [
-        'I need help',
-        'Talk to a human',
-        'Contact customer support',
-        'File a complaint',
-        'Request a refund'
-      ],
-      loyalty: [
-        'Check my loyalty points',
-        'How do I earn points?',
-        'Redeem my points',
-        'What rewards are available?',
-        'What is my loyalty tier?'
-      ]
-    };
-
-    // Build search index
-    this.searchIndex = this._buildSearchIndex();
+    // Autocomplete indexes by shop and locale, built on first use (see _getIndex)
+    this.indexes = new Map();
   }
 
   /**
-   * Get auto-complete suggestions based on partial input
+   * Get auto-complete suggestions based on partial input.
+   * context: { topic, shop, locale, sessionId } - the topic ranks its
+   * suggestions higher; shop, locale and session pick catalogue variants.
    */
-  getSuggestions(input, limit = 5, context = {}) {
-    if (!input || input.length < 2) {
-      return this._getDefaultSuggestions(context);
-    }
+  async getSuggestions(input, limit = 5, context = {}) {
+    const index = await this._getIndex(context);
+    const query = normalizeQuery(input);
 
-    const query = input.toLowerCase().trim();
-    const matches = [];
-
-    // Search through all templates
-    for (const [category, templates] of Object.entries(this.templates)) {
-      templates.forEach(template => {
-        const score = this._calculateMatchScore(query, template);
-        if (score > 0) {
-          matches.push({
-            text: template,
-            category: category,
-            score: score,
-            icon: this._getCategoryIcon(category)
-          });
-        }
-      });
+    if (query.length < 2) {
+      return this._getDefaultSuggestions(index, limit, context);
     }
 
-    // Sort by score and return top matches
-    matches.sort((a, b) => b.score - a.score);
+    const matches = index.trie.search(query).map(({ item, distance, offset }) => ({
+      ...item,
+      score: item.popularity
+        * (1 - TYPO_PENALTY * distance)
+        * (offset > 0 ? MID_SENTENCE_FACTOR : 1)
+        * (context.topic && item.topic === context.topic ? TOPIC_BOOST : 1)
+    }));
+
+    // Pinned suggestions first, then by score
+    matches.sort((a, b) => (b.pinned - a.pinned) || (b.score - a.score));
 
     return {
-      suggestions: matches.slice(0, limit),
+      suggestions: matches.slice(0, limit).map(match => this._formatSuggestion(match, context)),
       query: input,
       hasMore: matches.length > limit
     };
   }
 
   /**
-   * Get smart quick replies based on conversation context
+   * Mine the questions customers asked in the last AUTOCOMPLETE_WINDOW_DAYS
+   * (default 30) and save them as the learned suggestions. Run daily by
+   * api/cron-daily.js. Only queries asked in AUTOCOMPLETE_MIN_SESSIONS
+   * (default 3) different sessions are kept, after PII redaction.
+   */
+  async learn(options = {}) {
+    const now = options.now || new Date();
+    const windowDays = parseInt(process.env.AUTOCOMPLETE_WINDOW_DAYS) || 30;
+
+    const messages = await Storage.readLogsBetween(new Date(now.getTime() - windowDays * DAY_MS), now);
+    const queries = mineQueries(messages, {
+      now,
+      minSessions: parseInt(process.env.AUTOCOMPLETE_MIN_SESSIONS) || 3,
+      halfLifeDays: parseInt(process.env.AUTOCOMPLETE_HALF_LIFE_DAYS) || 14
+    });
+
+    const learned = {
+      builtAt: now.toISOString(),
+      windowDays,
+      messagesScanned: messages.length,
+      queries
+    };
+
+    await Storage.saveLearnedSuggestions(learned);
+    this.invalidate();
+
+    return { builtAt: learned.builtAt, messagesScanned: learned.messagesScanned, queries: queries.length };
+  }
+
+  /**
+   * Learned queries with their curation state, for the admin review
+   */
+  async getLearned() {
+    const [learned, curation] = await Promise.all([Storage.getLearnedSuggestions(), this.getCuration()]);
+    const pinnedKeys = curation.pinned.map(normalizeQuery);
+
+    return {
+      builtAt: learned ? learned.builtAt : null,
+      windowDays: learned ? learned.windowDays : null,
+      messagesScanned: learned ? learned.messagesScanned : 0,
+      queries: (learned ? learned.queries : []).map(query => ({
+        ...query,
+        pinned: pinnedKeys.includes(query.key),
+        banned: curation.banned.includes(query.key),
+        renamedTo: curation.renamed[query.key] || null
+      })),
+      curation
+    };
+  }
+
+  /**
+   * Current curation: { pinned: [text], banned: [key], renamed: { key: text } }
+   */
+  async getCuration() {
+    const curation = await Storage.getSuggestionCuration() || {};
+
+    return {
+      pinned: curation.pinned || [],
+      banned: curation.banned || [],
+      renamed: curation.renamed || {},
+      updatedAt: curation.updatedAt || null,
+      updatedBy: curation.updatedBy || null
+    };
+  }
+
+  /**
+   * Pin, unpin, ban, unban or rename a suggestion (by its text, matched
+   * normalized). Pinning text that isn't a suggestion yet adds it; renaming
+   * to an empty newText restores the original.
+   * Returns { curation } or { error }
+   */
+  async curate(operation, text, user, newText) {
+    const key = normalizeQuery(text);
+    if (!key) {
+      return { error: 'text required' };
+    }
+
+    const curation = await this.getCuration();
+    const pinned = curation.pinned.filter(pinnedText => normalizeQuery(pinnedText) !== key);
+    const banned = curation.banned.filter(bannedKey => bannedKey !== key);
+    const next = { pinned: curation.pinned, banned: curation.banned, renamed: { ...curation.renamed } };
+
+    switch (operation) {
+      case 'pin':
+        if (String(text).length > MAX_SUGGESTION_LENGTH) {
+          return { error: `text must be at most ${MAX_SUGGESTION_LENGTH} characters` };
+        }
+        next.pinned = [...pinned, String(text).trim()];
+        break;
+
+      case 'unpin':
+        next.pinned = pinned;
+        break;
+
+      case 'ban':
+        next.banned = [...banned, key];
+        break;
+
+      case 'unban':
+        next.banned = banned;
+        break;
+
+      case 'rename':
+        if (!newText) {
+          delete next.renamed[key];
+        } else if (!normalizeQuery(newText) || String(newText).length > MAX_SUGGESTION_LENGTH) {
+          return { error: `newText must be 1-${MAX_SUGGESTION_LENGTH} characters` };
+        } else {
+          next.renamed[key] = String(newText).trim();
+        }
+        break;
+
+      default:
+        return { error: `Unknown operation: ${operation}` };
+    }
+
+    const saved = await Storage.saveSuggestionCuration({
+      ...next,
+      updatedBy: user ? user.email : null
+    });
+    this.invalidate();
+
+    return { curation: saved };
+  }
+
+  /**
+   * Drop the cached index so the next lookup rebuilds it
+   */
+  invalidate() {
+    this.indexes.clear();
+  }
+
+  /**
+   * Get smart quick replies based on conversation context: the catalogue's
+   * quick replies for the last intent, or the default set.
+   * context also takes shop, locale and sessionId (see getSuggestions).
    */
   async getQuickReplies(context = {}) {
-    const { lastIntent, customerEmail, sessionId, conversationState } = context;
+    const { lastIntent, customerEmail, sessionId, shop, locale } = context;
+    const catalogContext = { shop, locale, sessionId };
 
-    let quickReplies = [];
+    let quickReplies = lastIntent
+      ? await SuggestionCatalog.resolve('quick-reply', { ...catalogContext, intent: lastIntent })
+      : [];
+    const usedIntent = quickReplies.length > 0 ? lastIntent : 'default';
 
-    // Context-aware replies based on last intent
-    if (lastIntent === 'subscription_info') {
-      quickReplies = [
-        { text: 'Pause subscription', action: 'subscription_pause', icon: '⏸️' },
-        { text: 'Update address', action: 'subscription_update_address', icon: '📍' },
-        { text: 'Change frequency', action: 'subscription_frequency', icon: '📅' },
-        { text: 'Cancel subscription', action: 'subscription_cancel', icon: '❌' }
-      ];
-    } else if (lastIntent === 'order_tracking') {
-      quickReplies = [
-        { text: 'View order details', action: 'order_details', icon: '📦' },
-        { text: 'Contact about order', action: 'order_support', icon: '💬' },
-        { text: 'Track another order', action: 'order_track_another', icon: '🔍' },
-        { text: 'Return this order', action: 'order_return', icon: '↩️' }
-      ];
-    } else if (lastIntent === 'account_update') {
-      quickReplies = [
-        { text: 'Update email', action: 'account_email', icon: '✉️' },
-        { text: 'Update password', action: 'account_password', icon: '🔒' },
-        { text: 'Update address', action: 'account_address', icon: '📍' },
-        { text: 'View account info', action: 'account_view', icon: '👤' }
-      ];
-    } else if (lastIntent === 'product_question') {
-      quickReplies = [
-        { text: 'Find my perfect product', action: 'product_recommendations', icon: '🎯' },
-        { text: 'Check availability', action: 'product_stock', icon: '📊' },
-        { text: 'View similar products', action: 'product_similar', icon: '🔄' },
-        { text: 'Add to cart', action: 'product_add_cart', icon: '🛒' }
-      ];
-    } else {
-      // Default quick replies
-      quickReplies = await this._getDefaultQuickReplies(context);
+    if (quickReplies.length === 0) {
+      quickReplies = await SuggestionCatalog.resolve('quick-reply', { ...catalogContext, intent: 'default' });
     }
 
     // Add personalized quick replies if customer is known
     if (customerEmail) {
-      const personalizedReplies = await this._getPersonalizedQuickReplies(customerEmail);
+      const personalizedReplies = await this._getPersonalizedQuickReplies(customerEmail, locale);
       quickReplies = [...personalizedReplies, ...quickReplies].slice(0, 6);
     }
 
     return {
       quickReplies,
-      context: lastIntent || 'default'
+      context: usedIntent
     };
   }
 
   /**
-   * Get context-specific follow-up questions
+   * Get context-specific follow-up questions from the catalogue.
+   * context: { shop, locale, sessionId } (see getSuggestions)
+   * Returns [{ id, variant, text, icon, intent }]
    */
-  getFollowUpQuestions(intent, data = {}) {
-    const followUps = {
-      subscription_cancel: [
-        'Is there anything we can do to keep your subscription?',
-        'Would you like to pause instead of canceling?',
-        'May I ask why you\'re canceling?'
-      ],
-      order_tracking: [
-        'Would you like to track another order?',
-        'Is there anything else I can help you with regarding this order?'
-      ],
-      subscription_pause: [
-        'How long would you like to pause for?',
-        'Would you like to change your delivery frequency instead?'
-      ],
-      product_question: [
-        'Would you like to see similar products?',
-        'Can I show you our current deals?',
-        'Would you like to know about our loyalty program?'
-      ]
-    };
-
-    return followUps[intent] || [];
+  async getFollowUpQuestions(intent, context = {}) {
+    if (!intent) return [];
+
+    return await SuggestionCatalog.resolve('follow-up', {
+      shop: context.shop,
+      locale: context.locale,
+      sessionId: context.sessionId,
+      intent
+    });
   }
 
   /**
-   * Get conversational prompts to guide user
+   * Get conversational prompts to guide user, in the locale's language
    */
-  getConversationalPrompts(state = 'initial') {
-    const prompts = {
-      initial: [
-        'What can I help you with today?',
-        'How may I assist you?',
-        'What brings you here today?'
-      ],
-      clarification: [
-        'Could you provide more details?',
-        'Which one did you mean?',
-        'Can you be more specific?'
-      ],
-      confirmation: [
-        'Is this what you\'re looking for?',
-        'Does this answer your question?',
-        'Was this helpful?'
-      ],
-      completion: [
-        'Is there anything else I can help with?',
-        'Anything else you need?',
-        'Was there something else?'
-      ]
-    };
+  getConversationalPrompts(state = 'initial', locale) {
+    const prompts = messages(localeLanguage(locale)).prompts;
 
     const statePrompts = prompts[state] || prompts.initial;
     return statePrompts[Math.floor(Math.random() * statePrompts.length)];
   }
 
   /**
-   * Private: Calculate match score for auto-complete
+   * Private: The autocomplete index for a shop and locale, rebuilt every INDEX_TTL_MS
    */
-  _calculateMatchScore(query, template) {
-    const templateLower = template.toLowerCase();
-
-    // Exact match gets highest score
-    if (templateLower.includes(query)) {
-      const position = templateLower.indexOf(query);
-      const score = 100 - position; // Earlier matches score higher
-      return score;
-    }
+  async _getIndex(context = {}) {
+    const cacheKey = `${context.shop || ''}|${context.locale || ''}`;
+    const cached = this.indexes.get(cacheKey);
+    if (cached && Date.now() - cached.builtAt <= INDEX_TTL_MS) return cached;
 
-    // Word-by-word matching
-    const queryWords = query.split(/\s+/);
-    const templateWords = templateLower.split(/\s+/);
+    let learned = null;
+    let curation = { pinned: [], banned: [], renamed: {} };
 
-    let matchedWords = 0;
-    queryWords.forEach(qWord => {
-      if (templateWords.some(tWord => tWord.startsWith(qWord))) {
-        matchedWords++;
-      }
-    });
+    // The catalogue alone still makes a working autocomplete
+    try {
+      [learned, curation] = await Promise.all([Storage.getLearnedSuggestions(), this.getCuration()]);
+    } catch (error) {
+      console.error('Failed to load learned suggestions:', error.message);
+    }
 
-    const wordMatchScore = (matchedWords / queryWords.length) * 50;
+    const catalog = await SuggestionCatalog.active('autocomplete', { shop: context.shop, locale: context.locale });
+    const index = { ...this._buildIndex(catalog, learned, curation), builtAt: Date.now() };
 
-    // Fuzzy matching for typos
-    const levenshteinScore = this._fuzzyMatch(query, templateLower);
+    if (this.indexes.size >= MAX_INDEXES) {
+      this.indexes.delete(this.indexes.keys().next().value);
+    }
+    this.indexes.set(cacheKey, index);
 
-    return Math.max(wordMatchScore, levenshteinScore);
+    return index;
   }
 
   /**
-   * Private: Fuzzy string matching
+   * Private: Build the index from catalogue entries, learned queries and curation.
+   * Returns { trie, entries } with entries best first.
    */
-  _fuzzyMatch(str1, str2) {
-    // Simple fuzzy matching - can be improved with Levenshtein distance
-    const longer = str2;
-    const shorter = str1;
+  _buildIndex(catalog, learned, curation) {
+    const entries = new Map();
+    const aliases = new Map();
+
+    // Catalogue entries match on the text of every variant they may show
+    catalog.forEach(({ entry, candidates }) => {
+      const keys = candidates.map(variant => normalizeQuery(variant.text));
+      const item = { text: candidates[0].text, category: entry.category, topic: null, weight: 0, source: 'template', entry, candidates, keys };
 
-    if (longer.length === 0) return 0;
+      entries.set(keys[0], item);
+      keys.forEach(key => aliases.set(key, keys[0]));
+    });
 
-    let matches = 0;
-    for (let i = 0; i < shorter.length; i++) {
-      if (longer.includes(shorter[i])) {
-        matches++;
+    // A learned query that matches a template makes the template more popular
+    ((learned && learned.queries) || []).forEach(query => {
+      const existing = entries.get(aliases.get(query.key) || query.key);
+      if (existing) {
+        existing.weight += query.weight;
+        existing.topic = existing.topic || query.topic;
+      } else {
+        entries.set(query.key, { text: query.text, category: query.category, topic: query.topic, weight: query.weight, source: 'learned' });
       }
-    }
+    });
 
-    return (matches / longer.length) * 30;
+    curation.pinned.forEach(text => {
+      const key = aliases.get(normalizeQuery(text)) || normalizeQuery(text);
+      if (!entries.has(key)) {
+        entries.set(key, { text, category: 'general', topic: null, weight: 0, source: 'pinned' });
+      }
+      entries.get(key).pinned = true;
+    });
+
+    const items = [];
+    entries.forEach((entry, key) => {
+      const keys = entry.keys || [key];
+      if (keys.some(candidate => curation.banned.includes(candidate))) return;
+
+      // Catalogue entries are renamed by editing them, so variants keep their own text
+      const text = (!entry.entry && curation.renamed[key]) || entry.text;
+      items.push({
+        key,
+        keys: [...keys, normalizeQuery(text)],
+        text,
+        category: entry.category,
+        topic: entry.topic,
+        source: entry.source,
+        entry: entry.entry,
+        candidates: entry.candidates,
+        pinned: Boolean(entry.pinned),
+        popularity: 1 + Math.log1p(entry.weight)
+      });
+    });
+
+    // Inserted best first: trie nodes keep only their first candidates
+    items.sort((a, b) => (b.pinned - a.pinned) || (b.popularity - a.popularity));
+
+    const trie = new SuggestionTrie();
+    items.forEach(item => trie.insert(item, item.keys));
+
+    return { trie, entries: items, banned: curation.banned };
   }
 
   /**
-   * Private: Build search index
+   * Private: Suggestion as returned by the API. Catalogue entries show the
+   * session's variant and carry its id and variant for click tracking.
    */
-  _buildSearchIndex() {
-    const index = new Map();
-
-    Object.entries(this.templates).forEach(([category, templates]) => {
-      templates.forEach(template => {
-        const words = template.toLowerCase().split(/\s+/);
-        words.forEach(word => {
-          if (!index.has(word)) {
-            index.set(word, []);
-          }
-          index.get(word).push({ template, category });
-        });
-      });
-    });
+  _formatSuggestion(item, context = {}) {
+    const suggestion = {
+      text: item.text,
+      category: item.category,
+      icon: this._getCategoryIcon(item.category),
+      source: item.source
+    };
 
-    return index;
+    if (item.entry) {
+      const variant = SuggestionCatalog.chooseVariant(item.entry, item.candidates, context.sessionId);
+      suggestion.id = item.entry.id;
+      suggestion.variant = variant.id;
+      suggestion.text = variant.text;
+      if (variant.icon) suggestion.icon = variant.icon;
+    }
+
+    if (item.score !== undefined) suggestion.score = Math.round(item.score * 100) / 100;
+    if (item.pinned) suggestion.pinned = true;
+
+    return suggestion;
   }
 
   /**
-   * Private: Get default suggestions
+   * Private: Get default suggestions (pinned, then the most asked, topic first)
    */
-  _getDefaultSuggestions(context) {
-    // Show most common questions
-    const common = [
-      { text: 'Track my order', category: 'order', icon: '📦' },
-      { text: 'Manage my subscription', category: 'subscription', icon: '🔄' },
-      { text: 'Check loyalty points', category: 'loyalty', icon: '⭐' },
-      { text: 'Contact support', category: 'support', icon: '💬' },
-      { text: 'Update my account', category: 'account', icon: '👤' }
-    ];
+  _getDefaultSuggestions(index, limit, context) {
+    const learned = index.entries
+      .filter(item => !item.pinned && item.source === 'learned')
+      .sort((a, b) => (context.topic ? (b.topic === context.topic) - (a.topic === context.topic) : 0));
+
+    // Most common questions, shown before the customer types
+    const common = messages(localeLanguage(context.locale)).commonSuggestions
+      .map(suggestion => ({ ...suggestion, key: normalizeQuery(suggestion.text), source: 'template' }))
+      .filter(suggestion => !index.banned.includes(suggestion.key));
+
+    const seen = new Set();
+    const suggestions = [...index.entries.filter(item => item.pinned), ...learned, ...common]
+      .filter(item => !seen.has(item.key) && seen.add(item.key))
+      .slice(0, limit)
+      .map(item => this._formatSuggestion(item, context));
 
     return {
-      suggestions: common,
+      suggestions,
       query: '',
       type: 'default'
     };
   }
 
-  /**
-   * Private: Get default quick replies
-   */
-  async _getDefaultQuickReplies(context) {
-    return [
-      { text: 'Find my product', action: 'product_recommendations', icon: '🎯' },
-      { text: 'Track order', action: 'order_tracking', icon: '📦' },
-      { text: 'Manage subscription', action: 'subscription_manage', icon: '🔄' },
-      { text: 'Contact support', action: 'customer_support', icon: '💬' }
-    ];
-  }
-
   /**
    * Private: Get personalized quick replies based on history
    */
-  async _getPersonalizedQuickReplies(customerEmail) {
+  async _getPersonalizedQuickReplies(customerEmail, locale) {
+    const { quickReplies } = messages(localeLanguage(locale));
+
     try {
       const lastSession = await Storage.getLastSession(customerEmail);
 
@@ -334,12 +428,12 @@ class SuggestionsEngine {
 
       if (lastIntent === 'subscription_info') {
         return [
-          { text: 'Continue subscription topic', action: 'resume_subscription', icon: '▶️', personalized: true }
+          { text: quickReplies.resumeSubscription, action: 'resume_subscription', icon: '▶️', personalized: true }
         ];
       }
 
       return [
-        { text: 'Resume last conversation', action: 'resume_last', icon: '↩️', personalized: true }
+        { text: quickReplies.resumeLast, action: 'resume_last', icon: '↩️', personalized: true }
       ];
     } catch (error) {
       return [];
@@ -362,6 +456,13 @@ class SuggestionsEngine {
   }
 }
 
+/**
+ * Helper: The bundle language for a requested locale
+ */
+function localeLanguage(locale) {
+  return languageOf(normalizeLocale(locale));
+}
+
 // Singleton instance
 const suggestionsEngine = new SuggestionsEngine();
 
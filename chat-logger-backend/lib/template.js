@@ -0,0 +1,187 @@
+/**
+ * Template Renderer
+ * Minimal mustache-style templates for emails:
+ *   {{path.to.value}}      escaped value ({{{value}}} for raw)
+ *   {{#if path}}...{{else}}...{{/if}}
+ *   {{#each list}}...{{/each}}  (inside: {{this}}, {{@index}}, item fields)
+ *
+ * Templates are read from lib/templates; set DIGEST_TEMPLATE_DIR to a folder
+ * with files of the same name to override them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+
+const TAG_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#/]?)([^}]*?)\s*\}\}/g;
+
+const cache = new Map();
+
+/**
+ * Render a template string with data
+ * options.escape: false for plain-text output
+ */
+function render(template, data, options = {}) {
+  const escape = options.escape === false ? String : escapeHtml;
+  return renderNodes(parse(template), [data], escape);
+}
+
+/**
+ * Render a named template file (e.g. "daily-digest.html")
+ */
+function renderFile(name, data, options = {}) {
+  return render(loadTemplate(name), data, options);
+}
+
+/**
+ * Read a template file, preferring DIGEST_TEMPLATE_DIR
+ */
+function loadTemplate(name) {
+  const dirs = [process.env.DIGEST_TEMPLATE_DIR, TEMPLATE_DIR].filter(Boolean);
+
+  for (const dir of dirs) {
+    const file = path.join(dir, path.basename(name));
+    if (cache.has(file)) return cache.get(file);
+
+    if (fs.existsSync(file)) {
+      const template = fs.readFileSync(file, 'utf8');
+      cache.set(file, template);
+      return template;
+    }
+  }
+
+  throw new Error(`Template not found: ${name}`);
+}
+
+/**
+ * Helper: Parse a template into a tree of text, value and block nodes
+ */
+function parse(template) {
+  const root = { children: [] };
+  root.out = root.children;
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) {
+      current.out.push({ type: 'text', text: template.slice(last, match.index) });
+    }
+    last = TAG_PATTERN.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.out.push({ type: 'value', path: match[1], raw: true });
+      continue;
+    }
+
+    const [, , marker, body] = match;
+    const [keyword, ...rest] = body.split(/\s+/);
+
+    if (marker === '#') {
+      const block = { type: keyword, path: rest.join(' '), children: [], inverse: [] };
+      block.out = block.children;
+      current.out.push(block);
+      stack.push(block);
+    } else if (marker === '/') {
+      if (stack.length === 1 || current.type !== keyword) {
+        throw new Error(`Unexpected {{/${keyword}}} in template`);
+      }
+      stack.pop();
+    } else if (body === 'else' && stack.length > 1) {
+      current.out = current.inverse;
+    } else {
+      current.out.push({ type: 'value', path: body, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in template`);
+  }
+  if (last < template.length) {
+    root.children.push({ type: 'text', text: template.slice(last) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Helper: Render parsed nodes against a context stack (innermost last)
+ */
+function renderNodes(nodes, contexts, escape) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.text;
+
+      case 'value':
+        const value = lookup(contexts, node.path);
+        if (value === undefined || value === null) return '';
+        return node.raw ? String(value) : escape(String(value));
+
+      case 'if':
+        return renderNodes(truthy(lookup(contexts, node.path)) ? node.children : node.inverse, contexts, escape);
+
+      case 'each':
+        const list = lookup(contexts, node.path);
+        if (!truthy(list)) return renderNodes(node.inverse, contexts, escape);
+
+        return list.map((item, index) =>
+          renderNodes(node.children, [...contexts, { '@index': index, '@number': index + 1, item }], escape)
+        ).join('');
+
+      default:
+        throw new Error(`Unknown template block "${node.type}"`);
+    }
+  }).join('');
+}
+
+/**
+ * Helper: Resolve a dotted path, searching from the innermost context out
+ */
+function lookup(contexts, keyPath) {
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    const isLoop = context && Object.prototype.hasOwnProperty.call(context, 'item') && '@index' in context;
+
+    if (keyPath === 'this') {
+      if (isLoop) return context.item;
+      continue;
+    }
+    if (isLoop && keyPath.startsWith('@')) return context[keyPath];
+
+    const target = isLoop ? context.item : context;
+    const [head, ...tail] = keyPath.split('.');
+
+    if (target !== null && typeof target === 'object' && head in target) {
+      return tail.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), target[head]);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Helper: Empty lists and zero count as false
+ */
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Helper: Escape HTML special characters
+ */
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
+
+module.exports = { render, renderFile, escapeHtml };
@@ -0,0 +1,93 @@
+/**
+ * Ticket Updates
+ * Every change to a stored handoff ticket - customer follow-ups, agent
+ * replies, status changes and helpdesk records - goes through update(), so
+ * two writers never overwrite each other's changes.
+ *
+ * Each write bumps the ticket's version. Storage can't compare-and-set, so a
+ * writer claims the version it read (in the rate limit store) before saving;
+ * a writer that loses the claim waits for the winner's write and applies its
+ * change again to the ticket as it is then.
+ */
+
+const Storage = require('./storage');
+const { createRateLimitStore } = require('./rate-limit-stores');
+
+// Times a change is re-applied after losing the claim to another writer
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Wait before re-reading a claimed ticket, multiplied by the attempt number
+const RETRY_DELAY_MS = 100;
+
+// How long an update holds its ticket version; covers one read-and-write
+const WRITE_CLAIM_TTL_MS = 10 * 1000;
+
+let claimStore = null;
+
+class Tickets {
+  /**
+   * Apply a change to the stored ticket and save it
+   * change(ticket): mutates the ticket, or returns { error } to leave it unsaved
+   * Returns { ticket }, the change's { error }, { error, notFound } or
+   * { error, conflict } when other writers kept the ticket busy
+   */
+  static async update(ticketId, change) {
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const ticket = typeof ticketId === 'string' ? await Storage.getTicket(ticketId) : null;
+      if (!ticket) return { error: 'Ticket not found', notFound: true };
+
+      const version = ticket.version || 0;
+      const claimKey = `ticket:${ticket.id}:${version}`;
+      if (!await this._claim(claimKey)) {
+        await sleep(RETRY_DELAY_MS * attempt);
+        continue;
+      }
+
+      const rejected = change(ticket);
+      if (rejected && rejected.error) {
+        await this.claimStore.release(claimKey).catch(() => {});
+        return rejected;
+      }
+
+      ticket.version = version + 1;
+      try {
+        await Storage.saveTicket(ticket.id, ticket);
+      } catch (error) {
+        await this.claimStore.release(claimKey).catch(() => {});
+        throw error;
+      }
+
+      return { ticket };
+    }
+
+    return { error: 'The ticket is being updated by someone else, please try again', conflict: true };
+  }
+
+  /**
+   * Shared claim store (the rate limit store)
+   */
+  static get claimStore() {
+    if (!claimStore) {
+      claimStore = createRateLimitStore();
+    }
+    return claimStore;
+  }
+
+  /**
+   * Private: Claim a ticket version, failing open if the store is unreachable
+   */
+  static async _claim(key) {
+    try {
+      return await this.claimStore.claim(key, WRITE_CLAIM_TTL_MS);
+    } catch (error) {
+      console.error('Ticket write claims unavailable:', error.message);
+      return true;
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = Tickets;
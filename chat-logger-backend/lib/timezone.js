@@ -0,0 +1,147 @@
+/**
+ * Timezone Helpers
+ * Calendar days in an IANA timezone (e.g. America/New_York) using Intl, for
+ * reports and filters whose days aren't UTC days.
+ */
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Date and time parts of an instant in a timezone
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  });
+  return parts;
+}
+
+/**
+ * Helper: Offset of a timezone from UTC at an instant (ms)
+ */
+function zoneOffset(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in a timezone
+ */
+function localDate(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Hour (0-23) of an instant in a timezone
+ */
+function localHour(date, timeZone) {
+  return zonedParts(date, timeZone).hour;
+}
+
+/**
+ * The instant a calendar day starts in a timezone
+ * The offset is checked again at the result, so days that start right after
+ * a DST change still begin at local midnight.
+ */
+function startOfDay(date, timeZone) {
+  const midnightUtc = new Date(`${date}T00:00:00.000Z`).getTime();
+  let start = midnightUtc - zoneOffset(new Date(midnightUtc), timeZone);
+
+  const offset = zoneOffset(new Date(start), timeZone);
+  if (midnightUtc - offset !== start) {
+    start = midnightUtc - offset;
+  }
+
+  return new Date(start);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00.000Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().split('T')[0];
+}
+
+/**
+ * Whether Intl knows a timezone
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The configured timezone (TIMEZONE), falling back to the default if invalid
+ */
+function configuredTimeZone() {
+  const timeZone = process.env.TIMEZONE;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Parse a from/to (YYYY-MM-DD) range of days in the configured timezone
+ * options: { now, defaultDays, maxDays } - a missing `to` is today, a missing
+ * `from` is defaultDays before it
+ * Returns { range: { from, to, timeZone, start, end } } or { error }
+ */
+function parseDateRange(query = {}, options = {}) {
+  const { now = new Date(), defaultDays = 7, maxDays = 31 } = options;
+  const timeZone = configuredTimeZone();
+  const to = query.to || localDate(now, timeZone);
+  const from = query.from || addDays(to, 1 - defaultDays);
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    return { error: 'from and to must be YYYY-MM-DD dates' };
+  }
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (addDays(from, maxDays - 1) < to) {
+    return { error: `At most ${maxDays} days at a time` };
+  }
+
+  return {
+    range: {
+      from,
+      to,
+      timeZone,
+      start: startOfDay(from, timeZone),
+      end: startOfDay(addDays(to, 1), timeZone)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DATE_PATTERN,
+  zonedParts,
+  localDate,
+  localHour,
+  startOfDay,
+  addDays,
+  isValidTimeZone,
+  configuredTimeZone,
+  parseDateRange
+};
@@ -0,0 +1,125 @@
+/**
+ * Abuse detector tests
+ * Rule scoring on small inline rule sets, and the bundled rules against the
+ * labelled samples the harness replays (abuse-samples.json).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AbuseDetector = require('../lib/abuse-detector');
+const { replay, score } = require('../abuse-harness');
+const samples = require('../abuse-samples.json');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Abuse scoring', () => {
+  const detector = new AbuseDetector({
+    threshold: 60,
+    allowedDomains: ['bluesky-cbd.com'],
+    rules: [
+      { id: 'external_url', type: 'url', weight: 25, perMatch: true, maxWeight: 50 },
+      { id: 'spam', type: 'keywords', weight: 20, perMatch: true, maxWeight: 60, keywords: { '*': ['casino'], en: ['click here'], de: ['hier klicken'] } },
+      { id: 'rapid_fire', type: 'metadata', field: 'timeSinceLastMessage', below: 500, weight: 25 }
+    ],
+    reputation: { halfLifeMinutes: 30, factor: 0.5, maxPenalty: 40 }
+  });
+
+  it('adds the weight of every matching rule', () => {
+    const result = detector.evaluate('casino http://spin.example', { timeSinceLastMessage: 100 });
+
+    assert.deepEqual(result.violations, ['external_url', 'spam', 'rapid_fire']);
+    assert.equal(result.ruleScore, 70);
+    assert.equal(result.reject, true);
+  });
+
+  it('counts per-match rules per match, up to their maximum weight', () => {
+    const links = detector.evaluate('http://a.example http://b.example http://c.example');
+    assert.deepEqual(links.matches, [{ rule: 'external_url', hits: 3, weight: 50 }]);
+
+    const phrases = detector.evaluate('click here, casino, click here');
+    assert.deepEqual(phrases.matches, [{ rule: 'spam', hits: 2, weight: 40 }]);
+  });
+
+  it('rejects only above the threshold', () => {
+    // 25 + 20 + 15 reputation penalty = 60, not above it
+    const atThreshold = detector.evaluate('casino http://spin.example', {}, 30);
+    assert.equal(atThreshold.riskScore, 60);
+    assert.equal(atThreshold.reject, false);
+  });
+
+  it('checks the default locale\'s keywords whatever the language', () => {
+    assert.deepEqual(detector.evaluate('click here', { language: 'de' }).violations, ['spam']);
+    assert.deepEqual(detector.evaluate('hier klicken', { language: 'de' }).violations, ['spam']);
+    assert.deepEqual(detector.evaluate('hier klicken', { language: 'en' }).violations, []);
+  });
+
+  it('does not count links to allowed hosts', () => {
+    const allowed = [
+      'https://bluesky-cbd.com/products/gummies',
+      'https://shop.bluesky-cbd.com/cart',
+      'https://BLUESKY-CBD.COM./account',
+      'http://bluesky-cbd.com:8080/',
+      'https://bluesky-test.myshopify.com/checkouts/abc'
+    ];
+
+    allowed.forEach(url => {
+      assert.equal(detector.evaluate(`see ${url}`, { shopDomain: 'bluesky-test.myshopify.com' }).ruleScore, 0, url);
+    });
+  });
+
+  it('counts lookalike hosts as external', () => {
+    ['https://bluesky-cbd.com.evil.example/', 'https://notbluesky-cbd.com/', 'https://other-shop.myshopify.com/']
+      .forEach(url => {
+        assert.deepEqual(detector.evaluate(url, { shopDomain: 'bluesky-test.myshopify.com' }).violations, ['external_url'], url);
+      });
+  });
+});
+
+describe('Session reputation', () => {
+  const detector = new AbuseDetector({ rules: [], reputation: { halfLifeMinutes: 30, factor: 0.5, maxPenalty: 40 } });
+
+  it('halves every half-life', () => {
+    const now = Date.now();
+
+    assert.equal(detector.decayReputation(80, now, now), 80);
+    assert.equal(detector.decayReputation(80, now - 30 * MINUTE_MS, now), 40);
+    assert.equal(detector.decayReputation(80, now - 60 * MINUTE_MS, now), 20);
+  });
+
+  it('drops to zero once below one point', () => {
+    const now = Date.now();
+
+    assert.equal(detector.decayReputation(80, now - 7 * 30 * MINUTE_MS, now), 0);
+    assert.equal(detector.decayReputation(0, now, now), 0);
+    assert.equal(detector.decayReputation(50, null, now), 0);
+  });
+
+  it('keeps a reputation until it would decay below one point', () => {
+    // 64 halves six times before it's under 1
+    assert.equal(detector.reputationTtlMs(64), 6 * 30 * MINUTE_MS);
+  });
+
+  it('adds a capped penalty only to messages that match a rule', () => {
+    const scored = new AbuseDetector({
+      rules: [{ id: 'casino', type: 'keywords', weight: 20, keywords: { '*': ['casino'] } }],
+      reputation: { factor: 0.5, maxPenalty: 40 }
+    });
+
+    assert.equal(scored.evaluate('casino', {}, 30).reputationPenalty, 15);
+    assert.equal(scored.evaluate('casino', {}, 200).reputationPenalty, 40);
+    assert.equal(scored.evaluate('hello', {}, 200).riskScore, 0);
+  });
+});
+
+describe('Bundled abuse rules', () => {
+  it('reject every abuse sample and no legitimate one', () => {
+    const verdicts = replay(new AbuseDetector(AbuseDetector.loadRuleSet(null)), samples);
+    const missed = verdicts
+      .filter(({ sample, result }) => result.reject !== (sample.label === 'abuse'))
+      .map(({ sample }) => sample.message);
+
+    assert.deepEqual(missed, []);
+    assert.equal(score(verdicts).recall, 1);
+  });
+});
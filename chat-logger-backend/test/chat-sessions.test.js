@@ -0,0 +1,125 @@
+/**
+ * Chat session tests
+ * Runs on the filesystem adapter in a temporary directory; save claims use
+ * the in-memory rate limit store.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ChatSessions = require('../lib/chat-sessions');
+const Storage = require('../lib/storage');
+const FilesystemAdapter = require('../lib/storage-adapters/filesystem');
+
+const ANA = { email: 'ana@example.com' };
+const BEN = { email: 'ben@example.com' };
+
+describe('Chat sessions', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-sessions-test-'));
+    Storage.setAdapter(new FilesystemAdapter({
+      storagePath: path.join(root, 'logs'),
+      historyPath: path.join(root, 'history'),
+      customerDataPath: path.join(root, 'customers')
+    }));
+  });
+
+  after(() => {
+    Storage.setAdapter(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('refuses a save based on an older version', async () => {
+    const first = await ChatSessions.save('s-version', { version: 0, currentStep: 1 });
+    assert.equal(first.status, 'saved');
+    assert.equal(first.session.version, 1);
+
+    const stale = await ChatSessions.save('s-version', { version: 0, currentStep: 2 });
+    assert.equal(stale.status, 'conflict');
+    assert.equal(stale.session.currentStep, 1);
+
+    const byTimestamp = await ChatSessions.save('s-version', { lastUpdated: '2020-01-01T00:00:00.000Z', currentStep: 2 });
+    assert.equal(byTimestamp.status, 'conflict');
+
+    const current = await ChatSessions.save('s-version', { version: 1, currentStep: 2 });
+    assert.equal(current.status, 'saved');
+    assert.equal(current.session.version, 2);
+  });
+
+  it('merges messages by message ID', async () => {
+    await ChatSessions.save('s-merge', { messages: [{ id: 'm1', text: 'Hi' }, { id: 'm2', text: 'Order?' }] });
+    const result = await ChatSessions.save('s-merge', { messages: [{ id: 'm2', text: 'Order?' }, { id: 'm3', text: 'Thanks' }] });
+
+    assert.deepEqual(result.session.messages.map(message => message.id), ['m1', 'm2', 'm3']);
+
+    const replaced = await ChatSessions.save('s-merge', { messages: [{ id: 'm9', text: 'New chat' }], strategy: 'replace' });
+    assert.deepEqual(replaced.session.messages.map(message => message.id), ['m9']);
+  });
+
+  it('keeps every message from saves made at the same time', async () => {
+    // The first write is slow, so the other saves find the session claimed
+    const saveSession = Storage.saveSession;
+    let writes = 0;
+    Storage.saveSession = async (...args) => {
+      if (++writes === 1) await new Promise(resolve => setTimeout(resolve, 50));
+      return saveSession.apply(Storage, args);
+    };
+
+    let results;
+    try {
+      results = await Promise.all(['a', 'b', 'c'].map(id =>
+        ChatSessions.save('s-race', { messages: [{ id, text: `From tab ${id}` }] })
+      ));
+    } finally {
+      Storage.saveSession = saveSession;
+    }
+
+    assert.deepEqual(results.map(result => result.status), ['saved', 'saved', 'saved']);
+
+    const { session } = await ChatSessions.get('s-race');
+    assert.deepEqual(session.messages.map(message => message.id).sort(), ['a', 'b', 'c']);
+    assert.equal(session.version, 3);
+  });
+
+  it('expires sessions not saved within the TTL', async () => {
+    const stale = new Date(Date.now() - Storage.sessionTtlMs() - 60 * 1000).toISOString();
+    await Storage.adapter.putDocument('sessions', 's-expired', {
+      sessionId: 's-expired',
+      messages: [{ id: 'm1', text: 'Hi' }],
+      version: 4,
+      lastUpdated: stale
+    });
+
+    assert.deepEqual(await ChatSessions.get('s-expired'), { status: 'missing' });
+
+    // Saving again starts a new session
+    const fresh = await ChatSessions.save('s-expired', { version: 0, messages: [] });
+    assert.equal(fresh.status, 'saved');
+    assert.equal(fresh.session.version, 1);
+  });
+
+  it('deletes a session and lets it be created again', async () => {
+    await ChatSessions.save('s-delete', { version: 0, currentStep: 3 });
+
+    assert.deepEqual(await ChatSessions.delete('s-delete'), { status: 'deleted' });
+    assert.deepEqual(await ChatSessions.get('s-delete'), { status: 'missing' });
+    assert.deepEqual(await ChatSessions.delete('s-delete'), { status: 'missing' });
+
+    const recreated = await ChatSessions.save('s-delete', { version: 0, currentStep: 0 });
+    assert.equal(recreated.status, 'saved');
+  });
+
+  it('lets only the linked customer delete their session', async () => {
+    await ChatSessions.save('s-linked', { version: 0, messages: [{ id: 'm1', text: 'Hi' }] }, { customer: ANA });
+
+    assert.deepEqual(await ChatSessions.delete('s-linked'), { status: 'unauthorized' });
+    assert.deepEqual(await ChatSessions.delete('s-linked', { customer: BEN }), { status: 'forbidden' });
+    assert.deepEqual(await ChatSessions.delete('s-linked', { customer: ANA }), { status: 'deleted' });
+    assert.deepEqual(await Storage.getCustomerSessionIds(ANA.email), []);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Customer token tests
+ * Tokens with and without the signed customer tags used for DAM and KB access.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CustomerAuth = require('../lib/customer-auth');
+
+const SECRET = 'test-secret';
+
+describe('Customer tokens', () => {
+  it('verifies a token without tags', () => {
+    const token = CustomerAuth.issueToken('42', 'Ana@Example.com', 60, SECRET);
+    const customer = CustomerAuth.verifyToken(token, SECRET);
+
+    assert.equal(customer.customerId, '42');
+    assert.equal(customer.email, 'ana@example.com');
+    assert.deepEqual(customer.tags, []);
+  });
+
+  it('carries the signed customer tags', () => {
+    const token = CustomerAuth.issueToken('42', 'ana@example.com', 60, SECRET, ['affiliate', 'VIP']);
+
+    assert.deepEqual(CustomerAuth.verifyToken(token, SECRET).tags, ['affiliate', 'VIP']);
+  });
+
+  it('matches the token the Liquid sections build', () => {
+    // hmac_sha256 over "{id}|{email}|{expires}|{tags}", tags joined with ","
+    const expires = Math.floor(Date.now() / 1000) + 60;
+    const signature = CustomerAuth.sign('42', 'ana@example.com', expires, SECRET, 'affiliate,vip');
+    const token = [
+      '42',
+      expires,
+      Buffer.from('ana@example.com').toString('base64url'),
+      Buffer.from('affiliate,vip').toString('base64url'),
+      signature
+    ].join('.');
+
+    assert.deepEqual(CustomerAuth.verifyToken(token, SECRET).tags, ['affiliate', 'vip']);
+  });
+
+  it('rejects tags that were changed after signing', () => {
+    const parts = CustomerAuth.issueToken('42', 'ana@example.com', 60, SECRET, ['vip']).split('.');
+    parts[3] = Buffer.from('vip,admin').toString('base64url');
+
+    assert.equal(CustomerAuth.verifyToken(parts.join('.'), SECRET), null);
+  });
+
+  it('rejects tags added to a token issued without them', () => {
+    const parts = CustomerAuth.issueToken('42', 'ana@example.com', 60, SECRET).split('.');
+    parts.splice(3, 0, Buffer.from('admin').toString('base64url'));
+
+    assert.equal(CustomerAuth.verifyToken(parts.join('.'), SECRET), null);
+  });
+
+  it('rejects expired tokens', () => {
+    const token = CustomerAuth.issueToken('42', 'ana@example.com', -1, SECRET, ['affiliate']);
+
+    assert.equal(CustomerAuth.verifyToken(token, SECRET), null);
+  });
+});
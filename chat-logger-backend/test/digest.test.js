@@ -0,0 +1,122 @@
+/**
+ * Daily digest tests
+ * Report days around the 2026 DST changes in America/New_York (spring
+ * forward on March 8, fall back on November 1), and the digest cron on the
+ * filesystem adapter with the mail transport stubbed.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DailyDigest = require('../lib/digest');
+const Storage = require('../lib/storage');
+const FilesystemAdapter = require('../lib/storage-adapters/filesystem');
+const mailer = require('../lib/mailer');
+const { startOfDay } = require('../lib/timezone');
+
+const ZONE = 'America/New_York';
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Report days across DST changes', () => {
+  it('starts days at local midnight either side of spring forward', () => {
+    assert.equal(startOfDay('2026-03-08', ZONE).toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(startOfDay('2026-03-09', ZONE).toISOString(), '2026-03-09T04:00:00.000Z');
+  });
+
+  it('starts days at local midnight either side of fall back', () => {
+    assert.equal(startOfDay('2026-11-01', ZONE).toISOString(), '2026-11-01T04:00:00.000Z');
+    assert.equal(startOfDay('2026-11-02', ZONE).toISOString(), '2026-11-02T05:00:00.000Z');
+  });
+
+  it('reports a 23 hour spring forward day', () => {
+    const window = DailyDigest.reportWindow(ZONE, new Date('2026-03-09T14:00:00Z'));
+
+    assert.equal(window.date, '2026-03-08');
+    assert.equal(window.start.toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(window.end.toISOString(), '2026-03-09T04:00:00.000Z');
+    assert.equal(window.end - window.start, 23 * HOUR_MS);
+  });
+
+  it('reports a 25 hour fall back day', () => {
+    const window = DailyDigest.reportWindow(ZONE, new Date('2026-11-02T14:00:00Z'));
+
+    assert.equal(window.date, '2026-11-01');
+    assert.equal(window.start.toISOString(), '2026-11-01T04:00:00.000Z');
+    assert.equal(window.end.toISOString(), '2026-11-02T05:00:00.000Z');
+    assert.equal(window.end - window.start, 25 * HOUR_MS);
+  });
+
+  it('picks the report day from the local date, not the UTC date', () => {
+    // 23:30 on November 1 in New York is already November 2 in UTC
+    assert.equal(DailyDigest.reportWindow(ZONE, new Date('2026-11-02T04:30:00Z')).date, '2026-10-31');
+    assert.equal(DailyDigest.reportWindow(ZONE, new Date('2026-11-02T05:30:00Z')).date, '2026-11-01');
+  });
+});
+
+describe('Digest cron', () => {
+  const transport = mailer.getTransport();
+  const original = { sendMail: transport.sendMail, schedules: process.env.DIGEST_SCHEDULES };
+  let root;
+  const sent = [];
+
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-test-'));
+    Storage.setAdapter(new FilesystemAdapter({
+      storagePath: path.join(root, 'logs'),
+      historyPath: path.join(root, 'history'),
+      customerDataPath: path.join(root, 'customers')
+    }));
+
+    process.env.DIGEST_SCHEDULES = JSON.stringify({ '*': { recipients: ['ops@example.com'], hour: 9, timezone: ZONE } });
+    transport.sendMail = async message => {
+      sent.push(message);
+      return { messageId: '<digest@mail.example.com>' };
+    };
+
+    // Sent in the extra hour of November 1 (already November 2 in UTC)
+    await Storage.adapter.appendToList('chat-logs', '2026-11-02', {
+      sessionId: 's-late',
+      sender: 'user',
+      message: 'Where is my order?',
+      timestamp: '2026-11-02T04:30:00.000Z'
+    });
+  });
+
+  after(() => {
+    transport.sendMail = original.sendMail;
+    if (original.schedules === undefined) delete process.env.DIGEST_SCHEDULES;
+    else process.env.DIGEST_SCHEDULES = original.schedules;
+    Storage.setAdapter(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('waits for the schedule\'s hour', async () => {
+    const [result] = await DailyDigest.sendDue({ now: new Date('2026-11-02T13:30:00Z') });
+
+    assert.deepEqual(result, { shop: '*', date: '2026-11-01', status: 'not-due' });
+    assert.equal(sent.length, 0);
+  });
+
+  it('sends the digest once the hour has come', async () => {
+    const [result] = await DailyDigest.sendDue({ now: new Date('2026-11-02T14:00:00Z') });
+
+    assert.equal(result.status, 'sent');
+    assert.deepEqual(result.recipients, ['ops@example.com']);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'ops@example.com');
+    assert.equal(sent[0].subject, 'Chat digest for All shops - 2026-11-01');
+
+    const record = await Storage.getDigestRecord('all_2026-11-01');
+    assert.equal(record.totals.loggedMessages, 1);
+  });
+
+  it('does not send the same day twice', async () => {
+    const [result] = await DailyDigest.sendDue({ now: new Date('2026-11-02T15:00:00Z') });
+
+    assert.deepEqual(result, { shop: '*', date: '2026-11-01', status: 'already-sent' });
+    assert.equal(sent.length, 1);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * GDPR deletion tests
+ * Runs on the filesystem adapter in a temporary directory, with a mock server
+ * standing in for the Google Sheets logger. Knowledge base analytics are stubbed.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GDPRCompliance = require('../lib/gdpr');
+const Storage = require('../lib/storage');
+const FilesystemAdapter = require('../lib/storage-adapters/filesystem');
+const knowledgeBase = require('../lib/knowledge-base');
+const { startMockServer } = require('./helpers/mock-server');
+
+const CUSTOMER = 'ana@example.com';
+
+describe('Customer data deletion request', () => {
+  const original = {
+    deleteUserViews: knowledgeBase.deleteUserViews,
+    loggerUrl: process.env.GOOGLE_SHEETS_LOGGER_URL,
+    deleteSecret: process.env.GOOGLE_SHEETS_DELETE_SECRET
+  };
+  let root;
+  let sheet;
+  let sheetUp = false;
+
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gdpr-test-'));
+    Storage.setAdapter(new FilesystemAdapter({
+      storagePath: path.join(root, 'logs'),
+      historyPath: path.join(root, 'history'),
+      customerDataPath: path.join(root, 'customers')
+    }));
+
+    sheet = await startMockServer(() => sheetUp
+      ? { status: 200, body: { success: true, sheets: [{ name: 'Chat Logs', removed: 2 }] } }
+      : { status: 500, body: { success: false, error: 'Service unavailable' } });
+
+    process.env.GOOGLE_SHEETS_LOGGER_URL = sheet.url;
+    process.env.GOOGLE_SHEETS_DELETE_SECRET = 'sheet-secret';
+    knowledgeBase.deleteUserViews = async () => [];
+
+    await Storage.storeMessage({ sessionId: 's-ana', customerId: CUSTOMER, sender: 'user', message: 'Hi', timestamp: new Date().toISOString() });
+  });
+
+  after(async () => {
+    knowledgeBase.deleteUserViews = original.deleteUserViews;
+    for (const [name, value] of [['GOOGLE_SHEETS_LOGGER_URL', original.loggerUrl], ['GOOGLE_SHEETS_DELETE_SECRET', original.deleteSecret]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await sheet.close();
+    Storage.setAdapter(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('logs a partial deletion when the Google Sheet is unreachable', async () => {
+    const result = await GDPRCompliance.requestDataDeletion(CUSTOMER, { verified: true });
+
+    assert.equal(result.success, false);
+    assert.equal(result.partial, true);
+    assert.deepEqual(await Storage.findCustomerSessionIds(CUSTOMER), []);
+
+    const [record] = await Storage.getDeletionRecords(Storage.hashCustomerId(CUSTOMER));
+    assert.equal(record.receipt.partial, true);
+
+    const failed = record.receipt.artifacts.find(artifact => artifact.store === 'google-sheet');
+    assert.equal(failed.action, 'failed');
+    assert.deepEqual(failed.sessionIds, ['s-ana']);
+  });
+
+  it('sends the remaining sessions to the sheet when the request is repeated', async () => {
+    sheetUp = true;
+
+    const result = await GDPRCompliance.requestDataDeletion(CUSTOMER, { verified: true });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(sheet.requests[sheet.requests.length - 1].body.sessionIds, ['s-ana']);
+    assert.deepEqual(
+      result.receipt.artifacts.filter(artifact => artifact.store === 'google-sheet'),
+      [{ store: 'google-sheet', key: 'Chat Logs', action: 'rewritten', removed: 2 }]
+    );
+
+    const records = await Storage.getDeletionRecords(Storage.hashCustomerId(CUSTOMER));
+    assert.deepEqual(records.map(record => record.receipt.partial), [true, false]);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Handoff ticket tests
+ * Runs on the filesystem adapter in a temporary directory with no helpdesk
+ * connected; ticket write claims use the in-memory rate limit store.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Handoff = require('../lib/handoff');
+const Storage = require('../lib/storage');
+const FilesystemAdapter = require('../lib/storage-adapters/filesystem');
+
+const AGENT = { email: 'agent@example.com' };
+
+describe('Handoff ticket updates', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'handoff-test-'));
+    Storage.setAdapter(new FilesystemAdapter({
+      storagePath: path.join(root, 'logs'),
+      historyPath: path.join(root, 'history'),
+      customerDataPath: path.join(root, 'customers')
+    }));
+  });
+
+  after(() => {
+    Storage.setAdapter(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('keeps a customer follow-up sent while an agent replies', async () => {
+    const { ticket } = await Handoff.create({ sessionId: 's-1', message: 'Where is my order?' });
+
+    const [followUp, reply] = await Promise.all([
+      Handoff.addCustomerMessage(ticket, 'Any update?'),
+      Handoff.reply(ticket.id, AGENT, 'It ships today', { status: 'pending' })
+    ]);
+
+    assert.ok(followUp.ticket && reply.ticket);
+
+    const stored = await Handoff.get(ticket.id);
+    const texts = stored.messages.map(message => message.text);
+    assert.ok(texts.includes('Any update?'));
+    assert.ok(texts.includes('It ships today'));
+    assert.deepEqual(stored.messages.map(message => message.seq), [1, 2, 3, 4]);
+    assert.equal(stored.version, 3);
+  });
+
+  it('keeps an agent reply made while another agent changes the queue', async () => {
+    const { ticket } = await Handoff.create({ sessionId: 's-2', message: 'Cancel my subscription' });
+
+    await Promise.all([
+      Handoff.update(ticket.id, { queue: 'subscriptions', assignee: 'lead@example.com' }),
+      Handoff.reply(ticket.id, AGENT, 'Done, it is cancelled', { status: 'resolved' })
+    ]);
+
+    const stored = await Handoff.get(ticket.id);
+    assert.equal(stored.queue, 'subscriptions');
+    assert.equal(stored.status, 'resolved');
+    assert.equal(stored.messages.filter(message => message.from === 'agent').length, 1);
+  });
+
+  it('reports a missing ticket', async () => {
+    assert.equal((await Handoff.reply('tkt_missing', AGENT, 'Hello')).notFound, true);
+    assert.equal((await Handoff.update('tkt_missing', { status: 'open' })).notFound, true);
+  });
+});
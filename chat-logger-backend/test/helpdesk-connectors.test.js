@@ -0,0 +1,321 @@
+/**
+ * Helpdesk connector tests
+ * Zendesk, Gorgias and Freshdesk run against a local mock of their API, the
+ * email connector against a stubbed SMTP transport. Escalations are stored
+ * with the filesystem adapter in a temporary directory.
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startMockServer } = require('./helpers/mock-server');
+const Helpdesk = require('../lib/helpdesk');
+const Storage = require('../lib/storage');
+const FilesystemAdapter = require('../lib/storage-adapters/filesystem');
+const ZendeskConnector = require('../lib/helpdesk-connectors/zendesk');
+const GorgiasConnector = require('../lib/helpdesk-connectors/gorgias');
+const FreshdeskConnector = require('../lib/helpdesk-connectors/freshdesk');
+const EmailConnector = require('../lib/helpdesk-connectors/email');
+const mailer = require('../lib/mailer');
+
+process.env.HELPDESK_RETRY_DELAY_MS = '1';
+delete process.env.SHOPIFY_ACCESS_TOKEN;
+
+const FIELD_MAP = { intent: '9001', orderNumber: '9002' };
+
+/**
+ * Helper: A stored handoff ticket
+ */
+function handoffTicket(overrides = {}) {
+  return {
+    id: `tkt_${Math.random().toString(16).slice(2)}`,
+    status: 'open',
+    queue: 'billing',
+    topic: 'Billing',
+    intent: 'subscription_payment',
+    sessionId: 'session_1',
+    shopDomain: 'test.myshopify.com',
+    customerHash: null,
+    customerEmail: 'ana@example.com',
+    transcript: [{ sender: 'user', message: 'I was charged twice for order #1234', timestamp: '2026-03-01T10:00:00.000Z' }],
+    messages: [
+      { from: 'system', text: 'Support request created', timestamp: '2026-03-01T10:00:00.000Z' },
+      { from: 'customer', text: 'Please refund one charge', timestamp: '2026-03-01T10:00:01.000Z' }
+    ],
+    createdAt: '2026-03-01T10:00:00.000Z',
+    ...overrides
+  };
+}
+
+/**
+ * Helper: Mock helpdesk answering with the given statuses in turn (the last one repeats)
+ */
+function sequence(replies) {
+  return (request, count) => replies[Math.min(count, replies.length) - 1];
+}
+
+describe('Zendesk connector', () => {
+  let mock;
+
+  afterEach(() => mock.close());
+
+  it('maps the escalation to a ticket with an internal note', async () => {
+    mock = await startMockServer(() => ({ status: 201, body: { ticket: { id: 501 } } }));
+    const connector = new ZendeskConnector({ baseUrl: mock.url, email: 'agent@example.com', apiToken: 'zd_test', fieldMap: FIELD_MAP });
+
+    const escalation = await Helpdesk.buildEscalation(handoffTicket());
+    const created = await connector.createTicket({ ...escalation, order: { orderNumber: '#1234' } });
+
+    assert.deepEqual(created, { externalId: '501', url: `${mock.url}/agent/tickets/501` });
+
+    const [request] = mock.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.path, '/api/v2/tickets.json');
+    assert.equal(request.headers.authorization, `Basic ${Buffer.from('agent@example.com/token:zd_test').toString('base64')}`);
+
+    const { ticket } = request.body;
+    assert.equal(ticket.subject, 'Chat handoff: Billing (subscription payment)');
+    assert.deepEqual(ticket.requester, { email: 'ana@example.com' });
+    assert.deepEqual(ticket.tags, ['chat-handoff', 'billing', 'subscription_payment']);
+    assert.deepEqual(ticket.custom_fields, [{ id: 9001, value: 'subscription_payment' }, { id: 9002, value: '#1234' }]);
+    assert.equal(ticket.comment.public, false);
+    assert.match(ticket.comment.body, /\[CUSTOMER\] Please refund one charge/);
+    assert.match(ticket.comment.body, /\[USER\] I was charged twice/);
+  });
+
+  it('lets the API user request tickets for anonymous customers', async () => {
+    mock = await startMockServer(() => ({ status: 201, body: { ticket: { id: 502 } } }));
+    const connector = new ZendeskConnector({ baseUrl: mock.url, email: 'agent@example.com', apiToken: 'zd_test' });
+
+    await connector.createTicket(await Helpdesk.buildEscalation(handoffTicket({ customerEmail: null })));
+
+    assert.equal(mock.requests[0].body.ticket.requester, undefined);
+  });
+});
+
+describe('Gorgias connector', () => {
+  let mock;
+
+  afterEach(() => mock.close());
+
+  it('maps the escalation to a ticket with the customer\'s first message', async () => {
+    mock = await startMockServer(() => ({ status: 201, body: { id: 77 } }));
+    const connector = new GorgiasConnector({ baseUrl: mock.url, email: 'agent@example.com', apiKey: 'gg_test', fieldMap: FIELD_MAP });
+
+    const created = await connector.createTicket(await Helpdesk.buildEscalation(handoffTicket()));
+
+    assert.deepEqual(created, { externalId: '77', url: `${mock.url}/app/ticket/77` });
+
+    const [request] = mock.requests;
+    assert.equal(request.path, '/api/tickets');
+    assert.equal(request.headers.authorization, `Basic ${Buffer.from('agent@example.com:gg_test').toString('base64')}`);
+    assert.deepEqual(request.body.customer, { email: 'ana@example.com' });
+    assert.deepEqual(request.body.tags, [{ name: 'chat-handoff' }, { name: 'billing' }, { name: 'subscription_payment' }]);
+    assert.deepEqual(request.body.custom_fields, [{ id: 9001, value: 'subscription_payment' }]);
+    assert.equal(request.body.messages[0].from_agent, false);
+    assert.match(request.body.messages[0].body_html, /^<pre/);
+  });
+
+  it('needs a requester for anonymous customers and does not retry without one', async () => {
+    mock = await startMockServer(() => ({ status: 201, body: { id: 78 } }));
+    const connector = new GorgiasConnector({ baseUrl: mock.url, email: 'agent@example.com', apiKey: 'gg_test' });
+
+    const result = await Helpdesk.send(connector, handoffTicket({ customerEmail: null }));
+
+    assert.equal(result.attempts, 1);
+    assert.match(result.error, /HELPDESK_DEFAULT_REQUESTER/);
+    assert.equal(mock.requests.length, 0);
+  });
+});
+
+describe('Freshdesk connector', () => {
+  let mock;
+
+  afterEach(() => mock.close());
+
+  it('maps the escalation to an open chat ticket with cf_ fields', async () => {
+    mock = await startMockServer(() => ({ status: 201, body: { id: 3003 } }));
+    const connector = new FreshdeskConnector({
+      baseUrl: mock.url,
+      apiKey: 'fd_test',
+      fieldMap: { intent: 'cf_intent' },
+      defaultRequester: 'chat@example.com'
+    });
+
+    const created = await connector.createTicket(await Helpdesk.buildEscalation(handoffTicket({ customerEmail: null })));
+
+    assert.deepEqual(created, { externalId: '3003', url: `${mock.url}/a/tickets/3003` });
+
+    const [request] = mock.requests;
+    assert.equal(request.path, '/api/v2/tickets');
+    assert.equal(request.headers.authorization, `Basic ${Buffer.from('fd_test:X').toString('base64')}`);
+    assert.equal(request.body.email, 'chat@example.com');
+    assert.equal(request.body.status, 2);
+    assert.equal(request.body.source, 7);
+    assert.deepEqual(request.body.custom_fields, { cf_intent: 'subscription_payment' });
+  });
+});
+
+describe('Email connector', () => {
+  const transport = mailer.getTransport();
+  const originalSendMail = transport.sendMail;
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    transport.sendMail = async message => {
+      sent.push(message);
+      return { messageId: '<abc@mail.example.com>' };
+    };
+  });
+
+  afterEach(() => {
+    transport.sendMail = originalSendMail;
+  });
+
+  it('emails the escalation with replies going to the customer', async () => {
+    const connector = new EmailConnector({ to: 'support@example.com', fieldMap: FIELD_MAP });
+    const ticket = handoffTicket();
+
+    const created = await connector.createTicket(await Helpdesk.buildEscalation(ticket));
+
+    assert.deepEqual(created, { externalId: '<abc@mail.example.com>', url: null });
+    assert.equal(sent[0].to, 'support@example.com');
+    assert.equal(sent[0].replyTo, 'ana@example.com');
+    assert.equal(sent[0].subject, `Chat handoff: Billing (subscription payment) [${ticket.id}]`);
+    assert.match(sent[0].text, /Please refund one charge/);
+  });
+
+  it('retries SMTP failures but not a missing recipient', async () => {
+    transport.sendMail = async () => {
+      const error = new Error('Service not available');
+      error.responseCode = 421;
+      throw error;
+    };
+
+    const failing = await Helpdesk.send(new EmailConnector({ to: 'support@example.com' }), handoffTicket(), { maxAttempts: 2 });
+    assert.equal(failing.attempts, 2);
+
+    const unconfigured = await Helpdesk.send(new EmailConnector({ to: null }), handoffTicket(), { maxAttempts: 2 });
+    assert.equal(unconfigured.attempts, 1);
+    assert.match(unconfigured.error, /HELPDESK_EMAIL_TO/);
+  });
+});
+
+describe('Helpdesk retries', () => {
+  let mock;
+
+  afterEach(() => mock.close());
+
+  async function sendWith(replies, options) {
+    mock = await startMockServer(sequence(replies));
+    const connector = new ZendeskConnector({ baseUrl: mock.url, email: 'agent@example.com', apiToken: 'zd_test', timeoutMs: 200 });
+    return Helpdesk.send(connector, handoffTicket(), options);
+  }
+
+  it('retries 429 and 5xx responses', async () => {
+    const result = await sendWith([
+      { status: 429, body: { error: 'Rate limited' } },
+      { status: 503, body: { error: 'Unavailable' } },
+      { status: 201, body: { ticket: { id: 900 } } }
+    ], { maxAttempts: 3 });
+
+    assert.equal(result.externalId, '900');
+    assert.equal(result.attempts, 3);
+    assert.equal(mock.requests.length, 3);
+  });
+
+  it('does not retry other 4xx responses', async () => {
+    const result = await sendWith([{ status: 422, body: { error: 'RecordInvalid' } }], { maxAttempts: 3 });
+
+    assert.equal(result.attempts, 1);
+    assert.match(result.error, /^Zendesk API error: 422/);
+    assert.equal(mock.requests.length, 1);
+  });
+
+  it('times out a hanging helpdesk and retries', async () => {
+    const result = await sendWith([{ hang: true }], { maxAttempts: 2 });
+
+    assert.equal(result.attempts, 2);
+    assert.equal(result.error, 'Zendesk API timed out after 200ms');
+  });
+});
+
+describe('Helpdesk escalation', () => {
+  const originalGetConnector = Helpdesk.getConnector;
+  let root;
+  let mock;
+  let onRequest;
+
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'helpdesk-test-'));
+    Storage.setAdapter(new FilesystemAdapter({
+      storagePath: path.join(root, 'logs'),
+      historyPath: path.join(root, 'history'),
+      customerDataPath: path.join(root, 'customers')
+    }));
+
+    let reply = null;
+    mock = await startMockServer(async request => {
+      if (onRequest) await onRequest(request);
+      return reply;
+    });
+    mock.reply = value => { reply = value; };
+
+    const connector = new ZendeskConnector({ baseUrl: mock.url, email: 'agent@example.com', apiToken: 'zd_test' });
+    Helpdesk.getConnector = () => connector;
+  });
+
+  after(async () => {
+    Helpdesk.getConnector = originalGetConnector;
+    await mock.close();
+    Storage.setAdapter(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => { onRequest = null; });
+
+  it('dead-letters a failed send after one attempt and retries it later', async () => {
+    const ticket = handoffTicket();
+    await Storage.saveTicket(ticket.id, ticket);
+
+    mock.reply({ status: 503, body: { error: 'Unavailable' } });
+    const failed = await Helpdesk.escalate(ticket, { maxAttempts: 1 });
+
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 1);
+    assert.equal((await Storage.getTicket(ticket.id)).helpdesk.status, 'failed');
+
+    const deadLetters = await Storage.getHelpdeskDeadLetters();
+    assert.deepEqual(deadLetters.map(entry => entry.ticketId), [ticket.id]);
+
+    mock.reply({ status: 201, body: { ticket: { id: 1001 } } });
+    const summary = await Helpdesk.retryDeadLetters();
+
+    assert.deepEqual(summary, { retried: 1, created: 1, failed: 0, dropped: 0 });
+    assert.equal((await Storage.getTicket(ticket.id)).helpdesk.externalId, '1001');
+    assert.deepEqual(await Storage.getHelpdeskDeadLetters(), []);
+  });
+
+  it('keeps replies added to the ticket while it was being sent', async () => {
+    const ticket = handoffTicket();
+    await Storage.saveTicket(ticket.id, ticket);
+
+    // An agent replies while the helpdesk request is in flight
+    onRequest = async () => {
+      const stored = await Storage.getTicket(ticket.id);
+      stored.messages.push({ from: 'agent', text: 'Refund issued', timestamp: new Date().toISOString() });
+      await Storage.saveTicket(stored.id, stored);
+    };
+    mock.reply({ status: 201, body: { ticket: { id: 1002 } } });
+
+    await Helpdesk.escalate(ticket);
+
+    const stored = await Storage.getTicket(ticket.id);
+    assert.equal(stored.helpdesk.externalId, '1002');
+    assert.equal(stored.messages.at(-1).text, 'Refund issued');
+  });
+});
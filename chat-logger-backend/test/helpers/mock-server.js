@@ -0,0 +1,101 @@
+/**
+ * Mock Provider Server
+ * A local HTTP server standing in for a third-party API in tests. It answers
+ * from recorded responses (test/fixtures/*.json) or a handler function, and
+ * keeps every request it received for assertions.
+ *
+ * A recording maps "METHOD /path?query" to { status, body }. GraphQL requests
+ * (POST .../graphql.json) are looked up as "graphql <root field>", e.g.
+ * "graphql subscriptionContractPause"; a list of responses with `variables`
+ * picks the first whose variables match the request's.
+ */
+
+const http = require('http');
+
+/**
+ * Start a mock server
+ * source: recordings object, or handler(request) => { status, body, headers? }
+ * Returns { url, requests, close() }
+ */
+async function startMockServer(source) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: parseBody(raw)
+      };
+      requests.push(request);
+
+      const reply = typeof source === 'function'
+        ? await source(request, requests.length)
+        : lookup(source, request);
+
+      if (reply.hang) return;
+
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Helper: The recorded response for a request (404 when nothing was recorded)
+ */
+function lookup(recordings, request) {
+  const key = request.path.endsWith('/graphql.json') && request.body?.query
+    ? `graphql ${rootField(request.body.query)}`
+    : `${request.method} ${request.path}`;
+
+  let reply = recordings[key];
+  if (Array.isArray(reply)) {
+    reply = reply.find(candidate => matches(request.body?.variables || {}, candidate.variables || {}));
+  }
+
+  return reply || { status: 404, body: { errors: `No recording for ${key}` } };
+}
+
+/**
+ * Helper: First field selected by a GraphQL query or mutation
+ */
+function rootField(query) {
+  const match = query.match(/^\s*(?:query|mutation)\b[^{]*\{\s*(\w+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Helper: Whether actual contains every expected value
+ */
+function matches(actual, expected) {
+  return Object.entries(expected).every(([key, value]) => JSON.stringify(actual[key]) === JSON.stringify(value));
+}
+
+/**
+ * Helper: JSON request body (the raw text if it isn't JSON)
+ */
+function parseBody(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+module.exports = { startMockServer };
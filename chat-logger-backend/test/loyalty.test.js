@@ -0,0 +1,235 @@
+/**
+ * Loyalty redemption tests
+ * ShopifyIntegration runs against a local mock of the Shopify Admin REST API
+ * that keeps the customer's loyalty metafields and discount codes in memory.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startMockServer } = require('./helpers/mock-server');
+const ShopifyIntegration = require('../lib/shopify');
+
+const CUSTOMER = {
+  id: 7001,
+  email: 'ana@example.com',
+  first_name: 'Ana',
+  last_name: 'Silva',
+  // 12 orders of $25 - more than one page of recent orders
+  total_spent: '300.00'
+};
+
+/**
+ * Helper: Mock shop holding one customer, with no loyalty app (points are
+ * earned from spend) unless a loyalty app balance is given in points.
+ * onMetafieldsRead(count) runs before each metafield read; failWrites maps a
+ * metafield key to how many of its next writes answer 503.
+ */
+function mockShop({ onMetafieldsRead, points, failWrites = {} } = {}) {
+  const state = { metafields: [], discountCodes: {}, nextId: 1, metafieldReads: 0 };
+
+  const stamp = () => new Date(Date.now() + state.nextId * 1000).toISOString();
+  const failWrite = key => failWrites[key] > 0 && failWrites[key]-- > 0;
+
+  if (points !== undefined) {
+    state.metafields.push({ id: state.nextId++, namespace: 'loyalty', key: 'points', type: 'number_integer', value: String(points), updated_at: stamp() });
+  }
+
+  const handler = request => {
+    const [path, query = ''] = request.path.replace('/admin/api/2024-01', '').split('?');
+    const params = new URLSearchParams(query);
+
+    if (path === '/customers/search.json') {
+      return { body: { customers: params.get('query') === `email:${CUSTOMER.email}` ? [CUSTOMER] : [] } };
+    }
+
+    if (path === '/orders.json') {
+      const orders = Array.from({ length: 12 }, (_, i) => ({
+        id: 9000 + i,
+        name: `#${1000 + i}`,
+        created_at: `2026-0${(i % 9) + 1}-01T00:00:00Z`,
+        total_price: '25.00',
+        currency: 'USD',
+        line_items: []
+      }));
+      return { body: { orders: orders.slice(0, Number(params.get('limit'))) } };
+    }
+
+    if (path === `/customers/${CUSTOMER.id}/metafields.json`) {
+      if (request.method === 'GET') {
+        state.metafieldReads++;
+        if (onMetafieldsRead) onMetafieldsRead(state, state.metafieldReads);
+        return { body: { metafields: state.metafields } };
+      }
+      if (failWrite(request.body.metafield.key)) return { status: 503, body: { errors: 'Unavailable' } };
+      const metafield = { ...request.body.metafield, id: state.nextId++, updated_at: stamp() };
+      state.metafields.push(metafield);
+      return { status: 201, body: { metafield } };
+    }
+
+    const metafieldMatch = path.match(/^\/customers\/\d+\/metafields\/(\d+)\.json$/);
+    if (metafieldMatch && request.method === 'PUT') {
+      const metafield = state.metafields.find(m => m.id === Number(metafieldMatch[1]));
+      if (failWrite(metafield.key)) return { status: 503, body: { errors: 'Unavailable' } };
+      Object.assign(metafield, { value: request.body.metafield.value, updated_at: stamp() });
+      state.nextId++;
+      return { body: { metafield } };
+    }
+
+    if (path === '/discount_codes/lookup.json') {
+      const discountCode = state.discountCodes[params.get('code')];
+      return discountCode ? { body: { discount_code: discountCode } } : { status: 404, body: { errors: 'Not Found' } };
+    }
+
+    if (path === '/price_rules.json') {
+      return { status: 201, body: { price_rule: { id: state.nextId++ } } };
+    }
+
+    const codesMatch = path.match(/^\/price_rules\/(\d+)\/discount_codes\.json$/);
+    if (codesMatch) {
+      const discountCode = { id: state.nextId++, price_rule_id: Number(codesMatch[1]), code: request.body.discount_code.code };
+      state.discountCodes[discountCode.code] = discountCode;
+      return { status: 201, body: { discount_code: discountCode } };
+    }
+
+    const ruleMatch = path.match(/^\/price_rules\/(\d+)\.json$/);
+    if (ruleMatch && request.method === 'DELETE') {
+      for (const [code, discountCode] of Object.entries(state.discountCodes)) {
+        if (discountCode.price_rule_id === Number(ruleMatch[1])) delete state.discountCodes[code];
+      }
+      return { status: 204 };
+    }
+
+    return { status: 404, body: { errors: 'Not Found' } };
+  };
+
+  return { state, handler };
+}
+
+/**
+ * Helper: Loyalty app points balance as stored
+ */
+function pointsOf(state) {
+  return Number(state.metafields.find(m => m.key === 'points').value);
+}
+
+/**
+ * Helper: Ledger metafield value as stored
+ */
+function ledgerOf(state) {
+  const metafield = state.metafields.find(m => m.key === 'transactions');
+  return metafield ? JSON.parse(metafield.value) : null;
+}
+
+describe('Loyalty redemption', () => {
+  let mock;
+  let shop;
+  let integration;
+
+  async function start(options) {
+    shop = mockShop(options);
+    mock = await startMockServer(shop.handler);
+    integration = new ShopifyIntegration({ shopDomain: 'test.myshopify.com', accessToken: 'shpat_test' });
+    integration.baseUrl = `${mock.url}/admin/api/2024-01`;
+  }
+
+  beforeEach(() => start());
+  afterEach(() => mock.close());
+
+  it('earns points from lifetime spend, not just recent orders', async () => {
+    const result = await integration.getLoyaltyPoints(CUSTOMER.email);
+
+    assert.equal(result.success, true);
+    assert.equal(result.points, 3000);
+    assert.equal(result.estimatedOnly, true);
+    assert.equal(result.transactions.filter(t => t.type === 'credit').length, 10);
+  });
+
+  it('redeems points and records the debit in the ledger', async () => {
+    const result = await integration.redeemPoints(CUSTOMER.email, 1000, 'discount', 'r-1');
+
+    assert.equal(result.success, true);
+    assert.match(result.discountCode, /^LOYALTY[0-9A-F]{8}$/);
+    assert.equal(ledgerOf(shop.state).totalRedeemed, 1000);
+
+    const points = await integration.getLoyaltyPoints(CUSTOMER.email);
+    assert.equal(points.points, 2000);
+  });
+
+  it('returns the original code when a redemption is repeated', async () => {
+    const first = await integration.redeemPoints(CUSTOMER.email, 1000, 'discount', 'r-1');
+    const repeat = await integration.redeemPoints(CUSTOMER.email, 1000, 'discount', 'r-1');
+
+    assert.equal(repeat.duplicate, true);
+    assert.equal(repeat.discountCode, first.discountCode);
+    assert.equal(ledgerOf(shop.state).totalRedeemed, 1000);
+  });
+
+  it('lets only one of two concurrent redemptions spend the balance', async () => {
+    const results = await Promise.all([
+      integration.redeemPoints(CUSTOMER.email, 2000, 'discount', 'r-1'),
+      integration.redeemPoints(CUSTOMER.email, 2000, 'discount', 'r-2')
+    ]);
+
+    assert.equal(results.filter(r => r.success).length, 1);
+    assert.equal(ledgerOf(shop.state).totalRedeemed, 2000);
+    assert.equal(Object.keys(shop.state.discountCodes).length, 1);
+  });
+
+  it('starts over when the ledger changed before the write', async () => {
+    await mock.close();
+    // Another writer spends 2500 points between the first read and the save
+    await start({
+      onMetafieldsRead: (state, count) => {
+        if (count !== 2) return;
+        state.metafields.push({
+          id: state.nextId++,
+          namespace: 'loyalty',
+          key: 'transactions',
+          type: 'json',
+          value: JSON.stringify({ totalRedeemed: 2500, transactions: [] }),
+          updated_at: new Date().toISOString()
+        });
+      }
+    });
+
+    const result = await integration.redeemPoints(CUSTOMER.email, 1000, 'discount', 'r-1');
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /^Insufficient points. You have 500 points/);
+    assert.equal(ledgerOf(shop.state).totalRedeemed, 2500);
+    // The code created for the failed attempt was withdrawn
+    assert.deepEqual(shop.state.discountCodes, {});
+    assert.ok(mock.requests.some(r => r.method === 'DELETE'));
+  });
+
+  it('debits the loyalty app balance on a retry after its write failed', async () => {
+    await mock.close();
+    await start({ points: 3000, failWrites: { points: 1 } });
+
+    const failed = await integration.redeemPoints(CUSTOMER.email, 1000, 'discount', 'r-1');
+    assert.equal(failed.success, false);
+    assert.equal(pointsOf(shop.state), 3000);
+    assert.equal(ledgerOf(shop.state), null);
+
+    const retry = await integration.redeemPoints(CUSTOMER.email, 1000, 'discount', 'r-1');
+    assert.equal(retry.success, true);
+    assert.equal(retry.duplicate, undefined);
+    assert.equal(pointsOf(shop.state), 2000);
+    assert.equal(ledgerOf(shop.state).totalRedeemed, 1000);
+  });
+
+  it('puts the points back when the ledger write fails', async () => {
+    await mock.close();
+    await start({ points: 3000, failWrites: { transactions: 1 } });
+
+    const failed = await integration.redeemPoints(CUSTOMER.email, 1000, 'discount', 'r-1');
+    assert.equal(failed.success, false);
+    assert.equal(pointsOf(shop.state), 3000);
+
+    const retry = await integration.redeemPoints(CUSTOMER.email, 1000, 'discount', 'r-1');
+    assert.equal(retry.success, true);
+    assert.equal(pointsOf(shop.state), 2000);
+    assert.equal(ledgerOf(shop.state).totalRedeemed, 1000);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Message ingest tests
+ * Abuse screening and storage are stubbed; the client message ID claim uses
+ * the in-memory rate limit store.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MessageIngest = require('../lib/message-ingest');
+const GDPRCompliance = require('../lib/gdpr');
+const rateLimiter = require('../lib/rate-limiter');
+
+describe('Message ingest', () => {
+  const original = {
+    detectAbuse: rateLimiter.detectAbuse,
+    storeMessageWithConsent: GDPRCompliance.storeMessageWithConsent
+  };
+  let stored;
+  let sequence = 0;
+
+  /**
+   * Helper: A message with a client message ID not used by earlier tests
+   */
+  function message() {
+    sequence++;
+    return { sessionId: `ingest-test-${sequence}`, sender: 'user', message: 'Hello', clientMessageId: `m-${sequence}` };
+  }
+
+  beforeEach(() => {
+    stored = [];
+    rateLimiter.detectAbuse = async () => ({ reject: false });
+    GDPRCompliance.storeMessageWithConsent = async msg => {
+      stored.push(msg);
+      return { aggregated: false };
+    };
+  });
+
+  afterEach(() => {
+    rateLimiter.detectAbuse = original.detectAbuse;
+    GDPRCompliance.storeMessageWithConsent = original.storeMessageWithConsent;
+  });
+
+  it('stores a resent message only once', async () => {
+    const input = message();
+
+    assert.equal((await MessageIngest.ingest(input)).status, 'stored');
+    assert.equal((await MessageIngest.ingest(input)).status, 'duplicate');
+    assert.equal(stored.length, 1);
+  });
+
+  it('lets the retry through when abuse screening fails', async () => {
+    const input = message();
+    rateLimiter.detectAbuse = async () => { throw new Error('store unavailable'); };
+
+    await assert.rejects(MessageIngest.ingest(input), /store unavailable/);
+
+    rateLimiter.detectAbuse = async () => ({ reject: false });
+    assert.equal((await MessageIngest.ingest(input)).status, 'stored');
+    assert.equal(stored.length, 1);
+  });
+
+  it('lets the retry through when storing fails', async () => {
+    const input = message();
+    GDPRCompliance.storeMessageWithConsent = async () => { throw new Error('write failed'); };
+
+    await assert.rejects(MessageIngest.ingest(input), /write failed/);
+
+    GDPRCompliance.storeMessageWithConsent = async msg => {
+      stored.push(msg);
+      return { aggregated: false };
+    };
+    assert.equal((await MessageIngest.ingest(input)).status, 'stored');
+  });
+});
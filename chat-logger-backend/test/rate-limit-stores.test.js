@@ -0,0 +1,185 @@
+/**
+ * Rate limit store tests
+ * The same cases run against the in-memory store and the KV store. The KV
+ * store talks to a fake client that keeps keys in memory and runs the
+ * store's two Lua scripts as one synchronous step, like Redis does.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MemoryStore = require('../lib/rate-limit-stores/memory');
+const KVStore = require('../lib/rate-limit-stores/kv');
+const rateLimiter = require('../lib/rate-limiter');
+
+/**
+ * Helper: In-memory stand-in for the @vercel/kv client
+ */
+function fakeKv() {
+  const keys = new Map();
+
+  const live = key => {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) keys.delete(key);
+    return keys.get(key) || null;
+  };
+  const expire = (key, ms) => { live(key).expiresAt = Date.now() + Number(ms); };
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, options = {}) {
+      if (options.nx && live(key)) return null;
+      keys.set(key, { value, expiresAt: options.px ? Date.now() + options.px : null });
+      return 'OK';
+    },
+    async del(key) {
+      return keys.delete(key) ? 1 : 0;
+    },
+    async sadd(key, member) {
+      const set = live(key) || { value: new Set(), expiresAt: null };
+      set.value.add(member);
+      keys.set(key, set);
+    },
+    async srem(key, member) {
+      const set = live(key);
+      if (set) set.value.delete(member);
+    },
+    async smembers(key) {
+      const set = live(key);
+      return set ? Array.from(set.value) : [];
+    },
+    async eval(script, [key], args) {
+      if (script.includes("'INCR'")) {
+        const entry = live(key) || { value: 0, expiresAt: null };
+        entry.value++;
+        keys.set(key, entry);
+        if (entry.value === 1) expire(key, args[0]);
+        return entry.value;
+      }
+
+      const [capacity, refill, now, cost] = args.map(Number);
+      const state = live(key) ? live(key).value : {};
+      let tokens = state.tokens ?? capacity;
+      tokens = Math.min(capacity, tokens + Math.max(0, now - (state.updatedAt ?? now)) * refill);
+      const allowed = tokens >= cost ? 1 : 0;
+      if (allowed) tokens -= cost;
+      keys.set(key, { value: { tokens, updatedAt: now }, expiresAt: null });
+      expire(key, Math.ceil(capacity / refill));
+      return [allowed, String(tokens)];
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const STORES = {
+  memory: () => new MemoryStore(),
+  kv: () => new KVStore({ client: fakeKv(), prefix: 'test' })
+};
+
+for (const [name, createStore] of Object.entries(STORES)) {
+  describe(`${name} rate limit store`, () => {
+    it('counts every one of many concurrent increments', async () => {
+      const store = createStore();
+      const values = await Promise.all(Array.from({ length: 50 }, () => store.increment('hits', 60000)));
+
+      assert.deepEqual(values.sort((a, b) => a - b), Array.from({ length: 50 }, (_, i) => i + 1));
+      assert.equal(await store.get('hits'), 50);
+    });
+
+    it('starts a counter again once its TTL has passed', async () => {
+      const store = createStore();
+      await store.increment('short', 20);
+      assert.equal(await store.increment('short', 20), 2);
+
+      await sleep(40);
+      assert.equal(await store.get('short'), 0);
+      assert.equal(await store.increment('short', 20), 1);
+    });
+
+    it('takes no more tokens than the bucket holds', async () => {
+      const store = createStore();
+      const results = await Promise.all(Array.from({ length: 8 }, () =>
+        store.takeToken('bucket', { capacity: 5, refillPerMs: 1 / 60000 })
+      ));
+
+      assert.equal(results.filter(result => result.allowed).length, 5);
+    });
+
+    it('gives a claim to the first caller only until it is released', async () => {
+      const store = createStore();
+      const claims = await Promise.all(Array.from({ length: 5 }, () => store.claim('message:m-1', 60000)));
+
+      assert.equal(claims.filter(Boolean).length, 1);
+
+      await store.release('message:m-1');
+      assert.equal(await store.claim('message:m-1', 60000), true);
+    });
+
+    it('drops blacklist entries once they expire', async () => {
+      const store = createStore();
+      const createdAt = new Date().toISOString();
+      await store.addToBlacklist('198.51.100.7', { reason: 'abuse', createdAt, expiresAt: new Date(Date.now() + 20).toISOString() });
+      await store.addToBlacklist('198.51.100.8', { reason: 'manual', createdAt, expiresAt: null });
+
+      assert.equal((await store.listBlacklist()).length, 2);
+
+      await sleep(40);
+      assert.equal(await store.getBlacklistEntry('198.51.100.7'), null);
+      assert.deepEqual((await store.listBlacklist()).map(entry => entry.identifier), ['198.51.100.8']);
+    });
+  });
+}
+
+describe('Blacklisted ranges', () => {
+  const originalStore = rateLimiter.store;
+
+  before(() => {
+    rateLimiter.store = new MemoryStore();
+    rateLimiter.rangeCache = null;
+  });
+
+  after(() => {
+    rateLimiter.store = originalStore;
+    rateLimiter.rangeCache = null;
+  });
+
+  it('blocks IPv4 addresses inside a CIDR range', async () => {
+    await rateLimiter.blacklist('203.0.113.0/24', { durationMs: null });
+
+    assert.equal((await rateLimiter.findBlacklistEntry('203.0.113.77')).identifier, '203.0.113.0/24');
+    assert.equal((await rateLimiter.findBlacklistEntry('203.0.113.5, 10.0.0.1')).identifier, '203.0.113.0/24');
+    assert.equal((await rateLimiter.findBlacklistEntry('::ffff:203.0.113.9')).identifier, '203.0.113.0/24');
+    assert.equal(await rateLimiter.findBlacklistEntry('203.0.114.1'), null);
+  });
+
+  it('blocks IPv6 addresses inside a CIDR range', async () => {
+    await rateLimiter.blacklist('2001:db8::/32', { durationMs: null });
+
+    assert.equal((await rateLimiter.findBlacklistEntry('2001:db8:1::5')).identifier, '2001:db8::/32');
+    assert.equal(await rateLimiter.findBlacklistEntry('2001:db9::5'), null);
+  });
+
+  it('rejects invalid ranges', () => {
+    assert.equal(rateLimiter.parseBlockTarget('10.0.0.0/33'), null);
+    assert.equal(rateLimiter.parseBlockTarget('10.0.0.0/8/1'), null);
+    assert.equal(rateLimiter.parseBlockTarget('example.com/24'), null);
+    assert.equal(rateLimiter.parseBlockTarget(' 10.0.0.0/8 '), '10.0.0.0/8');
+  });
+
+  it('stops blocking a range once it expires or is removed', async () => {
+    await rateLimiter.blacklist('192.0.2.0/28', { durationMs: 20 });
+    assert.ok(await rateLimiter.findBlacklistEntry('192.0.2.3'));
+
+    await sleep(40);
+    assert.equal(await rateLimiter.findBlacklistEntry('192.0.2.3'), null);
+
+    await rateLimiter.unblacklist('203.0.113.0/24');
+    assert.equal(await rateLimiter.findBlacklistEntry('203.0.113.77'), null);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Storage tests
+ * Runs on the filesystem adapter in a temporary directory.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Storage = require('../lib/storage');
+const FilesystemAdapter = require('../lib/storage-adapters/filesystem');
+
+const CUSTOMER = 'ana@example.com';
+
+describe('Customer data deletion', () => {
+  let root;
+
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    Storage.setAdapter(new FilesystemAdapter({
+      storagePath: path.join(root, 'logs'),
+      historyPath: path.join(root, 'history'),
+      customerDataPath: path.join(root, 'customers')
+    }));
+
+    await Storage.storeMessage({ sessionId: 's-ana', customerId: CUSTOMER, sender: 'user', message: 'Hi', timestamp: new Date().toISOString() });
+    await Storage.recordAnalyticsEvents([
+      { id: 'e1', name: 'chat_opened', sessionId: 's-ana', timestamp: '2026-03-01T09:59:00Z' },
+      { id: 'e2', name: 'chat_opened', sessionId: 's-other', timestamp: '2026-03-01T11:00:00Z' },
+      { id: 'e3', name: 'message_sent', sessionId: 's-ana', timestamp: '2026-03-02T08:00:00Z' }
+    ]);
+  });
+
+  after(() => {
+    Storage.setAdapter(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('removes analytics events from the customer\'s sessions', async () => {
+    const result = await Storage.deleteCustomerData(CUSTOMER);
+
+    assert.ok(result.sessionIds.includes('s-ana'));
+
+    const events = await Storage.readAnalyticsEventsBetween(new Date('2026-03-01T00:00:00Z'), new Date('2026-03-03T00:00:00Z'));
+    assert.deepEqual(events.map(event => event.id), ['e2']);
+
+    const analyticsArtifacts = result.artifacts.filter(artifact => artifact.store === 'analytics-events');
+    assert.deepEqual(analyticsArtifacts.map(({ key, action, removed }) => ({ key, action, removed })), [
+      { key: '2026-03-01', action: 'rewritten', removed: 1 },
+      { key: '2026-03-02', action: 'deleted', removed: 1 }
+    ]);
+  });
+});
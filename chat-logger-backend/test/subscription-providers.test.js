@@ -0,0 +1,248 @@
+/**
+ * Subscription provider tests
+ * Each adapter runs against a local mock answering with recorded responses
+ * of its provider (test/fixtures), through ShopifyIntegration.manageSubscription
+ * so the ownership check and error handling are covered too.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startMockServer } = require('./helpers/mock-server');
+const ShopifyIntegration = require('../lib/shopify');
+const RechargeProvider = require('../lib/subscription-providers/recharge');
+const BoldProvider = require('../lib/subscription-providers/bold');
+const ShopifySubscriptionProvider = require('../lib/subscription-providers/shopify');
+
+const OWNER = 'ana@example.com';
+
+/**
+ * Helper: ShopifyIntegration using the given provider
+ */
+function integrationWith(provider) {
+  const integration = new ShopifyIntegration({ shopDomain: 'test.myshopify.com', accessToken: 'shpat_test' });
+  integration.subscriptionProvider = provider;
+  return integration;
+}
+
+describe('Recharge provider', () => {
+  let mock;
+  let provider;
+
+  before(async () => {
+    mock = await startMockServer(require('./fixtures/recharge.json'));
+    provider = new RechargeProvider({ baseUrl: mock.url, accessToken: 'rc_test' });
+  });
+
+  after(() => mock.close());
+
+  it('lists and normalizes a customer\'s subscriptions', async () => {
+    const subscriptions = await provider.listSubscriptions(OWNER);
+
+    assert.equal(subscriptions.length, 2);
+    assert.deepEqual(subscriptions[0], {
+      id: '501',
+      provider: 'recharge',
+      status: 'active',
+      customerEmail: OWNER,
+      productTitle: 'CBD Oil 1000mg',
+      variantTitle: 'Mint',
+      quantity: 1,
+      price: '49.00',
+      frequency: { interval: 'month', intervalCount: 1 },
+      frequencyLabel: 'Every month',
+      nextChargeDate: '2031-03-01'
+    });
+    assert.equal(subscriptions[1].status, 'cancelled');
+    assert.equal(subscriptions[1].frequencyLabel, 'Every 2 weeks');
+
+    const request = mock.requests.find(r => r.path.startsWith('/customers?'));
+    assert.equal(request.headers['x-recharge-access-token'], 'rc_test');
+    assert.equal(request.headers['x-recharge-version'], '2021-11');
+  });
+
+  it('returns no subscriptions for an unknown customer', async () => {
+    assert.deepEqual(await provider.listSubscriptions('nobody@example.com'), []);
+  });
+
+  it('maps a 404 to a missing subscription', async () => {
+    assert.equal(await provider.getSubscription('404'), null);
+  });
+
+  it('reschedules, changes frequency and skips', async () => {
+    const integration = integrationWith(provider);
+
+    const rescheduled = await integration.manageSubscription('reschedule', '501', { customerEmail: OWNER, date: '2031-05-01' });
+    assert.equal(rescheduled.success, true);
+    assert.equal(rescheduled.subscription.nextChargeDate, '2031-05-01');
+    assert.deepEqual(mock.requests.at(-1).body, { date: '2031-05-01' });
+
+    const frequency = await integration.manageSubscription('updateFrequency', '501', { customerEmail: OWNER, interval: 'weeks', intervalCount: 6 });
+    assert.equal(frequency.subscription.frequencyLabel, 'Every 6 weeks');
+    assert.deepEqual(mock.requests.at(-1).body, {
+      order_interval_unit: 'week',
+      order_interval_frequency: 6,
+      charge_interval_frequency: 6
+    });
+
+    const skipped = await integration.manageSubscription('skip', '501', { customerEmail: OWNER });
+    assert.equal(skipped.subscription.skippedDate, '2031-03-01');
+    assert.ok(mock.requests.some(r => r.method === 'POST' && r.path === '/charges/3001/skip'));
+  });
+
+  it('refuses another customer\'s subscription without calling the action', async () => {
+    const result = await integrationWith(provider).manageSubscription('cancel', '777', { customerEmail: OWNER });
+
+    assert.deepEqual(result, { success: false, error: 'Subscription not found' });
+    assert.ok(!mock.requests.some(r => r.path === '/subscriptions/777/cancel'));
+  });
+
+  it('reports provider errors without throwing', async () => {
+    const result = await integrationWith(provider).manageSubscription('cancel', '503', { customerEmail: OWNER });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Recharge API error: 422/);
+  });
+
+  it('rejects invalid input before calling the provider', async () => {
+    const before = mock.requests.length;
+    const result = await integrationWith(provider).manageSubscription('reschedule', '501', { customerEmail: OWNER, date: '2020-01-01' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'date must be in the future');
+    // Only the ownership lookup went out
+    assert.ok(mock.requests.slice(before).every(r => r.method === 'GET'));
+  });
+});
+
+describe('Bold provider', () => {
+  let mock;
+  let provider;
+
+  before(async () => {
+    mock = await startMockServer(require('./fixtures/bold.json'));
+    provider = new BoldProvider({ baseUrl: mock.url, accessToken: 'bold_test' });
+  });
+
+  after(() => mock.close());
+
+  it('lists and normalizes a customer\'s subscriptions', async () => {
+    const subscriptions = await provider.listSubscriptions(OWNER);
+
+    assert.equal(subscriptions.length, 2);
+    assert.equal(subscriptions[0].id, '8801');
+    assert.equal(subscriptions[0].productTitle, 'CBD Oil 1000mg');
+    assert.deepEqual(subscriptions[0].frequency, { interval: 'month', intervalCount: 1 });
+    assert.equal(subscriptions[0].nextChargeDate, '2031-03-01');
+    assert.equal(subscriptions[1].status, 'paused');
+    assert.equal(subscriptions[1].productTitle, 'Sleep Gummies');
+    assert.equal(mock.requests[0].headers.authorization, 'Bearer bold_test');
+  });
+
+  it('pauses, changes frequency and skips', async () => {
+    const integration = integrationWith(provider);
+
+    const paused = await integration.manageSubscription('pause', '8801', { customerEmail: OWNER, pauseUntil: '2031-04-01' });
+    assert.equal(paused.subscription.status, 'paused');
+    assert.equal(paused.subscription.pausedUntil, '2031-04-01');
+    assert.deepEqual(mock.requests.at(-1).body, { resume_date: '2031-04-01' });
+
+    const frequency = await integration.manageSubscription('updateFrequency', '8801', { customerEmail: OWNER, interval: 'week', intervalCount: 3 });
+    assert.equal(frequency.subscription.frequencyLabel, 'Every 3 weeks');
+    assert.deepEqual(mock.requests.at(-1).body, { interval_type: 'week', interval_number: 3 });
+
+    const skipped = await integration.manageSubscription('skip', '8801', { customerEmail: OWNER });
+    assert.equal(skipped.subscription.skippedDate, '2031-03-01');
+  });
+
+  it('refuses another customer\'s subscription without calling the action', async () => {
+    const result = await integrationWith(provider).manageSubscription('pause', '8803', { customerEmail: OWNER });
+
+    assert.deepEqual(result, { success: false, error: 'Subscription not found' });
+    assert.ok(!mock.requests.some(r => r.path === '/subscriptions/8803/pause'));
+  });
+
+  it('reports provider errors without throwing', async () => {
+    const result = await integrationWith(provider).manageSubscription('cancel', '8801', { customerEmail: OWNER });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Bold API error: 401/);
+  });
+});
+
+describe('Shopify subscription contracts provider', () => {
+  let mock;
+  let provider;
+
+  before(async () => {
+    mock = await startMockServer(require('./fixtures/shopify-subscriptions.json'));
+    provider = new ShopifySubscriptionProvider({ baseUrl: mock.url, accessToken: 'shpat_test' });
+  });
+
+  after(() => mock.close());
+
+  it('lists and normalizes a customer\'s contracts', async () => {
+    const subscriptions = await provider.listSubscriptions(OWNER);
+
+    assert.deepEqual(subscriptions, [{
+      id: '601',
+      provider: 'shopify',
+      status: 'active',
+      customerEmail: OWNER,
+      productTitle: 'CBD Oil 1000mg',
+      variantTitle: 'Mint',
+      quantity: 1,
+      price: '49.0',
+      frequency: { interval: 'month', intervalCount: 1 },
+      frequencyLabel: 'Every month',
+      nextChargeDate: '2031-03-01'
+    }]);
+    assert.equal(mock.requests[0].path, '/graphql.json');
+    assert.equal(mock.requests[0].headers['x-shopify-access-token'], 'shpat_test');
+  });
+
+  it('returns no contracts for an unknown customer', async () => {
+    assert.deepEqual(await provider.listSubscriptions('nobody@example.com'), []);
+  });
+
+  it('pauses, skips and changes frequency through a draft', async () => {
+    const integration = integrationWith(provider);
+
+    const paused = await integration.manageSubscription('pause', '601', { customerEmail: OWNER });
+    assert.equal(paused.subscription.status, 'paused');
+    assert.deepEqual(mock.requests.at(-1).body.variables, { id: 'gid://shopify/SubscriptionContract/601' });
+
+    const skipped = await integration.manageSubscription('skip', '601', { customerEmail: OWNER });
+    assert.equal(skipped.subscription.skippedDate, '2031-03-01');
+    const skip = mock.requests.find(r => /subscriptionBillingCycleSkip/.test(r.body?.query));
+    assert.deepEqual(skip.body.variables.input.selector, { date: '2031-03-01T00:00:00Z' });
+
+    const frequency = await integration.manageSubscription('updateFrequency', '601', { customerEmail: OWNER, interval: 'week', intervalCount: 2 });
+    assert.equal(frequency.subscription.frequencyLabel, 'Every 2 weeks');
+    const draftUpdate = mock.requests.find(r => /subscriptionDraftUpdate/.test(r.body?.query));
+    assert.deepEqual(draftUpdate.body.variables.input.billingPolicy, { interval: 'WEEK', intervalCount: 2 });
+  });
+
+  it('refuses another customer\'s contract without calling the action', async () => {
+    const result = await integrationWith(provider).manageSubscription('cancel', '602', { customerEmail: OWNER });
+
+    assert.deepEqual(result, { success: false, error: 'Subscription not found' });
+    assert.ok(!mock.requests.some(r => /subscriptionContractCancel/.test(r.body?.query)));
+  });
+
+  it('treats a missing contract as not found', async () => {
+    const result = await integrationWith(provider).manageSubscription('pause', '603', { customerEmail: OWNER });
+    assert.deepEqual(result, { success: false, error: 'Subscription not found' });
+  });
+
+  it('reports userErrors and GraphQL errors without throwing', async () => {
+    const integration = integrationWith(provider);
+
+    const cancelled = await integration.manageSubscription('cancel', '605', { customerEmail: OWNER });
+    assert.deepEqual(cancelled, { success: false, error: 'Contract can\'t be cancelled with pending billing attempts' });
+
+    const denied = await integration.manageSubscription('pause', '604', { customerEmail: OWNER });
+    assert.equal(denied.success, false);
+    assert.match(denied.error, /^Shopify GraphQL error: Access denied/);
+  });
+});
@@ -10,7 +10,8 @@ class DAMComponent {
       backendUrl: config.backendUrl || '',
       containerId: config.containerId || 'dam-container',
       userEmail: config.userEmail || null,
-      userTags: config.userTags || [],
+      userTags: config.userTags || [], // Used for UI only; the backend checks the token
+      authToken: config.authToken || null, // JWT from /api/auth?action=login
       theme: {
         primaryColor: config.theme?.primaryColor || '#2563eb',
         secondaryColor: config.theme?.secondaryColor || '#64748b',
@@ -931,19 +932,22 @@ class DAMComponent {
   }
 
   // API Methods
+  authHeaders(headers = {}) {
+    if (this.config.authToken) {
+      headers['Authorization'] = `Bearer ${this.config.authToken}`;
+    }
+    return headers;
+  }
+
   async apiRequest(action, method = 'GET', body = null) {
     const url = new URL(`${this.config.backendUrl}/api/dam`);
     url.searchParams.set('action', action);
-    url.searchParams.set('userTags', JSON.stringify(this.config.userTags));
-    if (this.config.userEmail) url.searchParams.set('userEmail', this.config.userEmail);
 
-    const options = { method, headers: {} };
+    const options = { method, headers: this.authHeaders() };
     if (body && !(body instanceof FormData)) {
       options.headers['Content-Type'] = 'application/json';
-      options.body = JSON.stringify({ ...body, userTags: this.config.userTags, userEmail: this.config.userEmail });
+      options.body = JSON.stringify(body);
     } else if (body instanceof FormData) {
-      body.append('userTags', JSON.stringify(this.config.userTags));
-      if (this.config.userEmail) body.append('userEmail', this.config.userEmail);
       options.body = body;
     }
 
@@ -961,10 +965,9 @@ class DAMComponent {
       url.searchParams.set('folderId', this.state.currentFolderId);
       url.searchParams.set('sortBy', this.state.sortBy);
       url.searchParams.set('sortOrder', this.state.sortOrder);
-      url.searchParams.set('userTags', JSON.stringify(this.config.userTags));
       if (this.state.searchQuery) url.searchParams.set('search', this.state.searchQuery);
 
-      const response = await fetch(url);
+      const response = await fetch(url, { headers: this.authHeaders() });
       const data = await response.json();
 
       if (data.success) {
@@ -1114,8 +1117,7 @@ class DAMComponent {
     try {
       const url = new URL(`${this.config.backendUrl}/api/dam`);
       url.searchParams.set('action', 'get-tree');
-      url.searchParams.set('userTags', JSON.stringify(this.config.userTags));
-      const response = await fetch(url);
+      const response = await fetch(url, { headers: this.authHeaders() });
       const data = await response.json();
 
       if (!data.success) {
@@ -1291,8 +1293,7 @@ class DAMComponent {
       const url = new URL(`${this.config.backendUrl}/api/dam`);
       url.searchParams.set('action', 'get-file');
       url.searchParams.set('fileId', fileId);
-      url.searchParams.set('userTags', JSON.stringify(this.config.userTags));
-      const response = await fetch(url);
+      const response = await fetch(url, { headers: this.authHeaders() });
       const data = await response.json();
 
       if (!data.success) {
@@ -1338,8 +1339,7 @@ class DAMComponent {
       const url = new URL(`${this.config.backendUrl}/api/dam`);
       url.searchParams.set('action', 'download');
       url.searchParams.set('fileId', fileId);
-      url.searchParams.set('userTags', JSON.stringify(this.config.userTags));
-      const response = await fetch(url);
+      const response = await fetch(url, { headers: this.authHeaders() });
       const data = await response.json();
 
       if (data.success && data.downloadUrl) {
@@ -32,7 +32,23 @@
 const CONFIG = {
   SHEET_NAME: 'Chat Logs',  // Name of the sheet tab (will be created if it doesn't exist)
   TIMEZONE: 'America/New_York',  // Your timezone
-  MAX_ROWS: 10000  // Archive old logs after this many rows
+  MAX_ROWS: 10000,  // Archive old logs after this many rows
+  // Shared secret for GDPR deletion requests from the chat backend.
+  // Set it under Project Settings → Script Properties as DELETE_SECRET
+  // (same value as GOOGLE_SHEETS_DELETE_SECRET in the backend).
+  DELETE_SECRET_PROPERTY: 'DELETE_SECRET'
+};
+
+// Chat message schema - a port of chat-logger-backend/lib/message-schema.js,
+// keep the two in sync
+const MESSAGE_SCHEMA = {
+  VERSION: 1,
+  SENDERS: ['user', 'bot', 'system', 'agent'],
+  SESSION_ID_PATTERN: /^[A-Za-z0-9_.:-]{1,128}$/,
+  MAX_MESSAGE_LENGTH: 5000,
+  MAX_FIELD_LENGTH: 100,      // topic
+  MAX_METADATA_LENGTH: 500,   // userAgent, shopDomain
+  MAX_FUTURE_MS: 5 * 60 * 1000  // clock skew allowed for client timestamps
 };
 
 /**
@@ -64,20 +80,12 @@ function doPost(e) {
       return createResponse(400, { error: 'Invalid JSON: ' + parseError.toString() });
     }
 
-    // Validate required fields
-    if (!data.sessionId || !data.sender || !data.message || !data.timestamp) {
-      console.error('Missing required fields. Received data:', JSON.stringify(data));
-      return createResponse(400, { error: 'Missing required fields' });
+    // GDPR erasure request from the chat backend
+    if (data.action === 'delete-sessions') {
+      return handleDeleteSessions(data);
     }
 
-    // Get or create the sheet
-    const sheet = getOrCreateSheet(CONFIG.SHEET_NAME);
-
-    // Append the log entry
-    appendLog(sheet, data);
-
-    console.log('Successfully logged message from:', data.sender);
-    return createResponse(200, { success: true, message: 'Log stored' });
+    return logMessage(data);
 
   } catch (error) {
     console.error('Error logging chat:', error);
@@ -86,6 +94,60 @@ function doPost(e) {
   }
 }
 
+/**
+ * Delete every row for the given session IDs (GDPR right to erasure)
+ * Expects: { action: 'delete-sessions', secret: '...', sessionIds: ['...'] }
+ * Covers the main sheet and its archive tabs.
+ */
+function handleDeleteSessions(data) {
+  const secret = PropertiesService.getScriptProperties().getProperty(CONFIG.DELETE_SECRET_PROPERTY);
+
+  if (!secret || data.secret !== secret) {
+    return createResponse(403, { success: false, error: 'Invalid secret' });
+  }
+
+  if (!Array.isArray(data.sessionIds)) {
+    return createResponse(400, { success: false, error: 'sessionIds must be an array' });
+  }
+
+  const result = deleteSessionRows(data.sessionIds);
+
+  console.log(`Deleted ${result.deletedRows} rows for ${data.sessionIds.length} sessions`);
+  return createResponse(200, { success: true, deletedRows: result.deletedRows, sheets: result.sheets });
+}
+
+/**
+ * Remove rows whose Session ID (column 4) is in sessionIds
+ */
+function deleteSessionRows(sessionIds) {
+  const ids = new Set(sessionIds.map(String));
+  const sheets = SpreadsheetApp.getActiveSpreadsheet().getSheets()
+    .filter(sheet => sheet.getName().indexOf(CONFIG.SHEET_NAME) === 0);
+
+  let deletedRows = 0;
+  const touched = [];
+
+  sheets.forEach(sheet => {
+    const rows = sheet.getDataRange().getValues();
+    let removed = 0;
+
+    // Delete bottom-up so row numbers stay valid
+    for (let i = rows.length - 1; i >= 1; i--) {
+      if (ids.has(String(rows[i][3]))) {
+        sheet.deleteRow(i + 1);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      touched.push({ name: sheet.getName(), removed: removed });
+      deletedRows += removed;
+    }
+  });
+
+  return { deletedRows: deletedRows, sheets: touched };
+}
+
 /**
  * Handle GET requests - now used for logging to avoid CORS issues
  */
@@ -98,31 +160,19 @@ function doGet(e) {
         .setMimeType(ContentService.MimeType.TEXT);
     }
 
-    // Extract data from query parameters
+    // Extract data from query parameters (all strings)
     const data = {
+      schemaVersion: e.parameter.schemaVersion === undefined ? undefined : Number(e.parameter.schemaVersion),
       sessionId: e.parameter.sessionId,
       sender: e.parameter.sender,
       message: e.parameter.message,
       timestamp: e.parameter.timestamp,
-      topic: e.parameter.topic || '',
-      userAgent: e.parameter.userAgent || '',
-      shopDomain: e.parameter.shopDomain || ''
+      topic: e.parameter.topic,
+      userAgent: e.parameter.userAgent,
+      shopDomain: e.parameter.shopDomain
     };
 
-    // Validate required fields
-    if (!data.sessionId || !data.sender || !data.message || !data.timestamp) {
-      console.error('Missing required fields. Received data:', JSON.stringify(data));
-      return createResponse(400, { error: 'Missing required fields' });
-    }
-
-    // Get or create the sheet
-    const sheet = getOrCreateSheet(CONFIG.SHEET_NAME);
-
-    // Append the log entry
-    appendLog(sheet, data);
-
-    console.log('Successfully logged message from:', data.sender);
-    return createResponse(200, { success: true, message: 'Log stored' });
+    return logMessage(data);
 
   } catch (error) {
     console.error('Error logging chat:', error);
@@ -131,6 +181,108 @@ function doGet(e) {
   }
 }
 
+/**
+ * Validate a chat message against the shared schema and append it
+ */
+function logMessage(data) {
+  const result = validateMessage(data);
+
+  if (!result.valid) {
+    console.error('Invalid message:', JSON.stringify(result.errors));
+    return createResponse(400, { error: 'Invalid message', errors: result.errors });
+  }
+
+  // Get or create the sheet
+  const sheet = getOrCreateSheet(CONFIG.SHEET_NAME);
+
+  // Append the log entry
+  appendLog(sheet, result.message);
+
+  console.log('Successfully logged message from:', result.message.sender);
+  return createResponse(200, { success: true, message: 'Log stored' });
+}
+
+/**
+ * Validate and normalize a chat message (see MESSAGE_SCHEMA)
+ * Returns { valid, errors: [{ field, message }], message }. Metadata may be
+ * at the top level (GET requests, legacy payloads) or under metadata.
+ */
+function validateMessage(input, now) {
+  now = now || new Date();
+  const errors = [];
+  const fail = (field, message) => errors.push({ field: field, message: message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: [{ field: null, message: 'Message must be an object' }], message: null };
+  }
+
+  const version = input.schemaVersion === undefined ? MESSAGE_SCHEMA.VERSION : input.schemaVersion;
+  if (version !== MESSAGE_SCHEMA.VERSION) {
+    fail('schemaVersion', 'Unsupported schema version (supported: ' + MESSAGE_SCHEMA.VERSION + ')');
+  }
+
+  if (typeof input.sessionId !== 'string' || !MESSAGE_SCHEMA.SESSION_ID_PATTERN.test(input.sessionId)) {
+    fail('sessionId', 'Required, 1-128 letters, digits or _ . : -');
+  }
+
+  if (MESSAGE_SCHEMA.SENDERS.indexOf(input.sender) === -1) {
+    fail('sender', 'Required, one of: ' + MESSAGE_SCHEMA.SENDERS.join(', '));
+  }
+
+  if (typeof input.message !== 'string' || !input.message.trim()) {
+    fail('message', 'Required, non-empty string');
+  } else if (input.message.length > MESSAGE_SCHEMA.MAX_MESSAGE_LENGTH) {
+    fail('message', 'Longer than ' + MESSAGE_SCHEMA.MAX_MESSAGE_LENGTH + ' characters');
+  }
+
+  let timestamp = now.toISOString();
+  if (input.timestamp !== undefined) {
+    const parsed = new Date(input.timestamp);
+    if (typeof input.timestamp !== 'string' || isNaN(parsed.getTime())) {
+      fail('timestamp', 'Must be an ISO 8601 date');
+    } else if (parsed.getTime() - now.getTime() > MESSAGE_SCHEMA.MAX_FUTURE_MS) {
+      fail('timestamp', 'Is in the future');
+    } else {
+      timestamp = parsed.toISOString();
+    }
+  }
+
+  if (input.topic !== undefined && input.topic !== null && input.topic !== '' &&
+      (typeof input.topic !== 'string' || input.topic.length > MESSAGE_SCHEMA.MAX_FIELD_LENGTH)) {
+    fail('topic', 'Must be a string of at most ' + MESSAGE_SCHEMA.MAX_FIELD_LENGTH + ' characters');
+  }
+
+  const metadata = input.metadata && typeof input.metadata === 'object' ? input.metadata : {};
+  const fields = {};
+  ['userAgent', 'shopDomain'].forEach(field => {
+    const value = input[field] !== undefined ? input[field] : metadata[field];
+    if (value === undefined || value === null || value === '') return;
+    if (typeof value !== 'string' || value.length > MESSAGE_SCHEMA.MAX_METADATA_LENGTH) {
+      fail(field, 'Must be a string of at most ' + MESSAGE_SCHEMA.MAX_METADATA_LENGTH + ' characters');
+    } else {
+      fields[field] = value;
+    }
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors: errors, message: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    message: {
+      sessionId: input.sessionId,
+      sender: input.sender,
+      message: input.message,
+      timestamp: timestamp,
+      topic: input.topic || '',
+      userAgent: fields.userAgent || '',
+      shopDomain: fields.shopDomain || ''
+    }
+  };
+}
+
 /**
  * Get or create a sheet with headers
  */
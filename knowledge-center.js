@@ -6,20 +6,51 @@
  * const knowledgeCenter = new KnowledgeCenter({
  *   backendUrl: 'https://your-backend.vercel.app',
  *   userEmail: '{{ customer.email }}',
- *   userTags: ['affiliates'], // User's access tags
+ *   customerToken: '{{ customer_token }}', // Signed customer token with tags (tag-gated and allowed-customer articles)
+ *   authToken: localStorage.getItem('kc-auth-token'), // Staff JWT from /api/auth (tag-gated articles)
  *   containerId: 'knowledge-center-container',
+ *   locale: '{{ request.locale.iso_code }}', // Language of the labels (from /api/locale)
  *   theme: { ... } // Custom theme settings
  * });
  */
 
+// Built-in English labels; the shopper's language is loaded from /api/locale
+const KB_STRINGS = {
+  title: 'Knowledge Center',
+  subtitle: 'Find helpful articles, tutorials, and guides',
+  searchPlaceholder: 'Search articles...',
+  loading: 'Loading articles...',
+  allArticles: 'All Articles',
+  featured: 'Featured',
+  noResults: 'No articles found',
+  noResultsHint: 'Try adjusting your search or filters',
+  previous: 'Previous',
+  next: 'Next',
+  back: 'Back to articles',
+  views: '{count} views',
+  media: '{count} media',
+  accessDenied: 'Access Denied',
+  requiredAccess: 'Required access:',
+  today: 'Today',
+  yesterday: 'Yesterday',
+  daysAgo: '{count} days ago',
+  weeksAgo: '{count} weeks ago',
+  monthsAgo: '{count} months ago',
+  initError: 'Failed to initialize knowledge center',
+  loadError: 'Failed to load articles',
+  articleError: 'Failed to load article'
+};
+
 class KnowledgeCenter {
   constructor(config = {}) {
     // Default configuration
     this.config = {
       backendUrl: config.backendUrl || '',
       userEmail: config.userEmail || null,
-      userTags: config.userTags || [],
+      authToken: config.authToken || null,
+      customerToken: config.customerToken || null,
       containerId: config.containerId || 'knowledge-center',
+      locale: config.locale || document.documentElement.lang || null,
       enableSearch: config.enableSearch !== false,
       enableCategories: config.enableCategories !== false,
       enableAnalytics: config.enableAnalytics !== false,
@@ -50,6 +81,9 @@ class KnowledgeCenter {
       currentPage: 1
     };
 
+    // Labels in the shopper's language (English until loadStrings resolves)
+    this.strings = KB_STRINGS;
+
     // DOM elements
     this.container = null;
 
@@ -69,6 +103,8 @@ class KnowledgeCenter {
         return;
       }
 
+      await this.loadStrings();
+
       // Inject styles
       this.injectStyles();
 
@@ -82,10 +118,36 @@ class KnowledgeCenter {
       ]);
     } catch (error) {
       console.error('Knowledge Center initialization error:', error);
-      this.showError('Failed to initialize knowledge center');
+      this.showError(this.t('initError'));
     }
   }
 
+  /**
+   * Load the labels for the configured locale (keeps English on failure)
+   */
+  async loadStrings() {
+    try {
+      const params = new URLSearchParams();
+      if (this.config.locale) params.set('locale', this.config.locale);
+
+      const response = await fetch(`${this.config.backendUrl}/api/locale?${params}`);
+      if (!response.ok) return;
+
+      const data = await response.json();
+      this.strings = { ...KB_STRINGS, ...data.strings?.kb };
+    } catch (error) {
+      console.error('Knowledge Center: Failed to load translations:', error);
+    }
+  }
+
+  /**
+   * Label by key, with {name} placeholders filled
+   */
+  t(key, values = {}) {
+    const value = this.strings[key] || KB_STRINGS[key] || key;
+    return value.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+  }
+
   /**
    * Inject custom styles
    */
@@ -532,8 +594,8 @@ class KnowledgeCenter {
   renderListView() {
     const headerHtml = `
       <div class="kc-header">
-        <h1>Knowledge Center</h1>
-        <p>Find helpful articles, tutorials, and guides</p>
+        <h1>${this.escapeHtml(this.t('title'))}</h1>
+        <p>${this.escapeHtml(this.t('subtitle'))}</p>
       </div>
     `;
 
@@ -542,7 +604,7 @@ class KnowledgeCenter {
         <input
           type="text"
           class="kc-search-input"
-          placeholder="Search articles..."
+          placeholder="${this.escapeHtml(this.t('searchPlaceholder'))}"
           value="${this.escapeHtml(this.state.searchQuery)}"
           id="kc-search-input"
         />
@@ -559,7 +621,7 @@ class KnowledgeCenter {
     const articlesHtml = this.state.loading ? `
       <div class="kc-loading">
         <div class="kc-spinner"></div>
-        <p>Loading articles...</p>
+        <p>${this.escapeHtml(this.t('loading'))}</p>
       </div>
     ` : this.renderArticlesGrid();
 
@@ -589,7 +651,7 @@ class KnowledgeCenter {
         class="kc-category-btn ${!this.state.currentCategory ? 'active' : ''}"
         data-category="all"
       >
-        All Articles
+        ${this.escapeHtml(this.t('allArticles'))}
         <span class="kc-category-count">${this.state.articles.length}</span>
       </button>
     `;
@@ -618,8 +680,8 @@ class KnowledgeCenter {
       return `
         <div class="kc-empty">
           <div class="kc-empty-icon">📄</div>
-          <h3>No articles found</h3>
-          <p>Try adjusting your search or filters</p>
+          <h3>${this.escapeHtml(this.t('noResults'))}</h3>
+          <p>${this.escapeHtml(this.t('noResultsHint'))}</p>
         </div>
       `;
     }
@@ -651,13 +713,13 @@ class KnowledgeCenter {
 
     return `
       <div class="kc-article-card ${isFeatured ? 'featured' : ''}" data-article-id="${article.id}">
-        ${isFeatured ? '<span class="kc-article-badge featured">⭐ Featured</span>' : ''}
+        ${isFeatured ? `<span class="kc-article-badge featured">⭐ ${this.escapeHtml(this.t('featured'))}</span>` : ''}
         <h3 class="kc-article-title">${this.escapeHtml(article.title)}</h3>
         <p class="kc-article-description">${this.escapeHtml(article.description)}</p>
         <div class="kc-article-meta">
           <span>📅 ${this.formatDate(article.metadata.createdAt)}</span>
-          ${article.metadata.views ? `<span>👁️ ${article.metadata.views} views</span>` : ''}
-          ${hasMedia ? `<span>🎬 ${article.mediaCount} media</span>` : ''}
+          ${article.metadata.views ? `<span>👁️ ${this.escapeHtml(this.t('views', { count: article.metadata.views }))}</span>` : ''}
+          ${hasMedia ? `<span>🎬 ${this.escapeHtml(this.t('media', { count: article.mediaCount }))}</span>` : ''}
         </div>
         ${article.tags && article.tags.length > 0 ? `
           <div class="kc-article-tags">
@@ -676,7 +738,7 @@ class KnowledgeCenter {
 
     pages.push(`
       <button class="kc-page-btn" data-page="prev" ${this.state.currentPage === 1 ? 'disabled' : ''}>
-        ← Previous
+        ← ${this.escapeHtml(this.t('previous'))}
       </button>
     `);
 
@@ -694,7 +756,7 @@ class KnowledgeCenter {
 
     pages.push(`
       <button class="kc-page-btn" data-page="next" ${this.state.currentPage === totalPages ? 'disabled' : ''}>
-        Next →
+        ${this.escapeHtml(this.t('next'))} →
       </button>
     `);
 
@@ -720,7 +782,7 @@ class KnowledgeCenter {
       <div class="kc-container">
         <div class="kc-article-view">
           <button class="kc-back-btn" id="kc-back-btn">
-            ← Back to articles
+            ← ${this.escapeHtml(this.t('back'))}
           </button>
 
           <div class="kc-article-header">
@@ -728,7 +790,7 @@ class KnowledgeCenter {
             <div class="kc-article-meta">
               <span>📅 ${this.formatDate(article.metadata.createdAt)}</span>
               <span>✍️ ${this.escapeHtml(article.metadata.author)}</span>
-              ${article.metadata.views ? `<span>👁️ ${article.metadata.views} views</span>` : ''}
+              ${article.metadata.views ? `<span>👁️ ${this.escapeHtml(this.t('views', { count: article.metadata.views }))}</span>` : ''}
             </div>
             ${article.tags && article.tags.length > 0 ? `
               <div class="kc-article-tags">
@@ -849,6 +911,19 @@ class KnowledgeCenter {
     });
   }
 
+  /**
+   * Headers identifying the reader (access is decided by the backend from these tokens)
+   */
+  authHeaders(headers = {}) {
+    if (this.config.authToken) {
+      headers['Authorization'] = `Bearer ${this.config.authToken}`;
+    }
+    if (this.config.customerToken) {
+      headers['X-Customer-Token'] = this.config.customerToken;
+    }
+    return headers;
+  }
+
   /**
    * Load categories from API
    */
@@ -883,17 +958,12 @@ class KnowledgeCenter {
 
     try {
       const params = new URLSearchParams({
-        action: 'get-articles',
-        userTags: JSON.stringify(this.config.userTags)
+        action: 'get-articles'
       });
 
-      if (this.config.userEmail) {
-        params.append('userEmail', this.config.userEmail);
-      }
-
       const response = await fetch(
         `${this.config.backendUrl}/api/knowledge-center?${params}`,
-        { method: 'GET' }
+        { method: 'GET', headers: this.authHeaders() }
       );
 
       if (!response.ok) {
@@ -916,7 +986,7 @@ class KnowledgeCenter {
       }
     } catch (error) {
       console.error('Error loading articles:', error);
-      this.showError('Failed to load articles');
+      this.showError(this.t('loadError'));
     } finally {
       this.state.loading = false;
       this.render();
@@ -933,17 +1003,12 @@ class KnowledgeCenter {
     try {
       const params = new URLSearchParams({
         action: 'get-article',
-        id: articleId,
-        userTags: JSON.stringify(this.config.userTags)
+        id: articleId
       });
 
-      if (this.config.userEmail) {
-        params.append('userEmail', this.config.userEmail);
-      }
-
       const response = await fetch(
         `${this.config.backendUrl}/api/knowledge-center?${params}`,
-        { method: 'GET' }
+        { method: 'GET', headers: this.authHeaders() }
       );
 
       if (!response.ok) {
@@ -969,7 +1034,7 @@ class KnowledgeCenter {
       }
     } catch (error) {
       console.error('Error loading article:', error);
-      this.showError('Failed to load article');
+      this.showError(this.t('articleError'));
     } finally {
       this.state.loading = false;
     }
@@ -982,12 +1047,8 @@ class KnowledgeCenter {
     try {
       await fetch(`${this.config.backendUrl}/api/knowledge-center?action=track-view`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          articleId,
-          userEmail: this.config.userEmail,
-          userTags: this.config.userTags
-        })
+        headers: this.authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ articleId })
       });
     } catch (error) {
       console.error('Error tracking view:', error);
@@ -1025,14 +1086,14 @@ class KnowledgeCenter {
     this.container.innerHTML = `
       <div class="kc-container">
         <button class="kc-back-btn" onclick="location.reload()">
-          ← Back to articles
+          ← ${this.escapeHtml(this.t('back'))}
         </button>
         <div class="kc-access-denied">
           <div class="kc-access-denied-icon">🔒</div>
-          <h2>Access Denied</h2>
+          <h2>${this.escapeHtml(this.t('accessDenied'))}</h2>
           <p>${this.escapeHtml(message)}</p>
           ${requiredTags && requiredTags.length > 0 ? `
-            <p><strong>Required access:</strong> ${requiredTags.map(t => this.escapeHtml(t)).join(', ')}</p>
+            <p><strong>${this.escapeHtml(this.t('requiredAccess'))}</strong> ${requiredTags.map(t => this.escapeHtml(t)).join(', ')}</p>
           ` : ''}
         </div>
       </div>
@@ -1061,13 +1122,13 @@ class KnowledgeCenter {
     const now = new Date();
     const diffDays = Math.floor((now - date) / (1000 * 60 * 60 * 24));
 
-    if (diffDays === 0) return 'Today';
-    if (diffDays === 1) return 'Yesterday';
-    if (diffDays < 7) return `${diffDays} days ago`;
-    if (diffDays < 30) return `${Math.floor(diffDays / 7)} weeks ago`;
-    if (diffDays < 365) return `${Math.floor(diffDays / 30)} months ago`;
+    if (diffDays === 0) return this.t('today');
+    if (diffDays === 1) return this.t('yesterday');
+    if (diffDays < 7) return this.t('daysAgo', { count: diffDays });
+    if (diffDays < 30) return this.t('weeksAgo', { count: Math.floor(diffDays / 7) });
+    if (diffDays < 365) return this.t('monthsAgo', { count: Math.floor(diffDays / 30) });
 
-    return date.toLocaleDateString();
+    return date.toLocaleDateString(this.config.locale || undefined);
   }
 
   /**
@@ -1088,14 +1149,6 @@ class KnowledgeCenter {
     this.loadArticles();
   }
 
-  /**
-   * Set user tags (for dynamic updates)
-   */
-  setUserTags(tags) {
-    this.config.userTags = tags;
-    this.loadArticles();
-  }
-
   /**
    * Refresh articles
    */
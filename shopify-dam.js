@@ -2,7 +2,8 @@
  * Shopify Digital Asset Management (DAM) Component
  *
  * A Dropbox/Google Drive-like file management system for Shopify stores.
- * Access restricted to users with 'admin' or 'affiliate' tags.
+ * Access restricted to customers with 'admin' or 'affiliate' tags. The tags
+ * travel in the signed customer token (customerToken) and are checked by the backend.
  *
  * Features:
  * - Folder structure with create/rename/delete
@@ -22,9 +23,7 @@ class ShopifyDAM {
     this.config = {
       containerId: config.containerId || 'shopify-dam-container',
       backendUrl: config.backendUrl || '',
-      userEmail: config.userEmail || '',
-      userTags: config.userTags || [],
-      allowedTags: config.allowedTags || ['admin', 'affiliate'],
+      customerToken: config.customerToken || null, // Signed customer token carrying the customer's tags
       maxFileSize: config.maxFileSize || 20 * 1024 * 1024, // 20MB default
       allowedFileTypes: config.allowedFileTypes || {
         images: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'],
@@ -114,16 +113,17 @@ class ShopifyDAM {
 
   /**
    * Check if user has access to DAM
+   * The section only renders the DAM for tagged customers; the backend checks the token's tags
    */
   checkAccess() {
-    if (!this.config.userTags || this.config.userTags.length === 0) {
-      return false;
-    }
+    return !!this.config.customerToken;
+  }
 
-    return this.config.allowedTags.some(tag =>
-      this.config.userTags.includes(tag) ||
-      this.config.userTags.includes(tag.toLowerCase())
-    );
+  /**
+   * Headers identifying the customer to the backend
+   */
+  authHeaders() {
+    return { 'X-Customer-Token': this.config.customerToken };
   }
 
   /**
@@ -1941,10 +1941,7 @@ class ShopifyDAM {
       });
 
       const response = await fetch(`${this.config.backendUrl}/api/dam?${params}`, {
-        headers: {
-          'X-User-Email': this.config.userEmail,
-          'X-User-Tags': JSON.stringify(this.config.userTags)
-        }
+        headers: this.authHeaders()
       });
 
       if (!response.ok) {
@@ -2067,8 +2064,7 @@ class ShopifyDAM {
       xhr.addEventListener('error', () => reject(new Error('Upload failed')));
 
       xhr.open('POST', `${this.config.backendUrl}/api/dam?action=upload`);
-      xhr.setRequestHeader('X-User-Email', this.config.userEmail);
-      xhr.setRequestHeader('X-User-Tags', JSON.stringify(this.config.userTags));
+      xhr.setRequestHeader('X-Customer-Token', this.config.customerToken);
       xhr.send(formData);
     });
   }
@@ -2119,8 +2115,7 @@ class ShopifyDAM {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-User-Email': this.config.userEmail,
-          'X-User-Tags': JSON.stringify(this.config.userTags)
+          ...this.authHeaders()
         },
         body: JSON.stringify({
           name,
@@ -2194,8 +2189,7 @@ class ShopifyDAM {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-User-Email': this.config.userEmail,
-          'X-User-Tags': JSON.stringify(this.config.userTags)
+          ...this.authHeaders()
         },
         body: JSON.stringify({
           id: item.id,
@@ -2262,8 +2256,7 @@ class ShopifyDAM {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-User-Email': this.config.userEmail,
-          'X-User-Tags': JSON.stringify(this.config.userTags)
+          ...this.authHeaders()
         },
         body: JSON.stringify({
           items: this.state.selectedItems,
@@ -2325,8 +2318,7 @@ class ShopifyDAM {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-User-Email': this.config.userEmail,
-          'X-User-Tags': JSON.stringify(this.config.userTags)
+          ...this.authHeaders()
         },
         body: JSON.stringify({
           items: this.state.selectedItems
@@ -2424,8 +2416,7 @@ class ShopifyDAM {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-User-Email': this.config.userEmail,
-          'X-User-Tags': JSON.stringify(this.config.userTags)
+          ...this.authHeaders()
         },
         body: JSON.stringify({
           items: this.state.clipboard.items,